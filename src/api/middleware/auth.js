@@ -0,0 +1,54 @@
+const Logger = require('../../utils/Logger');
+const { AuthorizationError } = require('../../utils/ErrorHandler');
+const AuthService = require('../../services/AuthService');
+
+/**
+ * Identify the caller and attach it as req.auth.
+ * The access_token query parameter is only accepted on GET requests (SSE streams
+ * and downloads), so tokens don't end up in URLs of state-changing requests.
+ */
+const authenticate = (req, res, next) => {
+  if (req.auth) return next();
+
+  try {
+    const queryToken = req.method === 'GET' ? req.query.access_token || null : null;
+    req.auth = AuthService.authenticate(req.headers, queryToken);
+    next();
+  } catch (error) {
+    Logger.warn('Request authentication failed', {
+      path: req.originalUrl.split('?')[0],
+      method: req.method,
+      ip: req.ip,
+      reason: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Require one of the given scopes (admin always passes)
+ * @param {...string} scopes - Accepted scopes
+ * @returns {Function} Express middleware
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  authenticate(req, res, error => {
+    if (error) return next(error);
+
+    if (!AuthService.hasScope(req.auth, scopes)) {
+      Logger.warn('Request denied: missing scope', {
+        principal: req.auth.id,
+        path: req.originalUrl.split('?')[0],
+        method: req.method,
+        requiredScopes: scopes
+      });
+      return next(new AuthorizationError(scopes));
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  authenticate,
+  requireScope
+};
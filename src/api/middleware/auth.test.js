@@ -0,0 +1,54 @@
+process.env.LOG_LEVEL = 'error';
+
+const crypto = require('crypto');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+delete process.env.AUTH_DISABLED;
+process.env.API_KEYS = JSON.stringify([
+  { id: 'reader', keyHash: sha256('reader-key'), scopes: ['transcripts:read'] },
+  { id: 'ops', keyHash: sha256('admin-key'), scopes: ['admin'] }
+]);
+
+const express = require('express');
+const request = require('supertest');
+const { authenticate, requireScope } = require('./auth');
+const { errorHandler } = require('../../utils/ErrorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/', authenticate);
+app.get('/api/transcripts', requireScope('transcripts:read'), (req, res) => res.json({ principal: req.auth.id }));
+app.post('/api/transcripts', requireScope('transcripts:write'), (req, res) => res.json({ principal: req.auth.id }));
+app.use(errorHandler);
+
+describe('auth middleware', () => {
+  test('answers 401 without or with unknown credentials', async () => {
+    const missing = await request(app).get('/api/transcripts').expect(401);
+    expect(missing.body.error.type).toBe('AuthenticationError');
+
+    await request(app).get('/api/transcripts').set('X-API-Key', 'unknown-key').expect(401);
+  });
+
+  test('answers 403 with the required scopes when the scope is missing', async () => {
+    const response = await request(app).post('/api/transcripts').set('X-API-Key', 'reader-key').expect(403);
+
+    expect(response.body.error.type).toBe('AuthorizationError');
+    expect(response.body.error.requiredScopes).toEqual(['transcripts:write']);
+  });
+
+  test('passes callers with the scope or admin', async () => {
+    const reader = await request(app).get('/api/transcripts').set('Authorization', 'Bearer reader-key').expect(200);
+    expect(reader.body.principal).toBe('reader');
+
+    const admin = await request(app).post('/api/transcripts').set('X-API-Key', 'admin-key').expect(200);
+    expect(admin.body.principal).toBe('ops');
+  });
+
+  test('accepts access_token only on GET requests', async () => {
+    const reader = await request(app).get('/api/transcripts?access_token=reader-key').expect(200);
+    expect(reader.body.principal).toBe('reader');
+
+    await request(app).post('/api/transcripts?access_token=admin-key').expect(401);
+  });
+});
@@ -0,0 +1,181 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../../utils/ErrorHandler');
+const spec = require('../openapi');
+
+const SPEC_ID = 'openapi.json';
+
+// Bodies are validated as sent; path and query values arrive as strings and are coerced
+const bodyAjv = createAjv({ coerceTypes: false });
+const paramAjv = createAjv({ coerceTypes: true });
+
+const validators = new Map(); // operationId -> { body, params, query }
+
+/**
+ * Validate req.params, req.query and req.body against an operation of the OpenAPI spec
+ * @param {string} operationId - operationId in src/api/openapi.js
+ * @returns {Function} Express middleware
+ */
+const validate = (operationId) => {
+  const compiled = getValidators(operationId);
+
+  return (req, res, next) => {
+    const failures = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+      const validator = compiled[location];
+      if (validator && !validator(req[location] ?? {})) {
+        failures.push(...formatErrors(validator.errors, location));
+      }
+    });
+
+    if (failures.length > 0) {
+      return next(new ValidationError(failures[0].message, failures[0].field, failures));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Compile the validators of an operation
+ * @param {string} operationId - operationId in the spec
+ * @returns {Object} { params, query, body } validators (missing when not described)
+ */
+function getValidators(operationId) {
+  if (validators.has(operationId)) {
+    return validators.get(operationId);
+  }
+
+  const operation = findOperation(operationId);
+  if (!operation) {
+    throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+  }
+
+  const compiled = {};
+  ['path', 'query'].forEach(location => {
+    const parameters = (operation.parameters || []).filter(parameter => parameter.in === location);
+    if (parameters.length === 0) return;
+
+    compiled[location === 'path' ? 'params' : 'query'] = paramAjv.compile({
+      type: 'object',
+      properties: Object.fromEntries(parameters.map(parameter => [parameter.name, toSpecRefs(parameter.schema)])),
+      required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+    });
+  });
+
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  if (bodySchema) {
+    compiled.body = bodyAjv.compile(toSpecRefs(bodySchema));
+  }
+
+  validators.set(operationId, compiled);
+  return compiled;
+}
+
+/**
+ * Find an operation in the spec by operationId
+ * @param {string} operationId - operationId
+ * @returns {Object|null} Operation object
+ */
+function findOperation(operationId) {
+  for (const pathItem of Object.values(spec.paths)) {
+    for (const operation of Object.values(pathItem)) {
+      if (operation.operationId === operationId) {
+        return operation;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Point local component references at the spec registered with Ajv
+ * @param {Object} schema - Schema from the spec
+ * @returns {Object} Schema with absolute $refs
+ */
+function toSpecRefs(schema) {
+  return JSON.parse(JSON.stringify(schema).replace(/"\$ref":"#\//g, `"$ref":"${SPEC_ID}#/`));
+}
+
+/**
+ * Create an Ajv instance that knows the spec components
+ * @param {Object} options - Ajv options
+ * @returns {Ajv} Ajv instance
+ */
+function createAjv(options) {
+  // strict: false lets OpenAPI annotations (example, ...) pass through
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ components: spec.components }, SPEC_ID);
+  return ajv;
+}
+
+/**
+ * Turn Ajv errors into { location, field, message } with readable field paths
+ * @param {Array<Object>} errors - Ajv errors
+ * @param {string} location - params, query or body
+ * @returns {Array<Object>} Failures
+ */
+function formatErrors(errors, location) {
+  // Errors inside anyOf branches are summarized by the anyOf error itself
+  const anyOfErrors = errors.filter(error => error.keyword === 'anyOf');
+  const isBranchError = error => anyOfErrors.some(
+    anyOf => error !== anyOf && error.schemaPath.startsWith(`${anyOf.schemaPath}/`)
+  );
+
+  return errors.filter(error => !isBranchError(error)).map(error => {
+    const path = toFieldPath(error.instancePath);
+
+    if (error.keyword === 'required') {
+      const field = joinPath(path, error.params.missingProperty);
+      return { location, field, message: `${field} is required` };
+    }
+
+    if (error.keyword === 'anyOf') {
+      const alternatives = errors
+        .filter(branch => branch.keyword === 'required' && branch.schemaPath.startsWith(`${error.schemaPath}/`))
+        .map(branch => joinPath(path, branch.params.missingProperty));
+      if (alternatives.length > 0) {
+        return { location, field: alternatives[0], message: `One of ${alternatives.join(', ')} is required` };
+      }
+    }
+
+    const field = path || location;
+    if (error.keyword === 'pattern' && error.params.pattern === '\\S') {
+      return { location, field, message: `${field} must not be blank` };
+    }
+    if (error.keyword === 'enum') {
+      return { location, field, message: `${field} must be one of: ${error.params.allowedValues.join(', ')}` };
+    }
+
+    return { location, field, message: `${field} ${error.message}` };
+  });
+}
+
+/**
+ * Convert a JSON pointer (/participants/0/name) to a field path (participants[0].name)
+ * @param {string} pointer - Ajv instancePath
+ * @returns {string} Field path
+ */
+function toFieldPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : joinPath(path, part)), '');
+}
+
+/**
+ * Append a property to a field path
+ * @param {string} path - Parent path
+ * @param {string} property - Property name
+ * @returns {string} Field path
+ */
+function joinPath(path, property) {
+  return path ? `${path}.${property}` : property;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,95 @@
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_DISABLED = 'true';
+
+const request = require('supertest');
+const { createServer } = require('../server');
+
+describe('validate middleware', () => {
+  const app = createServer();
+
+  test('rejects a missing required field with its name', async () => {
+    const response = await request(app).post('/api/transcribe').send({}).expect(400);
+
+    expect(response.body.error).toMatchObject({
+      type: 'ValidationError',
+      message: 'audioUrl is required',
+      field: 'audioUrl'
+    });
+  });
+
+  test('reports every failure with a readable field path', async () => {
+    const response = await request(app)
+      .post('/api/transcribe')
+      .send({ audioUrl: 'not a url', participants: [{ name: 42 }] })
+      .expect(400);
+
+    expect(response.body.error.details).toEqual([
+      { location: 'body', field: 'audioUrl', message: 'audioUrl must match format "uri"' },
+      { location: 'body', field: 'participants[0].name', message: 'participants[0].name must be string' }
+    ]);
+  });
+
+  test('rejects unknown redaction strategies', async () => {
+    const response = await request(app)
+      .post('/api/transcribe')
+      .send({ audioUrl: 'https://example.com/a.wav', redactionStrategy: 'shred' })
+      .expect(400);
+
+    expect(response.body.error).toMatchObject({
+      field: 'redactionStrategy',
+      message: 'redactionStrategy must be one of: mask, replace, hash'
+    });
+  });
+
+  test('does not coerce body types', async () => {
+    const response = await request(app)
+      .post('/api/config_speakers/rec1/rollback')
+      .send({ revision: '1' })
+      .expect(400);
+
+    expect(response.body.error).toMatchObject({ field: 'revision', message: 'revision must be integer' });
+  });
+
+  test('checks query parameters', async () => {
+    const response = await request(app)
+      .get('/api/jobs?state=running')
+      .expect(400);
+
+    expect(response.body.error.details[0]).toMatchObject({ location: 'query', field: 'state' });
+  });
+
+  test('rejects speaker configurations without a mapping or participants', async () => {
+    const response = await request(app)
+      .post('/api/config_speakers')
+      .send({ id: 'rec1' })
+      .expect(400);
+
+    expect(response.body.error.type).toBe('ValidationError');
+  });
+
+  test('coerces and checks path parameters', async () => {
+    const response = await request(app)
+      .patch('/api/transcripts/rec1/segments/first')
+      .send({ text: 'Hello' })
+      .expect(400);
+
+    expect(response.body.error).toMatchObject({ field: 'segmentId', message: 'segmentId must be integer' });
+  });
+
+  test('checks segment edit query parameters', async () => {
+    const response = await request(app)
+      .delete('/api/transcripts/rec1/segments/2?version=-1')
+      .expect(400);
+
+    expect(response.body.error.details[0]).toMatchObject({ location: 'query', field: 'version' });
+  });
+
+  test('rejects merges of fewer than two segments', async () => {
+    const response = await request(app)
+      .post('/api/transcripts/rec1/segments/merge')
+      .send({ segmentIds: [3] })
+      .expect(400);
+
+    expect(response.body.error.field).toBe('segmentIds');
+  });
+});
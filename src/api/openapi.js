@@ -0,0 +1,1221 @@
+const packageJson = require('../../package.json');
+const { FORMATS } = require('../utils/TranscriptFormatter');
+const { JOB_STATES } = require('../services/JobQueue');
+const { WEBHOOK_EVENTS } = require('../services/WebhookService');
+const { TEMPLATES } = require('../utils/SummaryTemplates');
+const { STRATEGIES } = require('../services/RedactionService');
+const { GLOSSARY_SCOPES } = require('../services/GlossaryService');
+const { OPERATIONS } = require('../services/TranscriptEditService');
+
+/**
+ * OpenAPI 3 description of the public API.
+ *
+ * Served at /api/openapi.json and used by the validate() middleware, so request
+ * schemas here are what the routes actually accept. Test and debug routes
+ * (/api/debug, /api/test, /api/manual-test, /api/force-process, /test-supabase)
+ * are not part of the public API and are left out.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', minLength: 1 }
+});
+
+const jsonBody = (schemaName, required = true) => ({
+  required,
+  content: { 'application/json': { schema: ref(schemaName) } }
+});
+
+const jsonResponse = (description, schemaName = 'SuccessResponse') => ({
+  description,
+  content: { 'application/json': { schema: ref(schemaName) } }
+});
+
+const errors = (...statusCodes) => {
+  const responses = {
+    400: { $ref: '#/components/responses/ValidationError' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    403: { $ref: '#/components/responses/Forbidden' },
+    404: { $ref: '#/components/responses/NotFound' },
+    409: { $ref: '#/components/responses/Conflict' },
+    503: { $ref: '#/components/responses/ServiceUnavailable' }
+  };
+  const selected = {};
+  statusCodes.forEach(code => {
+    selected[code] = responses[code];
+  });
+  return selected;
+};
+
+const lastEventIdParam = {
+  name: 'lastEventId',
+  in: 'query',
+  description: 'Replay events after this ID (alternative to the Last-Event-ID header)',
+  schema: { type: 'integer', minimum: 0 }
+};
+
+const segmentIdParam = {
+  name: 'segmentId',
+  in: 'path',
+  required: true,
+  description: 'Segment ID (`id` of the stored segment)',
+  schema: { type: 'integer', minimum: 1 }
+};
+
+const versionParam = (name, location, description) => ({
+  name,
+  in: location,
+  required: location === 'path',
+  description,
+  schema: { type: 'integer', minimum: 0 }
+});
+
+const usageFilterParams = [
+  { name: 'from', in: 'query', description: 'Calls made at or after (ISO date or date-time)', schema: { type: 'string' } },
+  { name: 'to', in: 'query', description: 'Calls made at or before (ISO date or date-time)', schema: { type: 'string' } },
+  { name: 'eventId', in: 'query', description: 'Calendar event ID', schema: { type: 'string' } },
+  { name: 'recordId', in: 'query', description: 'meeting_bot_audio_transcript row ID', schema: { type: 'string' } },
+  { name: 'sessionId', in: 'query', description: 'Live session ID', schema: { type: 'string' } },
+  { name: 'jobId', in: 'query', description: 'Transcription job ID', schema: { type: 'string' } },
+  { name: 'principal', in: 'query', description: 'API key ID or JWT subject of the caller', schema: { type: 'string' } },
+  { name: 'operation', in: 'query', schema: { type: 'string', enum: ['transcribe', 'summarize', 'translate', 'redact', 'ask'] } }
+];
+
+const deliveryFilterParams = [
+  { name: 'state', in: 'query', schema: { type: 'string', enum: ['pending', 'succeeded', 'failed', 'cancelled'] } },
+  { name: 'event', in: 'query', schema: { type: 'string', enum: WEBHOOK_EVENTS } }
+];
+
+const schemas = {
+  SuccessResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true }
+    },
+    additionalProperties: true
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          type: { type: 'string', example: 'ValidationError' },
+          field: { type: 'string', description: 'Path of the invalid field, e.g. participants[0].name' },
+          details: {
+            type: 'array',
+            description: 'Every validation failure of the request',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['body', 'params', 'query'] },
+                field: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          },
+          requiredScopes: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Participant: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      email: { type: 'string' }
+    }
+  },
+  TranscribeRequest: {
+    type: 'object',
+    required: ['audioUrl'],
+    properties: {
+      audioUrl: { type: 'string', format: 'uri', description: 'Publicly reachable audio file (WAV, MP3, WebM, ...)' },
+      participants: { type: 'array', items: ref('Participant') },
+      eventId: { type: 'string' },
+      organizer: { type: 'string', description: 'Organizer email; selects organizer glossaries' },
+      meetingUrl: { type: 'string' },
+      botId: { type: 'string', default: 'frontend_request' },
+      provider: { type: 'string', description: 'Transcription provider (overrides the X-Transcription-Provider header)' },
+      cache: { type: 'boolean', default: true, description: 'Set to false to transcribe again instead of using a cached result' },
+      redact: { type: 'boolean', default: false, description: 'Redact personal data even if REDACTION_ENABLED is off (it can not be turned off per request)' },
+      redactionStrategy: { type: 'string', enum: STRATEGIES, description: 'Defaults to REDACTION_STRATEGY' }
+    }
+  },
+  SummaryRequest: {
+    allOf: [
+      ref('TranscribeRequest'),
+      {
+        type: 'object',
+        properties: {
+          meetingTitle: { type: 'string', default: 'Meeting' },
+          template: {
+            type: 'string',
+            enum: Object.keys(TEMPLATES),
+            description: 'Summary template; picked from the detected meeting type if omitted'
+          }
+        }
+      }
+    ]
+  },
+  RawSaveRequest: {
+    type: 'object',
+    required: ['id', 'publicUrl'],
+    properties: {
+      id: { type: 'string', minLength: 1, description: 'meeting_bot_audio_transcript row ID' },
+      publicUrl: { type: 'string', format: 'uri' },
+      eventId: { type: 'string', description: 'Selects event glossaries' },
+      organizer: { type: 'string', description: 'Selects organizer glossaries' },
+      provider: { type: 'string' },
+      cache: { type: 'boolean', default: true },
+      redact: { type: 'boolean', default: false },
+      redactionStrategy: { type: 'string', enum: STRATEGIES }
+    }
+  },
+  ConfigSpeakersRequest: {
+    type: 'object',
+    required: ['id'],
+    description: 'Either an explicit mapping or participants in speaker order',
+    properties: {
+      id: { type: 'string', minLength: 1, description: 'meeting_bot_audio_transcript row ID' },
+      mapping: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: { type: 'string', pattern: '\\S' },
+        example: { 'Speaker 2': 'Emil Santos' }
+      },
+      participants: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string' },
+        description: 'Speaker 1 -> first participant, Speaker 2 -> second, ...'
+      },
+      template: {
+        type: 'string',
+        enum: Object.keys(TEMPLATES),
+        description: 'Summary template; defaults to the template of the current summary'
+      },
+      provider: { type: 'string' }
+    },
+    anyOf: [
+      { required: ['mapping'] },
+      { required: ['participants'] }
+    ]
+  },
+  TranslateRequest: {
+    type: 'object',
+    required: ['targetLanguage'],
+    properties: {
+      targetLanguage: { type: 'string', pattern: '^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$', example: 'de', description: 'Language code (BCP 47)' },
+      provider: { type: 'string' }
+    }
+  },
+  RedactionReport: {
+    type: 'object',
+    properties: {
+      strategy: { type: 'string', enum: STRATEGIES },
+      detectors: { type: 'array', items: { type: 'string' } },
+      llm: { type: 'boolean', description: 'Whether the LLM-assisted pass ran' },
+      counts: { type: 'object', additionalProperties: { type: 'integer' }, example: { email: 1, phone: 2 } },
+      total: { type: 'integer' }
+    }
+  },
+  RedactionMapping: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'string' },
+      redaction: ref('RedactionReport'),
+      entries: {
+        type: 'array',
+        description: 'Redacted values; start and end are positions in the stored (redacted) text',
+        items: {
+          type: 'object',
+          properties: {
+            segmentId: { type: 'integer', nullable: true },
+            field: { type: 'string', enum: ['text', 'fullText'] },
+            type: { type: 'string' },
+            start: { type: 'integer' },
+            end: { type: 'integer' },
+            value: { type: 'string' },
+            stale: { type: 'boolean', description: 'The segment (or fullText) was edited after redaction, so the value is not restored' }
+          }
+        }
+      },
+      transcript: {
+        type: 'object',
+        description: 'Stored transcript with the original values restored',
+        properties: {
+          segments: { type: 'array', items: { type: 'object' } },
+          fullText: { type: 'string' }
+        }
+      }
+    }
+  },
+  AskRequest: {
+    type: 'object',
+    required: ['question'],
+    properties: {
+      question: { type: 'string', minLength: 1, maxLength: 2000, example: 'What did Matthias say about the deadline?' },
+      conversationId: { type: 'string', description: 'Conversation of an earlier answer, for follow-up questions' },
+      provider: { type: 'string' }
+    }
+  },
+  AskResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'string' },
+      conversationId: { type: 'string' },
+      turn: { type: 'integer', description: 'Number of the question in the conversation' },
+      question: { type: 'string' },
+      answer: { type: 'string' },
+      answered: { type: 'boolean', description: 'false when the transcript has no evidence for an answer' },
+      citations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            segmentId: { type: 'string' },
+            speaker: { type: 'string' },
+            startTime: { type: 'number' },
+            endTime: { type: 'number' },
+            timestamp: { type: 'string', example: '00:12:05' },
+            text: { type: 'string' }
+          }
+        }
+      },
+      askedAt: { type: 'string', format: 'date-time' },
+      usage: ref('UsageTotals')
+    }
+  },
+  SegmentEditRequest: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      speaker: { type: 'string', minLength: 1 },
+      author: { type: 'string', description: 'Recorded with the edit (default: the authenticated principal)' },
+      version: { type: 'integer', minimum: 0, description: 'Transcript version the edit is based on; 409 if the transcript has changed since' }
+    }
+  },
+  SegmentMergeRequest: {
+    type: 'object',
+    required: ['segmentIds'],
+    properties: {
+      segmentIds: { type: 'array', minItems: 2, items: { type: 'integer', minimum: 1 }, example: [4, 5], description: 'Consecutive segments; the merged segment keeps the first ID' },
+      speaker: { type: 'string', minLength: 1, description: 'Speaker of the merged segment (default: the first segment\'s)' },
+      author: { type: 'string' },
+      version: { type: 'integer', minimum: 0 }
+    }
+  },
+  SegmentSplitRequest: {
+    type: 'object',
+    required: ['offset'],
+    properties: {
+      offset: { type: 'integer', minimum: 1, description: 'Character position in the segment text where the second part starts' },
+      time: { type: 'number', minimum: 0, description: 'Start of the second part in seconds (default: proportional to offset)' },
+      speaker: { type: 'string', minLength: 1, description: 'Speaker of the second part (default: unchanged)' },
+      author: { type: 'string' },
+      version: { type: 'integer', minimum: 0 }
+    }
+  },
+  TranscriptEdit: {
+    type: 'object',
+    properties: {
+      version: { type: 'integer' },
+      operation: { type: 'string', enum: ['original', ...OPERATIONS] },
+      segmentIds: { type: 'array', items: { type: 'integer' } },
+      author: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  SegmentEditResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'string' },
+      version: { type: 'integer', description: 'New transcript version' },
+      edit: ref('TranscriptEdit'),
+      segments: { type: 'array', items: { type: 'object' }, description: 'Segments after the edit (empty for delete)' },
+      fullText: { type: 'string' },
+      wordCount: { type: 'integer' }
+    }
+  },
+  TranscriptVersions: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'string' },
+      currentVersion: { type: 'integer' },
+      versions: { type: 'array', items: ref('TranscriptEdit') }
+    }
+  },
+  TranscriptVersion: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'string' },
+      version: { type: 'integer' },
+      segments: { type: 'array', items: { type: 'object' } },
+      fullText: { type: 'string' },
+      wordCount: { type: 'integer' }
+    }
+  },
+  TranscriptDiff: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'string' },
+      from: { type: 'integer' },
+      to: { type: 'integer' },
+      added: { type: 'array', items: { type: 'object' } },
+      removed: { type: 'array', items: { type: 'object' } },
+      changed: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            fields: { type: 'array', items: { type: 'string', enum: ['speaker', 'text', 'startTime', 'endTime'] } },
+            from: { type: 'object' },
+            to: { type: 'object' }
+          }
+        }
+      },
+      edits: { type: 'array', items: ref('TranscriptEdit'), description: 'Edits between the two versions' }
+    }
+  },
+  SpeakerRollbackRequest: {
+    type: 'object',
+    properties: {
+      revision: { type: 'integer', minimum: 0, default: 0, description: '0 restores the original speaker labels' },
+      provider: { type: 'string' }
+    }
+  },
+  JobAccepted: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      jobId: { type: 'string', format: 'uuid' },
+      state: { type: 'string', enum: JOB_STATES },
+      statusUrl: { type: 'string', example: '/api/jobs/3f1c...' }
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      type: { type: 'string', enum: ['transcribe', 'transcribe_raw', 'transcribe_summary', 'raw_save'] },
+      owner: { type: 'string', nullable: true, description: 'ID of the principal that started the job' },
+      state: { type: 'string', enum: JOB_STATES },
+      progress: { type: 'integer', minimum: 0, maximum: 100 },
+      params: { type: 'object' },
+      result: { type: 'object', nullable: true },
+      error: { type: 'object', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time', nullable: true },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  TranscriptSegment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      speaker: { type: 'string' },
+      text: { type: 'string' },
+      startTime: { type: 'number' },
+      endTime: { type: 'number' },
+      confidence: { type: 'number' },
+      eventId: { type: 'integer', description: 'SSE event ID of the segment (live sessions)' }
+    }
+  },
+  Transcript: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      sessionId: { type: 'string' },
+      botId: { type: 'string', nullable: true },
+      meetingUrl: { type: 'string', nullable: true },
+      transcript: {
+        type: 'object',
+        properties: {
+          segments: { type: 'array', items: ref('TranscriptSegment') },
+          fullText: { type: 'string' },
+          wordCount: { type: 'integer' },
+          duration: { type: 'number' },
+          detectedLanguage: { type: 'string' },
+          speakers: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      metadata: { type: 'object' }
+    }
+  },
+  UsageTotals: {
+    type: 'object',
+    properties: {
+      calls: { type: 'integer' },
+      cost: { type: 'number', description: 'Estimated cost in USD' },
+      promptTokens: { type: 'integer' },
+      audioTokens: { type: 'integer', description: 'Prompt tokens spent on audio' },
+      outputTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' }
+    }
+  },
+  UsageReport: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      totals: ref('UsageTotals'),
+      daily: {
+        type: 'array',
+        items: {
+          allOf: [
+            { type: 'object', properties: { date: { type: 'string', format: 'date', description: 'UTC day' } } },
+            ref('UsageTotals')
+          ]
+        }
+      }
+    }
+  },
+  UsageCalls: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      total: { type: 'integer' },
+      count: { type: 'integer' },
+      offset: { type: 'integer' },
+      calls: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            provider: { type: 'string', example: 'gemini' },
+            model: { type: 'string' },
+            operation: { type: 'string', enum: ['transcribe', 'summarize', 'translate', 'redact', 'ask'] },
+            promptTokens: { type: 'integer' },
+            audioTokens: { type: 'integer' },
+            outputTokens: { type: 'integer' },
+            totalTokens: { type: 'integer' },
+            cost: { type: 'number' },
+            eventId: { type: 'string', nullable: true },
+            recordId: { type: 'string', nullable: true },
+            sessionId: { type: 'string', nullable: true },
+            jobId: { type: 'string', nullable: true },
+            principal: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }
+  },
+  SearchResults: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      query: { type: 'string' },
+      total: { type: 'integer' },
+      count: { type: 'integer' },
+      offset: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string', enum: ['live', 'stored'] },
+            sessionId: { type: 'string', description: 'Live session ID (source=live)' },
+            recordId: { type: 'string', description: 'meeting_bot_audio_transcript row ID (source=stored)' },
+            title: { type: 'string', nullable: true },
+            startedAt: { type: 'string', format: 'date-time', nullable: true },
+            language: { type: 'string', nullable: true },
+            segmentId: { oneOf: [{ type: 'string' }, { type: 'integer' }], nullable: true },
+            speaker: { type: 'string', nullable: true },
+            text: { type: 'string' },
+            startTime: { type: 'number' },
+            endTime: { type: 'number' },
+            timestamp: { type: 'string', example: '00:12:31' },
+            snippet: { type: 'string', description: 'HTML-escaped text around the match with <mark> highlights' },
+            highlights: {
+              type: 'array',
+              items: { type: 'object', properties: { start: { type: 'integer' }, end: { type: 'integer' } } }
+            },
+            score: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+  GlossaryTerm: {
+    oneOf: [
+      { type: 'string', minLength: 1 },
+      {
+        type: 'object',
+        required: ['term'],
+        properties: {
+          term: { type: 'string', minLength: 1, example: 'kubectl' },
+          aliases: { type: 'array', items: { type: 'string' }, description: 'How the term is misheard', example: ['cube control'] },
+          description: { type: 'string', description: 'Context for the transcription engine' },
+          fuzzy: { type: 'boolean', default: true, description: 'Also correct near-miss spellings' }
+        }
+      }
+    ]
+  },
+  GlossaryRequest: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      scope: { type: 'string', enum: GLOSSARY_SCOPES, default: 'global' },
+      scopeId: { type: 'string', description: 'Organizer email or event ID (required unless global)' },
+      terms: { type: 'array', items: ref('GlossaryTerm') },
+      active: { type: 'boolean', default: true }
+    }
+  },
+  GlossaryUpdate: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      scope: { type: 'string', enum: GLOSSARY_SCOPES },
+      scopeId: { type: 'string' },
+      terms: { type: 'array', items: ref('GlossaryTerm'), description: 'Replaces the existing terms' },
+      active: { type: 'boolean' }
+    }
+  },
+  WebhookSubscriptionRequest: {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      events: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] }
+      },
+      secret: { type: 'string', minLength: 16, description: 'Generated when omitted' },
+      description: { type: 'string' }
+    }
+  },
+  WebhookSubscriptionUpdate: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      events: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] }
+      },
+      description: { type: 'string' },
+      active: { type: 'boolean' }
+    }
+  },
+  WebhookSubscription: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string' } },
+      description: { type: 'string' },
+      active: { type: 'boolean' },
+      secret: { type: 'string', description: 'Only returned when the subscription is created' },
+      secretHint: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      subscriptionId: { type: 'string', format: 'uuid' },
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      eventId: { type: 'string' },
+      url: { type: 'string' },
+      payload: { type: 'object' },
+      state: { type: 'string', enum: ['pending', 'succeeded', 'failed', 'cancelled'] },
+      attempts: { type: 'array', items: { type: 'object' } },
+      nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+      redeliveryOf: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const paths = {
+  '/health': {
+    get: {
+      tags: ['Health'],
+      operationId: 'getHealth',
+      summary: 'Service and dependency health',
+      security: [],
+      responses: { 200: jsonResponse('Healthy'), 503: jsonResponse('Unhealthy') }
+    }
+  },
+  '/health/live': {
+    get: { tags: ['Health'], operationId: 'getLiveness', summary: 'Liveness probe', security: [], responses: { 200: jsonResponse('Alive') } }
+  },
+  '/health/ready': {
+    get: { tags: ['Health'], operationId: 'getReadiness', summary: 'Readiness probe', security: [], responses: { 200: jsonResponse('Ready'), 503: jsonResponse('Not ready') } }
+  },
+  '/metrics': {
+    get: {
+      tags: ['Status'],
+      operationId: 'getPrometheusMetrics',
+      summary: 'Prometheus metrics (status:read)',
+      responses: {
+        200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...errors(401, 403)
+      }
+    }
+  },
+  '/api/status': {
+    get: { tags: ['Status'], operationId: 'getStatus', summary: 'Service status and statistics (status:read)', responses: { 200: jsonResponse('Status'), ...errors(401, 403) } }
+  },
+  '/api/status/metrics': {
+    get: { tags: ['Status'], operationId: 'getStatusMetrics', summary: 'Metrics as JSON (status:read)', responses: { 200: jsonResponse('Metrics'), ...errors(401, 403) } }
+  },
+  '/api/status/config': {
+    get: { tags: ['Status'], operationId: 'getStatusConfig', summary: 'Non-secret configuration (status:read)', responses: { 200: jsonResponse('Configuration'), ...errors(401, 403) } }
+  },
+  '/api/transcripts/active': {
+    get: { tags: ['Transcripts'], operationId: 'listActiveTranscripts', summary: 'Active transcript sessions', responses: { 200: jsonResponse('Sessions'), ...errors(401, 403) } }
+  },
+  '/api/transcripts/stats/summary': {
+    get: { tags: ['Transcripts'], operationId: 'getTranscriptStats', summary: 'Transcript statistics', responses: { 200: jsonResponse('Statistics'), ...errors(401, 403) } }
+  },
+  '/api/transcripts/{sessionId}': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'getTranscript',
+      summary: 'Full transcript of a session',
+      parameters: [pathParam('sessionId', 'Transcript session ID')],
+      responses: { 200: jsonResponse('Transcript', 'Transcript'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/transcripts/{sessionId}/live': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'streamTranscript',
+      summary: 'Server-Sent Events stream of transcript updates',
+      parameters: [pathParam('sessionId', 'Transcript session ID'), lastEventIdParam],
+      responses: {
+        200: { description: 'SSE stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/api/transcripts/{sessionId}/stop': {
+    post: {
+      tags: ['Transcripts'],
+      operationId: 'stopTranscript',
+      summary: 'Stop a transcript session (transcripts:write)',
+      parameters: [pathParam('sessionId', 'Transcript session ID')],
+      responses: { 200: jsonResponse('Stopped'), ...errors(401, 403) }
+    }
+  },
+  '/api/transcripts/{sessionId}/download': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'downloadTranscript',
+      summary: 'Download a live session or stored transcript',
+      parameters: [
+        pathParam('sessionId', 'Transcript session ID or meeting_bot_audio_transcript row ID'),
+        { name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(FORMATS), default: 'txt' } },
+        { name: 'language', in: 'query', description: 'Download a stored translation (see translate)', schema: { type: 'string' }, example: 'de' },
+        { name: 'bilingual', in: 'query', description: 'Original and translation side by side (requires language)', schema: { type: 'boolean', default: false } }
+      ],
+      responses: {
+        200: { description: 'Transcript file (Content-Disposition: attachment)' },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/api/transcripts/{id}/translate': {
+    post: {
+      tags: ['Transcripts'],
+      operationId: 'translateTranscript',
+      summary: 'Translate a stored transcript segment by segment (job, transcripts:write)',
+      description: 'Keeps segment IDs, speakers and timestamps. The translation is stored in raw_transcript.translations and replaces an earlier one in the same language.',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID')],
+      requestBody: jsonBody('TranslateRequest'),
+      responses: { 202: jsonResponse('Job accepted', 'JobAccepted'), ...errors(400, 401, 403, 404, 503) }
+    }
+  },
+  '/api/transcripts/{id}/ask': {
+    post: {
+      tags: ['Transcripts'],
+      operationId: 'askTranscript',
+      summary: 'Answer a question from a live session or stored transcript, citing segments (transcripts:write)',
+      description: 'Answers use only the transcript. Without supporting segments the answer is a refusal (answered: false). Pass conversationId for follow-up questions.',
+      parameters: [pathParam('id', 'Session ID or meeting_bot_audio_transcript row ID')],
+      requestBody: jsonBody('AskRequest'),
+      responses: { 200: jsonResponse('Answer', 'AskResponse'), ...errors(400, 401, 403, 404, 503) }
+    }
+  },
+  '/api/transcripts/{id}/segments/{segmentId}': {
+    patch: {
+      tags: ['Transcripts'],
+      operationId: 'editTranscriptSegment',
+      summary: 'Edit the text or speaker of a stored transcript segment (transcripts:write)',
+      description: 'Saved as a new version with fullText and wordCount recomputed. The AI summary and translations are not regenerated.',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID'), segmentIdParam],
+      requestBody: jsonBody('SegmentEditRequest'),
+      responses: { 200: jsonResponse('Edited', 'SegmentEditResponse'), ...errors(400, 401, 403, 404, 409, 503) }
+    },
+    delete: {
+      tags: ['Transcripts'],
+      operationId: 'deleteTranscriptSegment',
+      summary: 'Delete a stored transcript segment (transcripts:write)',
+      parameters: [
+        pathParam('id', 'meeting_bot_audio_transcript row ID'),
+        segmentIdParam,
+        versionParam('version', 'query', 'Transcript version the edit is based on; 409 if the transcript has changed since'),
+        { name: 'author', in: 'query', description: 'Recorded with the edit (default: the authenticated principal)', schema: { type: 'string' } }
+      ],
+      responses: { 200: jsonResponse('Deleted', 'SegmentEditResponse'), ...errors(400, 401, 403, 404, 409, 503) }
+    }
+  },
+  '/api/transcripts/{id}/segments/merge': {
+    post: {
+      tags: ['Transcripts'],
+      operationId: 'mergeTranscriptSegments',
+      summary: 'Merge consecutive segments of a stored transcript (transcripts:write)',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID')],
+      requestBody: jsonBody('SegmentMergeRequest'),
+      responses: { 200: jsonResponse('Merged', 'SegmentEditResponse'), ...errors(400, 401, 403, 404, 409, 503) }
+    }
+  },
+  '/api/transcripts/{id}/segments/{segmentId}/split': {
+    post: {
+      tags: ['Transcripts'],
+      operationId: 'splitTranscriptSegment',
+      summary: 'Split a stored transcript segment in two (transcripts:write)',
+      description: 'The first part keeps the segment ID; the second part gets a new one.',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID'), segmentIdParam],
+      requestBody: jsonBody('SegmentSplitRequest'),
+      responses: { 200: jsonResponse('Split', 'SegmentEditResponse'), ...errors(400, 401, 403, 404, 409, 503) }
+    }
+  },
+  '/api/transcripts/{id}/versions': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'listTranscriptVersions',
+      summary: 'Edit versions of a stored transcript',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID')],
+      responses: { 200: jsonResponse('Versions', 'TranscriptVersions'), ...errors(401, 403, 404, 503) }
+    }
+  },
+  '/api/transcripts/{id}/versions/{version}': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'getTranscriptVersion',
+      summary: 'Segments of a stored transcript at a version',
+      parameters: [
+        pathParam('id', 'meeting_bot_audio_transcript row ID'),
+        versionParam('version', 'path', '0 is the transcript as transcribed')
+      ],
+      responses: { 200: jsonResponse('Version', 'TranscriptVersion'), ...errors(400, 401, 403, 404, 503) }
+    }
+  },
+  '/api/transcripts/{id}/diff': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'diffTranscriptVersions',
+      summary: 'Segments added, removed and changed between two versions of a stored transcript',
+      parameters: [
+        pathParam('id', 'meeting_bot_audio_transcript row ID'),
+        versionParam('from', 'query', 'Older version (default 0)'),
+        versionParam('to', 'query', 'Newer version (default: current)')
+      ],
+      responses: { 200: jsonResponse('Diff', 'TranscriptDiff'), ...errors(400, 401, 403, 404, 503) }
+    }
+  },
+  '/api/transcripts/{id}/redactions': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'getRedactionMapping',
+      summary: 'Original values of redacted personal data (pii:read)',
+      description: 'Only available for transcripts saved while REDACTION_MAPPING_KEY was set.',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID')],
+      responses: { 200: jsonResponse('Redaction mapping', 'RedactionMapping'), ...errors(401, 403, 404, 503) }
+    }
+  },
+  '/api/enhanced-transcripts/active/list': {
+    get: { tags: ['Enhanced Transcripts'], operationId: 'listEnhancedSessions', summary: 'Active sessions with meeting metadata', responses: { 200: jsonResponse('Sessions'), ...errors(401, 403) } }
+  },
+  '/api/enhanced-transcripts/{eventId}': {
+    get: {
+      tags: ['Enhanced Transcripts'],
+      operationId: 'getEnhancedTranscript',
+      summary: 'Transcript with meeting metadata and AI summary (also at /api/live-transcript/{eventId})',
+      parameters: [
+        pathParam('eventId', 'Calendar event ID or session ID'),
+        { name: 'refresh', in: 'query', description: 'Refetch meeting metadata', schema: { type: 'boolean', default: false } }
+      ],
+      responses: { 200: jsonResponse('Enhanced transcript'), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/enhanced-transcripts/{sessionId}/update-summary': {
+    post: {
+      tags: ['Enhanced Transcripts'],
+      operationId: 'updateSessionSummary',
+      summary: 'Regenerate the AI summary of a session (transcripts:write)',
+      parameters: [pathParam('sessionId', 'Transcript session ID')],
+      responses: { 200: jsonResponse('Summary'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/enhanced-transcripts/{sessionId}/live': {
+    get: {
+      tags: ['Enhanced Transcripts'],
+      operationId: 'streamEnhancedTranscript',
+      summary: 'Server-Sent Events stream with metadata and summary updates',
+      parameters: [pathParam('sessionId', 'Transcript session ID'), lastEventIdParam],
+      responses: {
+        200: { description: 'SSE stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/api/transcript-sessions': {
+    get: { tags: ['Transcripts'], operationId: 'listTranscriptSessions', summary: 'All sessions with event IDs', responses: { 200: jsonResponse('Sessions'), ...errors(401, 403) } }
+  },
+  '/api/transcript-sessions/event/{eventId}': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'getTranscriptSessionByEvent',
+      summary: 'Session of a calendar event',
+      parameters: [pathParam('eventId', 'Calendar event ID')],
+      responses: { 200: jsonResponse('Session'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/summary-templates': {
+    get: {
+      tags: ['Transcribe'],
+      operationId: 'listSummaryTemplates',
+      summary: 'Summary templates by meeting type (transcribe:write or transcripts:read)',
+      responses: { 200: jsonResponse('Templates'), ...errors(401, 403) }
+    }
+  },
+  '/api/search': {
+    get: {
+      tags: ['Transcripts'],
+      operationId: 'searchTranscripts',
+      summary: 'Full-text search over live and stored transcript segments',
+      description: 'Returns segments containing every word of q; segments containing q as a phrase rank first.',
+      parameters: [
+        { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1 }, example: 'budget freeze' },
+        { name: 'speaker', in: 'query', description: 'Speaker name (case-insensitive)', schema: { type: 'string' } },
+        { name: 'language', in: 'query', description: 'Detected language, e.g. en', schema: { type: 'string' } },
+        { name: 'from', in: 'query', description: 'Transcripts started at or after (ISO date or date-time)', schema: { type: 'string' } },
+        { name: 'to', in: 'query', description: 'Transcripts started at or before (ISO date or date-time)', schema: { type: 'string' } },
+        { name: 'source', in: 'query', schema: { type: 'string', enum: ['live', 'stored'] } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+      ],
+      responses: { 200: jsonResponse('Matching segments', 'SearchResults'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/usage': {
+    get: {
+      tags: ['Status'],
+      operationId: 'getUsage',
+      summary: 'Provider token usage and estimated cost with daily totals (status:read)',
+      parameters: usageFilterParams,
+      responses: { 200: jsonResponse('Usage', 'UsageReport'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/usage/calls': {
+    get: {
+      tags: ['Status'],
+      operationId: 'listUsageCalls',
+      summary: 'Billed provider calls, newest first (status:read)',
+      parameters: [
+        ...usageFilterParams,
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+      ],
+      responses: { 200: jsonResponse('Calls', 'UsageCalls'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/transcribe': {
+    post: {
+      tags: ['Transcribe'],
+      operationId: 'transcribe',
+      summary: 'Transcribe audio and generate an AI summary (job)',
+      requestBody: jsonBody('SummaryRequest'),
+      responses: { 202: jsonResponse('Job accepted', 'JobAccepted'), ...errors(400, 401, 403, 503) }
+    }
+  },
+  '/api/transcribe/raw': {
+    post: {
+      tags: ['Transcribe'],
+      operationId: 'transcribeRaw',
+      summary: 'Transcribe audio with generic speaker labels (job)',
+      requestBody: jsonBody('TranscribeRequest'),
+      responses: { 202: jsonResponse('Job accepted', 'JobAccepted'), ...errors(400, 401, 403, 503) }
+    }
+  },
+  '/api/transcribe/summary': {
+    post: {
+      tags: ['Transcribe'],
+      operationId: 'transcribeSummary',
+      summary: 'Generate a detailed AI summary from audio (job)',
+      requestBody: jsonBody('SummaryRequest'),
+      responses: { 202: jsonResponse('Job accepted', 'JobAccepted'), ...errors(400, 401, 403, 503) }
+    }
+  },
+  '/api/transcribe/raw_save': {
+    post: {
+      tags: ['Transcribe'],
+      operationId: 'transcribeRawSave',
+      summary: 'Transcribe audio and save it to meeting_bot_audio_transcript (job)',
+      requestBody: jsonBody('RawSaveRequest'),
+      responses: { 202: jsonResponse('Job accepted', 'JobAccepted'), ...errors(400, 401, 403, 503) }
+    }
+  },
+  '/api/transcribe/cache': {
+    delete: {
+      tags: ['Transcribe'],
+      operationId: 'purgeTranscriptionCache',
+      summary: 'Remove cached transcriptions',
+      description: 'Transcriptions are cached by audio SHA-256, speaker-label variant and model. Without fingerprint, the whole cache is cleared.',
+      parameters: [
+        { name: 'fingerprint', in: 'query', description: 'SHA-256 (hex) of the audio file', schema: { type: 'string', pattern: '^[0-9a-f]{64}$' } }
+      ],
+      responses: { 200: jsonResponse('Purged'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/jobs': {
+    get: {
+      tags: ['Jobs'],
+      operationId: 'listJobs',
+      summary: 'Recent jobs of the caller (transcribe:write or transcripts:write)',
+      parameters: [
+        { name: 'state', in: 'query', schema: { type: 'string', enum: JOB_STATES } },
+        { name: 'type', in: 'query', schema: { type: 'string' } }
+      ],
+      responses: { 200: jsonResponse('Jobs'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/jobs/{id}': {
+    get: {
+      tags: ['Jobs'],
+      operationId: 'getJob',
+      summary: 'Job state, progress and result (transcribe:write or transcripts:write)',
+      parameters: [pathParam('id', 'Job ID')],
+      responses: { 200: jsonResponse('Job'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/config_speakers': {
+    post: {
+      tags: ['Speakers'],
+      operationId: 'configureSpeakers',
+      summary: 'Assign speaker names to a stored transcript (transcripts:write)',
+      requestBody: jsonBody('ConfigSpeakersRequest'),
+      responses: { 200: jsonResponse('Speakers configured'), ...errors(400, 401, 403, 404, 503) }
+    }
+  },
+  '/api/config_speakers/{id}/revisions': {
+    get: {
+      tags: ['Speakers'],
+      operationId: 'listSpeakerRevisions',
+      summary: 'Speaker mapping revisions of a stored transcript',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID')],
+      responses: { 200: jsonResponse('Revisions'), ...errors(401, 403, 404, 503) }
+    }
+  },
+  '/api/config_speakers/{id}/rollback': {
+    post: {
+      tags: ['Speakers'],
+      operationId: 'rollbackSpeakers',
+      summary: 'Restore an earlier speaker mapping (transcripts:write)',
+      parameters: [pathParam('id', 'meeting_bot_audio_transcript row ID')],
+      requestBody: jsonBody('SpeakerRollbackRequest', false),
+      responses: { 200: jsonResponse('Rolled back'), ...errors(400, 401, 403, 404, 503) }
+    }
+  },
+  '/api/glossaries': {
+    get: {
+      tags: ['Glossaries'],
+      operationId: 'listGlossaries',
+      summary: 'Transcription glossaries',
+      parameters: [
+        { name: 'scope', in: 'query', schema: { type: 'string', enum: GLOSSARY_SCOPES } },
+        { name: 'scopeId', in: 'query', description: 'Organizer email or event ID', schema: { type: 'string' } }
+      ],
+      responses: { 200: jsonResponse('Glossaries'), ...errors(400, 401, 403) }
+    },
+    post: {
+      tags: ['Glossaries'],
+      operationId: 'createGlossary',
+      summary: 'Create a glossary (glossaries:manage)',
+      requestBody: jsonBody('GlossaryRequest'),
+      responses: { 201: jsonResponse('Created'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/glossaries/terms': {
+    get: {
+      tags: ['Glossaries'],
+      operationId: 'getGlossaryTerms',
+      summary: 'Terms applied to a meeting (global, organizer and event glossaries)',
+      parameters: [
+        { name: 'eventId', in: 'query', schema: { type: 'string' } },
+        { name: 'organizer', in: 'query', schema: { type: 'string' } }
+      ],
+      responses: { 200: jsonResponse('Terms'), ...errors(401, 403) }
+    }
+  },
+  '/api/glossaries/{id}': {
+    get: {
+      tags: ['Glossaries'],
+      operationId: 'getGlossary',
+      summary: 'Glossary',
+      parameters: [pathParam('id', 'Glossary ID')],
+      responses: { 200: jsonResponse('Glossary'), ...errors(401, 403, 404) }
+    },
+    patch: {
+      tags: ['Glossaries'],
+      operationId: 'updateGlossary',
+      summary: 'Update a glossary (glossaries:manage)',
+      parameters: [pathParam('id', 'Glossary ID')],
+      requestBody: jsonBody('GlossaryUpdate'),
+      responses: { 200: jsonResponse('Updated'), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ['Glossaries'],
+      operationId: 'deleteGlossary',
+      summary: 'Delete a glossary (glossaries:manage)',
+      parameters: [pathParam('id', 'Glossary ID')],
+      responses: { 200: jsonResponse('Deleted'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/webhooks': {
+    get: { tags: ['Webhooks'], operationId: 'listWebhooks', summary: 'Webhook subscriptions', responses: { 200: jsonResponse('Subscriptions'), ...errors(401, 403) } },
+    post: {
+      tags: ['Webhooks'],
+      operationId: 'createWebhook',
+      summary: 'Register a webhook subscription',
+      requestBody: jsonBody('WebhookSubscriptionRequest'),
+      responses: { 201: jsonResponse('Created, including the secret'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/webhooks/deliveries': {
+    get: {
+      tags: ['Webhooks'],
+      operationId: 'listWebhookDeliveries',
+      summary: 'Deliveries of all subscriptions',
+      parameters: deliveryFilterParams,
+      responses: { 200: jsonResponse('Deliveries'), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/webhooks/deliveries/{deliveryId}': {
+    get: {
+      tags: ['Webhooks'],
+      operationId: 'getWebhookDelivery',
+      summary: 'Delivery with payload and attempts',
+      parameters: [pathParam('deliveryId', 'Delivery ID')],
+      responses: { 200: jsonResponse('Delivery'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/webhooks/deliveries/{deliveryId}/redeliver': {
+    post: {
+      tags: ['Webhooks'],
+      operationId: 'redeliverWebhook',
+      summary: 'Send a delivery again',
+      parameters: [pathParam('deliveryId', 'Delivery ID')],
+      responses: { 202: jsonResponse('Redelivery queued'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/webhooks/{id}': {
+    get: {
+      tags: ['Webhooks'],
+      operationId: 'getWebhook',
+      summary: 'Webhook subscription',
+      parameters: [pathParam('id', 'Subscription ID')],
+      responses: { 200: jsonResponse('Subscription'), ...errors(401, 403, 404) }
+    },
+    patch: {
+      tags: ['Webhooks'],
+      operationId: 'updateWebhook',
+      summary: 'Update a webhook subscription',
+      parameters: [pathParam('id', 'Subscription ID')],
+      requestBody: jsonBody('WebhookSubscriptionUpdate'),
+      responses: { 200: jsonResponse('Updated'), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ['Webhooks'],
+      operationId: 'deleteWebhook',
+      summary: 'Delete a webhook subscription',
+      parameters: [pathParam('id', 'Subscription ID')],
+      responses: { 200: jsonResponse('Deleted'), ...errors(401, 403, 404) }
+    }
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: {
+      tags: ['Webhooks'],
+      operationId: 'listSubscriptionDeliveries',
+      summary: 'Deliveries of a subscription',
+      parameters: [pathParam('id', 'Subscription ID'), ...deliveryFilterParams],
+      responses: { 200: jsonResponse('Deliveries'), ...errors(400, 401, 403, 404) }
+    }
+  }
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Live Transcript Service API',
+    version: packageJson.version,
+    description: [
+      'Real-time and on-demand meeting transcription with AI summaries.',
+      '',
+      'Unless AUTH_DISABLED=true, requests need an API key (X-API-Key) or a bearer JWT with the scope',
+      'named in the operation summary; read operations need the read scope of their router',
+      '(transcripts:read, webhooks:manage, transcribe:write). Live audio is pushed over the',
+      'WebSocket endpoint ws://host/api/ingest/{sessionId}, which OpenAPI cannot describe; see README.md.'
+    ].join('\n')
+  },
+  tags: [
+    { name: 'Health' },
+    { name: 'Status' },
+    { name: 'Transcripts', description: 'Live transcript sessions (transcripts:read)' },
+    { name: 'Enhanced Transcripts', description: 'Transcripts with meeting metadata and AI summaries (transcripts:read)' },
+    { name: 'Transcribe', description: 'Transcription jobs for recorded audio (transcribe:write)' },
+    { name: 'Jobs', description: 'Job status (transcribe:write)' },
+    { name: 'Speakers', description: 'Speaker names of stored transcripts (transcripts:read / transcripts:write)' },
+    { name: 'Webhooks', description: 'Outbound webhooks (webhooks:manage)' },
+    { name: 'Glossaries', description: 'Custom vocabulary for transcription (glossaries:manage; transcribe:write can read)' }
+  ],
+  security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer', description: 'API key or JWT' }
+    },
+    schemas,
+    responses: {
+      ValidationError: errorResponse('Invalid request'),
+      Unauthorized: errorResponse('Missing or invalid credentials'),
+      Forbidden: errorResponse('Missing required scope'),
+      NotFound: errorResponse('Resource not found'),
+      Conflict: errorResponse('Resource changed since the version the request was based on'),
+      ServiceUnavailable: errorResponse('Dependency unavailable or job queue full')
+    }
+  }
+};
+
+module.exports = spec;
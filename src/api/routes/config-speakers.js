@@ -2,170 +2,81 @@ const express = require('express');
 const router = express.Router();
 const { asyncHandler, ValidationError, ExternalAPIError } = require('../../utils/ErrorHandler');
 const Logger = require('../../utils/Logger');
-const SupabaseClient = require('../../utils/SupabaseClient');
-const GeminiTranscriptionService = require('../../services/GeminiTranscriptionService');
+const TranscriptRecordService = require('../../services/TranscriptRecordService');
+const { resolveSpeaker } = require('../../services/TranscriptEditService');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
+const WebhookService = require('../../services/WebhookService');
+const UsageService = require('../../services/UsageService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('transcripts:read', 'transcripts:write'));
 
 /**
  * Configure speaker names in raw transcript
  * POST /api/config_speakers
+ *
+ * Body: { id, mapping: { "Speaker 2": "Emil Santos" } }
+ *   or: { id, participants: ["Ron Llave", ...] } (Speaker 1 -> first participant, etc.)
+ *   plus an optional summary template (else the one of the previous summary is kept)
  */
-router.post('/', asyncHandler(async (req, res) => {
-  const { id, participants } = req.body;
-
-  // Validate inputs
-  if (!id) {
-    throw new ValidationError('ID is required', 'id');
-  }
-
-  if (!participants || !Array.isArray(participants) || participants.length === 0) {
-    throw new ValidationError('Participants list is required and must be a non-empty array', 'participants');
-  }
+router.post('/', requireScope('transcripts:write'), validate('configureSpeakers'), asyncHandler(async (req, res) => {
+  const { id, participants, mapping, template } = req.body;
 
   // Check if Supabase is initialized
-  if (!SupabaseClient.isReady()) {
+  if (!TranscriptRecordService.isAvailable()) {
     throw new ExternalAPIError('Supabase', 'Database service not configured');
   }
 
+  const provider = TranscriptionProviderRegistry.forRequest(req);
+
   Logger.info('Configure speakers request', {
     id,
-    participantCount: participants.length,
-    participants
+    participantCount: participants?.length || 0,
+    participants,
+    mapping
   });
 
   try {
-    const supabase = SupabaseClient.getClient();
-    
     // Fetch the current raw transcript
-    const { data: records, error: fetchError } = await supabase
-      .from('meeting_bot_audio_transcript')
-      .select('raw_transcript, speakers_identified_count')
-      .eq('id', id)
-      .single();
-
-    if (fetchError) {
-      if (fetchError.code === 'PGRST116') {
-        throw new ValidationError('No record found with the provided ID', 'id');
-      }
-      throw new ExternalAPIError('Supabase', `Failed to fetch transcript: ${fetchError.message}`);
-    }
+    const record = await TranscriptRecordService.getRecord(id);
+    const rawTranscript = record.raw_transcript;
+    const originalLabels = getOriginalLabels(rawTranscript);
 
-    if (!records || !records.raw_transcript) {
-      throw new ValidationError('No transcript found for the provided ID', 'id');
-    }
-
-    const rawTranscript = records.raw_transcript;
-    const speakersIdentifiedCount = records.speakers_identified_count || 0;
-
-    // Validate participant count matches identified speakers
-    if (participants.length !== speakersIdentifiedCount) {
-      Logger.warn('Participant count mismatch', {
-        provided: participants.length,
-        identified: speakersIdentifiedCount
-      });
-    }
-
-    // Create speaker mapping (Speaker 1 -> First participant, etc.)
-    const speakerMapping = {};
-    participants.forEach((name, index) => {
-      speakerMapping[`Speaker ${index + 1}`] = name;
-    });
-
-    Logger.info('Speaker mapping created', speakerMapping);
-
-    // Update segments with real names
-    const updatedSegments = (rawTranscript.segments || []).map(segment => {
-      const currentSpeaker = segment.speaker;
-      const newSpeaker = speakerMapping[currentSpeaker] || currentSpeaker;
-      
-      return {
-        ...segment,
-        speaker: newSpeaker,
-        originalSpeaker: currentSpeaker // Keep original for reference
-      };
-    });
-
-    // Update the full text with new speaker names
-    let updatedFullText = rawTranscript.fullText || '';
-    Object.entries(speakerMapping).forEach(([genericLabel, realName]) => {
-      const regex = new RegExp(`${genericLabel}:`, 'g');
-      updatedFullText = updatedFullText.replace(regex, `${realName}:`);
-    });
-
-    // Create updated transcript object
-    const updatedTranscript = {
-      ...rawTranscript,
-      segments: updatedSegments,
-      fullText: updatedFullText,
-      metadata: {
-        ...rawTranscript.metadata,
-        speakersConfigured: true,
-        participantNames: participants
+    let speakerMapping;
+    if (mapping !== undefined) {
+      const unknownLabels = Object.keys(mapping).filter(label => !originalLabels.includes(label));
+      if (unknownLabels.length > 0) {
+        throw new ValidationError(
+          `Unknown speaker label(s): ${unknownLabels.join(', ')}. Transcript speakers: ${originalLabels.join(', ')}`,
+          'mapping'
+        );
+      }
+      speakerMapping = { ...mapping };
+    } else {
+      // Validate participant count matches identified speakers
+      const speakersIdentifiedCount = record.speakers_identified_count || 0;
+      if (participants.length !== speakersIdentifiedCount) {
+        Logger.warn('Participant count mismatch', {
+          provided: participants.length,
+          identified: speakersIdentifiedCount
+        });
       }
-    };
 
-    // Generate AI summary with updated speaker names
-    let aiSummary = null;
-    try {
-      Logger.info('Generating AI summary with updated speaker names');
-      
-      const summary = await GeminiTranscriptionService.generateSummary(
-        {
-          segments: updatedSegments,
-          fullText: updatedFullText,
-          wordCount: updatedTranscript.wordCount || 0,
-          duration: updatedTranscript.duration || 0,
-          detectedLanguage: updatedTranscript.detectedLanguage || 'unknown'
-        },
-        {
-          participants: participants
-        }
-      );
-      
-      aiSummary = summary;
-      Logger.info('AI summary generated successfully');
-      
-    } catch (error) {
-      Logger.error('Failed to generate AI summary:', {
-        error: error.message,
-        stack: error.stack
+      // Create speaker mapping (Speaker 1 -> First participant, etc.)
+      speakerMapping = {};
+      participants.forEach((name, index) => {
+        speakerMapping[`Speaker ${index + 1}`] = name;
       });
-      // Continue without summary - we'll still update speakers
     }
 
-    // Update the database with transcript and summary
-    const updateData = {
-      raw_transcript: updatedTranscript,
-      is_speaker_configured: true
-    };
-    
-    // Add AI summary if generated successfully
-    if (aiSummary) {
-      updateData.transcript_ai_summary = aiSummary;
-    }
-    
-    const { data, error: updateError } = await supabase
-      .from('meeting_bot_audio_transcript')
-      .update(updateData)
-      .eq('id', id)
-      .select();
-
-    if (updateError) {
-      Logger.error('Failed to update transcript with speaker names:', {
-        error: updateError.message,
-        code: updateError.code
-      });
-      throw new ExternalAPIError('Supabase', `Failed to update transcript: ${updateError.message}`);
-    }
-
-    // Count how many segments were updated
-    const updatedCount = updatedSegments.filter(
-      (segment, index) => segment.speaker !== (rawTranscript.segments[index]?.speaker || '')
-    ).length;
+    Logger.info('Speaker mapping created', speakerMapping);
 
-    Logger.info('Speakers configured successfully', {
-      id,
-      updatedSegments: updatedCount,
-      totalSegments: updatedSegments.length
+    const result = await saveSpeakerRevision(id, rawTranscript, speakerMapping, {
+      source: mapping !== undefined ? 'mapping' : 'participants',
+      provider,
+      principal: req.auth?.id,
+      ...getSummaryTemplate(record, template)
     });
 
     const response = {
@@ -173,23 +84,26 @@ router.post('/', asyncHandler(async (req, res) => {
       id,
       message: 'Speaker names configured successfully',
       result: {
-        updatedSegments: updatedCount,
-        totalSegments: updatedSegments.length,
+        updatedSegments: result.updatedSegments,
+        totalSegments: result.totalSegments,
         speakerMapping,
-        aiSummaryGenerated: !!aiSummary
+        revision: result.revision,
+        aiSummaryGenerated: !!result.aiSummary
       }
     };
-    
+
     // Include summary in response if generated
-    if (aiSummary) {
+    if (result.aiSummary) {
       response.result.summary = {
-        brief: aiSummary.summary?.brief || '',
-        keyPoints: aiSummary.summary?.keyPoints || [],
-        actionItems: aiSummary.summary?.actionItems || []
+        template: result.aiSummary.template,
+        brief: result.aiSummary.summary?.brief || '',
+        keyPoints: result.aiSummary.summary?.keyPoints || [],
+        actionItems: result.aiSummary.summary?.actionItems || [],
+        chapters: result.aiSummary.chapters || []
       };
       response.message = 'Speaker names configured and AI summary generated successfully';
     }
-    
+
     res.json(response);
 
   } catch (error) {
@@ -198,9 +112,278 @@ router.post('/', asyncHandler(async (req, res) => {
       stack: error.stack,
       id
     });
-    
+
     throw error;
   }
 }));
 
-module.exports = router;
\ No newline at end of file
+/**
+ * List speaker mapping revisions of a transcript
+ * GET /api/config_speakers/:id/revisions
+ */
+router.get('/:id/revisions', validate('listSpeakerRevisions'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const record = await TranscriptRecordService.getRecord(id);
+  const metadata = record.raw_transcript.metadata || {};
+
+  res.json({
+    success: true,
+    id,
+    currentRevision: metadata.currentSpeakerRevision || 0,
+    speakers: getOriginalLabels(record.raw_transcript),
+    revisions: getRevisions(record.raw_transcript)
+  });
+}));
+
+/**
+ * Roll back speaker names to an earlier revision (0 = original generic labels)
+ * POST /api/config_speakers/:id/rollback
+ */
+router.post('/:id/rollback', requireScope('transcripts:write'), validate('rollbackSpeakers'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const revision = req.body.revision === undefined ? 0 : req.body.revision;
+
+  const provider = TranscriptionProviderRegistry.forRequest(req);
+  const record = await TranscriptRecordService.getRecord(id);
+  const target = getRevisions(record.raw_transcript).find(entry => entry.revision === revision);
+
+  if (!target) {
+    throw new ValidationError(`Revision ${revision} does not exist`, 'revision');
+  }
+
+  Logger.info('Rolling back speaker names', { id, revision });
+
+  const result = await saveSpeakerRevision(id, record.raw_transcript, target.mapping, {
+    source: 'rollback',
+    rolledBackTo: revision,
+    provider,
+    principal: req.auth?.id,
+    ...getSummaryTemplate(record)
+  });
+
+  res.json({
+    success: true,
+    id,
+    message: `Speaker names rolled back to revision ${revision}`,
+    result: {
+      updatedSegments: result.updatedSegments,
+      totalSegments: result.totalSegments,
+      speakerMapping: target.mapping,
+      revision: result.revision,
+      aiSummaryGenerated: !!result.aiSummary
+    }
+  });
+}));
+
+/**
+ * Summary template for regenerating a record's summary: the requested one, else the
+ * template (or meeting type, for older summaries) of its current summary
+ * @param {Object} record - meeting_bot_audio_transcript row
+ * @param {string} [template] - Requested template
+ * @returns {Object} { template, meetingType }
+ */
+function getSummaryTemplate(record, template) {
+  const previousSummary = record.transcript_ai_summary;
+  return {
+    template: template || previousSummary?.template,
+    meetingType: previousSummary?.insights?.meetingType
+  };
+}
+
+/**
+ * Speaker labels as produced by transcription (before any mapping)
+ * @param {Object} rawTranscript - raw_transcript column
+ * @returns {Array<string>} Labels in order of first appearance
+ */
+function getOriginalLabels(rawTranscript) {
+  const labels = (rawTranscript.segments || [])
+    .map(segment => segment.originalSpeaker || segment.speaker)
+    .filter(Boolean);
+  return [...new Set(labels)];
+}
+
+/**
+ * Speaker mapping revisions, including revision 0 for the original labels
+ * @param {Object} rawTranscript - raw_transcript column
+ * @returns {Array<Object>} Revisions
+ */
+function getRevisions(rawTranscript) {
+  return [
+    { revision: 0, mapping: {}, source: 'original', createdAt: null },
+    ...(rawTranscript.metadata?.speakerRevisions || [])
+  ];
+}
+
+/**
+ * Apply a speaker mapping to the original labels of a raw transcript
+ * @param {Object} rawTranscript - raw_transcript column
+ * @param {Object} speakerMapping - Original label -> name
+ * @returns {Object} { segments, fullText, originalFullText }
+ */
+function applySpeakerMapping(rawTranscript, speakerMapping) {
+  // Always map from the original labels, so mappings can be changed and undone.
+  // Speakers set by segment edits (manualSpeaker) are kept.
+  const segments = (rawTranscript.segments || []).map(segment => ({
+    ...segment,
+    speaker: resolveSpeaker(segment, speakerMapping),
+    originalSpeaker: segment.originalSpeaker || segment.speaker // Keep original for reference
+  }));
+
+  // Segment edits rebuild fullText from the segment texts, which have no speaker labels
+  const metadata = rawTranscript.metadata || {};
+  if ((metadata.segmentEdits || []).length > 0) {
+    return { segments, fullText: rawTranscript.fullText ?? '', originalFullText: metadata.originalFullText };
+  }
+
+  // Update the full text with new speaker names
+  const originalFullText = metadata.originalFullText ?? rawTranscript.fullText ?? '';
+  let fullText = originalFullText;
+  Object.entries(speakerMapping).forEach(([genericLabel, realName]) => {
+    const regex = new RegExp(`${escapeRegExp(genericLabel)}:`, 'g');
+    fullText = fullText.replace(regex, `${realName}:`);
+  });
+
+  return { segments, fullText, originalFullText };
+}
+
+/**
+ * Apply a speaker mapping to the original labels, record it as a new revision,
+ * regenerate the AI summary and save the transcript
+ * @param {string} id - Row ID
+ * @param {Object} rawTranscript - Current raw_transcript column
+ * @param {Object} speakerMapping - Original label -> name
+ * @param {Object} options - { source, rolledBackTo, provider, principal, template, meetingType }
+ * @returns {Promise<Object>} { revision, updatedSegments, totalSegments, aiSummary }
+ */
+async function saveSpeakerRevision(id, rawTranscript, speakerMapping, options) {
+  const { source, rolledBackTo = null, provider, principal = null, template, meetingType } = options;
+  const preview = applySpeakerMapping(rawTranscript, speakerMapping);
+  const isConfigured = Object.keys(speakerMapping).length > 0;
+
+  // Generate AI summary with updated speaker names
+  let aiSummary = null;
+  try {
+    Logger.info('Generating AI summary with updated speaker names');
+
+    aiSummary = await provider.summarize(
+      {
+        segments: preview.segments,
+        fullText: preview.fullText,
+        wordCount: rawTranscript.wordCount || 0,
+        duration: rawTranscript.duration || 0,
+        detectedLanguage: rawTranscript.detectedLanguage || 'unknown'
+      },
+      {
+        participants: Object.values(speakerMapping),
+        template,
+        meetingType,
+        attribution: { recordId: id, principal }
+      }
+    );
+
+    Logger.info('AI summary generated successfully');
+
+  } catch (error) {
+    Logger.error('Failed to generate AI summary:', {
+      error: error.message,
+      stack: error.stack
+    });
+    // Continue without summary - we'll still update speakers
+  }
+
+  // Apply the mapping to the row as it is now: segments may have been edited or
+  // translated while the summary was generated
+  let revision;
+  let updatedSegments;
+  let updatedCount;
+  await TranscriptRecordService.modifyRecord(id, record => {
+    const current = record.raw_transcript;
+    const metadata = current.metadata || {};
+    const previousSegments = current.segments || [];
+    const { segments, fullText, originalFullText } = applySpeakerMapping(current, speakerMapping);
+
+    const previousRevisions = metadata.speakerRevisions || [];
+    revision = previousRevisions.length + 1;
+    updatedSegments = segments;
+    updatedCount = segments.filter(
+      (segment, index) => segment.speaker !== (previousSegments[index]?.speaker || '')
+    ).length;
+
+    // Create updated transcript object
+    const updatedTranscript = {
+      ...current,
+      segments,
+      fullText,
+      metadata: {
+        ...metadata,
+        originalFullText,
+        speakersConfigured: isConfigured,
+        participantNames: Object.values(speakerMapping),
+        currentSpeakerRevision: revision,
+        speakerRevisions: [
+          ...previousRevisions,
+          {
+            revision,
+            mapping: speakerMapping,
+            source,
+            ...(rolledBackTo !== null && { rolledBackTo }),
+            createdAt: new Date().toISOString()
+          }
+        ]
+      }
+    };
+
+    // Update the database with transcript and summary
+    const updateData = {
+      raw_transcript: updatedTranscript,
+      is_speaker_configured: isConfigured
+    };
+
+    // Add AI summary if generated successfully
+    if (aiSummary) {
+      updateData.transcript_ai_summary = aiSummary;
+      // Usage totals of the record include every summary generated for it
+      updatedTranscript.metadata.usage = UsageService.combine([metadata.usage, aiSummary.metadata?.usage]);
+    }
+
+    return updateData;
+  });
+
+  Logger.info('Speakers configured successfully', {
+    id,
+    revision,
+    source,
+    updatedSegments: updatedCount,
+    totalSegments: updatedSegments.length
+  });
+
+  WebhookService.publish('speakers.configured', {
+    id,
+    revision,
+    source,
+    ...(rolledBackTo !== null && { rolledBackTo }),
+    speakerMapping
+  });
+  if (aiSummary) {
+    WebhookService.publish('summary.generated', { id, summary: aiSummary });
+  }
+
+  return {
+    revision,
+    updatedSegments: updatedCount,
+    totalSegments: updatedSegments.length,
+    aiSummary
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = router;
@@ -0,0 +1,74 @@
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_DISABLED = 'true';
+process.env.TRANSCRIPTION_PROVIDER = 'fixture';
+
+const request = require('supertest');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
+const TranscriptRecordService = require('../../services/TranscriptRecordService');
+const TranscriptEditService = require('../../services/TranscriptEditService');
+const SupabaseClient = require('../../utils/SupabaseClient');
+const { createServer } = require('../server');
+
+describe('POST /api/config_speakers', () => {
+  let app;
+  let row;
+
+  beforeAll(() => {
+    TranscriptionProviderRegistry.initialize();
+    app = createServer();
+  });
+
+  beforeEach(() => {
+    row = {
+      id: 'rec1',
+      speakers_identified_count: 2,
+      raw_transcript: {
+        fullText: 'Speaker 1: Good morning. Speaker 2: Hello.',
+        wordCount: 4,
+        segments: [
+          { id: 1, speaker: 'Speaker 1', text: 'Good morning.', startTime: 0, endTime: 2 },
+          { id: 2, speaker: 'Speaker 2', text: 'Hello.', startTime: 2, endTime: 3 }
+        ],
+        metadata: {}
+      }
+    };
+    jest.spyOn(SupabaseClient, 'isReady').mockReturnValue(true);
+    jest.spyOn(TranscriptRecordService, 'getRecord').mockImplementation(async () => JSON.parse(JSON.stringify(row)));
+    jest.spyOn(TranscriptRecordService, 'updateRecord').mockImplementation(async (id, updates) => {
+      row = { ...row, ...JSON.parse(JSON.stringify(updates)) };
+      return row;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const speakers = () => row.raw_transcript.segments.map(segment => segment.speaker);
+
+  test('maps the transcribed labels in segments and fullText', async () => {
+    await request(app).post('/api/config_speakers').send({ id: 'rec1', mapping: { 'Speaker 2': 'Emil' } }).expect(200);
+
+    expect(speakers()).toEqual(['Speaker 1', 'Emil']);
+    expect(row.raw_transcript.fullText).toBe('Speaker 1: Good morning. Emil: Hello.');
+    expect(row.raw_transcript.metadata.originalFullText).toBe('Speaker 1: Good morning. Speaker 2: Hello.');
+  });
+
+  test('keeps speakers set by segment edits and the edited text', async () => {
+    await request(app).post('/api/config_speakers').send({ id: 'rec1', mapping: { 'Speaker 1': 'Ron' } }).expect(200);
+    await TranscriptEditService.editSegment('rec1', 1, { text: 'Morning all.', speaker: 'Anna' });
+
+    await request(app).post('/api/config_speakers').send({ id: 'rec1', participants: ['Ron', 'Emil'] }).expect(200);
+
+    expect(speakers()).toEqual(['Anna', 'Emil']);
+    expect(row.raw_transcript.segments[0]).toMatchObject({ originalSpeaker: 'Speaker 1', manualSpeaker: 'Anna' });
+    expect(row.raw_transcript.fullText).toBe('Morning all. Hello.');
+    expect(row.raw_transcript.metadata.originalFullText).toBe('Speaker 1: Good morning. Speaker 2: Hello.');
+
+    const response = await request(app).post('/api/config_speakers/rec1/rollback').send({ revision: 0 }).expect(200);
+
+    expect(response.body.result.revision).toBe(3);
+    expect(speakers()).toEqual(['Anna', 'Speaker 2']);
+    expect(row.raw_transcript.fullText).toBe('Morning all. Hello.');
+  });
+});
@@ -4,6 +4,9 @@ const { asyncHandler } = require('../../utils/ErrorHandler');
 const BotPoolMonitor = require('../../services/BotPoolMonitor');
 const AudioFetchService = require('../../services/AudioFetchService');
 const TranscriptStreamService = require('../../services/TranscriptStreamService');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('admin'));
 
 /**
  * Debug endpoint to check bot pool status
@@ -4,14 +4,19 @@ const { asyncHandler, NotFoundError, ValidationError } = require('../../utils/Er
 const Logger = require('../../utils/Logger');
 const TranscriptStreamService = require('../../services/TranscriptStreamService');
 const { formatDuration } = require('../../utils/formatDuration');
-const GeminiTranscriptionService = require('../../services/GeminiTranscriptionService');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
 const MeetingMetadataService = require('../../services/MeetingMetadataService');
+const WebhookService = require('../../services/WebhookService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('transcripts:read', 'transcripts:write'));
 
 /**
  * Get enhanced transcript by event ID
  * GET /api/enhanced-transcripts/:eventId
  */
-router.get('/:eventId', asyncHandler(async (req, res) => {
+router.get('/:eventId', validate('getEnhancedTranscript'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
   const { refresh = false } = req.query; // Force refresh AI summary
   
@@ -68,15 +73,22 @@ router.get('/:eventId', asyncHandler(async (req, res) => {
         languageConfidence: session.languageConfidence
       };
 
-      session.aiSummary = await GeminiTranscriptionService.generateSummary(
+      session.aiSummary = await TranscriptionProviderRegistry.get().summarize(
         transcript,
         {
           participants: session.metadata.participants?.map(p => p.name) || [],
           event_id: session.metadata.event_id,
-          meetingTitle: session.metadata.meetingTitle
+          meetingTitle: session.metadata.meetingTitle,
+          attribution: { eventId: session.metadata.event_id, sessionId, principal: req.auth?.id }
         }
       );
       session.lastSummaryUpdate = Date.now();
+      TranscriptStreamService.saveSession(sessionId);
+      WebhookService.publish('summary.generated', {
+        sessionId,
+        eventId: session.metadata.event_id || null,
+        summary: session.aiSummary
+      });
     } catch (error) {
       Logger.error('Failed to generate AI summary:', error);
       session.aiSummary = {
@@ -196,7 +208,7 @@ router.get('/active/list', asyncHandler(async (req, res) => {
  * Force update AI summary for a session
  * POST /api/enhanced-transcripts/:sessionId/update-summary
  */
-router.post('/:sessionId/update-summary', asyncHandler(async (req, res) => {
+router.post('/:sessionId/update-summary', requireScope('transcripts:write'), validate('updateSessionSummary'), asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessionId) {
@@ -230,15 +242,22 @@ router.post('/:sessionId/update-summary', asyncHandler(async (req, res) => {
       );
     }
 
-    session.aiSummary = await GeminiTranscriptionService.generateSummary(
+    session.aiSummary = await TranscriptionProviderRegistry.get().summarize(
       transcript,
       {
         participants: session.metadata.participants?.map(p => p.name) || [],
         event_id: session.metadata.event_id,
-        meetingTitle: session.metadata.meetingTitle
+        meetingTitle: session.metadata.meetingTitle,
+        attribution: { eventId: session.metadata.event_id, sessionId, principal: req.auth?.id }
       }
     );
     session.lastSummaryUpdate = Date.now();
+    TranscriptStreamService.saveSession(sessionId);
+    WebhookService.publish('summary.generated', {
+      sessionId,
+      eventId: session.metadata.event_id || null,
+      summary: session.aiSummary
+    });
 
     res.json({
       success: true,
@@ -260,7 +279,7 @@ router.post('/:sessionId/update-summary', asyncHandler(async (req, res) => {
  * SSE endpoint for enhanced real-time updates
  * GET /api/enhanced-transcripts/:sessionId/live
  */
-router.get('/:sessionId/live', asyncHandler(async (req, res) => {
+router.get('/:sessionId/live', validate('streamEnhancedTranscript'), asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessionId) {
@@ -300,8 +319,12 @@ router.get('/:sessionId/live', asyncHandler(async (req, res) => {
   res.write(`event: connected\n`);
   res.write(`data: ${JSON.stringify(initialData)}\n\n`);
 
-  // Add enhanced SSE client
-  TranscriptStreamService.addSSEClient(sessionId, res);
+  // Add enhanced SSE client, replaying events missed since Last-Event-ID
+  TranscriptStreamService.addSSEClient(
+    sessionId,
+    res,
+    req.get('Last-Event-ID') || req.query.lastEventId
+  );
 
   // Send summary updates periodically
   const summaryInterval = setInterval(async () => {
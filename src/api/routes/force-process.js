@@ -3,7 +3,11 @@ const router = express.Router();
 const axios = require('axios');
 const Logger = require('../../utils/Logger');
 const TranscriptStreamService = require('../../services/TranscriptStreamService');
-const GeminiTranscriptionService = require('../../services/GeminiTranscriptionService');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
+const RedactionService = require('../../services/RedactionService');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('admin'));
 
 /**
  * Force process audio for active bot
@@ -60,7 +64,8 @@ router.post('/audio', async (req, res) => {
     const testBuffer = audioBuffer.slice(0, Math.min(audioBuffer.length, maxSize));
     
     // Transcribe
-    const transcription = await GeminiTranscriptionService.transcribeAudio(
+    const provider = TranscriptionProviderRegistry.get();
+    let transcription = await provider.transcribe(
       testBuffer,
       {
         botId: bot.poolBotId,
@@ -68,6 +73,9 @@ router.post('/audio', async (req, res) => {
         isIncremental: false
       }
     );
+    if (RedactionService.isEnabled()) {
+      transcription = await TranscriptStreamService.redactTranscription(session, transcription, provider);
+    }
     
     // Update session
     if (transcription.segments && transcription.segments.length > 0) {
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../utils/ErrorHandler');
+const GlossaryService = require('../../services/GlossaryService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('glossaries:manage', 'transcribe:write'));
+
+/**
+ * List glossaries
+ * GET /api/glossaries?scope=organizer&scopeId=jane@example.com
+ */
+router.get('/', validate('listGlossaries'), asyncHandler(async (req, res) => {
+  const { scope, scopeId } = req.query;
+  const glossaries = GlossaryService.listGlossaries({ scope, scopeId });
+
+  res.json({
+    success: true,
+    count: glossaries.length,
+    glossaries
+  });
+}));
+
+/**
+ * Terms that apply to a meeting, as they are sent to the transcription engine
+ * GET /api/glossaries/terms?eventId=...&organizer=...
+ */
+router.get('/terms', validate('getGlossaryTerms'), asyncHandler(async (req, res) => {
+  const { eventId, organizer } = req.query;
+  const terms = GlossaryService.getTerms({ eventId, organizer });
+
+  res.json({
+    success: true,
+    count: terms.length,
+    terms
+  });
+}));
+
+/**
+ * Create a glossary
+ * POST /api/glossaries
+ * Body: { name, scope: "global" | "organizer" | "event", scopeId?, terms: ["Acme", { term, aliases, description, fuzzy }], active? }
+ */
+router.post('/', requireScope('glossaries:manage'), validate('createGlossary'), asyncHandler(async (req, res) => {
+  const { name, scope, scopeId, terms, active } = req.body;
+
+  res.status(201).json({
+    success: true,
+    glossary: GlossaryService.createGlossary({ name, scope, scopeId, terms, active })
+  });
+}));
+
+/**
+ * Get a glossary
+ * GET /api/glossaries/:id
+ */
+router.get('/:id', validate('getGlossary'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    glossary: GlossaryService.getGlossary(req.params.id)
+  });
+}));
+
+/**
+ * Update a glossary; terms replace the existing terms
+ * PATCH /api/glossaries/:id
+ * Body: { name?, scope?, scopeId?, terms?, active? }
+ */
+router.patch('/:id', requireScope('glossaries:manage'), validate('updateGlossary'), asyncHandler(async (req, res) => {
+  const { name, scope, scopeId, terms, active } = req.body;
+
+  res.json({
+    success: true,
+    glossary: GlossaryService.updateGlossary(req.params.id, { name, scope, scopeId, terms, active })
+  });
+}));
+
+/**
+ * Delete a glossary
+ * DELETE /api/glossaries/:id
+ */
+router.delete('/:id', requireScope('glossaries:manage'), validate('deleteGlossary'), asyncHandler(async (req, res) => {
+  GlossaryService.deleteGlossary(req.params.id);
+
+  res.json({
+    success: true,
+    message: `Glossary ${req.params.id} deleted`
+  });
+}));
+
+module.exports = router;
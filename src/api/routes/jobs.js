@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, NotFoundError } = require('../../utils/ErrorHandler');
+const JobQueue = require('../../services/JobQueue');
+const AuthService = require('../../services/AuthService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Transcript translations run as jobs too; callers only see the jobs they started
+router.use(requireScope('transcribe:write', 'transcripts:write'));
+
+/**
+ * List recent jobs of the caller (all jobs for admins)
+ * GET /api/jobs
+ */
+router.get('/', validate('listJobs'), asyncHandler(async (req, res) => {
+  const { state, type } = req.query;
+
+  const jobs = JobQueue.listJobs({ state, type, owner: getOwnerFilter(req) });
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    queue: JobQueue.getStats(),
+    jobs
+  });
+}));
+
+/**
+ * Get job state, progress and result; jobs of other callers are only visible to admins
+ * GET /api/jobs/:id
+ */
+router.get('/:id', validate('getJob'), asyncHandler(async (req, res) => {
+  const job = JobQueue.getJob(req.params.id, { owner: getOwnerFilter(req) });
+
+  if (!job) {
+    throw new NotFoundError(`Job ${req.params.id}`);
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+}));
+
+/**
+ * Owner to restrict jobs to: the caller, unless they are an admin
+ * @param {Object} req - Express request
+ * @returns {string|null|undefined} Principal ID, or undefined for no restriction
+ */
+function getOwnerFilter(req) {
+  return AuthService.hasScope(req.auth, ['admin']) ? undefined : req.auth.id;
+}
+
+module.exports = router;
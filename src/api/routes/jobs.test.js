@@ -0,0 +1,40 @@
+process.env.LOG_LEVEL = 'error';
+
+const crypto = require('crypto');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+delete process.env.AUTH_DISABLED;
+process.env.API_KEYS = JSON.stringify([
+  { id: 'editor', keyHash: sha256('editor-key'), scopes: ['transcripts:write'] },
+  { id: 'reader', keyHash: sha256('reader-key'), scopes: ['transcripts:read'] }
+]);
+
+const request = require('supertest');
+const JobQueue = require('../../services/JobQueue');
+const { createServer } = require('../server');
+
+describe('/api/jobs', () => {
+  const app = createServer();
+
+  afterEach(() => {
+    JobQueue.stop();
+    JobQueue.jobs.clear();
+  });
+
+  test('lets callers with transcripts:write poll the translation jobs they started', async () => {
+    const own = JobQueue.enqueue('translate', { id: 'rec1', targetLanguage: 'de' }, async () => ({}), { owner: 'editor' });
+    const other = JobQueue.enqueue('transcribe', {}, async () => ({}), { owner: 'meeting-bot' });
+
+    const job = await request(app).get(`/api/jobs/${own.id}`).set('X-API-Key', 'editor-key').expect(200);
+    expect(job.body.job).toMatchObject({ id: own.id, type: 'translate' });
+
+    await request(app).get(`/api/jobs/${other.id}`).set('X-API-Key', 'editor-key').expect(404);
+    const list = await request(app).get('/api/jobs').set('X-API-Key', 'editor-key').expect(200);
+    expect(list.body.jobs.map(listed => listed.id)).toEqual([own.id]);
+  });
+
+  test('rejects callers without a write scope', async () => {
+    await request(app).get('/api/jobs').set('X-API-Key', 'reader-key').expect(403);
+  });
+});
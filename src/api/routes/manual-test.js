@@ -3,6 +3,9 @@ const router = express.Router();
 const axios = require('axios');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Logger = require('../../utils/Logger');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('admin'));
 
 /**
  * Manual test for the complete audio-to-transcript pipeline
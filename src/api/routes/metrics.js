@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../utils/ErrorHandler');
+const Metrics = require('../../utils/Metrics');
+const TranscriptStreamService = require('../../services/TranscriptStreamService');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('status:read'));
+
+/**
+ * Metrics in Prometheus text format
+ * GET /metrics
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  // Gauges that are cheaper to read at scrape time than to track on every change
+  Metrics.record('active_sessions', TranscriptStreamService.getActiveSessions().length);
+  Metrics.record('sse_clients', TranscriptStreamService.getSSEClientCount());
+
+  res.set('Content-Type', Metrics.register.contentType);
+  res.send(await Metrics.register.metrics());
+}));
+
+module.exports = router;
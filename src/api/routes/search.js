@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../utils/ErrorHandler');
+const SearchIndexService = require('../../services/SearchIndexService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('transcripts:read'));
+
+/**
+ * Full-text search over live and stored transcript segments
+ * GET /api/search?q=budget freeze&speaker=&language=&from=&to=&source=&limit=&offset=
+ */
+router.get('/', validate('searchTranscripts'), asyncHandler(async (req, res) => {
+  const { q, speaker, language, from, to, source, limit = 20, offset = 0 } = req.query;
+
+  const { total, results } = SearchIndexService.search({ q, speaker, language, from, to, source, limit, offset });
+
+  res.json({
+    success: true,
+    query: q,
+    total,
+    count: results.length,
+    offset,
+    results
+  });
+}));
+
+module.exports = router;
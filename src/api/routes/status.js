@@ -6,7 +6,22 @@ const BotPoolMonitor = require('../../services/BotPoolMonitor');
 const AudioFetchService = require('../../services/AudioFetchService');
 const TranscriptStreamService = require('../../services/TranscriptStreamService');
 const GeminiTranscriptionService = require('../../services/GeminiTranscriptionService');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
+const ChunkedTranscriptionService = require('../../services/ChunkedTranscriptionService');
+const JobQueue = require('../../services/JobQueue');
+const AudioIngestService = require('../../services/AudioIngestService');
+const WebhookService = require('../../services/WebhookService');
+const AuthService = require('../../services/AuthService');
+const SearchIndexService = require('../../services/SearchIndexService');
+const UsageService = require('../../services/UsageService');
+const TranscriptionCache = require('../../services/TranscriptionCache');
+const RedactionService = require('../../services/RedactionService');
+const GlossaryService = require('../../services/GlossaryService');
+const TranscriptQAService = require('../../services/TranscriptQAService');
 const packageJson = require('../../../package.json');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('status:read'));
 
 /**
  * Service status and statistics endpoint
@@ -58,12 +73,28 @@ router.get('/', asyncHandler(async (req, res) => {
         successRate: `${(geminiStats.successRate * 100).toFixed(2)}%`,
         averageDuration: `${geminiStats.averageDuration}ms`
       },
+      transcriptionProviders: {
+        default: TranscriptionProviderRegistry.defaultProvider,
+        available: TranscriptionProviderRegistry.getAvailableProviders(),
+        stats: TranscriptionProviderRegistry.getStats(),
+        chunking: ChunkedTranscriptionService.getStats(),
+        cache: TranscriptionCache.getStats()
+      },
       transcriptStreamService: {
         totalSessions: transcriptStats.totalSessions,
         activeSessions: transcriptStats.activeSessions,
         totalSegments: transcriptStats.totalSegments,
         totalWords: transcriptStats.totalWords
-      }
+      },
+      jobQueue: JobQueue.getStats(),
+      audioIngest: AudioIngestService.getStats(),
+      webhooks: WebhookService.getStats(),
+      auth: AuthService.getStats(),
+      search: SearchIndexService.getStats(),
+      usage: UsageService.getStats(),
+      redaction: RedactionService.getStats(),
+      glossaries: GlossaryService.getStats(),
+      questions: TranscriptQAService.getStats()
     },
     metrics: {
       processingTime: `${Date.now() - startTime}ms`
@@ -150,6 +181,10 @@ router.get('/config', (req, res) => {
       geminiAPI: {
         configured: !!process.env.GOOGLE_GEMINI_API_KEY,
         model: process.env.GOOGLE_GEMINI_MODEL || 'gemini-1.5-flash'
+      },
+      transcriptionProvider: {
+        default: TranscriptionProviderRegistry.defaultProvider,
+        available: TranscriptionProviderRegistry.getAvailableProviders()
       }
     }
   });
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../utils/ErrorHandler');
+const SummaryTemplates = require('../../utils/SummaryTemplates');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('transcribe:write', 'transcripts:read'));
+
+/**
+ * Summary templates that /api/transcribe/summary and /api/config_speakers accept
+ * GET /api/summary-templates
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    templates: SummaryTemplates.listTemplates()
+  });
+}));
+
+module.exports = router;
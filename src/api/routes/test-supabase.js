@@ -3,6 +3,9 @@ const router = express.Router();
 const { asyncHandler } = require('../../utils/ErrorHandler');
 const Logger = require('../../utils/Logger');
 const SupabaseClient = require('../../utils/SupabaseClient');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('admin'));
 
 /**
  * Test Supabase connection endpoint
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const TranscriptStreamService = require('../../services/TranscriptStreamService');
+const { requireScope } = require('../middleware/auth');
+
+router.use(requireScope('admin'));
 
 /**
  * Test formatDuration
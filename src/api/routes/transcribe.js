@@ -1,28 +1,40 @@
 const express = require('express');
 const router = express.Router();
-const { asyncHandler, ValidationError, ExternalAPIError } = require('../../utils/ErrorHandler');
+const { asyncHandler, ValidationError, NotFoundError, ExternalAPIError } = require('../../utils/ErrorHandler');
 const Logger = require('../../utils/Logger');
 const axios = require('axios');
-const GeminiTranscriptionService = require('../../services/GeminiTranscriptionService');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
+const JobQueue = require('../../services/JobQueue');
+const TranscriptRecordService = require('../../services/TranscriptRecordService');
+const WebhookService = require('../../services/WebhookService');
+const UsageService = require('../../services/UsageService');
+const TranscriptionCache = require('../../services/TranscriptionCache');
+const RedactionService = require('../../services/RedactionService');
+const GlossaryService = require('../../services/GlossaryService');
 const { formatDuration } = require('../../utils/formatDuration');
 const SupabaseClient = require('../../utils/SupabaseClient');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('transcribe:write'));
 
 /**
  * Transcribe audio and return both raw transcript and AI summary
  * POST /api/transcribe
  */
-router.post('/', asyncHandler(async (req, res) => {
-  const { 
-    audioUrl, 
-    participants = [], 
+router.post('/', validate('transcribe'), asyncHandler(async (req, res) => {
+  const {
+    audioUrl,
+    participants = [],
     eventId,
+    organizer,
     meetingUrl,
+    meetingTitle = 'Meeting',
+    template,
     botId = 'frontend_request'
   } = req.body;
 
-  if (!audioUrl) {
-    throw new ValidationError('Audio URL is required', 'audioUrl');
-  }
+  const provider = TranscriptionProviderRegistry.forRequest(req);
 
   Logger.info('Frontend transcription request received', {
     audioUrl,
@@ -30,176 +42,199 @@ router.post('/', asyncHandler(async (req, res) => {
     eventId
   });
 
-  try {
-    // Fetch audio from the provided URL
-    const audioResponse = await axios.get(audioUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      maxContentLength: 200 * 1024 * 1024 // 200MB max
-    });
-
-    const audioBuffer = Buffer.from(audioResponse.data);
-    
-    Logger.info('Audio fetched successfully', {
-      size: audioBuffer.length,
-      sizeMB: (audioBuffer.length / 1024 / 1024).toFixed(2)
-    });
+  const job = JobQueue.enqueue('transcribe', { eventId, audioUrl, provider: provider.name }, async (job) => {
+    try {
+      // Fetch audio from the provided URL
+      const audioBuffer = await downloadAudio(job, audioUrl, {
+        timeout: 30000,
+        maxContentLength: 200 * 1024 * 1024 // 200MB max
+      });
 
-    // Transcribe the audio
-    const transcription = await GeminiTranscriptionService.transcribeAudio(
-      audioBuffer,
-      {
-        botId,
-        meetingUrl,
-        participants,
-        isIncremental: false,
-        audioUrl  // Pass for format detection
-      }
-    );
+      Logger.info('Audio fetched successfully', {
+        jobId: job.id,
+        size: audioBuffer.length,
+        sizeMB: (audioBuffer.length / 1024 / 1024).toFixed(2)
+      });
 
-    // Format segments with timestamps
-    const formattedSegments = (transcription.segments || []).map((segment, index) => ({
-      ...segment,
-      id: `segment_${index + 1}`,
-      timestamp: formatDuration(segment.startTime || 0),
-      startTimestamp: formatDuration(segment.startTime || 0),
-      endTimestamp: formatDuration(segment.endTime || 0)
-    }));
+      // Transcribe the audio
+      const transcription = await transcribeAudio(
+        job,
+        provider,
+        audioBuffer,
+        {
+          botId,
+          meetingUrl,
+          participants,
+          isIncremental: false,
+          audioUrl,  // Pass for format detection
+          useCache: isCacheAllowed(req),
+          redaction: getRedactionOptions(req),
+          glossary: GlossaryService.getTerms({ eventId, organizer }),
+          attribution: { eventId, jobId: job.id, principal: req.auth?.id }
+        }
+      );
 
-    // Generate AI summary
-    const aiSummary = await GeminiTranscriptionService.generateSummary(formattedSegments);
+      // Format segments with timestamps
+      const formattedSegments = formatSegments(transcription.segments);
+      const fullText = transcription.fullText || formattedSegments.map(s => s.text).join(' ');
 
-    const response = {
-      success: true,
-      eventId,
-      transcription: {
+      // Generate AI summary
+      job.update('transcribing', 80);
+      const aiSummary = await provider.summarize({
         segments: formattedSegments,
-        fullText: transcription.fullText || formattedSegments.map(s => s.text).join(' '),
+        fullText,
         wordCount: transcription.wordCount || 0,
-        duration: transcription.duration || 0,
-        detectedLanguage: transcription.detectedLanguage,
-        languageConfidence: transcription.languageConfidence,
-        metadata: {
-          totalSegments: formattedSegments.length,
-          languages: [transcription.detectedLanguage].filter(Boolean),
-          lastUpdated: new Date().toISOString()
-        }
-      },
-      aiSummary: {
-        summary: aiSummary.summary,
-        keyPoints: aiSummary.keyPoints || [],
-        actionItems: aiSummary.actionItems || [],
-        metadata: {
-          generatedAt: new Date().toISOString(),
-          model: 'gemini-1.5-flash'
-        }
-      },
-      participants
-    };
-
-    res.json(response);
+        duration: transcription.metadata?.duration || 0,
+        detectedLanguage: transcription.detectedLanguage
+      }, {
+        meetingTitle,
+        participants: participants.map(p => p.name || p.email || 'Unknown'),
+        includeActionItems: true,
+        template,
+        attribution: { eventId, jobId: job.id, principal: req.auth?.id }
+      });
+      WebhookService.publish('summary.generated', { jobId: job.id, eventId, summary: aiSummary });
+
+      return {
+        eventId,
+        transcription: {
+          segments: formattedSegments,
+          fullText,
+          wordCount: transcription.wordCount || 0,
+          duration: transcription.duration || 0,
+          detectedLanguage: transcription.detectedLanguage,
+          languageConfidence: transcription.languageConfidence,
+          metadata: {
+            totalSegments: formattedSegments.length,
+            languages: [transcription.detectedLanguage].filter(Boolean),
+            lastUpdated: new Date().toISOString()
+          }
+        },
+        aiSummary: {
+          template: aiSummary.template,
+          summary: aiSummary.summary,
+          keyPoints: aiSummary.summary?.keyPoints || [],
+          actionItems: aiSummary.summary?.actionItems || [],
+          chapters: aiSummary.chapters || [],
+          metadata: {
+            generatedAt: new Date().toISOString(),
+            model: provider.model
+          }
+        },
+        participants,
+        usage: UsageService.combine([transcription.metadata?.usage, aiSummary.metadata?.usage]),
+        cached: !!transcription.metadata?.cached,
+        glossary: transcription.metadata?.glossary || null,
+        redaction: transcription.metadata?.redaction || null
+      };
+
+    } catch (error) {
+      Logger.error('Frontend transcription failed:', error);
+      throw error;
+    }
+  }, { owner: req.auth?.id });
 
-  } catch (error) {
-    Logger.error('Frontend transcription failed:', error);
-    throw error;
-  }
+  acceptJob(res, job);
 }));
 
 /**
  * Get only raw transcript
  * POST /api/transcribe/raw
  */
-router.post('/raw', asyncHandler(async (req, res) => {
-  const { 
-    audioUrl, 
-    participants = [], 
+router.post('/raw', validate('transcribeRaw'), asyncHandler(async (req, res) => {
+  const {
+    audioUrl,
+    participants = [],
     eventId,
+    organizer,
     meetingUrl,
     botId = 'frontend_request'
   } = req.body;
 
-  if (!audioUrl) {
-    throw new ValidationError('Audio URL is required', 'audioUrl');
-  }
+  const provider = TranscriptionProviderRegistry.forRequest(req);
 
   Logger.info('Frontend raw transcription request', {
     audioUrl,
     participantCount: participants.length
   });
 
-  try {
-    // Fetch audio
-    const audioResponse = await axios.get(audioUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      maxContentLength: 200 * 1024 * 1024
-    });
-
-    const audioBuffer = Buffer.from(audioResponse.data);
-
-    // Transcribe with generic speaker labels
-    const transcription = await GeminiTranscriptionService.transcribeAudio(
-      audioBuffer,
-      {
-        botId,
-        meetingUrl,
-        participants,
-        isIncremental: false,
-        useGenericSpeakers: true,  // Use Speaker 1, Speaker 2, etc.
-        audioUrl  // Pass for format detection
-      }
-    );
-
-    // Format segments
-    const formattedSegments = (transcription.segments || []).map((segment, index) => ({
-      ...segment,
-      id: `segment_${index + 1}`,
-      timestamp: formatDuration(segment.startTime || 0),
-      startTimestamp: formatDuration(segment.startTime || 0),
-      endTimestamp: formatDuration(segment.endTime || 0)
-    }));
+  const job = JobQueue.enqueue('transcribe_raw', { eventId, audioUrl, provider: provider.name }, async (job) => {
+    try {
+      // Fetch audio
+      const audioBuffer = await downloadAudio(job, audioUrl, {
+        timeout: 30000,
+        maxContentLength: 200 * 1024 * 1024
+      });
 
-    res.json({
-      success: true,
-      eventId,
-      transcription: {
-        segments: formattedSegments,
-        fullText: transcription.fullText || formattedSegments.map(s => s.text).join(' '),
-        wordCount: transcription.wordCount || 0,
-        duration: transcription.duration || 0,
-        detectedLanguage: transcription.detectedLanguage,
-        languageConfidence: transcription.languageConfidence,
-        metadata: {
-          totalSegments: formattedSegments.length,
-          languages: [transcription.detectedLanguage].filter(Boolean),
-          lastUpdated: new Date().toISOString()
+      // Transcribe with generic speaker labels
+      const transcription = await transcribeAudio(
+        job,
+        provider,
+        audioBuffer,
+        {
+          botId,
+          meetingUrl,
+          participants,
+          isIncremental: false,
+          useGenericSpeakers: true,  // Use Speaker 1, Speaker 2, etc.
+          audioUrl,  // Pass for format detection
+          useCache: isCacheAllowed(req),
+          redaction: getRedactionOptions(req),
+          glossary: GlossaryService.getTerms({ eventId, organizer }),
+          attribution: { eventId, jobId: job.id, principal: req.auth?.id }
         }
-      }
-    });
+      );
+
+      // Format segments
+      const formattedSegments = formatSegments(transcription.segments);
+
+      return {
+        eventId,
+        transcription: {
+          segments: formattedSegments,
+          fullText: transcription.fullText || formattedSegments.map(s => s.text).join(' '),
+          wordCount: transcription.wordCount || 0,
+          duration: transcription.duration || 0,
+          detectedLanguage: transcription.detectedLanguage,
+          languageConfidence: transcription.languageConfidence,
+          metadata: {
+            totalSegments: formattedSegments.length,
+            languages: [transcription.detectedLanguage].filter(Boolean),
+            lastUpdated: new Date().toISOString()
+          }
+        },
+        usage: transcription.metadata?.usage || null,
+        cached: !!transcription.metadata?.cached,
+        glossary: transcription.metadata?.glossary || null,
+        redaction: transcription.metadata?.redaction || null
+      };
+
+    } catch (error) {
+      Logger.error('Raw transcription failed:', error);
+      throw error;
+    }
+  }, { owner: req.auth?.id });
 
-  } catch (error) {
-    Logger.error('Raw transcription failed:', error);
-    throw error;
-  }
+  acceptJob(res, job);
 }));
 
 /**
  * Generate AI summary from audio URL
  * POST /api/transcribe/summary
  */
-router.post('/summary', asyncHandler(async (req, res) => {
-  const { 
+router.post('/summary', validate('transcribeSummary'), asyncHandler(async (req, res) => {
+  const {
     audioUrl,
     participants = [],
     eventId,
+    organizer,
     meetingUrl,
     meetingTitle = 'Meeting',
+    template,
     botId = 'frontend_request'
   } = req.body;
 
-  if (!audioUrl) {
-    throw new ValidationError('Audio URL is required', 'audioUrl');
-  }
+  const provider = TranscriptionProviderRegistry.forRequest(req);
 
   Logger.info('Frontend AI summary request', {
     audioUrl,
@@ -207,239 +242,451 @@ router.post('/summary', asyncHandler(async (req, res) => {
     eventId
   });
 
-  try {
-    // Fetch audio from URL
-    const audioResponse = await axios.get(audioUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      maxContentLength: 200 * 1024 * 1024 // 200MB max
-    });
+  const job = JobQueue.enqueue('transcribe_summary', { eventId, audioUrl, provider: provider.name }, async (job) => {
+    try {
+      // Fetch audio from URL
+      const audioBuffer = await downloadAudio(job, audioUrl, {
+        timeout: 30000,
+        maxContentLength: 200 * 1024 * 1024 // 200MB max
+      });
 
-    const audioBuffer = Buffer.from(audioResponse.data);
-    
-    Logger.info('Audio fetched for summary', {
-      size: audioBuffer.length,
-      sizeMB: (audioBuffer.length / 1024 / 1024).toFixed(2)
-    });
+      Logger.info('Audio fetched for summary', {
+        jobId: job.id,
+        size: audioBuffer.length,
+        sizeMB: (audioBuffer.length / 1024 / 1024).toFixed(2)
+      });
 
-    // First transcribe the audio
-    const transcription = await GeminiTranscriptionService.transcribeAudio(
-      audioBuffer,
-      {
-        botId,
-        meetingUrl,
-        participants,
-        isIncremental: false,
-        audioUrl  // Pass for format detection
-      }
-    );
+      // First transcribe the audio
+      const transcription = await transcribeAudio(
+        job,
+        provider,
+        audioBuffer,
+        {
+          botId,
+          meetingUrl,
+          participants,
+          isIncremental: false,
+          audioUrl,  // Pass for format detection
+          useCache: isCacheAllowed(req),
+          redaction: getRedactionOptions(req),
+          glossary: GlossaryService.getTerms({ eventId, organizer }),
+          attribution: { eventId, jobId: job.id, principal: req.auth?.id }
+        }
+      );
 
-    // Format segments with timestamps
-    const formattedSegments = (transcription.segments || []).map((segment, index) => ({
-      ...segment,
-      id: `segment_${index + 1}`,
-      timestamp: formatDuration(segment.startTime || 0),
-      startTimestamp: formatDuration(segment.startTime || 0),
-      endTimestamp: formatDuration(segment.endTime || 0)
-    }));
-
-    // Prepare transcript object for summary
-    const transcript = {
-      segments: formattedSegments,
-      fullText: transcription.fullText || formattedSegments.map(s => `${s.speaker}: ${s.text}`).join('\n'),
-      wordCount: transcription.wordCount || 0,
-      duration: transcription.metadata?.duration || 0,
-      detectedLanguage: transcription.detectedLanguage
-    };
+      // Format segments with timestamps
+      const formattedSegments = formatSegments(transcription.segments);
 
-    // Extract speaker names from participants
-    const speakerNames = participants.map(p => p.name || p.email || 'Unknown');
-    
-    // Generate AI summary
-    const aiSummary = await GeminiTranscriptionService.generateSummary(transcript, {
-      meetingTitle,
-      participants: speakerNames,
-      includeActionItems: true
-    });
+      // Prepare transcript object for summary
+      const transcript = {
+        segments: formattedSegments,
+        fullText: transcription.fullText || formattedSegments.map(s => `${s.speaker}: ${s.text}`).join('\n'),
+        wordCount: transcription.wordCount || 0,
+        duration: transcription.metadata?.duration || 0,
+        detectedLanguage: transcription.detectedLanguage
+      };
+
+      // Extract speaker names from participants
+      const speakerNames = participants.map(p => p.name || p.email || 'Unknown');
+
+      // Generate AI summary
+      job.update('transcribing', 80);
+      const aiSummary = await provider.summarize(transcript, {
+        meetingTitle,
+        participants: speakerNames,
+        includeActionItems: true,
+        template,
+        attribution: { eventId, jobId: job.id, principal: req.auth?.id }
+      });
+      WebhookService.publish('summary.generated', { jobId: job.id, eventId, summary: aiSummary });
+
+      return {
+        eventId,
+        aiSummary: {
+          summary: aiSummary.summary,
+          keyPoints: aiSummary.summary?.keyPoints || [],
+          actionItems: aiSummary.summary?.actionItems || [],
+          chapters: aiSummary.chapters || [],
+          decisions: aiSummary.summary?.decisions || [],
+          topics: aiSummary.summary?.topics || [],
+          sentiment: aiSummary.summary?.sentiment || 'neutral',
+          nextSteps: aiSummary.summary?.nextSteps || [],
+          insights: aiSummary.insights || {},
+          metadata: {
+            generatedAt: new Date().toISOString(),
+            model: provider.model,
+            segmentCount: formattedSegments.length,
+            duration: transcript.duration,
+            wordCount: transcript.wordCount,
+            detectedLanguage: transcript.detectedLanguage
+          }
+        },
+        usage: UsageService.combine([transcription.metadata?.usage, aiSummary.metadata?.usage]),
+        cached: !!transcription.metadata?.cached,
+        glossary: transcription.metadata?.glossary || null,
+        redaction: transcription.metadata?.redaction || null
+      };
+
+    } catch (error) {
+      Logger.error('AI summary generation failed:', {
+        error: error.message,
+        stack: error.stack,
+        eventId,
+        audioUrl
+      });
 
-    res.json({
-      success: true,
-      eventId,
-      aiSummary: {
-        summary: aiSummary.summary,
-        keyPoints: aiSummary.summary?.keyPoints || [],
-        actionItems: aiSummary.summary?.actionItems || [],
-        decisions: aiSummary.summary?.decisions || [],
-        topics: aiSummary.summary?.topics || [],
-        sentiment: aiSummary.summary?.sentiment || 'neutral',
-        nextSteps: aiSummary.summary?.nextSteps || [],
-        insights: aiSummary.insights || {},
-        metadata: {
-          generatedAt: new Date().toISOString(),
-          model: 'gemini-1.5-flash',
-          segmentCount: formattedSegments.length,
-          duration: transcript.duration,
-          wordCount: transcript.wordCount,
-          detectedLanguage: transcript.detectedLanguage
-        }
+      // Provide a more specific error response
+      if (error.message?.includes('Gemini model not initialized')) {
+        throw new ExternalAPIError('Gemini API', 'AI service not properly initialized');
       }
-    });
 
-  } catch (error) {
-    Logger.error('AI summary generation failed:', {
-      error: error.message,
-      stack: error.stack,
-      eventId,
-      audioUrl
-    });
-    
-    // Provide a more specific error response
-    if (error.message?.includes('Gemini model not initialized')) {
-      throw new ExternalAPIError('Gemini API', 'AI service not properly initialized');
+      throw error;
     }
-    
-    throw error;
-  }
+  }, { owner: req.auth?.id });
+
+  acceptJob(res, job);
 }));
 
 /**
  * Transcribe audio from public URL and save to Supabase
  * POST /api/transcribe/raw_save
  */
-router.post('/raw_save', asyncHandler(async (req, res) => {
-  const { id, publicUrl } = req.body;
-
-  // Validate inputs
-  if (!id) {
-    throw new ValidationError('ID is required', 'id');
-  }
-
-  if (!publicUrl) {
-    throw new ValidationError('Public URL is required', 'publicUrl');
-  }
+router.post('/raw_save', validate('transcribeRawSave'), asyncHandler(async (req, res) => {
+  const { id, publicUrl, eventId, organizer } = req.body;
 
   // Check if Supabase is initialized
   if (!SupabaseClient.isReady()) {
     throw new ExternalAPIError('Supabase', 'Database service not configured');
   }
 
+  const provider = TranscriptionProviderRegistry.forRequest(req);
+
   Logger.info('Raw transcript save request', {
     id,
     publicUrl
   });
 
-  try {
-    // Fetch audio from public URL
-    const audioResponse = await axios.get(publicUrl, {
-      responseType: 'arraybuffer',
-      timeout: 60000, // 60 seconds for larger files
-      maxContentLength: 500 * 1024 * 1024 // 500MB max
-    });
+  const job = JobQueue.enqueue('raw_save', { id, publicUrl, provider: provider.name }, async (job) => {
+    try {
+      // Fetch audio from public URL
+      const audioBuffer = await downloadAudio(job, publicUrl, {
+        timeout: 60000, // 60 seconds for larger files
+        maxContentLength: 500 * 1024 * 1024 // 500MB max
+      });
 
-    const audioBuffer = Buffer.from(audioResponse.data);
-    
-    Logger.info('Audio fetched from public URL', {
-      size: audioBuffer.length,
-      sizeMB: (audioBuffer.length / 1024 / 1024).toFixed(2)
-    });
+      Logger.info('Audio fetched from public URL', {
+        jobId: job.id,
+        size: audioBuffer.length,
+        sizeMB: (audioBuffer.length / 1024 / 1024).toFixed(2)
+      });
 
-    // Transcribe with generic speaker labels
-    const transcription = await GeminiTranscriptionService.transcribeAudio(
-      audioBuffer,
-      {
-        botId: `supabase_${id}`,
-        isIncremental: false,
-        useGenericSpeakers: true,  // Use Speaker 1, Speaker 2, etc.
-        audioUrl: publicUrl  // Pass the URL for format detection
+      // Transcribe with generic speaker labels
+      const transcription = await transcribeAudio(
+        job,
+        provider,
+        audioBuffer,
+        {
+          botId: `supabase_${id}`,
+          isIncremental: false,
+          useGenericSpeakers: true,  // Use Speaker 1, Speaker 2, etc.
+          audioUrl: publicUrl,  // Pass the URL for format detection
+          useCache: isCacheAllowed(req),
+          redaction: getRedactionOptions(req),
+          glossary: GlossaryService.getTerms({ eventId, organizer }),
+          attribution: { recordId: id, jobId: job.id, principal: req.auth?.id }
+        }
+      );
+
+      // Format the transcript for storage
+      const rawTranscript = {
+        segments: (transcription.segments || []).map((segment, index) => ({
+          id: index + 1,
+          speaker: segment.speaker,
+          text: segment.text,
+          startTime: segment.startTime || 0,
+          endTime: segment.endTime || 0,
+          confidence: segment.confidence || 0,
+          ...(segment.metadata && { metadata: segment.metadata })
+        })),
+        fullText: transcription.fullText || '',
+        wordCount: transcription.wordCount || 0,
+        duration: transcription.metadata?.duration || 0,
+        detectedLanguage: transcription.detectedLanguage || 'unknown',
+        languageConfidence: transcription.languageConfidence || 0,
+        metadata: {
+          audioUrl: publicUrl,
+          model: provider.model,
+          provider: provider.name,
+          usage: transcription.metadata?.usage || null,
+          cached: !!transcription.metadata?.cached,
+          glossary: transcription.metadata?.glossary || null
+        }
+      };
+
+      const redaction = transcription.metadata?.redaction;
+      if (redaction) {
+        rawTranscript.redaction = {
+          ...redaction,
+          mapping: transcription.metadata.redactionMapping,
+          createdAt: new Date().toISOString()
+        };
       }
-    );
 
-    // Format the transcript for storage
-    const rawTranscript = {
-      segments: (transcription.segments || []).map((segment, index) => ({
-        id: index + 1,
-        speaker: segment.speaker,
-        text: segment.text,
-        startTime: segment.startTime || 0,
-        endTime: segment.endTime || 0,
-        confidence: segment.confidence || 0
-      })),
-      fullText: transcription.fullText || '',
-      wordCount: transcription.wordCount || 0,
-      duration: transcription.metadata?.duration || 0,
-      detectedLanguage: transcription.detectedLanguage || 'unknown',
-      languageConfidence: transcription.languageConfidence || 0,
-      metadata: {
-        audioUrl: publicUrl,
-        model: 'gemini-1.5-flash'
+      // Count unique speakers
+      const uniqueSpeakers = new Set(
+        (transcription.segments || [])
+          .map(segment => segment.speaker)
+          .filter(speaker => speaker && speaker !== 'Unknown')
+      );
+      const speakersIdentifiedCount = uniqueSpeakers.size;
+
+      // Update the row in Supabase
+      job.update('saving', 90);
+      try {
+        // Runs after other modifications of the record. Their history refers to segment
+        // IDs and speaker labels of the replaced transcription, so a new transcription
+        // starts without segment edits, speaker revisions and translations.
+        await TranscriptRecordService.modifyRecord(id, async (record) => {
+          const previous = record.raw_transcript;
+          if (previous) {
+            Logger.info('Replacing stored transcript', {
+              id,
+              segmentEdits: previous.metadata?.segmentEdits?.length || 0,
+              speakerRevisions: previous.metadata?.speakerRevisions?.length || 0,
+              translations: Object.keys(previous.translations || {})
+            });
+          }
+
+          return {
+            raw_transcript: rawTranscript,
+            speakers_identified_count: speakersIdentifiedCount
+          };
+        }, { requireTranscript: false });
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          throw new ValidationError('No record found with the provided ID', 'id');
+        }
+        throw error;
       }
-    };
 
-    // Count unique speakers
-    const uniqueSpeakers = new Set(
-      (transcription.segments || [])
-        .map(segment => segment.speaker)
-        .filter(speaker => speaker && speaker !== 'Unknown')
-    );
-    const speakersIdentifiedCount = uniqueSpeakers.size;
-
-    // Update the row in Supabase
-    const supabase = SupabaseClient.getClient();
-    const { data, error } = await supabase
-      .from('meeting_bot_audio_transcript')
-      .update({
-        raw_transcript: rawTranscript,
-        speakers_identified_count: speakersIdentifiedCount
-      })
-      .eq('id', id)
-      .select();
-
-    if (error) {
-      Logger.error('Failed to save transcript to Supabase:', {
-        error: error.message,
-        code: error.code,
-        details: error.details
+      Logger.info('Transcript saved successfully', {
+        id,
+        segmentCount: rawTranscript.segments.length,
+        wordCount: rawTranscript.wordCount,
+        speakersIdentifiedCount
       });
-      throw new ExternalAPIError('Supabase', `Failed to save transcript: ${error.message}`);
-    }
 
-    if (!data || data.length === 0) {
-      throw new ValidationError('No record found with the provided ID', 'id');
-    }
-
-    Logger.info('Transcript saved successfully', {
-      id,
-      segmentCount: rawTranscript.segments.length,
-      wordCount: rawTranscript.wordCount,
-      speakersIdentifiedCount
-    });
-
-    res.json({
-      success: true,
-      id,
-      message: 'Transcript saved successfully',
-      transcript: {
+      WebhookService.publish('transcript.saved', {
+        id,
+        jobId: job.id,
         segmentCount: rawTranscript.segments.length,
         wordCount: rawTranscript.wordCount,
         duration: rawTranscript.duration,
         detectedLanguage: rawTranscript.detectedLanguage,
-        speakersIdentifiedCount: speakersIdentifiedCount
+        speakersIdentifiedCount
+      });
+
+      return {
+        id,
+        message: 'Transcript saved successfully',
+        transcript: {
+          segmentCount: rawTranscript.segments.length,
+          wordCount: rawTranscript.wordCount,
+          duration: rawTranscript.duration,
+          detectedLanguage: rawTranscript.detectedLanguage,
+          speakersIdentifiedCount: speakersIdentifiedCount
+        },
+        usage: rawTranscript.metadata.usage,
+        cached: !!transcription.metadata?.cached,
+        glossary: transcription.metadata?.glossary || null,
+        redaction: transcription.metadata?.redaction || null
+      };
+
+    } catch (error) {
+      Logger.error('Raw transcript save failed:', {
+        error: error.message,
+        stack: error.stack,
+        id,
+        publicUrl
+      });
+
+      // Log error but don't update database (no error columns available)
+      Logger.error('Transcription failed - no error columns to update in database');
+
+      throw error;
+    }
+  }, { owner: req.auth?.id });
+
+  acceptJob(res, job);
+}));
+
+/**
+ * Remove cached transcriptions, all of them or those of one recording
+ * DELETE /api/transcribe/cache?fingerprint=<sha256 of the audio>
+ */
+router.delete('/cache', validate('purgeTranscriptionCache'), asyncHandler(async (req, res) => {
+  const { fingerprint } = req.query;
+
+  const purged = TranscriptionCache.purge(fingerprint);
+
+  res.json({
+    success: true,
+    purged,
+    cache: TranscriptionCache.getStats()
+  });
+}));
+
+/**
+ * Download audio for a job, reporting download progress (0-30%)
+ * @param {Object} job - Job from JobQueue
+ * @param {string} url - Audio URL
+ * @param {Object} options - axios timeout and size limits
+ * @returns {Promise<Buffer>} Audio buffer
+ */
+async function downloadAudio(job, url, { timeout, maxContentLength }) {
+  job.update('downloading', 0);
+  let lastProgress = 0;
+
+  try {
+    const audioResponse = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout,
+      maxContentLength,
+      onDownloadProgress: (event) => {
+        if (!event.total) return;
+        const progress = Math.floor((event.loaded / event.total) * 30);
+        if (progress > lastProgress) {
+          lastProgress = progress;
+          job.update('downloading', progress);
+        }
       }
     });
 
+    return Buffer.from(audioResponse.data);
   } catch (error) {
-    Logger.error('Raw transcript save failed:', {
-      error: error.message,
-      stack: error.stack,
-      id,
-      publicUrl
+    // axios errors carry circular request objects; keep only what matters
+    throw new ExternalAPIError(
+      'Audio download',
+      `Failed to fetch audio: ${error.message}`,
+      error.response?.status === 404 ? 404 : 502
+    );
+  }
+}
+
+/**
+ * Transcribe downloaded audio for a job, chunking long recordings and
+ * reporting progress per chunk (30-80%). Results are served from and stored in
+ * TranscriptionCache unless the request bypasses it, then corrected with the
+ * glossary terms and redacted, so the cache holds the uncorrected, unredacted transcription.
+ * @param {Object} job - Job from JobQueue
+ * @param {TranscriptionProvider} provider - Transcription provider
+ * @param {Buffer} audioBuffer - Audio buffer
+ * @param {Object} options - Transcription options (including glossary terms), plus useCache
+ *   and redaction (from getRedactionOptions())
+ * @returns {Promise<Object>} Transcription
+ */
+async function transcribeAudio(job, provider, audioBuffer, { useCache = true, redaction = null, ...options }) {
+  job.update('transcribing', 30);
+
+  const { key, fingerprint } = TranscriptionCache.getKey(audioBuffer, provider, options);
+  const cached = useCache ? TranscriptionCache.get(key) : null;
+  if (!useCache) {
+    TranscriptionCache.recordBypass();
+  }
+
+  let transcription;
+  if (cached) {
+    Logger.info('Transcription served from cache', { jobId: job.id, fingerprint });
+    job.update('transcribing', 80);
+    transcription = {
+      ...cached,
+      // Nothing was billed for this request
+      metadata: { ...cached.metadata, botId: options.botId, meetingUrl: options.meetingUrl, usage: null, cached: true }
+    };
+  } else {
+    transcription = await provider.transcribeLongAudio(audioBuffer, {
+      ...options,
+      onChunkTranscribed: (completed, total) => {
+        job.update('transcribing', 30 + Math.floor((completed / total) * 50));
+      }
     });
-    
-    // Log error but don't update database (no error columns available)
-    Logger.error('Transcription failed - no error columns to update in database');
-    
-    throw error;
+
+    // Don't keep results with gaps from failed chunks
+    if (!transcription.metadata?.failedChunks?.length) {
+      TranscriptionCache.set(key, fingerprint, transcription);
+    }
   }
-}));
 
-module.exports = router;
\ No newline at end of file
+  if (options.glossary?.length > 0) {
+    transcription = GlossaryService.correctTranscription(transcription, options.glossary);
+  }
+
+  if (!redaction) {
+    return transcription;
+  }
+
+  return RedactionService.redactTranscription(transcription, {
+    ...redaction,
+    names: (options.participants || []).map(p => p.name).filter(Boolean),
+    provider,
+    attribution: options.attribution
+  });
+}
+
+/**
+ * Redaction options of a transcription request
+ * (`"redact": true` turns redaction on when REDACTION_ENABLED is off)
+ * @param {Object} req - Express request
+ * @returns {Object|null} { strategy }, or null to keep personal data
+ */
+function getRedactionOptions(req) {
+  if (!RedactionService.isEnabled(req.body.redact)) {
+    return null;
+  }
+  return { strategy: req.body.redactionStrategy || RedactionService.strategy };
+}
+
+/**
+ * Whether a transcription request may be answered from the cache
+ * (`"cache": false` in the body or `Cache-Control: no-cache` skip it)
+ * @param {Object} req - Express request
+ * @returns {boolean} Use the cache
+ */
+function isCacheAllowed(req) {
+  return req.body.cache !== false && !/no-cache/i.test(req.get('cache-control') || '');
+}
+
+/**
+ * Add IDs and formatted timestamps to transcription segments
+ * @param {Array} segments - Transcription segments
+ * @returns {Array} Formatted segments
+ */
+function formatSegments(segments = []) {
+  return segments.map((segment, index) => ({
+    ...segment,
+    id: `segment_${index + 1}`,
+    timestamp: formatDuration(segment.startTime || 0),
+    startTimestamp: formatDuration(segment.startTime || 0),
+    endTimestamp: formatDuration(segment.endTime || 0)
+  }));
+}
+
+/**
+ * Respond with 202 Accepted pointing at the job status endpoint
+ * @param {Object} res - Express response
+ * @param {Object} job - Public job view
+ */
+function acceptJob(res, job) {
+  const statusUrl = `/api/jobs/${job.id}`;
+
+  res.status(202)
+    .location(statusUrl)
+    .json({
+      success: true,
+      jobId: job.id,
+      state: job.state,
+      statusUrl
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,165 @@
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_DISABLED = 'true';
+process.env.TRANSCRIPTION_PROVIDER = 'fixture';
+
+const http = require('http');
+const request = require('supertest');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
+const TranscriptRecordService = require('../../services/TranscriptRecordService');
+const SupabaseClient = require('../../utils/SupabaseClient');
+const AudioContainer = require('../../utils/AudioContainer');
+const { createServer } = require('../server');
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * 16-bit mono WAV with a tone throughout
+ * @param {number} duration - Seconds
+ * @returns {Buffer} WAV
+ */
+function buildToneWav(duration) {
+  const samples = duration * SAMPLE_RATE;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * 12000), i * 2);
+  }
+  return AudioContainer.buildWav(pcm, { audioFormat: 1, channels: 1, sampleRate: SAMPLE_RATE, byteRate: SAMPLE_RATE * 2, blockAlign: 2, bitsPerSample: 16 });
+}
+
+/**
+ * Poll a job until it is done or failed
+ * @param {Object} app - Express app
+ * @param {string} statusUrl - Job status URL
+ * @returns {Promise<Object>} Job
+ */
+async function waitForJob(app, statusUrl) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const response = await request(app).get(statusUrl).expect(200);
+    if (['done', 'failed'].includes(response.body.job.state)) {
+      return response.body.job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job at ${statusUrl} did not finish`);
+}
+
+describe('/api/transcribe with the fixture provider', () => {
+  let app;
+  let audioServer;
+  let audioUrl;
+
+  beforeAll(async () => {
+    TranscriptionProviderRegistry.initialize();
+    app = createServer();
+
+    const wav = buildToneWav(30);
+    audioServer = http.createServer((req, res) => {
+      if (req.url !== '/meeting.wav') {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': wav.length }).end(wav);
+    });
+    await new Promise(resolve => audioServer.listen(0, '127.0.0.1', resolve));
+    audioUrl = `http://127.0.0.1:${audioServer.address().port}/meeting.wav`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => audioServer.close(resolve));
+  });
+
+  test('transcribes audio in a background job', async () => {
+    const accepted = await request(app)
+      .post('/api/transcribe/raw')
+      .send({ audioUrl, eventId: 'event-1', cache: false })
+      .expect(202);
+
+    expect(accepted.headers.location).toBe(accepted.body.statusUrl);
+
+    const job = await waitForJob(app, accepted.body.statusUrl);
+    expect(job.state).toBe('done');
+    expect(job.result.eventId).toBe('event-1');
+    expect(job.result.transcription.segments.length).toBeGreaterThan(0);
+    expect(job.result.transcription.segments[0].speaker).toMatch(/^Speaker \d+$/);
+  });
+
+  test('returns the same transcript for the same audio', async () => {
+    const results = [];
+    for (let i = 0; i < 2; i++) {
+      const accepted = await request(app).post('/api/transcribe/raw').send({ audioUrl, cache: false }).expect(202);
+      results.push((await waitForJob(app, accepted.body.statusUrl)).result.transcription.fullText);
+    }
+
+    expect(results[0]).toBe(results[1]);
+  });
+
+  test('serves repeated requests from the cache unless the request bypasses it', async () => {
+    const { bypassed } = (await request(app).delete('/api/transcribe/cache').expect(200)).body.cache;
+
+    const cachedFlags = [];
+    for (const [body, headers] of [[{}, {}], [{}, {}], [{ cache: false }, {}], [{}, { 'Cache-Control': 'no-cache' }]]) {
+      const accepted = await request(app).post('/api/transcribe/raw').set(headers).send({ audioUrl, ...body }).expect(202);
+      cachedFlags.push((await waitForJob(app, accepted.body.statusUrl)).result.cached);
+    }
+    expect(cachedFlags).toEqual([false, true, false, false]);
+
+    const purged = await request(app).delete('/api/transcribe/cache').expect(200);
+    expect(purged.body.purged).toBe(1);
+    expect(purged.body.cache).toMatchObject({ entries: 0, bypassed: bypassed + 2 });
+  });
+
+  test('summarizes with the requested template and the participant names', async () => {
+    const summarize = jest.spyOn(TranscriptionProviderRegistry.get('fixture'), 'summarize');
+
+    try {
+      const accepted = await request(app)
+        .post('/api/transcribe')
+        .send({ audioUrl, participants: [{ name: 'Ann' }, { email: 'bob@example.com' }], template: 'standup' })
+        .expect(202);
+      const job = await waitForJob(app, accepted.body.statusUrl);
+
+      expect(job.result.aiSummary.template).toBe('standup');
+      expect(summarize.mock.calls[0][1]).toMatchObject({ template: 'standup', participants: ['Ann', 'bob@example.com'] });
+    } finally {
+      summarize.mockRestore();
+    }
+  });
+
+  test('fails the job when the audio can not be downloaded', async () => {
+    const accepted = await request(app)
+      .post('/api/transcribe/raw')
+      .send({ audioUrl: audioUrl.replace('meeting.wav', 'missing.wav') })
+      .expect(202);
+
+    const job = await waitForJob(app, accepted.body.statusUrl);
+    expect(job.state).toBe('failed');
+    expect(job.error.statusCode).toBe(404);
+  });
+
+  test('saves a new transcription without the history of the replaced one', async () => {
+    const previous = {
+      segments: [{ id: 1, speaker: 'Ann', originalSpeaker: 'Speaker 1', text: 'Old text', startTime: 0, endTime: 2 }],
+      translations: { de: { segments: [{ id: 1, text: 'Alter Text' }] } },
+      metadata: { segmentEdits: [{ version: 1 }], speakerRevisions: [{ revision: 1 }] }
+    };
+    jest.spyOn(SupabaseClient, 'isReady').mockReturnValue(true);
+    const getRecord = jest.spyOn(TranscriptRecordService, 'getRecord').mockResolvedValue({ id: 'rec1', raw_transcript: previous });
+    const updateRecord = jest.spyOn(TranscriptRecordService, 'updateRecord').mockImplementation(async (id, fields) => ({ id, ...fields }));
+
+    try {
+      const accepted = await request(app).post('/api/transcribe/raw_save').send({ id: 'rec1', publicUrl: audioUrl, cache: false }).expect(202);
+      const job = await waitForJob(app, accepted.body.statusUrl);
+
+      expect(job.state).toBe('done');
+      expect(getRecord).toHaveBeenCalledWith('rec1', { requireTranscript: false });
+
+      const saved = updateRecord.mock.calls[0][1].raw_transcript;
+      expect(saved.segments[0].speaker).toMatch(/^Speaker \d+$/);
+      expect(saved.translations).toBeUndefined();
+      expect(saved.metadata.segmentEdits).toBeUndefined();
+      expect(saved.metadata.speakerRevisions).toBeUndefined();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
@@ -3,6 +3,10 @@ const router = express.Router();
 const { asyncHandler } = require('../../utils/ErrorHandler');
 const Logger = require('../../utils/Logger');
 const TranscriptStreamService = require('../../services/TranscriptStreamService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('transcripts:read'));
 
 /**
  * List all active transcript sessions
@@ -49,7 +53,7 @@ router.get('/', asyncHandler(async (req, res) => {
  * Get transcript session by event ID
  * GET /api/transcript-sessions/event/:eventId
  */
-router.get('/event/:eventId', asyncHandler(async (req, res) => {
+router.get('/event/:eventId', validate('getTranscriptSessionByEvent'), asyncHandler(async (req, res) => {
   const { eventId } = req.params;
   
   // Find session by event_id
@@ -1,8 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { asyncHandler, NotFoundError, ValidationError } = require('../../utils/ErrorHandler');
+const { asyncHandler, NotFoundError, ValidationError, ExternalAPIError } = require('../../utils/ErrorHandler');
 const Logger = require('../../utils/Logger');
 const TranscriptStreamService = require('../../services/TranscriptStreamService');
+const TranscriptRecordService = require('../../services/TranscriptRecordService');
+const TranscriptionProviderRegistry = require('../../services/TranscriptionProviderRegistry');
+const TranslationService = require('../../services/TranslationService');
+const RedactionService = require('../../services/RedactionService');
+const TranscriptQAService = require('../../services/TranscriptQAService');
+const TranscriptEditService = require('../../services/TranscriptEditService');
+const WebhookService = require('../../services/WebhookService');
+const JobQueue = require('../../services/JobQueue');
+const TranscriptFormatter = require('../../utils/TranscriptFormatter');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('transcripts:read', 'transcripts:write'));
 
 /**
  * Get all active transcription sessions
@@ -22,7 +35,7 @@ router.get('/active', asyncHandler(async (req, res) => {
  * Get full transcript for a specific session
  * GET /api/transcripts/:sessionId
  */
-router.get('/:sessionId', asyncHandler(async (req, res) => {
+router.get('/:sessionId', validate('getTranscript'), asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessionId) {
@@ -45,7 +58,7 @@ router.get('/:sessionId', asyncHandler(async (req, res) => {
  * Server-Sent Events endpoint for real-time transcript updates
  * GET /api/transcripts/:sessionId/live
  */
-router.get('/:sessionId/live', asyncHandler(async (req, res) => {
+router.get('/:sessionId/live', validate('streamTranscript'), asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessionId) {
@@ -53,17 +66,12 @@ router.get('/:sessionId/live', asyncHandler(async (req, res) => {
   }
 
   // Verify session exists
-  try {
-    TranscriptStreamService.getTranscript(sessionId);
-  } catch (error) {
-    if (error.statusCode === 404) {
-      res.status(404).json({
-        success: false,
-        error: 'Session not found'
-      });
-      return;
-    }
-    throw error;
+  if (!TranscriptStreamService.getTranscript(sessionId)) {
+    res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    });
+    return;
   }
 
   // Set up SSE headers
@@ -77,8 +85,12 @@ router.get('/:sessionId/live', asyncHandler(async (req, res) => {
   // Send initial connection event
   res.write('event: connected\ndata: {"message":"Connected to transcript stream"}\n\n');
 
-  // Add client to SSE clients
-  TranscriptStreamService.addSSEClient(sessionId, res);
+  // Add client to SSE clients, replaying events missed since Last-Event-ID
+  TranscriptStreamService.addSSEClient(
+    sessionId,
+    res,
+    req.get('Last-Event-ID') || req.query.lastEventId
+  );
 
   // Handle client disconnect
   req.on('close', () => {
@@ -105,7 +117,7 @@ router.get('/:sessionId/live', asyncHandler(async (req, res) => {
  * Stop transcription for a specific session
  * POST /api/transcripts/:sessionId/stop
  */
-router.post('/:sessionId/stop', asyncHandler(async (req, res) => {
+router.post('/:sessionId/stop', requireScope('transcripts:write'), validate('stopTranscript'), asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessionId) {
@@ -153,124 +165,314 @@ router.get('/stats/summary', asyncHandler(async (req, res) => {
 }));
 
 /**
- * Download transcript as text file
+ * Download transcript of a live session or a stored meeting_bot_audio_transcript row
  * GET /api/transcripts/:sessionId/download
  */
-router.get('/:sessionId/download', asyncHandler(async (req, res) => {
+router.get('/:sessionId/download', validate('downloadTranscript'), asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
   const format = req.query.format || 'txt';
+  const { language, bilingual = false } = req.query;
   
   if (!sessionId) {
     throw new ValidationError('Session ID is required', 'sessionId');
   }
+  if (bilingual && !language) {
+    throw new ValidationError('bilingual requires a translation language', 'language');
+  }
 
-  if (!['txt', 'json', 'srt'].includes(format)) {
-    throw new ValidationError('Invalid format. Supported formats: txt, json, srt', 'format');
+  // Live sessions first, then stored transcripts by row ID
+  let transcript = TranscriptStreamService.getTranscript(sessionId);
+  if (!transcript) {
+    if (!TranscriptRecordService.isAvailable()) {
+      throw new NotFoundError('Transcript session');
+    }
+    transcript = await TranscriptRecordService.getTranscript(sessionId);
   }
 
-  const transcript = TranscriptStreamService.getTranscript(sessionId);
-  
-  let content;
-  let contentType;
-  let filename;
-
-  switch (format) {
-    case 'txt':
-      content = formatTranscriptAsText(transcript);
-      contentType = 'text/plain';
-      filename = `transcript_${sessionId}.txt`;
-      break;
-    
-    case 'json':
-      content = JSON.stringify(transcript, null, 2);
-      contentType = 'application/json';
-      filename = `transcript_${sessionId}.json`;
-      break;
-    
-    case 'srt':
-      content = formatTranscriptAsSRT(transcript);
-      contentType = 'text/plain';
-      filename = `transcript_${sessionId}.srt`;
-      break;
+  if (language) {
+    transcript = TranslationService.applyTranslation(transcript, language, { bilingual });
   }
 
+  const { extension, contentType } = TranscriptFormatter.FORMATS[format];
+  const content = await TranscriptFormatter.render(transcript, format);
+  const translation = transcript.metadata.translation;
+  const suffix = !translation ? '' : bilingual ? `_${translation.sourceLanguage}-${translation.language}` : `_${translation.language}`;
+  // Session IDs come from the URL; keep only characters that are safe in a header and a file name
+  const filename = `transcript_${sessionId}${suffix}`.replace(/[^A-Za-z0-9._-]/g, '_');
+
+  res.attachment(`${filename}.${extension}`);
   res.setHeader('Content-Type', contentType);
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
   res.send(content);
 }));
 
 /**
- * Format transcript as plain text
- * @param {Object} transcript - Transcript data
- * @returns {string} Formatted text
+ * Translate a stored transcript segment by segment (job)
+ * POST /api/transcripts/:id/translate
+ *
+ * Body: { targetLanguage: "de" }
  */
-function formatTranscriptAsText(transcript) {
-  const header = [
-    `Transcript for Meeting: ${transcript.meetingUrl}`,
-    `Session ID: ${transcript.sessionId}`,
-    `Started: ${transcript.metadata.startedAt}`,
-    `Duration: ${transcript.metadata.durationFormatted}`,
-    `Language: ${transcript.transcript.detectedLanguage}`,
-    `Speakers: ${transcript.transcript.speakers.join(', ')}`,
-    `Word Count: ${transcript.transcript.wordCount}`,
-    '='.repeat(80),
-    ''
-  ].join('\n');
-
-  const segments = transcript.transcript.segments.map(segment => {
-    const timestamp = formatTimestamp(segment.startTime);
-    return `[${timestamp}] ${segment.speaker}: ${segment.text}`;
-  }).join('\n\n');
-
-  return header + segments;
-}
+router.post('/:id/translate', requireScope('transcripts:write'), validate('translateTranscript'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { targetLanguage } = req.body;
+
+  if (!TranscriptRecordService.isAvailable()) {
+    throw new ExternalAPIError('Supabase', 'Database service not configured');
+  }
+
+  const provider = TranscriptionProviderRegistry.forRequest(req);
+
+  // Reject unknown records and languages before queueing
+  const record = await TranscriptRecordService.getRecord(id);
+  const language = TranslationService.getTargetLanguage(record.raw_transcript, targetLanguage);
+
+  Logger.info('Transcript translation request', { id, language });
+
+  const job = JobQueue.enqueue('translate', { id, targetLanguage: language, provider: provider.name }, async (job) => {
+    job.update('translating', 0);
+
+    const translation = await TranslationService.translateRecord(id, language, {
+      provider,
+      attribution: { recordId: id, jobId: job.id, principal: req.auth?.id },
+      onProgress: (completed, total) => {
+        job.update('translating', Math.floor((completed / total) * 90));
+      }
+    });
+
+    return {
+      id,
+      language: translation.language,
+      sourceLanguage: translation.sourceLanguage,
+      segmentCount: translation.segments.length,
+      downloadUrl: `/api/transcripts/${id}/download?language=${encodeURIComponent(translation.language)}`,
+      usage: translation.usage
+    };
+  }, { owner: req.auth?.id });
+
+  const statusUrl = `/api/jobs/${job.id}`;
+  res.status(202)
+    .location(statusUrl)
+    .json({
+      success: true,
+      jobId: job.id,
+      state: job.state,
+      statusUrl
+    });
+}));
+
+/**
+ * Answer a question from a live session or stored transcript, citing the segments used
+ * POST /api/transcripts/:id/ask
+ *
+ * Body: { question: "What did Matthias say about the deadline?", conversationId? }
+ */
+// Questions are billed provider calls, so read access is not enough (as for translations)
+router.post('/:id/ask', requireScope('transcripts:write'), validate('askTranscript'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { question, conversationId } = req.body;
+
+  // Live sessions first, then stored transcripts by row ID
+  let transcript = TranscriptStreamService.getTranscript(id);
+  const live = !!transcript;
+  if (!transcript) {
+    if (!TranscriptRecordService.isAvailable()) {
+      throw new NotFoundError('Transcript session');
+    }
+    transcript = await TranscriptRecordService.getTranscript(id);
+  }
+
+  const result = await TranscriptQAService.ask(id, transcript, question, {
+    conversationId,
+    provider: TranscriptionProviderRegistry.forRequest(req),
+    attribution: live ? { sessionId: id, principal: req.auth?.id } : { recordId: id, principal: req.auth?.id }
+  });
+
+  res.json({
+    success: true,
+    id,
+    ...result
+  });
+}));
+
+/**
+ * Edit the text and/or speaker of a stored transcript segment
+ * PATCH /api/transcripts/:id/segments/:segmentId
+ *
+ * Body: { text?, speaker?, author?, version? } - version is the transcript version the
+ * edit is based on; edits of a transcript that has changed since are rejected with 409
+ */
+router.patch('/:id/segments/:segmentId', requireScope('transcripts:write'), validate('editTranscriptSegment'), asyncHandler(async (req, res) => {
+  const { id, segmentId } = req.params;
+  const { text, speaker, author, version } = req.body;
+
+  const result = await TranscriptEditService.editSegment(id, segmentId, { text, speaker }, editOptions(req, author, version));
+  sendEdit(res, id, result);
+}));
+
+/**
+ * Delete a stored transcript segment
+ * DELETE /api/transcripts/:id/segments/:segmentId?version=3&author=...
+ */
+router.delete('/:id/segments/:segmentId', requireScope('transcripts:write'), validate('deleteTranscriptSegment'), asyncHandler(async (req, res) => {
+  const { id, segmentId } = req.params;
+  const { author, version } = req.query;
+
+  const result = await TranscriptEditService.deleteSegment(id, segmentId, editOptions(req, author, version));
+  sendEdit(res, id, result);
+}));
+
+/**
+ * Merge consecutive segments of a stored transcript
+ * POST /api/transcripts/:id/segments/merge
+ *
+ * Body: { segmentIds: [4, 5], speaker?, author?, version? }
+ */
+router.post('/:id/segments/merge', requireScope('transcripts:write'), validate('mergeTranscriptSegments'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { segmentIds, speaker, author, version } = req.body;
+
+  const result = await TranscriptEditService.mergeSegments(id, segmentIds, { speaker }, editOptions(req, author, version));
+  sendEdit(res, id, result);
+}));
+
+/**
+ * Split a stored transcript segment in two at a character offset of its text
+ * POST /api/transcripts/:id/segments/:segmentId/split
+ *
+ * Body: { offset: 42, time?, speaker?, author?, version? } - speaker applies to the second part
+ */
+router.post('/:id/segments/:segmentId/split', requireScope('transcripts:write'), validate('splitTranscriptSegment'), asyncHandler(async (req, res) => {
+  const { id, segmentId } = req.params;
+  const { offset, time, speaker, author, version } = req.body;
+
+  const result = await TranscriptEditService.splitSegment(id, segmentId, { offset, time, speaker }, editOptions(req, author, version));
+  sendEdit(res, id, result);
+}));
+
+/**
+ * List the edit versions of a stored transcript
+ * GET /api/transcripts/:id/versions
+ */
+router.get('/:id/versions', validate('listTranscriptVersions'), asyncHandler(async (req, res) => {
+  const record = await getStoredRecord(req.params.id);
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    ...TranscriptEditService.listVersions(record.raw_transcript)
+  });
+}));
+
+/**
+ * Segments of a stored transcript at a version (0 = as transcribed)
+ * GET /api/transcripts/:id/versions/:version
+ */
+router.get('/:id/versions/:version', validate('getTranscriptVersion'), asyncHandler(async (req, res) => {
+  const record = await getStoredRecord(req.params.id);
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    ...TranscriptEditService.getVersion(record.raw_transcript, req.params.version)
+  });
+}));
+
+/**
+ * Segments added, removed and changed between two versions of a stored transcript
+ * GET /api/transcripts/:id/diff?from=0&to=3 (to defaults to the current version)
+ */
+router.get('/:id/diff', validate('diffTranscriptVersions'), asyncHandler(async (req, res) => {
+  const record = await getStoredRecord(req.params.id);
+  const { currentVersion } = TranscriptEditService.listVersions(record.raw_transcript);
+  const { from = 0, to = currentVersion } = req.query;
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    ...TranscriptEditService.diff(record.raw_transcript, from, to)
+  });
+}));
+
+/**
+ * Original values of the personal data redacted from a stored transcript
+ * GET /api/transcripts/:id/redactions
+ */
+router.get('/:id/redactions', requireScope('pii:read'), validate('getRedactionMapping'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!TranscriptRecordService.isAvailable()) {
+    throw new ExternalAPIError('Supabase', 'Database service not configured');
+  }
+
+  const record = await TranscriptRecordService.getRecord(id);
+  const rawTranscript = record.raw_transcript;
+  const { mapping, ...redaction } = rawTranscript.redaction || {};
+
+  // Positions in segments edited since redaction (and in the rebuilt fullText) no longer apply,
+  // nor in speaker labels changed since
+  const editedSegmentIds = new Set(redaction.editedSegmentIds || []);
+  const speakers = new Map((rawTranscript.segments || []).map((segment, index) => [segment.id ?? index + 1, segment.speaker]));
+  const entries = RedactionService.getMapping(rawTranscript.redaction).map(({ speaker, ...entry }) => ({
+    ...entry,
+    stale: entry.field === 'fullText'
+      ? !!redaction.fullTextEdited
+      : entry.field === 'speaker' ? speakers.get(entry.segmentId) !== speaker : editedSegmentIds.has(entry.segmentId)
+  }));
+
+  Logger.info('Redaction mapping read', { id, entries: entries.length, principal: req.auth?.id || null });
+
+  res.json({
+    success: true,
+    id,
+    redaction,
+    entries,
+    transcript: RedactionService.restore(
+      rawTranscript.segments || [],
+      rawTranscript.fullText || '',
+      entries.filter(entry => !entry.stale)
+    )
+  });
+}));
 
 /**
- * Format transcript as SRT subtitle file
- * @param {Object} transcript - Transcript data
- * @returns {string} SRT formatted content
+ * Stored transcript row, for the edit endpoints
+ * @param {string} id - Row ID
+ * @returns {Promise<Object>} Record
  */
-function formatTranscriptAsSRT(transcript) {
-  return transcript.transcript.segments.map((segment, index) => {
-    const startTime = formatSRTTime(segment.startTime);
-    const endTime = formatSRTTime(segment.endTime);
-    
-    return [
-      index + 1,
-      `${startTime} --> ${endTime}`,
-      `${segment.speaker}: ${segment.text}`,
-      ''
-    ].join('\n');
-  }).join('\n');
+async function getStoredRecord(id) {
+  if (!TranscriptRecordService.isAvailable()) {
+    throw new ExternalAPIError('Supabase', 'Database service not configured');
+  }
+  return TranscriptRecordService.getRecord(id);
 }
 
 /**
- * Format timestamp in seconds to HH:MM:SS
- * @param {number} seconds - Time in seconds
- * @returns {string} Formatted time
+ * Options of a segment edit request
+ * @param {Object} req - Express request
+ * @param {string} author - Author named in the request (default: the authenticated principal)
+ * @param {number} version - Version the edit is based on
+ * @returns {Object} { version, author, principal }
  */
-function formatTimestamp(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  
-  return [hours, minutes, secs]
-    .map(v => v.toString().padStart(2, '0'))
-    .join(':');
+function editOptions(req, author, version) {
+  if (!TranscriptRecordService.isAvailable()) {
+    throw new ExternalAPIError('Supabase', 'Database service not configured');
+  }
+  return { version, author, principal: req.auth?.id || null };
 }
 
 /**
- * Format time for SRT format (HH:MM:SS,mmm)
- * @param {number} seconds - Time in seconds
- * @returns {string} SRT formatted time
+ * Respond with a saved edit and notify webhook subscribers
+ * @param {Object} res - Express response
+ * @param {string} id - Row ID
+ * @param {Object} result - TranscriptEditService result
  */
-function formatSRTTime(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const millis = Math.floor((seconds % 1) * 1000);
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')},${millis.toString().padStart(3, '0')}`;
+function sendEdit(res, id, result) {
+  WebhookService.publish('transcript.edited', { id, ...result.edit });
+
+  res.json({
+    success: true,
+    id,
+    ...result
+  });
 }
 
 module.exports = router;
\ No newline at end of file
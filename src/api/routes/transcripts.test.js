@@ -0,0 +1,62 @@
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_DISABLED = 'true';
+
+const request = require('supertest');
+const TranscriptStreamService = require('../../services/TranscriptStreamService');
+const AuthService = require('../../services/AuthService');
+const { createServer } = require('../server');
+
+describe('GET /api/transcripts/:sessionId/download', () => {
+  const app = createServer();
+
+  afterEach(() => {
+    TranscriptStreamService.transcriptSessions.clear();
+  });
+
+  test('puts only safe characters of the session ID into the file name', async () => {
+    const sessionId = 'team"sync\r\nSet-Cookie: x=1';
+    TranscriptStreamService.createSession(null, null, null, { sessionId, source: 'ingest' });
+
+    const response = await request(app)
+      .get(`/api/transcripts/${encodeURIComponent(sessionId)}/download`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toBe('attachment; filename="transcript_team_sync__Set-Cookie__x_1.txt"');
+    expect(response.headers['set-cookie']).toBeUndefined();
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+  });
+});
+
+describe('POST /api/transcripts/:id/ask', () => {
+  const app = createServer();
+  const { enabled, apiKeys } = AuthService;
+  const keyHash = key => AuthService.hashApiKey(key);
+
+  beforeEach(() => {
+    AuthService.enabled = true;
+    AuthService.apiKeys = AuthService.parseApiKeys(JSON.stringify([
+      { id: 'reader', keyHash: keyHash('reader-key'), scopes: ['transcripts:read'] },
+      { id: 'editor', keyHash: keyHash('editor-key'), scopes: ['transcripts:write'] }
+    ]));
+    TranscriptStreamService.createSession(null, null, null, { sessionId: 'live-qa', source: 'ingest' });
+  });
+
+  afterEach(() => {
+    AuthService.enabled = enabled;
+    AuthService.apiKeys = apiKeys;
+    TranscriptStreamService.transcriptSessions.clear();
+  });
+
+  test('needs transcripts:write, as questions are billed', async () => {
+    const question = { question: 'What was decided?' };
+
+    await request(app).post('/api/transcripts/live-qa/ask').set('X-API-Key', 'reader-key').send(question).expect(403);
+    const response = await request(app)
+      .post('/api/transcripts/live-qa/ask')
+      .set('X-API-Key', 'editor-key')
+      .set('X-Transcription-Provider', 'fixture')
+      .send(question)
+      .expect(200);
+    expect(response.body.answered).toBe(false);
+  });
+});
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../utils/ErrorHandler');
+const UsageService = require('../../services/UsageService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('status:read'));
+
+/**
+ * Token usage and estimated cost, with daily aggregates
+ * GET /api/usage?from=&to=&eventId=&recordId=&sessionId=&jobId=&principal=&operation=
+ */
+router.get('/', validate('getUsage'), asyncHandler(async (req, res) => {
+  const { from, to, eventId, recordId, sessionId, jobId, principal, operation } = req.query;
+
+  const { totals, daily } = UsageService.getUsage({ from, to, eventId, recordId, sessionId, jobId, principal, operation });
+
+  res.json({
+    success: true,
+    totals,
+    daily
+  });
+}));
+
+/**
+ * Individual billed calls, newest first
+ * GET /api/usage/calls?from=&to=&eventId=&recordId=&sessionId=&jobId=&principal=&operation=&limit=&offset=
+ */
+router.get('/calls', validate('listUsageCalls'), asyncHandler(async (req, res) => {
+  const { from, to, eventId, recordId, sessionId, jobId, principal, operation, limit = 50, offset = 0 } = req.query;
+
+  const { total, calls } = UsageService.listCalls({
+    from, to, eventId, recordId, sessionId, jobId, principal, operation, limit, offset
+  });
+
+  res.json({
+    success: true,
+    total,
+    count: calls.length,
+    offset,
+    calls
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,35 @@
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_DISABLED = 'true';
+
+const request = require('supertest');
+const UsageService = require('../../services/UsageService');
+const { createServer } = require('../server');
+
+describe('/api/usage', () => {
+  const app = createServer();
+  const call = { provider: 'gemini', model: 'test', operation: 'transcribe', promptTokens: 100, totalTokens: 120, outputTokens: 20, cost: 0.01 };
+
+  beforeEach(() => {
+    jest.spyOn(UsageService, 'append').mockImplementation(() => {});
+    UsageService.entries = [];
+    UsageService.record(call, { jobId: 'job-1', recordId: 'rec1' });
+    UsageService.record(call, { jobId: 'job-1', recordId: 'rec1' });
+    UsageService.record(call, { jobId: 'job-2', recordId: 'rec1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    UsageService.entries = [];
+  });
+
+  test('filters totals and calls by the same attribution fields', async () => {
+    const usage = await request(app).get('/api/usage?jobId=job-1').expect(200);
+    const calls = await request(app).get('/api/usage/calls?jobId=job-1').expect(200);
+
+    expect(usage.body.totals).toMatchObject({ calls: 2, totalTokens: 240, cost: 0.02 });
+    expect(calls.body.total).toBe(2);
+
+    const record = await request(app).get('/api/usage?recordId=rec1').expect(200);
+    expect(record.body.totals.calls).toBe(3);
+  });
+});
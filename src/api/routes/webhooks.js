@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../utils/ErrorHandler');
+const WebhookService = require('../../services/WebhookService');
+const { WEBHOOK_EVENTS } = require('../../services/WebhookService');
+const { requireScope } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+router.use(requireScope('webhooks:manage'));
+
+/**
+ * List webhook subscriptions
+ * GET /api/webhooks
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const subscriptions = WebhookService.listSubscriptions();
+
+  res.json({
+    success: true,
+    count: subscriptions.length,
+    events: WEBHOOK_EVENTS,
+    subscriptions
+  });
+}));
+
+/**
+ * Register a webhook subscription
+ * POST /api/webhooks
+ * Body: { url, events: ["transcript.saved", ...] or ["*"], secret?, description? }
+ */
+router.post('/', validate('createWebhook'), asyncHandler(async (req, res) => {
+  const { url, events, secret, description } = req.body;
+
+  const subscription = WebhookService.createSubscription({ url, events, secret, description });
+
+  // The secret is only returned on creation
+  res.status(201).json({
+    success: true,
+    subscription
+  });
+}));
+
+/**
+ * List deliveries of all subscriptions
+ * GET /api/webhooks/deliveries
+ */
+router.get('/deliveries', validate('listWebhookDeliveries'), asyncHandler(async (req, res) => {
+  const { state, event } = req.query;
+  const deliveries = WebhookService.listDeliveries({ state, event });
+
+  res.json({
+    success: true,
+    count: deliveries.length,
+    deliveries
+  });
+}));
+
+/**
+ * Get a delivery with its payload and attempts
+ * GET /api/webhooks/deliveries/:deliveryId
+ */
+router.get('/deliveries/:deliveryId', validate('getWebhookDelivery'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    delivery: WebhookService.getDelivery(req.params.deliveryId)
+  });
+}));
+
+/**
+ * Send a delivery's payload again
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ */
+router.post('/deliveries/:deliveryId/redeliver', validate('redeliverWebhook'), asyncHandler(async (req, res) => {
+  const delivery = WebhookService.redeliver(req.params.deliveryId);
+
+  res.status(202).json({
+    success: true,
+    delivery
+  });
+}));
+
+/**
+ * Get a webhook subscription
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', validate('getWebhook'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    subscription: WebhookService.getSubscription(req.params.id)
+  });
+}));
+
+/**
+ * Update a webhook subscription
+ * PATCH /api/webhooks/:id
+ * Body: { url?, events?, description?, active? }
+ */
+router.patch('/:id', validate('updateWebhook'), asyncHandler(async (req, res) => {
+  const { url, events, description, active } = req.body;
+
+  res.json({
+    success: true,
+    subscription: WebhookService.updateSubscription(req.params.id, { url, events, description, active })
+  });
+}));
+
+/**
+ * Delete a webhook subscription
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', validate('deleteWebhook'), asyncHandler(async (req, res) => {
+  WebhookService.deleteSubscription(req.params.id);
+
+  res.json({
+    success: true,
+    message: `Webhook subscription ${req.params.id} deleted`
+  });
+}));
+
+/**
+ * List deliveries of a subscription
+ * GET /api/webhooks/:id/deliveries
+ */
+router.get('/:id/deliveries', validate('listSubscriptionDeliveries'), asyncHandler(async (req, res) => {
+  WebhookService.getSubscription(req.params.id);
+  const { state, event } = req.query;
+  const deliveries = WebhookService.listDeliveries({ subscriptionId: req.params.id, state, event });
+
+  res.json({
+    success: true,
+    count: deliveries.length,
+    deliveries
+  });
+}));
+
+module.exports = router;
@@ -3,8 +3,12 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const swaggerUi = require('swagger-ui-express');
 const Logger = require('../utils/Logger');
+const Metrics = require('../utils/Metrics');
 const { errorHandler } = require('../utils/ErrorHandler');
+const { authenticate } = require('./middleware/auth');
+const openApiSpec = require('./openapi');
 
 // Import routes
 const healthRoutes = require('./routes/health');
@@ -36,8 +40,8 @@ function createServer() {
   // CORS configuration
   const corsOptions = {
     origin: process.env.CORS_ORIGIN || '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID'],
     credentials: true,
     maxAge: 86400 // 24 hours
   };
@@ -71,6 +75,13 @@ function createServer() {
     res.on('finish', () => {
       const duration = Date.now() - start;
       Logger.apiRequest(req.method, req.path, res.statusCode, duration);
+
+      // Label by route pattern (not path) to keep the number of series bounded
+      Metrics.record('http_request_duration', duration, {
+        method: req.method,
+        route: getRouteLabel(req),
+        status_code: res.statusCode
+      });
     });
 
     next();
@@ -79,6 +90,16 @@ function createServer() {
   // Health check middleware (before auth)
   app.use('/health', healthRoutes);
 
+  // Prometheus metrics (status:read scope when auth is enabled)
+  app.use('/metrics', require('./routes/metrics'));
+
+  // API documentation (public)
+  app.get('/api/openapi.json', (req, res) => res.json(openApiSpec));
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
+
+  // Authentication (unless AUTH_DISABLED=true); routers declare their required scopes
+  app.use('/api/', authenticate);
+
   // API routes
   app.use('/api/status', statusRoutes);
   app.use('/api/transcripts', transcriptRoutes);
@@ -87,6 +108,12 @@ function createServer() {
   app.use('/api/transcript-sessions', require('./routes/transcript-sessions'));
   app.use('/api/transcribe', require('./routes/transcribe'));
   app.use('/api/config_speakers', require('./routes/config-speakers'));
+  app.use('/api/jobs', require('./routes/jobs'));
+  app.use('/api/search', require('./routes/search'));
+  app.use('/api/usage', require('./routes/usage'));
+  app.use('/api/summary-templates', require('./routes/summary-templates'));
+  app.use('/api/webhooks', require('./routes/webhooks'));
+  app.use('/api/glossaries', require('./routes/glossaries'));
   
   // Test routes (remove in production)
   app.use('/test-supabase', testSupabaseRoutes);
@@ -103,12 +130,20 @@ function createServer() {
       status: 'running',
       endpoints: {
         health: '/health',
+        metrics: '/metrics',
         status: '/api/status',
         transcripts: '/api/transcripts',
         enhancedTranscripts: '/api/enhanced-transcripts',
+        jobs: '/api/jobs',
+        search: '/api/search',
+        usage: '/api/usage',
+        summaryTemplates: '/api/summary-templates',
+        webhooks: '/api/webhooks',
+        glossaries: '/api/glossaries',
         testSupabase: '/test-supabase',
         debug: '/api/debug',
-        documentation: 'See README.md'
+        openapi: '/api/openapi.json',
+        documentation: '/api/docs'
       }
     });
   });
@@ -128,4 +163,24 @@ function createServer() {
   return app;
 }
 
+/**
+ * Route pattern of a finished request, e.g. /api/jobs/:id
+ * (req.baseUrl is already reset when an error left the router, so the mount path
+ * is taken from the URL instead)
+ * @param {Request} req - Express request
+ * @returns {string} Route pattern or 'unmatched'
+ */
+function getRouteLabel(req) {
+  if (!req.route || typeof req.route.path !== 'string') {
+    return 'unmatched';
+  }
+
+  const routeSegments = req.route.path.split('/').filter(Boolean);
+  const pathSegments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const mountPath = pathSegments.slice(0, pathSegments.length - routeSegments.length).join('/');
+  const route = routeSegments.join('/');
+
+  return `/${[mountPath, route].filter(Boolean).join('/')}`;
+}
+
 module.exports = { createServer };
\ No newline at end of file
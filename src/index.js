@@ -8,8 +8,14 @@ const { createServer } = require('./api/server');
 // Import services
 const BotPoolMonitor = require('./services/BotPoolMonitor');
 const AudioFetchService = require('./services/AudioFetchService');
-const GeminiTranscriptionService = require('./services/GeminiTranscriptionService');
+const TranscriptionProviderRegistry = require('./services/TranscriptionProviderRegistry');
 const TranscriptStreamService = require('./services/TranscriptStreamService');
+const AudioIngestService = require('./services/AudioIngestService');
+const JobQueue = require('./services/JobQueue');
+const WebhookService = require('./services/WebhookService');
+const SearchIndexService = require('./services/SearchIndexService');
+const UsageService = require('./services/UsageService');
+const GlossaryService = require('./services/GlossaryService');
 const MeetingMetadataService = require('./services/MeetingMetadataService');
 const SupabaseClient = require('./utils/SupabaseClient');
 const ServiceMonitor = require('./utils/ServiceMonitor');
@@ -29,9 +35,9 @@ async function initializeServices() {
   try {
     Logger.info('Initializing services...');
 
-    // Initialize Gemini API
-    GeminiTranscriptionService.initialize();
-    Logger.info('✓ Gemini Transcription Service initialized');
+    // Initialize transcription providers (Gemini, fixture, ...)
+    TranscriptionProviderRegistry.initialize();
+    Logger.info('✓ Transcription providers initialized');
     
     // Initialize Supabase (optional)
     const supabaseInitialized = SupabaseClient.initialize();
@@ -49,6 +55,26 @@ async function initializeServices() {
     await TranscriptStreamService.initialize();
     Logger.info('✓ Transcript Stream Service initialized');
 
+    // Prune finished background jobs
+    JobQueue.start();
+    Logger.info('✓ Job Queue started');
+
+    // Initialize outbound webhooks
+    await WebhookService.initialize();
+    Logger.info('✓ Webhook Service initialized');
+
+    // Load recorded provider usage
+    await UsageService.initialize();
+    Logger.info('✓ Usage Service initialized');
+
+    // Load transcription glossaries
+    await GlossaryService.initialize();
+    Logger.info('✓ Glossary Service initialized');
+
+    // Initialize transcript search index
+    await SearchIndexService.initialize();
+    Logger.info('✓ Search Index Service initialized');
+
     // DISABLED: Automatic transcription functionality
     // The following services are disabled but code is preserved
     // Frontend will handle transcription requests via POST endpoints
@@ -128,6 +154,9 @@ async function startServer() {
     // Create HTTP server
     const server = http.createServer(app);
 
+    // Accept live audio over WebSocket on the same port
+    AudioIngestService.attach(server);
+
     // Start listening
     server.listen(PORT, () => {
       Logger.startupInfo(PORT, NODE_ENV);
@@ -154,8 +183,11 @@ async function startServer() {
 async function gracefulShutdown(server) {
   Logger.info('SIGTERM signal received: closing HTTP server');
 
+  // Open WebSockets would keep the server from closing
+  const ingestStopped = AudioIngestService.stop();
+
   // Stop accepting new connections
-  server.close(() => {
+  server.close(async () => {
     Logger.info('HTTP server closed');
     
     try {
@@ -167,9 +199,24 @@ async function gracefulShutdown(server) {
       // AudioFetchService.stop();
       // Logger.info('✓ Audio Fetch Service stopped');
 
-      TranscriptStreamService.stop();
+      await ingestStopped;
+      Logger.info('✓ Audio Ingest Service stopped');
+
+      await TranscriptStreamService.stop();
       Logger.info('✓ Transcript Stream Service stopped');
 
+      JobQueue.stop();
+      Logger.info('✓ Job Queue stopped');
+
+      await WebhookService.stop();
+      Logger.info('✓ Webhook Service stopped');
+
+      await UsageService.stop();
+      Logger.info('✓ Usage Service stopped');
+
+      await GlossaryService.stop();
+      Logger.info('✓ Glossary Service stopped');
+
       // ServiceMonitor.stop();
       // Logger.info('✓ Service Monitor stopped');
 
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const Logger = require('../utils/Logger');
 const AudioProcessor = require('../utils/AudioProcessor');
+const AudioContainer = require('../utils/AudioContainer');
 const BotPoolMonitor = require('./BotPoolMonitor');
 const { ExternalAPIError, withRetry } = require('../utils/ErrorHandler');
 
@@ -12,6 +13,9 @@ class AudioFetchService {
     this.isRunning = false;
     this.audioBuffers = new Map(); // botId -> { buffer, lastFetchTime, fingerprint }
     this.fetchPromises = new Map(); // botId -> Promise (to prevent duplicate fetches)
+    this.processedOffsets = new Map(); // legacyBotId -> end of last transcribed slice
+    this.overlapSeconds = parseFloat(process.env.AUDIO_OVERLAP_SECONDS) || 2;
+    this.minNewAudioSeconds = parseFloat(process.env.AUDIO_MIN_NEW_SECONDS) || 1;
     this.axios = null;
   }
 
@@ -50,6 +54,7 @@ class AudioFetchService {
     }
     this.audioBuffers.clear();
     this.fetchPromises.clear();
+    this.processedOffsets.clear();
     Logger.info('AudioFetchService stopped');
   }
 
@@ -102,6 +107,7 @@ class AudioFetchService {
         update.removedBots.forEach(legacyBotId => {
           this.audioBuffers.delete(legacyBotId);
           this.fetchPromises.delete(legacyBotId);
+          this.processedOffsets.delete(legacyBotId);
         });
       }
     }
@@ -185,6 +191,7 @@ class AudioFetchService {
 
       const duration = Date.now() - startTime;
       Logger.apiRequest('GET', `/audio-blob/${legacyBotId}`, 200, duration);
+      Logger.metric('audio_bytes_fetched', audioBuffer?.length || 0);
 
       // Simple check if audio has content (skip ffmpeg check)
       const hasContent = audioBuffer && audioBuffer.length > 1000; // At least 1KB
@@ -205,35 +212,49 @@ class AudioFetchService {
         return null;
       }
 
+      // Slice off the audio that has not been transcribed yet
+      const processedUntil = this.processedOffsets.get(legacyBotId) || null;
+      const slice = AudioContainer.sliceNewAudio(audioBuffer, processedUntil, this.overlapSeconds);
+
       // Process new audio - simplified metadata
       const metadata = {
-        duration: audioBuffer.length / (16000 * 2), // Estimate: 16kHz, 16-bit mono
+        duration: slice ? slice.endTime : audioBuffer.length / (16000 * 2), // Estimate: 16kHz, 16-bit mono
         size: audioBuffer.length,
-        format: 'wav'
+        format: slice ? slice.format : (AudioProcessor.detectAudioFormat(null, audioBuffer) || 'unknown')
       };
       
       Logger.info(`Audio metadata: duration ~${metadata.duration.toFixed(1)}s, size: ${metadata.size} bytes`);
       
       // Determine if this is incremental audio
-      const isIncremental = existingBuffer && 
-        audioBuffer.length > existingBuffer.buffer.length;
-
-      let incrementalBuffer = audioBuffer;
-      if (isIncremental && existingBuffer) {
-        // For incremental, use the full buffer for now (skip ffmpeg extraction)
-        // In production, would extract only new portion
-        Logger.info(`Incremental audio detected, using full buffer for processing`);
-        incrementalBuffer = audioBuffer;
+      const isIncremental = !!processedUntil && !!slice && slice.startTime > 0;
+
+      if (slice && slice.newDuration < this.minNewAudioSeconds) {
+        Logger.debug(`Not enough new audio for bot ${botId}`, {
+          newDuration: slice.newDuration.toFixed(2)
+        });
+        return null;
       }
 
+      if (!slice) {
+        // Unsupported container: no way to cut it without decoding, send everything
+        Logger.warn(`Cannot slice ${metadata.format} audio for bot ${botId}, using full buffer for processing`);
+      }
+
+      const incrementalBuffer = slice ? slice.buffer : audioBuffer;
+      const timeOffset = slice ? slice.startTime : 0;
+      const sliceEnd = slice ? slice.end : null;
+
       // Store the audio buffer
       this.audioBuffers.set(legacyBotId, {
         buffer: audioBuffer,
-        incrementalBuffer: isIncremental ? incrementalBuffer : audioBuffer,
+        incrementalBuffer,
+        timeOffset,
+        sliceEnd,
         lastFetchTime: new Date(),
         fingerprint,
         metadata,
         botId,
+        legacyBotId,
         meetingUrl,
         meetingDuration: bot.duration || 0 // Store meeting duration
       });
@@ -242,7 +263,9 @@ class AudioFetchService {
         size: audioBuffer.length,
         duration: metadata.duration,
         isIncremental,
-        incrementalDuration: metadata.duration
+        sliceSize: incrementalBuffer.length,
+        timeOffset: timeOffset.toFixed(2),
+        incrementalDuration: slice ? slice.endTime - slice.startTime : metadata.duration
       });
 
       return {
@@ -251,6 +274,8 @@ class AudioFetchService {
         meetingUrl,
         audioBuffer: incrementalBuffer,
         fullBuffer: audioBuffer,
+        timeOffset,
+        sliceEnd,
         metadata,
         isIncremental,
         timestamp: new Date(),
@@ -286,6 +311,17 @@ class AudioFetchService {
     }
   }
 
+  /**
+   * Record that a slice has been transcribed, so the next fetch
+   * only returns audio after it (plus the overlap window)
+   * @param {string} legacyBotId - Legacy bot ID
+   * @param {Object|null} sliceEnd - `sliceEnd` of the processed audio data
+   */
+  markProcessed(legacyBotId, sliceEnd) {
+    if (!sliceEnd) return;
+    this.processedOffsets.set(legacyBotId, sliceEnd);
+  }
+
   /**
    * Get audio buffer for a bot
    * @param {string} legacyBotId - Legacy bot ID
@@ -316,6 +352,7 @@ class AudioFetchService {
         botId: buffer.botId,
         size: buffer.buffer.length,
         duration: buffer.metadata?.duration || 0,
+        processedUntil: this.processedOffsets.get(id)?.time || 0,
         lastFetchTime: buffer.lastFetchTime
       }))
     };
@@ -332,6 +369,7 @@ class AudioFetchService {
     for (const [legacyBotId, buffer] of this.audioBuffers.entries()) {
       if (now - buffer.lastFetchTime.getTime() > maxAge) {
         this.audioBuffers.delete(legacyBotId);
+        this.processedOffsets.delete(legacyBotId);
         cleaned++;
       }
     }
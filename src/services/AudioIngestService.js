@@ -0,0 +1,529 @@
+const { WebSocketServer } = require('ws');
+const Logger = require('../utils/Logger');
+const AudioContainer = require('../utils/AudioContainer');
+const AudioProcessor = require('../utils/AudioProcessor');
+const TranscriptStreamService = require('./TranscriptStreamService');
+const AuthService = require('./AuthService');
+
+const INGEST_PATH = /^\/api\/ingest\/([^/]+)\/?$/;
+const ENCODINGS = ['pcm_s16le', 'opus'];
+
+/**
+ * Receives live audio over WebSocket and feeds it to the transcript
+ * sessions in windows.
+ *
+ *   ws://host/api/ingest/:sessionId?encoding=pcm_s16le&sampleRate=16000&channels=1
+ *
+ * Binary messages carry audio: raw 16-bit little-endian PCM, or chunks of an
+ * Opus container stream (WebM/Ogg, e.g. from MediaRecorder) with encoding=opus,
+ * which are decoded to PCM as they arrive so both encodings share the windowing.
+ * Text messages carry JSON control commands: {"type":"flush"} and {"type":"stop"}.
+ * A session whose client disconnects without "stop" is stopped if the client does
+ * not reconnect within INGEST_RECONNECT_SECONDS; so are active ingest sessions
+ * restored after a restart.
+ * When auth is enabled the client needs the transcribe:write scope, passed as an
+ * Authorization/X-API-Key header or an access_token query parameter.
+ */
+class AudioIngestService {
+  constructor() {
+    this.windowSeconds = parseFloat(process.env.INGEST_WINDOW_SECONDS) || 5;
+    this.minWindowSeconds = 0.5;
+    this.overlapSeconds = parseFloat(process.env.AUDIO_OVERLAP_SECONDS) || 2;
+    this.maxBufferedBytes = (parseInt(process.env.INGEST_MAX_BUFFER_MB) || 20) * 1024 * 1024;
+    this.reconnectSeconds = parseFloat(process.env.INGEST_RECONNECT_SECONDS) || 60;
+    this.wss = null;
+    this.connections = new Map(); // sessionId -> connection state
+    this.reconnectTimers = new Map(); // sessionId -> timer stopping a disconnected session
+    this.heartbeat = null;
+    this.stats = {
+      totalConnections: 0,
+      bytesReceived: 0,
+      windowsTranscribed: 0,
+      windowsFailed: 0
+    };
+  }
+
+  /**
+   * Accept WebSocket upgrades for /api/ingest/:sessionId on an HTTP server
+   * @param {http.Server} server - HTTP server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+
+    server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.connections.forEach(connection => {
+        if (!connection.isAlive) {
+          connection.ws.terminate();
+          return;
+        }
+        connection.isAlive = false;
+        connection.ws.ping();
+      });
+    }, 30000);
+
+    this.scheduleRestoredSessionStops();
+
+    Logger.info('AudioIngestService listening for WebSocket audio on /api/ingest/:sessionId', {
+      windowSeconds: this.windowSeconds
+    });
+  }
+
+  /**
+   * Give clients of active ingest sessions restored from the session store
+   * INGEST_RECONNECT_SECONDS to reconnect after a restart
+   */
+  scheduleRestoredSessionStops() {
+    TranscriptStreamService.transcriptSessions.forEach(session => {
+      if (session.source === 'ingest' && session.status === 'active' && !this.connections.has(session.sessionId)) {
+        this.scheduleSessionStop(session.sessionId);
+      }
+    });
+  }
+
+  /**
+   * Validate an upgrade request and open the ingest connection
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(INGEST_PATH);
+    if (!match) {
+      return this.rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const sessionId = decodeURIComponent(match[1]);
+    const params = url.searchParams;
+
+    let principal;
+    try {
+      principal = AuthService.authenticate(req.headers, params.get('access_token'));
+    } catch (error) {
+      return this.rejectUpgrade(socket, 401, error.message);
+    }
+    if (!AuthService.hasScope(principal, ['transcribe:write'])) {
+      return this.rejectUpgrade(socket, 403, 'Missing required scope: transcribe:write');
+    }
+
+    const encoding = params.get('encoding') || 'pcm_s16le';
+    const sampleRate = parseInt(params.get('sampleRate')) || 16000;
+    const channels = parseInt(params.get('channels')) || 1;
+
+    if (!ENCODINGS.includes(encoding)) {
+      return this.rejectUpgrade(socket, 400, `encoding must be one of: ${ENCODINGS.join(', ')}`);
+    }
+    if (sampleRate < 8000 || sampleRate > 48000 || channels < 1 || channels > 2) {
+      return this.rejectUpgrade(socket, 400, 'Unsupported sampleRate or channels');
+    }
+    if (this.connections.has(sessionId)) {
+      return this.rejectUpgrade(socket, 409, 'Session already has an ingest connection');
+    }
+
+    const existing = TranscriptStreamService.transcriptSessions.get(sessionId);
+    if (existing && existing.status !== 'active') {
+      return this.rejectUpgrade(socket, 409, 'Session is stopped');
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      if (!existing) {
+        TranscriptStreamService.createSession(
+          params.get('botId') || null,
+          params.get('legacyBotId') || null,
+          params.get('meetingUrl') || null,
+          { sessionId, source: 'ingest' }
+        );
+      }
+
+      this.openConnection(ws, sessionId, { encoding, sampleRate, channels });
+    });
+  }
+
+  /**
+   * Answer a rejected upgrade with a plain HTTP error
+   * @param {net.Socket} socket - Client socket
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  rejectUpgrade(socket, status, message) {
+    Logger.warn(`Rejected ingest connection: ${message}`, { status });
+    socket.write(
+      `HTTP/1.1 ${status} ${message}\r\n` +
+      'Connection: close\r\n' +
+      'Content-Type: text/plain\r\n' +
+      `Content-Length: ${Buffer.byteLength(message)}\r\n\r\n` +
+      message
+    );
+    socket.destroy();
+  }
+
+  /**
+   * Set up state and handlers for an accepted connection
+   * @param {WebSocket} ws - WebSocket
+   * @param {string} sessionId - Transcript session ID
+   * @param {Object} format - { encoding, sampleRate, channels }
+   */
+  openConnection(ws, sessionId, format) {
+    const session = TranscriptStreamService.transcriptSessions.get(sessionId);
+    const connection = {
+      sessionId,
+      ws,
+      format: {
+        ...format,
+        bitsPerSample: 16,
+        byteRate: format.sampleRate * format.channels * 2,
+        blockAlign: format.channels * 2
+      },
+      chunks: [], // decoded PCM waiting to be transcribed
+      bufferedBytes: 0,
+      decoder: null, // ffmpeg decoder for compressed encodings
+      overlap: Buffer.alloc(0), // tail of the previous PCM window
+      // A resumed session continues where its transcript ended
+      processedSeconds: session?.duration || 0,
+      processing: null,
+      isAlive: true,
+      connectedAt: new Date(),
+      bytesReceived: 0,
+      windows: 0
+    };
+
+    this.connections.set(sessionId, connection);
+    this.stats.totalConnections++;
+
+    // The client is back; keep the session
+    clearTimeout(this.reconnectTimers.get(sessionId));
+    this.reconnectTimers.delete(sessionId);
+
+    if (format.encoding !== 'pcm_s16le') {
+      this.startDecoder(connection);
+    }
+
+    ws.on('pong', () => {
+      connection.isAlive = true;
+    });
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        this.handleAudio(connection, data);
+      } else {
+        this.handleControl(connection, data.toString());
+      }
+    });
+    ws.on('close', () => this.closeConnection(connection));
+    ws.on('error', error => {
+      Logger.error(`Ingest connection error for session ${sessionId}:`, {
+        error: error.message
+      });
+    });
+
+    Logger.info(`Ingest connection opened for session ${sessionId}`, format);
+    this.send(connection, {
+      type: 'ready',
+      sessionId,
+      encoding: format.encoding,
+      windowSeconds: this.windowSeconds,
+      timeOffset: connection.processedSeconds
+    });
+  }
+
+  /**
+   * Decode the compressed stream of a connection to PCM as it arrives
+   * @param {Object} connection - Connection state
+   */
+  startDecoder(connection) {
+    const { sampleRate, channels } = connection.format;
+    const decoder = AudioProcessor.createPcmDecoder({ sampleRate, channels });
+
+    decoder.output.on('data', pcm => this.bufferPcm(connection, pcm));
+    decoder.finished.catch(error => {
+      Logger.error(`Failed to decode ingest audio for session ${connection.sessionId}:`, {
+        error: error.message
+      });
+      this.send(connection, { type: 'error', message: 'Audio could not be decoded' });
+      connection.ws.close(1003, 'Audio could not be decoded');
+    });
+
+    connection.decoder = decoder;
+  }
+
+  /**
+   * Handle received audio
+   * @param {Object} connection - Connection state
+   * @param {Buffer} data - Audio data
+   */
+  handleAudio(connection, data) {
+    connection.bytesReceived += data.length;
+    this.stats.bytesReceived += data.length;
+
+    if (!connection.decoder) {
+      this.bufferPcm(connection, data);
+    } else if (!connection.decoder.input.writableEnded) {
+      connection.decoder.input.write(data);
+    }
+  }
+
+  /**
+   * Buffer PCM audio and transcribe once a window is full
+   * @param {Object} connection - Connection state
+   * @param {Buffer} pcm - 16-bit PCM in the connection format
+   */
+  bufferPcm(connection, pcm) {
+    connection.chunks.push(pcm);
+    connection.bufferedBytes += pcm.length;
+
+    // Transcription is falling too far behind the incoming audio
+    if (connection.bufferedBytes > this.maxBufferedBytes) {
+      this.send(connection, { type: 'error', message: 'Ingest buffer full' });
+      connection.ws.close(1013, 'Ingest buffer full');
+      return;
+    }
+
+    this.processWindow(connection);
+  }
+
+  /**
+   * Handle a JSON control message
+   * @param {Object} connection - Connection state
+   * @param {string} message - Raw message
+   */
+  async handleControl(connection, message) {
+    let command;
+    try {
+      command = JSON.parse(message);
+    } catch (error) {
+      this.send(connection, { type: 'error', message: 'Control messages must be JSON' });
+      return;
+    }
+
+    switch (command.type) {
+      case 'flush':
+        this.processWindow(connection, true);
+        break;
+      case 'stop':
+        await this.drain(connection);
+        TranscriptStreamService.stopSession(connection.sessionId);
+        connection.ws.close(1000, 'Session stopped');
+        break;
+      default:
+        this.send(connection, { type: 'error', message: `Unknown control message type: ${command.type}` });
+    }
+  }
+
+  /**
+   * Start transcribing the buffered audio if a window is complete and
+   * the previous window is done. Audio keeps buffering while a window is
+   * being transcribed, so a slow provider gets larger windows instead of a backlog.
+   * @param {Object} connection - Connection state
+   * @param {boolean} force - Transcribe a partial window
+   */
+  processWindow(connection, force = false) {
+    if (connection.processing) return;
+
+    const required = force ? this.minWindowSeconds : this.windowSeconds;
+    if (this.bufferedSeconds(connection) < required) return;
+
+    const window = this.takeWindow(connection);
+    connection.processing = this.transcribeWindow(connection, window).finally(() => {
+      connection.processing = null;
+      if (this.connections.get(connection.sessionId) === connection) {
+        this.processWindow(connection);
+      }
+    });
+  }
+
+  /**
+   * Transcribe whatever is still buffered (on stop or disconnect)
+   * @param {Object} connection - Connection state
+   */
+  async drain(connection) {
+    // Let the decoder emit the audio it still holds
+    if (connection.decoder) {
+      connection.decoder.input.end();
+      await connection.decoder.finished.catch(() => {});
+    }
+
+    while (connection.processing) {
+      await connection.processing;
+    }
+
+    if (this.bufferedSeconds(connection) >= this.minWindowSeconds) {
+      await this.transcribeWindow(connection, this.takeWindow(connection));
+    }
+  }
+
+  /**
+   * Seconds of audio waiting to be transcribed
+   * @param {Object} connection - Connection state
+   * @returns {number} Buffered seconds
+   */
+  bufferedSeconds(connection) {
+    return connection.bufferedBytes / connection.format.byteRate;
+  }
+
+  /**
+   * Remove the buffered audio and package it as a self-contained file
+   * @param {Object} connection - Connection state
+   * @returns {Object} { buffer, startTime, endTime }
+   */
+  takeWindow(connection) {
+    const data = Buffer.concat(connection.chunks);
+    const { format } = connection;
+
+    // Keep a partial sample frame for the next window
+    const usable = data.length - (data.length % format.blockAlign);
+    connection.chunks = usable < data.length ? [data.slice(usable)] : [];
+    connection.bufferedBytes = data.length - usable;
+
+    // Prefix the tail of the previous window so words cut at the boundary are heard again
+    const pcm = Buffer.concat([connection.overlap, data.slice(0, usable)]);
+    const startTime = connection.processedSeconds - connection.overlap.length / format.byteRate;
+    const overlapBytes = Math.floor((this.overlapSeconds * format.byteRate) / format.blockAlign) * format.blockAlign;
+
+    connection.overlap = pcm.slice(Math.max(0, pcm.length - overlapBytes));
+    connection.processedSeconds += usable / format.byteRate;
+
+    return {
+      buffer: AudioContainer.buildWav(pcm, format),
+      startTime,
+      endTime: connection.processedSeconds
+    };
+  }
+
+  /**
+   * Transcribe one window into the session and report back to the client
+   * @param {Object} connection - Connection state
+   * @param {Object} window - { buffer, startTime, endTime }
+   */
+  async transcribeWindow(connection, window) {
+    const { sessionId } = connection;
+
+    try {
+      const segments = await TranscriptStreamService.transcribeIntoSession(sessionId, window.buffer, {
+        timeOffset: window.startTime
+      });
+
+      connection.windows++;
+      this.stats.windowsTranscribed++;
+      this.send(connection, {
+        type: 'window_transcribed',
+        startTime: window.startTime,
+        endTime: window.endTime,
+        segments: segments.length
+      });
+    } catch (error) {
+      this.stats.windowsFailed++;
+      Logger.error(`Failed to transcribe ingest window for session ${sessionId}:`, {
+        error: error.message,
+        startTime: window.startTime,
+        endTime: window.endTime
+      });
+      this.send(connection, {
+        type: 'error',
+        message: error.message,
+        startTime: window.startTime,
+        endTime: window.endTime
+      });
+    }
+  }
+
+  /**
+   * Clean up a closed connection, transcribing its remaining audio
+   * @param {Object} connection - Connection state
+   * @returns {Promise} Resolves when the remaining audio has been transcribed
+   */
+  closeConnection(connection) {
+    if (!connection.closing) {
+      connection.closing = this.drain(connection).finally(() => {
+        if (this.connections.get(connection.sessionId) === connection) {
+          this.connections.delete(connection.sessionId);
+          this.scheduleSessionStop(connection.sessionId);
+        }
+        Logger.info(`Ingest connection closed for session ${connection.sessionId}`, {
+          bytesReceived: connection.bytesReceived,
+          windows: connection.windows
+        });
+      });
+    }
+    return connection.closing;
+  }
+
+  /**
+   * Stop a session unless its client reconnects within INGEST_RECONNECT_SECONDS
+   * @param {string} sessionId - Session ID
+   */
+  scheduleSessionStop(sessionId) {
+    if (TranscriptStreamService.transcriptSessions.get(sessionId)?.status !== 'active') return;
+
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(sessionId);
+      if (!this.connections.has(sessionId)) {
+        Logger.info(`Ingest client for session ${sessionId} did not reconnect, stopping session`);
+        TranscriptStreamService.stopSession(sessionId);
+      }
+    }, this.reconnectSeconds * 1000);
+    timer.unref();
+
+    this.reconnectTimers.set(sessionId, timer);
+  }
+
+  /**
+   * Send a JSON message to the client if it is still connected
+   * @param {Object} connection - Connection state
+   * @param {Object} message - Message
+   */
+  send(connection, message) {
+    if (connection.ws.readyState !== connection.ws.OPEN) return;
+    connection.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Service statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      activeConnections: this.connections.size,
+      windowSeconds: this.windowSeconds,
+      connections: Array.from(this.connections.values()).map(connection => ({
+        sessionId: connection.sessionId,
+        encoding: connection.format.encoding,
+        connectedAt: connection.connectedAt,
+        bytesReceived: connection.bytesReceived,
+        bufferedSeconds: Number(this.bufferedSeconds(connection).toFixed(2)),
+        processedSeconds: Number(connection.processedSeconds.toFixed(2)),
+        windows: connection.windows
+      }))
+    };
+  }
+
+  /**
+   * Close all ingest connections and wait for their remaining audio
+   * @returns {Promise} Resolves when buffered audio has been transcribed
+   */
+  async stop() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    await Promise.allSettled(Array.from(this.connections.values()).map(connection => {
+      connection.ws.close(1001, 'Server shutting down');
+      return this.closeConnection(connection);
+    }));
+
+    // Active sessions are stopped by TranscriptStreamService.stop()
+    this.reconnectTimers.forEach(timer => clearTimeout(timer));
+    this.reconnectTimers.clear();
+
+    if (this.wss) {
+      this.wss.close();
+    }
+
+    Logger.info('AudioIngestService stopped');
+  }
+}
+
+module.exports = new AudioIngestService();
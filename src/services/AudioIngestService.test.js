@@ -0,0 +1,123 @@
+process.env.LOG_LEVEL = 'error';
+
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const AudioIngestService = require('./AudioIngestService');
+const TranscriptStreamService = require('./TranscriptStreamService');
+const AudioProcessor = require('../utils/AudioProcessor');
+const AudioContainer = require('../utils/AudioContainer');
+
+const SAMPLE_RATE = 16000;
+const BYTE_RATE = SAMPLE_RATE * 2;
+
+/**
+ * WebSocket stand-in that records what the service sends
+ * @returns {Object} Fake WebSocket
+ */
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.OPEN = 1;
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = message => ws.sent.push(JSON.parse(message));
+  ws.ping = () => ws.emit('pong');
+  ws.close = () => {
+    ws.readyState = 3;
+    ws.emit('close');
+  };
+  return ws;
+}
+
+/**
+ * Open an ingest connection for a new session
+ * @param {string} sessionId - Session ID
+ * @param {string} encoding - Audio encoding
+ * @returns {Object} Connection state
+ */
+function connect(sessionId, encoding = 'pcm_s16le') {
+  TranscriptStreamService.createSession(null, null, null, { sessionId, source: 'ingest' });
+  AudioIngestService.openConnection(fakeSocket(), sessionId, { encoding, sampleRate: SAMPLE_RATE, channels: 1 });
+  return AudioIngestService.connections.get(sessionId);
+}
+
+describe('AudioIngestService', () => {
+  let windows;
+
+  beforeEach(() => {
+    windows = [];
+    jest.spyOn(TranscriptStreamService, 'transcribeIntoSession').mockImplementation(async (sessionId, buffer, { timeOffset }) => {
+      windows.push({ seconds: AudioContainer.parseWavHeader(buffer).dataLength / BYTE_RATE, timeOffset });
+      return [];
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await AudioIngestService.stop();
+    TranscriptStreamService.transcriptSessions.clear();
+  });
+
+  test('windows decoded opus audio by its duration, not by arrival time', async () => {
+    const decoder = { input: new PassThrough(), output: new PassThrough() };
+    decoder.finished = new Promise(resolve => decoder.input.on('finish', () => {
+      decoder.output.end();
+      resolve();
+    }));
+    decoder.input.on('data', () => decoder.output.write(Buffer.alloc(BYTE_RATE))); // every chunk decodes to 1 s
+    jest.spyOn(AudioProcessor, 'createPcmDecoder').mockReturnValue(decoder);
+
+    const connection = connect('opus-1', 'opus');
+    for (let i = 0; i < 7; i++) {
+      AudioIngestService.handleAudio(connection, Buffer.from(`chunk ${i}`));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await AudioIngestService.closeConnection(connection);
+
+    expect(windows).toEqual([
+      { seconds: 5, timeOffset: 0 },
+      { seconds: 4, timeOffset: 3 }
+    ]);
+  });
+
+  test('stops a session whose client does not reconnect', async () => {
+    jest.useFakeTimers();
+    const connection = connect('pcm-1');
+
+    connection.ws.close();
+    await connection.closing;
+    expect(TranscriptStreamService.transcriptSessions.get('pcm-1').status).toBe('active');
+
+    jest.advanceTimersByTime(AudioIngestService.reconnectSeconds * 1000);
+    expect(TranscriptStreamService.transcriptSessions.get('pcm-1').status).toBe('stopped');
+    jest.useRealTimers();
+  });
+
+  test('keeps a session whose client reconnects', async () => {
+    jest.useFakeTimers();
+    const connection = connect('pcm-2');
+
+    connection.ws.close();
+    await connection.closing;
+    AudioIngestService.openConnection(fakeSocket(), 'pcm-2', { encoding: 'pcm_s16le', sampleRate: SAMPLE_RATE, channels: 1 });
+    jest.advanceTimersByTime(AudioIngestService.reconnectSeconds * 1000);
+
+    expect(TranscriptStreamService.transcriptSessions.get('pcm-2').status).toBe('active');
+    jest.useRealTimers();
+  });
+
+  test('stops restored ingest sessions whose client does not reconnect after a restart', () => {
+    jest.useFakeTimers();
+    TranscriptStreamService.createSession(null, null, null, { sessionId: 'restored-1', source: 'ingest' });
+    TranscriptStreamService.createSession(null, null, null, { sessionId: 'restored-2', source: 'ingest' });
+    TranscriptStreamService.createSession('bot-1', 'legacy-1', null, { sessionId: 'bot-session' });
+
+    AudioIngestService.attach(new EventEmitter());
+    AudioIngestService.openConnection(fakeSocket(), 'restored-2', { encoding: 'pcm_s16le', sampleRate: SAMPLE_RATE, channels: 1 });
+    jest.advanceTimersByTime(AudioIngestService.reconnectSeconds * 1000);
+
+    expect(TranscriptStreamService.transcriptSessions.get('restored-1').status).toBe('stopped');
+    expect(TranscriptStreamService.transcriptSessions.get('restored-2').status).toBe('active');
+    expect(TranscriptStreamService.transcriptSessions.get('bot-session').status).toBe('active');
+    jest.useRealTimers();
+  });
+});
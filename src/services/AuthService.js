@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Logger = require('../utils/Logger');
+const { AuthenticationError } = require('../utils/ErrorHandler');
+
+const SCOPES = [
+  'transcribe:write',
+  'transcripts:read',
+  'transcripts:write',
+  'pii:read',
+  'webhooks:manage',
+  'glossaries:manage',
+  'status:read',
+  'admin'
+];
+
+/**
+ * Authenticates callers with API keys or bearer JWTs and checks their scopes.
+ *
+ * API keys are configured as SHA-256 hashes, so the plain keys never live in the
+ * environment:
+ *   API_KEYS=[{"id":"meeting-bot","keyHash":"<sha256 hex>","scopes":["transcribe:write"]}]
+ *
+ * JWTs are verified with JWT_SECRET (HS256) or JWT_PUBLIC_KEY (RS256/ES256) and
+ * carry their scopes in a space-separated `scope` claim or a `scopes` array.
+ * The `admin` scope grants every other scope.
+ *
+ * Authentication is always on; only AUTH_DISABLED=true lets anonymous callers in
+ * (local development and tests). Without API keys or a JWT key, every request is rejected.
+ */
+class AuthService {
+  constructor() {
+    this.enabled = process.env.AUTH_DISABLED !== 'true';
+    this.apiKeys = this.parseApiKeys(process.env.API_KEYS);
+    this.jwtKey = process.env.JWT_PUBLIC_KEY
+      ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n')
+      : process.env.JWT_SECRET || null;
+    this.jwtOptions = {
+      algorithms: process.env.JWT_PUBLIC_KEY ? ['RS256', 'ES256'] : ['HS256'],
+      ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+      ...(process.env.JWT_AUDIENCE && { audience: process.env.JWT_AUDIENCE })
+    };
+
+    if (!this.enabled) {
+      Logger.warn('AUTH_DISABLED is set; API requests are not authenticated');
+    } else if (this.apiKeys.size === 0 && !this.jwtKey) {
+      Logger.warn('Neither API_KEYS nor JWT_SECRET/JWT_PUBLIC_KEY is configured; all API requests will be rejected (set AUTH_DISABLED=true to run without authentication)');
+    }
+  }
+
+  /**
+   * Parse the API_KEYS configuration
+   * @param {string} value - JSON array of { id, keyHash, scopes }
+   * @returns {Map<string, Object>} keyHash -> { id, scopes }
+   */
+  parseApiKeys(value) {
+    const keys = new Map();
+    if (!value) return keys;
+
+    let entries;
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      Logger.error('API_KEYS is not valid JSON, no API keys configured', { error: error.message });
+      return keys;
+    }
+
+    (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+      const keyHash = String(entry.keyHash || '').toLowerCase();
+      if (!/^[a-f0-9]{64}$/.test(keyHash)) {
+        Logger.error(`Ignoring API key ${entry.id || index}: keyHash must be a SHA-256 hex digest`);
+        return;
+      }
+
+      keys.set(keyHash, {
+        id: entry.id || `key-${index + 1}`,
+        scopes: Array.isArray(entry.scopes) ? entry.scopes : []
+      });
+    });
+
+    return keys;
+  }
+
+  /**
+   * Hash an API key the way API_KEYS expects it
+   * @param {string} apiKey - Plain API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Identify the caller of a request
+   * @param {Object} headers - Request headers (lower-cased names)
+   * @param {string|null} queryToken - access_token query parameter (SSE and WebSocket clients
+   *   can't send headers)
+   * @returns {Object} Principal { id, type, scopes }
+   */
+  authenticate(headers, queryToken = null) {
+    if (!this.enabled) {
+      return { id: 'anonymous', type: 'none', scopes: ['admin'] };
+    }
+
+    const authorization = headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i)?.[1];
+    const credential = headers['x-api-key'] || bearer || queryToken;
+
+    if (!credential) {
+      throw new AuthenticationError();
+    }
+
+    // JWTs have three dot-separated parts; anything else is treated as an API key
+    if (credential.split('.').length === 3) {
+      return this.verifyJwt(credential);
+    }
+    return this.verifyApiKey(credential);
+  }
+
+  /**
+   * Look up an API key
+   * @param {string} apiKey - Plain API key
+   * @returns {Object} Principal
+   */
+  verifyApiKey(apiKey) {
+    const key = this.apiKeys.get(this.hashApiKey(apiKey));
+    if (!key) {
+      throw new AuthenticationError('Invalid API key');
+    }
+
+    return { id: key.id, type: 'api_key', scopes: key.scopes };
+  }
+
+  /**
+   * Verify a bearer JWT
+   * @param {string} token - Encoded JWT
+   * @returns {Object} Principal
+   */
+  verifyJwt(token) {
+    if (!this.jwtKey) {
+      throw new AuthenticationError('Bearer tokens are not accepted');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.jwtKey, this.jwtOptions);
+    } catch (error) {
+      throw new AuthenticationError(`Invalid token: ${error.message}`);
+    }
+
+    const scopes = Array.isArray(claims.scopes)
+      ? claims.scopes
+      : String(claims.scope || '').split(' ').filter(Boolean);
+
+    return { id: claims.sub || 'jwt', type: 'jwt', scopes };
+  }
+
+  /**
+   * Check whether a principal holds at least one of the scopes
+   * @param {Object} principal - Principal from authenticate()
+   * @param {Array<string>} scopes - Accepted scopes
+   * @returns {boolean} Access granted
+   */
+  hasScope(principal, scopes) {
+    return principal.scopes.includes('admin') || scopes.some(scope => principal.scopes.includes(scope));
+  }
+
+  /**
+   * Get auth configuration for the status endpoint
+   * @returns {Object} Configuration without secrets
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      apiKeys: this.apiKeys.size,
+      jwt: !!this.jwtKey
+    };
+  }
+}
+
+module.exports = new AuthService();
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,131 @@
+process.env.LOG_LEVEL = 'error';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const AUTH_ENV = ['AUTH_DISABLED', 'API_KEYS', 'JWT_SECRET', 'JWT_PUBLIC_KEY', 'JWT_ISSUER', 'JWT_AUDIENCE'];
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const loadAuthService = env => {
+  const saved = { ...process.env };
+  AUTH_ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+
+  let service;
+  jest.isolateModules(() => {
+    service = require('./AuthService');
+  });
+
+  process.env = saved;
+  return service;
+};
+
+const thrown = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('AuthService configuration', () => {
+  test('is on without any configuration and rejects every request', () => {
+    const service = loadAuthService({});
+
+    expect(service.enabled).toBe(true);
+    expect(thrown(() => service.authenticate({}))).toMatchObject({ type: 'AuthenticationError', statusCode: 401 });
+    expect(thrown(() => service.authenticate({ 'x-api-key': 'some-key' }))).toMatchObject({ message: 'Invalid API key' });
+  });
+
+  test('is on as soon as API keys or a JWT key are configured', () => {
+    expect(loadAuthService({ API_KEYS: JSON.stringify([{ keyHash: sha256('key'), scopes: [] }]) }).enabled).toBe(true);
+    expect(loadAuthService({ JWT_SECRET: 'secret' }).enabled).toBe(true);
+  });
+
+  test('only lets anonymous callers in with AUTH_DISABLED=true', () => {
+    expect(loadAuthService({ AUTH_DISABLED: 'false', JWT_SECRET: 'secret' }).enabled).toBe(true);
+
+    const service = loadAuthService({ AUTH_DISABLED: 'true' });
+    expect(service.authenticate({})).toEqual({ id: 'anonymous', type: 'none', scopes: ['admin'] });
+  });
+});
+
+describe('AuthService API keys', () => {
+  const service = loadAuthService({
+    API_KEYS: JSON.stringify([
+      { id: 'meeting-bot', keyHash: sha256('bot-key').toUpperCase(), scopes: ['transcribe:write'] },
+      { id: 'plain', keyHash: 'bot-key', scopes: ['admin'] }
+    ])
+  });
+
+  test('looks keys up by their SHA-256 hash', () => {
+    const principal = { id: 'meeting-bot', type: 'api_key', scopes: ['transcribe:write'] };
+
+    expect(service.authenticate({ 'x-api-key': 'bot-key' })).toEqual(principal);
+    expect(service.authenticate({ authorization: 'Bearer bot-key' })).toEqual(principal);
+    expect(service.authenticate({}, 'bot-key')).toEqual(principal);
+  });
+
+  test('ignores entries whose keyHash is not a SHA-256 digest', () => {
+    expect(service.apiKeys.size).toBe(1);
+    expect(thrown(() => service.authenticate({ 'x-api-key': sha256('bot-key') }))).toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('AuthService JWTs', () => {
+  const secret = 'jwt-test-secret';
+  const service = loadAuthService({ JWT_SECRET: secret, JWT_ISSUER: 'https://issuer.example', JWT_AUDIENCE: 'transcripts' });
+  const sign = (claims, options = {}) => jwt.sign(claims, secret, {
+    issuer: 'https://issuer.example',
+    audience: 'transcripts',
+    subject: 'user-1',
+    ...options
+  });
+
+  test('reads scopes from the scope claim or the scopes array', () => {
+    expect(service.authenticate({ authorization: `Bearer ${sign({ scope: 'transcripts:read pii:read' })}` }))
+      .toEqual({ id: 'user-1', type: 'jwt', scopes: ['transcripts:read', 'pii:read'] });
+    expect(service.authenticate({ authorization: `Bearer ${sign({ scopes: ['admin'] })}` }).scopes).toEqual(['admin']);
+  });
+
+  test('rejects tokens signed with another algorithm', () => {
+    const hs512 = sign({ scope: 'admin' }, { algorithm: 'HS512' });
+    const unsigned = jwt.sign({ scope: 'admin', iss: 'https://issuer.example', aud: 'transcripts' }, null, { algorithm: 'none' });
+
+    expect(thrown(() => service.authenticate({ authorization: `Bearer ${hs512}` }))).toMatchObject({ message: 'Invalid token: invalid algorithm' });
+    expect(thrown(() => service.authenticate({ authorization: `Bearer ${unsigned}` }))).toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects tokens of another issuer or audience', () => {
+    expect(thrown(() => service.authenticate({ authorization: `Bearer ${sign({}, { issuer: 'https://other.example' })}` })))
+      .toMatchObject({ statusCode: 401, message: expect.stringContaining('jwt issuer invalid') });
+    expect(thrown(() => service.authenticate({ authorization: `Bearer ${sign({}, { audience: 'billing' })}` })))
+      .toMatchObject({ statusCode: 401, message: expect.stringContaining('jwt audience invalid') });
+  });
+
+  test('rejects expired tokens and tokens with another secret', () => {
+    const expired = sign({ scope: 'admin', exp: Math.floor(Date.now() / 1000) - 60 });
+    const forged = jwt.sign({ scope: 'admin' }, 'other-secret', { issuer: 'https://issuer.example', audience: 'transcripts' });
+
+    expect(thrown(() => service.authenticate({ authorization: `Bearer ${expired}` }))).toMatchObject({ message: 'Invalid token: jwt expired' });
+    expect(thrown(() => service.authenticate({ authorization: `Bearer ${forged}` }))).toMatchObject({ message: 'Invalid token: invalid signature' });
+  });
+
+  test('does not accept bearer tokens without a JWT key', () => {
+    const keysOnly = loadAuthService({ API_KEYS: '[]' });
+
+    expect(thrown(() => keysOnly.authenticate({ authorization: `Bearer ${sign({ scope: 'admin' })}` })))
+      .toMatchObject({ message: 'Bearer tokens are not accepted' });
+  });
+});
+
+describe('AuthService.hasScope', () => {
+  const service = loadAuthService({ AUTH_DISABLED: 'true' });
+
+  test('accepts any of the scopes, and admin for all of them', () => {
+    expect(service.hasScope({ scopes: ['transcripts:write'] }, ['transcripts:read', 'transcripts:write'])).toBe(true);
+    expect(service.hasScope({ scopes: ['transcripts:read'] }, ['pii:read'])).toBe(false);
+    expect(service.hasScope({ scopes: ['admin'] }, ['pii:read'])).toBe(true);
+  });
+});
@@ -0,0 +1,439 @@
+const Logger = require('../utils/Logger');
+const AudioProcessor = require('../utils/AudioProcessor');
+const UsageService = require('./UsageService');
+const { AppError, RateLimitError } = require('../utils/ErrorHandler');
+
+const GENERIC_SPEAKER = /^Speaker (\d+)$/;
+const MIN_MATCH_WORDS = 2;
+const MAX_EDGE_WORDS = 2; // Words cut in half at a chunk edge that may not match
+const MAX_OVERLAP_WORDS = 60;
+
+/**
+ * Transcribes long recordings in overlapping chunks and merges the results.
+ *
+ * Audio longer than TRANSCRIBE_CHUNK_THRESHOLD_SECONDS is split into chunks of
+ * TRANSCRIBE_CHUNK_SECONDS that overlap by TRANSCRIBE_CHUNK_OVERLAP_SECONDS.
+ * Each chunk is transcribed on its own; when merging, the words transcribed twice
+ * in an overlap are dropped and the chunk's speaker labels are mapped onto the
+ * labels used so far, so "Speaker 2" is the same person throughout.
+ *
+ * When AudioProcessor can detect speech, recordings without speech aren't sent to
+ * the provider at all, leading and trailing silence is trimmed and chunks end in pauses.
+ */
+class ChunkedTranscriptionService {
+  constructor() {
+    this.thresholdSeconds = parseFloat(process.env.TRANSCRIBE_CHUNK_THRESHOLD_SECONDS) || 900;
+    this.chunkSeconds = parseFloat(process.env.TRANSCRIBE_CHUNK_SECONDS) || 300;
+    this.overlapSeconds = process.env.TRANSCRIBE_CHUNK_OVERLAP_SECONDS !== undefined
+      ? parseFloat(process.env.TRANSCRIBE_CHUNK_OVERLAP_SECONDS) || 0
+      : 5;
+
+    if (this.overlapSeconds >= this.chunkSeconds / 2) {
+      Logger.warn(`TRANSCRIBE_CHUNK_OVERLAP_SECONDS must be less than half of TRANSCRIBE_CHUNK_SECONDS, using ${this.chunkSeconds / 4}s`);
+      this.overlapSeconds = this.chunkSeconds / 4;
+    }
+  }
+
+  /**
+   * Transcribe audio, in chunks if it is longer than the threshold
+   * @param {Buffer} audioBuffer - Audio buffer
+   * @param {Object} options - Transcription options, plus optional
+   *   onChunkTranscribed(completed, total) progress callback
+   * @param {Function} transcribeChunk - (buffer, options) => Promise<transcription>
+   * @returns {Promise<Object>} Transcription
+   */
+  async transcribe(audioBuffer, options, transcribeChunk) {
+    const { onChunkTranscribed, ...transcribeOptions } = options;
+    const startTime = Date.now();
+
+    // Without speech detection (VAD disabled, undecodable audio) everything is transcribed
+    const speech = await AudioProcessor.detectSpeech(audioBuffer);
+    const duration = speech ? speech.duration : (await AudioProcessor.getAudioMetadata(audioBuffer)).duration;
+
+    if (speech && speech.regions.length === 0) {
+      Logger.info('No speech detected, skipping transcription', { duration });
+      return emptyTranscription(duration);
+    }
+
+    if (duration <= this.thresholdSeconds) {
+      return this.transcribeTrimmed(audioBuffer, speech, duration, transcribeOptions, transcribeChunk);
+    }
+
+    const chunks = await AudioProcessor.splitAudioIntoChunks(audioBuffer, this.chunkSeconds, this.overlapSeconds, speech);
+    Logger.info(`Splitting long audio into ${chunks.length} chunks for transcription`, {
+      duration,
+      speechSeconds: speech?.speechSeconds,
+      chunkSeconds: this.chunkSeconds,
+      overlapSeconds: this.overlapSeconds
+    });
+
+    const merged = { segments: [], transcriptions: [], previousChunk: null };
+    const failedChunks = [];
+
+    for (const chunk of chunks) {
+      try {
+        const transcription = await transcribeChunk(chunk.buffer, {
+          ...transcribeOptions,
+          isIncremental: chunk.index > 0,
+          previousContext: merged.segments.length > 0 ? {
+            lastSpeaker: merged.segments[merged.segments.length - 1].speaker,
+            totalDuration: chunk.startTime,
+            speakers: getSpeakers(merged.segments)
+          } : null,
+          audioUrl: null // Chunks are WAV, the URL extension no longer applies
+        });
+
+        // Shift timestamps from chunk time to recording time
+        const segments = (transcription.segments || []).map(segment => ({
+          ...segment,
+          startTime: (segment.startTime || 0) + chunk.startTime,
+          endTime: (segment.endTime || 0) + chunk.startTime
+        }));
+
+        appendChunk(merged, chunk, segments);
+        merged.transcriptions.push(transcription);
+        merged.previousChunk = chunk;
+      } catch (error) {
+        Logger.error(`Failed to transcribe chunk ${chunk.index}:`, error);
+        if (error instanceof RateLimitError) {
+          throw error;
+        }
+        failedChunks.push(chunk.index);
+      }
+
+      if (onChunkTranscribed) {
+        onChunkTranscribed(chunk.index + 1, chunks.length);
+      }
+    }
+
+    if (merged.transcriptions.length === 0) {
+      throw new AppError(`Transcription failed for all ${chunks.length} audio chunks`, 502);
+    }
+
+    const transcription = combineTranscriptions(merged.transcriptions, merged.segments);
+    transcription.metadata = {
+      ...merged.transcriptions[0].metadata,
+      duration,
+      processingTime: Date.now() - startTime,
+      isIncremental: false,
+      chunks: chunks.length,
+      failedChunks,
+      usage: UsageService.combine(merged.transcriptions.map(t => t.metadata?.usage))
+    };
+
+    Logger.info('Chunked transcription completed', {
+      chunks: chunks.length,
+      failedChunks: failedChunks.length,
+      segments: transcription.segments.length,
+      speakers: getSpeakers(transcription.segments).length
+    });
+
+    return transcription;
+  }
+
+  /**
+   * Transcribe audio in one request, without its leading and trailing silence
+   * @param {Buffer} audioBuffer - Audio buffer
+   * @param {Object|null} speech - Result of AudioProcessor.detectSpeech()
+   * @param {number} duration - Duration of the whole recording
+   * @param {Object} options - Transcription options
+   * @param {Function} transcribeChunk - (buffer, options) => Promise<transcription>
+   * @returns {Promise<Object>} Transcription
+   */
+  async transcribeTrimmed(audioBuffer, speech, duration, options, transcribeChunk) {
+    const trimmed = speech ? await AudioProcessor.trimSilence(audioBuffer, speech) : null;
+    if (!trimmed || trimmed.buffer === audioBuffer) {
+      return transcribeChunk(audioBuffer, options);
+    }
+
+    Logger.info('Trimmed silence before transcription', {
+      duration,
+      startTime: trimmed.startTime,
+      endTime: trimmed.endTime
+    });
+
+    const transcription = await transcribeChunk(trimmed.buffer, { ...options, audioUrl: null });
+    (transcription.segments || []).forEach(segment => {
+      segment.startTime = (segment.startTime || 0) + trimmed.startTime;
+      segment.endTime = (segment.endTime || 0) + trimmed.startTime;
+    });
+    transcription.metadata = { ...transcription.metadata, duration, trimmedStart: trimmed.startTime };
+
+    return transcription;
+  }
+
+  /**
+   * Get chunking configuration for the status endpoint
+   * @returns {Object} Configuration
+   */
+  getStats() {
+    return {
+      thresholdSeconds: this.thresholdSeconds,
+      chunkSeconds: this.chunkSeconds,
+      overlapSeconds: this.overlapSeconds
+    };
+  }
+}
+
+/**
+ * Append the segments of a chunk to the merged transcript, removing the
+ * duplicated overlap and mapping the chunk's speaker labels
+ * @param {Object} merged - { segments, previousChunk } merge state
+ * @param {Object} chunk - Chunk from AudioProcessor.splitAudioIntoChunks()
+ * @param {Array<Object>} segments - Chunk segments in recording time
+ */
+function appendChunk(merged, chunk, segments) {
+  const previousChunk = merged.previousChunk;
+  const overlapEnd = previousChunk && previousChunk.index === chunk.index - 1 ? previousChunk.endTime : null;
+  let votes = [];
+
+  if (overlapEnd !== null && overlapEnd > chunk.startTime && merged.segments.length > 0) {
+    const tail = overlapWords(merged.segments, segment => segment.endTime > chunk.startTime).slice(-MAX_OVERLAP_WORDS);
+    const head = overlapWords(segments, segment => segment.startTime < overlapEnd).slice(0, MAX_OVERLAP_WORDS);
+    const match = findOverlapMatch(tail, head);
+
+    if (match) {
+      // The words of the match (and words cut at either chunk edge) were transcribed twice
+      for (let i = 0; i < match.length; i++) {
+        votes.push({ from: head[match.headStart + i].speaker, to: tail[match.tailStart + i].speaker, weight: 1 });
+      }
+      removeWords(merged.segments, tail.slice(match.tailStart + match.length));
+      removeWords(segments, head.slice(0, match.headStart + match.length));
+    } else {
+      // No reliable text match: cut in the middle of the overlap and compare speakers by time
+      const cut = (chunk.startTime + overlapEnd) / 2;
+      votes = timeOverlapVotes(merged.segments, segments, chunk.startTime, overlapEnd);
+      removeSegments(merged.segments, segment => segment.startTime >= cut);
+      removeSegments(segments, segment => segment.endTime <= cut);
+    }
+  }
+
+  const speakerMap = reconcileSpeakers(votes, segments, getSpeakers(merged.segments));
+  const lastEnd = merged.segments.length > 0 ? merged.segments[merged.segments.length - 1].endTime : 0;
+
+  segments.forEach(segment => {
+    merged.segments.push({
+      ...segment,
+      speaker: speakerMap.get(segment.speaker) || segment.speaker,
+      // Keep segments in order after trimming the overlap
+      startTime: segment.startTime < lastEnd && lastEnd <= segment.endTime ? lastEnd : segment.startTime
+    });
+  });
+}
+
+/**
+ * Words of the segments that fall in an overlap
+ * @param {Array<Object>} segments - Segments
+ * @param {Function} inOverlap - Segment predicate
+ * @returns {Array<Object>} { segment, index, word, speaker } in order
+ */
+function overlapWords(segments, inOverlap) {
+  const words = [];
+  segments.filter(inOverlap).forEach(segment => {
+    (segment.text || '').split(/\s+/).filter(Boolean).forEach((word, index) => {
+      words.push({ segment, index, word: normalizeWord(word), speaker: segment.speaker });
+    });
+  });
+  return words;
+}
+
+/**
+ * Find the longest run of words that ends the previous chunk and starts the
+ * next one, allowing a few unmatched words at the chunk edges
+ * @param {Array<Object>} tail - Words at the end of the previous chunk
+ * @param {Array<Object>} head - Words at the start of the next chunk
+ * @returns {Object|null} { tailStart, headStart, length }
+ */
+function findOverlapMatch(tail, head) {
+  let best = null;
+
+  for (let tailSkip = 0; tailSkip <= MAX_EDGE_WORDS; tailSkip++) {
+    for (let headStart = 0; headStart <= MAX_EDGE_WORDS; headStart++) {
+      const maxLength = Math.min(tail.length - tailSkip, head.length - headStart);
+
+      for (let length = maxLength; length >= MIN_MATCH_WORDS; length--) {
+        const tailStart = tail.length - tailSkip - length;
+        let matches = true;
+        for (let i = 0; i < length && matches; i++) {
+          matches = tail[tailStart + i].word === head[headStart + i].word;
+        }
+
+        if (matches) {
+          if (!best || length > best.length) {
+            best = { tailStart, headStart, length };
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Remove words from segments, dropping segments left without text
+ * @param {Array<Object>} segments - Segments to modify (in place)
+ * @param {Array<Object>} words - Words from overlapWords()
+ */
+function removeWords(segments, words) {
+  const removed = new Map(); // segment -> Set of word indexes
+  words.forEach(({ segment, index }) => {
+    if (!removed.has(segment)) removed.set(segment, new Set());
+    removed.get(segment).add(index);
+  });
+
+  removed.forEach((indexes, segment) => {
+    segment.text = segment.text.split(/\s+/).filter(Boolean).filter((word, index) => !indexes.has(index)).join(' ');
+  });
+  removeSegments(segments, segment => removed.has(segment) && !segment.text);
+}
+
+/**
+ * Remove matching segments in place
+ * @param {Array<Object>} segments - Segments
+ * @param {Function} predicate - Segment predicate
+ */
+function removeSegments(segments, predicate) {
+  for (let i = segments.length - 1; i >= 0; i--) {
+    if (predicate(segments[i])) {
+      segments.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Speaker votes weighted by how long two segments overlap in time
+ * @param {Array<Object>} previous - Merged segments
+ * @param {Array<Object>} next - Segments of the next chunk
+ * @param {number} overlapStart - Start of the overlap (seconds)
+ * @param {number} overlapEnd - End of the overlap (seconds)
+ * @returns {Array<Object>} { from, to, weight }
+ */
+function timeOverlapVotes(previous, next, overlapStart, overlapEnd) {
+  const votes = [];
+  next.filter(segment => segment.startTime < overlapEnd).forEach(nextSegment => {
+    previous.filter(segment => segment.endTime > overlapStart).forEach(previousSegment => {
+      const start = Math.max(nextSegment.startTime, previousSegment.startTime, overlapStart);
+      const end = Math.min(nextSegment.endTime, previousSegment.endTime, overlapEnd);
+      if (end > start) {
+        votes.push({ from: nextSegment.speaker, to: previousSegment.speaker, weight: end - start });
+      }
+    });
+  });
+  return votes;
+}
+
+/**
+ * Map the generic speaker labels of a chunk onto the labels used so far.
+ * Labels heard in the overlap follow the votes; other generic labels keep their
+ * name unless a mapping already uses it.
+ * Participant names are never changed.
+ * @param {Array<Object>} votes - { from, to, weight }
+ * @param {Array<Object>} segments - Segments of the chunk
+ * @param {Array<string>} knownSpeakers - Labels used so far
+ * @returns {Map<string, string>} Chunk label -> merged label
+ */
+function reconcileSpeakers(votes, segments, knownSpeakers) {
+  const totals = new Map();
+  votes.filter(vote => GENERIC_SPEAKER.test(vote.from)).forEach(({ from, to, weight }) => {
+    const key = `${from}\u0000${to}`;
+    totals.set(key, (totals.get(key) || 0) + weight);
+  });
+
+  const speakerMap = new Map();
+  const taken = new Set();
+  [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([key]) => {
+      const [from, to] = key.split('\u0000');
+      if (!speakerMap.has(from) && !taken.has(to)) {
+        speakerMap.set(from, to);
+        taken.add(to);
+      }
+    });
+
+  // Keep unmapped labels where possible; labels displaced by a mapping take a known
+  // label nobody in this chunk maps to (the provider swapped labels), else a new number
+  const unmapped = getSpeakers(segments).filter(speaker => GENERIC_SPEAKER.test(speaker) && !speakerMap.has(speaker));
+  unmapped.filter(speaker => !taken.has(speaker)).forEach(speaker => {
+    speakerMap.set(speaker, speaker);
+    taken.add(speaker);
+  });
+
+  const freeSpeakers = knownSpeakers.filter(speaker => GENERIC_SPEAKER.test(speaker) && !taken.has(speaker));
+  let nextNumber = Math.max(0, ...[...knownSpeakers, ...taken].map(speaker => Number(speaker.match(GENERIC_SPEAKER)?.[1] || 0))) + 1;
+  unmapped.filter(speaker => !speakerMap.has(speaker)).forEach(speaker => {
+    speakerMap.set(speaker, freeSpeakers.shift() || `Speaker ${nextNumber++}`);
+  });
+
+  return speakerMap;
+}
+
+/**
+ * Combine chunk transcriptions around the merged segments
+ * @param {Array<Object>} transcriptions - Chunk transcriptions
+ * @param {Array<Object>} segments - Merged segments
+ * @returns {Object} Transcription
+ */
+function combineTranscriptions(transcriptions, segments) {
+  // Primary language is the one most chunks detected
+  const languageVotes = {};
+  transcriptions.forEach(t => {
+    languageVotes[t.detectedLanguage] = (languageVotes[t.detectedLanguage] || 0) + 1;
+  });
+  const primaryLanguage = Object.entries(languageVotes).sort((a, b) => b[1] - a[1])[0][0];
+
+  const fullText = segments.map(segment => segment.text).filter(text => text && text.trim()).join(' ');
+
+  return {
+    detectedLanguage: primaryLanguage,
+    languageConfidence: transcriptions.reduce((sum, t) => sum + (t.languageConfidence || 0), 0) / transcriptions.length,
+    alternativeLanguages: transcriptions[0].alternativeLanguages || [],
+    segments,
+    fullText,
+    wordCount: fullText.split(/\s+/).filter(word => word.length > 0).length
+  };
+}
+
+/**
+ * Transcription of audio without speech
+ * @param {number} duration - Audio duration in seconds
+ * @returns {Object} Transcription
+ */
+function emptyTranscription(duration) {
+  return {
+    detectedLanguage: null,
+    languageConfidence: 0,
+    alternativeLanguages: [],
+    segments: [],
+    fullText: '',
+    wordCount: 0,
+    metadata: {
+      duration,
+      isIncremental: false,
+      timestamp: new Date().toISOString(),
+      noSpeech: true
+    }
+  };
+}
+
+/**
+ * Distinct speaker labels in order of appearance
+ * @param {Array<Object>} segments - Segments
+ * @returns {Array<string>} Labels
+ */
+function getSpeakers(segments) {
+  return [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+}
+
+/**
+ * Normalize a word for overlap matching
+ * @param {string} word - Word
+ * @returns {string} Lower-case word without punctuation
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+module.exports = new ChunkedTranscriptionService();
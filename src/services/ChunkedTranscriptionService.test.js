@@ -0,0 +1,111 @@
+process.env.LOG_LEVEL = 'error';
+
+const ChunkedTranscriptionService = require('./ChunkedTranscriptionService');
+const AudioProcessor = require('../utils/AudioProcessor');
+
+const segment = (speaker, text, startTime, endTime) => ({ speaker, text, startTime, endTime });
+
+/**
+ * Transcribe "audio" split into the given chunks, each transcribed as given
+ * @param {Array<Object>} chunks - { startTime, endTime, segments (chunk time) }
+ * @returns {Promise<Object>} Merged transcription
+ */
+async function transcribeChunks(chunks) {
+  const duration = chunks[chunks.length - 1].endTime;
+  jest.spyOn(AudioProcessor, 'detectSpeech').mockResolvedValue({ duration, regions: [{ start: 0, end: duration }] });
+  jest.spyOn(AudioProcessor, 'splitAudioIntoChunks').mockResolvedValue(
+    chunks.map((chunk, index) => ({ buffer: Buffer.from(String(index)), startTime: chunk.startTime, endTime: chunk.endTime, index }))
+  );
+
+  const transcribeChunk = jest.fn(async buffer => ({
+    detectedLanguage: 'en',
+    languageConfidence: 0.9,
+    segments: chunks[Number(buffer.toString())].segments.map(s => ({ ...s })),
+    metadata: {}
+  }));
+
+  return ChunkedTranscriptionService.transcribe(Buffer.alloc(0), {}, transcribeChunk);
+}
+
+describe('ChunkedTranscriptionService chunk merge', () => {
+  const thresholdSeconds = ChunkedTranscriptionService.thresholdSeconds;
+
+  beforeEach(() => {
+    ChunkedTranscriptionService.thresholdSeconds = 10;
+  });
+
+  afterEach(() => {
+    ChunkedTranscriptionService.thresholdSeconds = thresholdSeconds;
+    jest.restoreAllMocks();
+  });
+
+  test('drops the words transcribed twice in the overlap and shifts timestamps', async () => {
+    const result = await transcribeChunks([
+      { startTime: 0, endTime: 20, segments: [
+        segment('Speaker 1', 'We start with the budget review today', 0, 8),
+        segment('Speaker 2', 'the numbers look good so far', 15, 20)
+      ] },
+      { startTime: 15, endTime: 35, segments: [
+        segment('Speaker 1', 'numbers look good so far', 0, 5),
+        segment('Speaker 1', 'and the release ships on Friday', 6, 12)
+      ] }
+    ]);
+
+    expect(result.segments.map(s => [s.speaker, s.text, s.startTime])).toEqual([
+      ['Speaker 1', 'We start with the budget review today', 0],
+      ['Speaker 2', 'the numbers look good so far', 15],
+      ['Speaker 2', 'and the release ships on Friday', 21]
+    ]);
+    expect(result.fullText).toBe('We start with the budget review today the numbers look good so far and the release ships on Friday');
+    expect(result.metadata.chunks).toBe(2);
+  });
+
+  test('maps swapped speaker labels of a chunk onto the labels used so far', async () => {
+    const result = await transcribeChunks([
+      { startTime: 0, endTime: 20, segments: [
+        segment('Speaker 1', 'Good morning', 0, 5),
+        segment('Speaker 2', 'Morning, shall we look at the roadmap', 14, 20)
+      ] },
+      { startTime: 15, endTime: 35, segments: [
+        segment('Speaker 1', 'look at the roadmap', 0, 5),
+        segment('Speaker 2', 'Yes, the first item is hiring', 6, 10),
+        segment('Speaker 1', 'Hiring is on hold', 11, 14)
+      ] }
+    ]);
+
+    expect(result.segments.map(s => s.speaker)).toEqual(['Speaker 1', 'Speaker 2', 'Speaker 1', 'Speaker 2']);
+  });
+
+  test('cuts the overlap in the middle when its words do not match', async () => {
+    const result = await transcribeChunks([
+      { startTime: 0, endTime: 20, segments: [
+        segment('Speaker 1', 'First part', 0, 10),
+        segment('Speaker 1', 'garbled end', 16, 19)
+      ] },
+      { startTime: 14, endTime: 34, segments: [
+        segment('Speaker 1', 'different start', 0, 2),
+        segment('Speaker 1', 'Second part', 4, 10)
+      ] }
+    ]);
+
+    // Cut at 17s: earlier segments come from the first chunk, later ones from the second
+    expect(result.segments.map(s => s.text)).toEqual(['First part', 'garbled end', 'Second part']);
+  });
+
+  test('keeps going when a chunk fails and reports it', async () => {
+    const duration = 35;
+    jest.spyOn(AudioProcessor, 'detectSpeech').mockResolvedValue({ duration, regions: [{ start: 0, end: duration }] });
+    jest.spyOn(AudioProcessor, 'splitAudioIntoChunks').mockResolvedValue([
+      { buffer: Buffer.from('0'), startTime: 0, endTime: 20, index: 0 },
+      { buffer: Buffer.from('1'), startTime: 15, endTime: 35, index: 1 }
+    ]);
+
+    const result = await ChunkedTranscriptionService.transcribe(Buffer.alloc(0), {}, async buffer => {
+      if (buffer.toString() === '1') throw new Error('Provider error');
+      return { detectedLanguage: 'en', segments: [segment('Speaker 1', 'Only chunk', 0, 5)], metadata: {} };
+    });
+
+    expect(result.segments.map(s => s.text)).toEqual(['Only chunk']);
+    expect(result.metadata.failedChunks).toEqual([1]);
+  });
+});
@@ -1,7 +1,11 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Logger = require('../utils/Logger');
 const AudioProcessor = require('../utils/AudioProcessor');
-const { ExternalAPIError, RateLimitError, withRetry } = require('../utils/ErrorHandler');
+const SummaryTemplates = require('../utils/SummaryTemplates');
+const StructuredOutput = require('../utils/StructuredOutput');
+const ChunkedTranscriptionService = require('./ChunkedTranscriptionService');
+const UsageService = require('./UsageService');
+const { AppError, ExternalAPIError, RateLimitError, withRetry } = require('../utils/ErrorHandler');
 
 class GeminiTranscriptionService {
   constructor() {
@@ -10,6 +14,17 @@ class GeminiTranscriptionService {
     this.enableSpeakerDiarization = process.env.ENABLE_SPEAKER_DIARIZATION === 'true';
     this.languageHints = (process.env.TRANSCRIPT_LANGUAGE_HINTS || 'en').split(',');
     this.maxTranscriptLength = parseInt(process.env.MAX_TRANSCRIPT_LENGTH) || 500000;
+    this.translationBatchSize = parseInt(process.env.TRANSLATION_BATCH_SEGMENTS) || 50;
+    // Longer transcripts are summarized section by section, then combined
+    this.summarySectionSeconds = (parseInt(process.env.SUMMARY_SECTION_MINUTES) || 15) * 60;
+    // JSON mode with a response schema; responses are validated and repaired either way
+    this.structuredOutput = process.env.GEMINI_STRUCTURED_OUTPUT !== 'false';
+    // USD per million tokens (defaults: gemini-1.5-flash list prices)
+    this.prices = {
+      input: parseFloat(process.env.GEMINI_PRICE_INPUT_PER_MTOK) || 0.075,
+      audio: parseFloat(process.env.GEMINI_PRICE_AUDIO_PER_MTOK) || 0.075,
+      output: parseFloat(process.env.GEMINI_PRICE_OUTPUT_PER_MTOK) || 0.3
+    };
     this.genAI = null;
     this.geminiModel = null;
     this.transcriptionStats = {
@@ -18,6 +33,12 @@ class GeminiTranscriptionService {
       failed: 0,
       totalDuration: 0
     };
+    // Outcomes of JSON responses by kind: valid, repaired, retried (valid after the
+    // corrective retry), invalid (used despite validation errors) and failed (no JSON)
+    this.structuredOutputStats = Object.fromEntries(
+      ['transcription', 'summary', 'section', 'translation', 'personal_data', 'answer']
+        .map(kind => [kind, { valid: 0, repaired: 0, retried: 0, invalid: 0, failed: 0 }])
+    );
   }
 
   /**
@@ -52,7 +73,9 @@ class GeminiTranscriptionService {
       previousContext = null,
       participants = [],
       useGenericSpeakers = false,
-      audioUrl = null
+      audioUrl = null,
+      glossary = [],
+      attribution = {}
     } = options;
 
     const startTime = Date.now();
@@ -102,12 +125,13 @@ class GeminiTranscriptionService {
       });
       
       // Build transcription prompt
-      const prompt = this.buildTranscriptionPrompt(isIncremental, previousContext, participants, useGenericSpeakers);
+      const prompt = this.buildTranscriptionPrompt(isIncremental, previousContext, participants, useGenericSpeakers, glossary);
       
       Logger.debug(`Sending request to Gemini API...`);
       
       // Prepare content for Gemini
       const contents = [{
+        role: 'user',
         parts: [
           { text: prompt },
           {
@@ -120,10 +144,12 @@ class GeminiTranscriptionService {
       }];
 
       // Call Gemini API with retry logic
-      const result = await withRetry(async () => {
+      const usageMetadata = [];
+      const callGemini = request => withRetry(async () => {
         Logger.info(`📡 Calling Gemini API for transcription...`);
-        const response = await this.geminiModel.generateContent({ contents });
+        const response = await this.generateContent('transcribe', request);
         const responseText = response.response.text();
+        usageMetadata.push(response.response.usageMetadata);
         Logger.info(`✅ Gemini API response received`, {
           responseLength: responseText.length,
           responsePreview: responseText.substring(0, 200) + '...'
@@ -143,7 +169,15 @@ class GeminiTranscriptionService {
 
       // Parse transcription response
       Logger.debug(`Parsing Gemini response...`);
-      const transcription = this.parseTranscriptionResponse(result);
+      const result = await this.generateStructured('transcription', {
+        contents,
+        generationConfig: this.structuredOutput
+          ? { responseMimeType: 'application/json', responseSchema: StructuredOutput.TRANSCRIPTION_SCHEMA }
+          : undefined
+      }, callGemini, StructuredOutput.validateTranscription);
+      const transcription = result.value
+        ? this.normalizeTranscription(result.value)
+        : this.fallbackTranscription(result.responseText);
       
       // Post-process segments to ensure proper speaker names
       if (participants && participants.length > 0 && !useGenericSpeakers) {
@@ -170,7 +204,9 @@ class GeminiTranscriptionService {
         duration: metadata.duration,
         processingTime: Date.now() - startTime,
         isIncremental,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        structuredOutput: result.outcome,
+        usage: UsageService.combine(usageMetadata.map(usage => this.recordUsage('transcribe', usage, metadata.duration, attribution)))
       };
 
       this.transcriptionStats.successful++;
@@ -215,9 +251,10 @@ class GeminiTranscriptionService {
    * @param {Object} previousContext - Previous transcription context
    * @param {Array} participants - List of meeting participants
    * @param {boolean} useGenericSpeakers - Whether to use generic speaker labels
+   * @param {Array} glossary - Vocabulary terms (GlossaryService.getTerms())
    * @returns {string} Prompt
    */
-  buildTranscriptionPrompt(isIncremental, previousContext, participants = [], useGenericSpeakers = false) {
+  buildTranscriptionPrompt(isIncremental, previousContext, participants = [], useGenericSpeakers = false, glossary = []) {
     let prompt;
     
     if (useGenericSpeakers) {
@@ -293,6 +330,18 @@ CRITICAL RULES:
       }
     }
 
+    if (glossary.length > 0) {
+      const vocabulary = glossary.map(entry => {
+        const notes = [
+          entry.description,
+          entry.aliases.length > 0 ? `may sound like: ${entry.aliases.join(', ')}` : null
+        ].filter(Boolean);
+        return `- ${entry.term}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+      });
+      prompt += `\n\nVOCABULARY: These names and terms are used in this meeting. When you hear them, spell them exactly as written here:
+${vocabulary.join('\n')}`;
+    }
+
     if (isIncremental && previousContext) {
       prompt += `\n\nThis is a continuation. Previous context:
 - Last speaker: ${previousContext.lastSpeaker}
@@ -306,70 +355,132 @@ CRITICAL RULES:
   }
 
   /**
-   * Parse transcription response from Gemini
+   * Parse transcription response from Gemini, repairing broken JSON
    * @param {string} responseText - Response text from Gemini
    * @returns {Object} Parsed transcription
    */
   parseTranscriptionResponse(responseText) {
-    try {
-      // Clean response text (remove markdown if present)
-      const cleanedText = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
+    const { value } = StructuredOutput.parseResponse(responseText, StructuredOutput.validateTranscription);
+    return value ? this.normalizeTranscription(value) : this.fallbackTranscription(responseText);
+  }
 
-      const parsed = JSON.parse(cleanedText);
-      
-      // Validate required fields
-      if (!parsed.segments || !Array.isArray(parsed.segments)) {
-        throw new Error('Invalid transcription format: missing segments');
-      }
+  /**
+   * Fill in defaults of a parsed transcription
+   * @param {Object} parsed - Parsed transcription response
+   * @returns {Object} Transcription
+   */
+  normalizeTranscription(parsed) {
+    const segments = Array.isArray(parsed.segments) ? parsed.segments : [];
+    const fullText = parsed.fullText || this.combineSegmentsToText(segments);
 
+    return {
+      detectedLanguage: parsed.detectedLanguage || 'unknown',
+      languageConfidence: parsed.languageConfidence || 0,
+      alternativeLanguages: parsed.alternativeLanguages || [],
+      segments: segments.map(segment => ({
+        speaker: segment.speaker || 'Unknown',
+        text: segment.text || '',
+        startTime: segment.startTime || 0,
+        // Responses that failed validation can still end a segment before its start
+        endTime: Math.max(segment.startTime || 0, segment.endTime || 0),
+        confidence: segment.confidence || 0
+      })),
+      fullText,
       // Calculate word count if not provided
-      if (!parsed.wordCount) {
-        parsed.wordCount = parsed.fullText ? 
-          parsed.fullText.split(/\s+/).filter(word => word.length > 0).length : 0;
-      }
+      wordCount: parsed.wordCount || fullText.split(/\s+/).filter(word => word.length > 0).length
+    };
+  }
 
-      // Ensure all required fields exist
-      return {
-        detectedLanguage: parsed.detectedLanguage || 'unknown',
-        languageConfidence: parsed.languageConfidence || 0,
-        alternativeLanguages: parsed.alternativeLanguages || [],
-        segments: parsed.segments.map(segment => ({
-          speaker: segment.speaker || 'Unknown',
-          text: segment.text || '',
-          startTime: segment.startTime || 0,
-          endTime: segment.endTime || 0,
-          confidence: segment.confidence || 0
-        })),
-        fullText: parsed.fullText || this.combineSegmentsToText(parsed.segments),
-        wordCount: parsed.wordCount
-      };
+  /**
+   * Transcription of a response without usable JSON: whatever text it has, as one segment
+   * @param {string} responseText - Response text from Gemini
+   * @returns {Object} Transcription
+   */
+  fallbackTranscription(responseText) {
+    Logger.error('Failed to parse transcription response:', {
+      response: String(responseText || '').substring(0, 200)
+    });
 
-    } catch (error) {
-      Logger.error('Failed to parse transcription response:', {
-        error: error.message,
-        response: responseText.substring(0, 200)
+    const fallbackText = this.extractFallbackText(String(responseText || ''));
+    return {
+      detectedLanguage: 'unknown',
+      languageConfidence: 0,
+      alternativeLanguages: [],
+      segments: [{
+        speaker: 'Unknown',
+        text: fallbackText,
+        startTime: 0,
+        endTime: 0,
+        confidence: 0
+      }],
+      fullText: fallbackText,
+      wordCount: fallbackText.split(/\s+/).filter(word => word.length > 0).length
+    };
+  }
+
+  /**
+   * Generate a JSON response. Broken or truncated JSON is repaired; when the response
+   * still isn't valid, the model is asked once more with the validation errors.
+   * @param {string} kind - 'transcription', 'summary', 'section', 'translation', 'personal_data'
+   *   or 'answer' (stats and metric label)
+   * @param {Object} request - generateContent request
+   * @param {Function} callGemini - Sends a request, resolves with the response text
+   * @param {Function} validate - Validator returning a list of errors (StructuredOutput)
+   * @returns {Promise<Object>} { value, outcome, responseText }: value is null when no
+   *   response had JSON (outcome 'failed'); responseText is the last response
+   */
+  async generateStructured(kind, request, callGemini, validate) {
+    let responseText = await callGemini(request);
+    let parsed = StructuredOutput.parseResponse(responseText, validate);
+    let outcome = parsed.repaired ? 'repaired' : 'valid';
+
+    if (parsed.errors.length > 0) {
+      Logger.warn(`Invalid ${kind} response, asking for a corrected one`, { errors: parsed.errors });
+
+      responseText = await callGemini({
+        ...request,
+        contents: [
+          ...request.contents,
+          { role: 'model', parts: [{ text: responseText }] },
+          {
+            role: 'user',
+            parts: [{
+              text: `Your response could not be used: ${parsed.errors.join('; ')}.
+Return the complete response again as valid JSON with the requested structure. Return ONLY valid JSON, no markdown or extra text.`
+            }]
+          }
+        ]
       });
 
-      // Fallback: try to extract any text content
-      const fallbackText = this.extractFallbackText(responseText);
-      return {
-        detectedLanguage: 'unknown',
-        languageConfidence: 0,
-        alternativeLanguages: [],
-        segments: [{
-          speaker: 'Unknown',
-          text: fallbackText,
-          startTime: 0,
-          endTime: 0,
-          confidence: 0
-        }],
-        fullText: fallbackText,
-        wordCount: fallbackText.split(/\s+/).filter(word => word.length > 0).length
-      };
+      const retried = StructuredOutput.parseResponse(responseText, validate);
+      if (retried.errors.length === 0) {
+        parsed = retried;
+        outcome = 'retried';
+      } else {
+        // Keep the response that parsed, if any
+        parsed = retried.value ? retried : parsed;
+        outcome = parsed.value ? 'invalid' : 'failed';
+        Logger.warn(`Corrected ${kind} response is still invalid`, { errors: retried.errors, outcome });
+      }
     }
+
+    this.structuredOutputStats[kind][outcome]++;
+    Logger.metric('structured_output_responses', 1, { kind, outcome });
+
+    return { value: parsed.value, outcome, responseText };
+  }
+
+  /**
+   * generateContent request for a JSON response to a text prompt
+   * @param {string} prompt - Prompt
+   * @param {Object} responseSchema - Response schema (StructuredOutput)
+   * @returns {Object} Request
+   */
+  jsonRequest(prompt, responseSchema) {
+    return {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: this.structuredOutput ? { responseMimeType: 'application/json', responseSchema } : undefined
+    };
   }
 
   /**
@@ -403,88 +514,18 @@ CRITICAL RULES:
   }
 
   /**
-   * Transcribe long audio in chunks
-   * @param {Buffer} audioBuffer - Large audio buffer
+   * Transcribe audio of any length, in overlapping chunks above the configured
+   * duration threshold (see ChunkedTranscriptionService)
+   * @param {Buffer} audioBuffer - Audio buffer
    * @param {Object} options - Transcription options
    * @returns {Promise<Object>} Combined transcription
    */
   async transcribeLongAudio(audioBuffer, options = {}) {
-    const chunks = await AudioProcessor.splitAudioIntoChunks(audioBuffer, 300); // 5-minute chunks
-    Logger.info(`Splitting long audio into ${chunks.length} chunks for transcription`);
-
-    const transcriptions = [];
-    let previousContext = null;
-
-    for (const chunk of chunks) {
-      try {
-        const transcription = await this.transcribeAudio(chunk.buffer, {
-          ...options,
-          isIncremental: chunk.index > 0,
-          previousContext
-        });
-
-        // Adjust timestamps based on chunk position
-        transcription.segments.forEach(segment => {
-          segment.startTime += chunk.startTime;
-          segment.endTime += chunk.startTime;
-        });
-
-        transcriptions.push(transcription);
-
-        // Update context for next chunk
-        previousContext = {
-          lastSpeaker: transcription.segments[transcription.segments.length - 1]?.speaker,
-          totalDuration: chunk.endTime,
-          speakers: [...new Set(transcription.segments.map(s => s.speaker))]
-        };
-
-      } catch (error) {
-        Logger.error(`Failed to transcribe chunk ${chunk.index}:`, error);
-        if (error instanceof RateLimitError) {
-          throw error;
-        }
-      }
-    }
-
-    // Combine all transcriptions
-    return this.combineTranscriptions(transcriptions);
-  }
-
-  /**
-   * Combine multiple transcriptions
-   * @param {Array} transcriptions - Array of transcriptions
-   * @returns {Object} Combined transcription
-   */
-  combineTranscriptions(transcriptions) {
-    if (transcriptions.length === 0) {
-      throw new Error('No transcriptions to combine');
-    }
-
-    // Combine all segments
-    const allSegments = transcriptions.flatMap(t => t.segments);
-    
-    // Determine primary language
-    const languageVotes = {};
-    transcriptions.forEach(t => {
-      languageVotes[t.detectedLanguage] = (languageVotes[t.detectedLanguage] || 0) + 1;
-    });
-    const primaryLanguage = Object.entries(languageVotes)
-      .sort((a, b) => b[1] - a[1])[0][0];
-
-    // Calculate average confidence
-    const avgConfidence = transcriptions.reduce((sum, t) => sum + t.languageConfidence, 0) / 
-      transcriptions.length;
-
-    return {
-      detectedLanguage: primaryLanguage,
-      languageConfidence: avgConfidence,
-      alternativeLanguages: transcriptions[0].alternativeLanguages || [],
-      segments: allSegments,
-      fullText: this.combineSegmentsToText(allSegments),
-      wordCount: allSegments.reduce((sum, s) => 
-        sum + s.text.split(/\s+/).filter(w => w.length > 0).length, 0
-      )
-    };
+    return ChunkedTranscriptionService.transcribe(
+      audioBuffer,
+      options,
+      (chunkBuffer, chunkOptions) => this.transcribeAudio(chunkBuffer, chunkOptions)
+    );
   }
 
   /**
@@ -497,14 +538,22 @@ CRITICAL RULES:
       averageDuration: this.transcriptionStats.total > 0 ? 
         Math.round(this.transcriptionStats.totalDuration / this.transcriptionStats.total) : 0,
       successRate: this.transcriptionStats.total > 0 ?
-        (this.transcriptionStats.successful / this.transcriptionStats.total) : 0
+        (this.transcriptionStats.successful / this.transcriptionStats.total) : 0,
+      structuredOutput: structuredClone(this.structuredOutputStats)
     };
   }
 
   /**
-   * Generate AI summary from transcript
+   * Generate AI summary from transcript.
+   *
+   * Transcripts longer than one section (SUMMARY_SECTION_MINUTES) are summarized
+   * map-reduce style: every time window is summarized on its own, and the section
+   * summaries are combined into the final summary. The section summaries are
+   * returned as `chapters`, and key points and action items carry the time range
+   * of the sections they came from.
    * @param {Object} transcript - Full transcript object
-   * @param {Object} meetingInfo - Meeting information (participants, duration, etc.)
+   * @param {Object} meetingInfo - Meeting information (participants, duration, etc.), plus the
+   *   summary template name or the meetingType of an earlier summary to pick one by
    * @returns {Promise<Object>} AI-generated summary
    */
   async generateSummary(transcript, meetingInfo = {}) {
@@ -519,52 +568,61 @@ CRITICAL RULES:
       const participants = meetingInfo.participants || [];
       const meetingDuration = transcript.duration || 0;
       const languageInfo = transcript.detectedLanguage || 'unknown';
-      
-      // Build summary prompt
-      const prompt = `
-Analyze this meeting transcript and provide a comprehensive summary.
+      // An explicit template, else the one of a known meeting type, else the model picks by meeting type
+      const template = SummaryTemplates.getTemplate(meetingInfo.template) ||
+        (meetingInfo.meetingType ? SummaryTemplates.getTemplateForMeetingType(meetingInfo.meetingType) : null);
+      const segments = transcript.segments || [];
+      const sections = this.splitIntoSections(segments);
+      const usages = [];
 
-Meeting Information:
+      const meetingInformation = `Meeting Information:
 - Duration: ${this.formatDuration(meetingDuration)}
 - Language: ${languageInfo}
 - Participants: ${participants.length > 0 ? participants.join(', ') : 'Unknown'}
-- Total Words: ${transcript.wordCount || 0}
+- Total Words: ${transcript.wordCount || 0}`;
 
-Transcript:
-${transcript.fullText || transcript.segments.map(s => `${s.speaker}: ${s.text}`).join('\n')}
+      // Map: one summary per section
+      const chapters = sections.length > 1
+        ? await this.summarizeSections(sections, meetingInformation, usages, meetingInfo.attribution)
+        : [];
 
-Provide a JSON response with the following structure:
-{
-  "summary": {
-    "brief": "A 2-3 sentence executive summary of the meeting",
-    "keyPoints": ["Array of 3-5 main discussion points"],
-    "decisions": ["Array of decisions made during the meeting"],
-    "actionItems": [
-      {
-        "task": "Description of the action item",
-        "assignee": "Person responsible (if mentioned)",
-        "deadline": "Deadline if mentioned, null otherwise"
-      }
-    ],
-    "topics": ["Array of main topics discussed"],
-    "sentiment": "Overall meeting sentiment (positive/neutral/negative)",
-    "nextSteps": ["Array of planned next steps"]
-  },
-  "insights": {
-    "participationRate": {
-      "speakerName": "percentage of speaking time"
-    },
-    "mostDiscussedTopics": ["Top 3 topics by mention frequency"],
-    "meetingType": "Type of meeting (standup/planning/review/discussion/other)",
-    "effectiveness": "Meeting effectiveness rating (high/medium/low) with brief reason"
-  }
-}
+      // Build summary prompt
+      const content = chapters.length > 0
+        ? `The meeting was summarized in ${chapters.length} consecutive sections. Combine the section summaries into one summary of the whole meeting: merge points that come up in several sections and keep the most important ones.
 
+Sections:
+${JSON.stringify(chapters.map(chapter => ({
+    section: chapter.index,
+    from: this.formatDuration(chapter.startTime),
+    to: this.formatDuration(chapter.endTime),
+    title: chapter.title,
+    summary: chapter.summary,
+    keyPoints: chapter.keyPoints,
+    decisions: chapter.decisions,
+    actionItems: chapter.actionItems,
+    topics: chapter.topics
+  })), null, 2)}`
+        : `Transcript:
+${transcript.fullText || segments.map(s => `${s.speaker}: ${s.text}`).join('\n')}`;
+
+      const prompt = `
+${(template || SummaryTemplates.getTemplate(SummaryTemplates.DEFAULT_TEMPLATE)).instructions}
+
+${meetingInformation}
+
+${content}
+
+Provide a JSON response with the following structure:
+${SummaryTemplates.describeStructure(template)}
+${chapters.length > 0 ? `
+Write every keyPoints entry as { "text": "Key point", "sections": [numbers of the sections it comes from] } and add "sections": [numbers of the sections it comes from] to every actionItems entry.
+` : ''}
 IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
 
-      // Call Gemini API
-      const result = await withRetry(async () => {
-        const response = await this.geminiModel.generateContent(prompt);
+      // Call Gemini API (reduce step for sectioned transcripts)
+      const callGemini = request => withRetry(async () => {
+        const response = await this.generateContent('summarize', request);
+        usages.push(this.recordUsage('summarize', response.response.usageMetadata, 0, meetingInfo.attribution));
         return response.response.text();
       }, {
         maxRetries: 2,
@@ -572,17 +630,34 @@ IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
       });
 
       // Parse response
-      const summary = this.parseSummaryResponse(result);
-      
+      const result = await this.generateStructured('summary', {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: this.structuredOutput ? { responseMimeType: 'application/json' } : undefined
+      }, callGemini, StructuredOutput.validateSummary);
+      const summary = result.value
+        ? this.normalizeSummary(result.value, template?.name)
+        : this.fallbackSummary(template?.name);
+      this.applySectionRanges(summary.summary, chapters, {
+        startTime: segments[0]?.startTime || 0,
+        endTime: Math.max(meetingDuration, ...segments.map(segment => segment.endTime || 0))
+      });
+      summary.chapters = chapters;
+
       // Add metadata
       summary.metadata = {
         generatedAt: new Date().toISOString(),
         processingTime: Date.now() - startTime,
-        transcriptSegments: transcript.segments?.length || 0,
-        meetingDuration: meetingDuration
+        transcriptSegments: segments.length,
+        meetingDuration: meetingDuration,
+        sections: chapters.length,
+        failedSections: sections.length > 1 ? sections.length - chapters.length : 0,
+        structuredOutput: result.outcome,
+        usage: UsageService.combine(usages)
       };
 
       Logger.info('AI summary generated successfully', {
+        template: summary.template,
+        sections: chapters.length,
         processingTime: summary.metadata.processingTime,
         wordCount: transcript.wordCount
       });
@@ -599,62 +674,502 @@ IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
   }
 
   /**
-   * Parse summary response from Gemini
-   * @param {string} responseText - Response text from Gemini
-   * @returns {Object} Parsed summary
+   * Split segments into consecutive time windows of summarySectionSeconds
+   * @param {Array<Object>} segments - Transcript segments
+   * @returns {Array<Array<Object>>} Segments of each section (without empty sections)
    */
-  parseSummaryResponse(responseText) {
-    try {
-      // Clean response text
-      const cleanedText = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
+  splitIntoSections(segments) {
+    const sections = [];
+    let sectionStart = null;
 
-      const parsed = JSON.parse(cleanedText);
-      
-      // Ensure all required fields exist with defaults
-      return {
-        summary: {
-          brief: parsed.summary?.brief || 'Summary not available',
-          keyPoints: parsed.summary?.keyPoints || [],
-          decisions: parsed.summary?.decisions || [],
-          actionItems: parsed.summary?.actionItems || [],
-          topics: parsed.summary?.topics || [],
-          sentiment: parsed.summary?.sentiment || 'neutral',
-          nextSteps: parsed.summary?.nextSteps || []
-        },
-        insights: {
-          participationRate: parsed.insights?.participationRate || {},
-          mostDiscussedTopics: parsed.insights?.mostDiscussedTopics || [],
-          meetingType: parsed.insights?.meetingType || 'other',
-          effectiveness: parsed.insights?.effectiveness || 'medium'
+    segments.forEach(segment => {
+      const time = segment.startTime || 0;
+      if (sectionStart === null || time >= sectionStart + this.summarySectionSeconds) {
+        sections.push([]);
+        sectionStart = time;
+      }
+      sections[sections.length - 1].push(segment);
+    });
+
+    return sections.filter(section => section.some(segment => segment.text && segment.text.trim()));
+  }
+
+  /**
+   * Summarize each section of a transcript (map step of generateSummary)
+   * @param {Array<Array<Object>>} sections - Segments of each section
+   * @param {string} meetingInformation - Meeting information block of the prompt
+   * @param {Array<Object>} usages - Usage of each call is added here
+   * @param {Object} attribution - Usage attribution
+   * @returns {Promise<Array<Object>>} Chapters { index, title, summary, startTime, endTime,
+   *   keyPoints, decisions, actionItems, topics }; sections that fail are left out
+   */
+  async summarizeSections(sections, meetingInformation, usages, attribution = {}) {
+    const chapters = [];
+
+    for (const [index, segments] of sections.entries()) {
+      const startTime = segments[0].startTime || 0;
+      const endTime = Math.max(startTime, ...segments.map(segment => segment.endTime || 0));
+      const prompt = `
+Summarize section ${index + 1} of ${sections.length} of a meeting transcript, from ${this.formatDuration(startTime)} to ${this.formatDuration(endTime)}.
+Only summarize what is said in this section.
+
+${meetingInformation}
+
+Transcript section:
+${segments.map(s => `${s.speaker}: ${s.text}`).join('\n')}
+
+Provide a JSON response with the following structure:
+{
+  "title": "Short chapter title (3-8 words)",
+  "summary": "A 2-3 sentence summary of the section",
+  "keyPoints": ["Main discussion points of the section"],
+  "decisions": ["Decisions made in the section"],
+  "actionItems": [{ "task": "Description of the action item", "assignee": "Person responsible (if mentioned)", "deadline": "Deadline if mentioned, null otherwise" }],
+  "topics": ["Topics discussed in the section"]
+}
+
+IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
+
+      const callGemini = request => withRetry(async () => {
+        const response = await this.generateContent('summarize_section', request);
+        usages.push(this.recordUsage('summarize', response.response.usageMetadata, 0, attribution));
+        return response.response.text();
+      }, {
+        maxRetries: 2,
+        delay: 1000
+      });
+
+      // One section that can't be summarized doesn't fail the whole summary
+      try {
+        const result = await this.generateStructured('section', this.jsonRequest(prompt, StructuredOutput.SECTION_SCHEMA),
+          callGemini, StructuredOutput.validateSection);
+        if (!result.value) {
+          Logger.warn('No usable section summary, leaving the section out', { section: index + 1 });
+          continue;
         }
-      };
-    } catch (error) {
-      Logger.error('Failed to parse summary response:', error);
-      
-      // Return default summary structure
+        chapters.push({ index: index + 1, startTime, endTime, ...this.normalizeSection(result.value) });
+      } catch (error) {
+        Logger.warn('Failed to summarize section, leaving it out', { section: index + 1, error: error.message });
+      }
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Fill in defaults of a parsed section summary
+   * @param {Object} parsed - Parsed section response
+   * @returns {Object} { title, summary, keyPoints, decisions, actionItems, topics }
+   */
+  normalizeSection(parsed) {
+    const list = value => (Array.isArray(value) ? value : []);
+    return {
+      title: typeof parsed.title === 'string' ? parsed.title : '',
+      summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+      keyPoints: list(parsed.keyPoints).filter(point => typeof point === 'string'),
+      decisions: list(parsed.decisions).filter(decision => typeof decision === 'string'),
+      actionItems: list(parsed.actionItems).filter(item => item && typeof item.task === 'string'),
+      topics: list(parsed.topics).filter(topic => typeof topic === 'string')
+    };
+  }
+
+  /**
+   * Give key points and action items the time range of the sections they came from
+   * @param {Object} summary - `summary` of a parsed summary (changed in place)
+   * @param {Array<Object>} chapters - Section summaries (empty for single-pass summaries)
+   * @param {Object} range - { startTime, endTime } of the whole transcript, used when an
+   *   item names no known section
+   */
+  applySectionRanges(summary, chapters, range) {
+    const rangeOf = sections => {
+      const numbers = [].concat(sections ?? []).map(Number);
+      const matched = chapters.filter(chapter => numbers.includes(chapter.index));
+      if (matched.length === 0) return { ...range };
+
       return {
-        summary: {
-          brief: 'Failed to generate summary',
-          keyPoints: [],
-          decisions: [],
-          actionItems: [],
-          topics: [],
-          sentiment: 'neutral',
-          nextSteps: []
-        },
-        insights: {
-          participationRate: {},
-          mostDiscussedTopics: [],
-          meetingType: 'other',
-          effectiveness: 'unknown'
-        }
+        startTime: Math.min(...matched.map(chapter => chapter.startTime)),
+        endTime: Math.max(...matched.map(chapter => chapter.endTime))
+      };
+    };
+
+    const list = value => (Array.isArray(value) ? value : []);
+    summary.keyPoints = list(summary.keyPoints)
+      .map(point => (typeof point === 'string' ? { text: point } : point))
+      .filter(point => point && typeof point.text === 'string' && point.text.trim())
+      .map(point => ({ text: point.text, ...rangeOf(point.sections) }));
+
+    summary.actionItems = list(summary.actionItems)
+      .map(item => (typeof item === 'string' ? { task: item } : item))
+      .filter(item => item && typeof item.task === 'string')
+      .map(({ sections, ...item }) => ({ ...item, ...rangeOf(sections) }));
+  }
+
+  /**
+   * Translate transcript segments one batch at a time, keeping segment IDs
+   * @param {Array<Object>} segments - Segments with id and text
+   * @param {string} targetLanguage - Target language code (e.g. 'de')
+   * @param {Object} options - { sourceLanguage, attribution, onBatchTranslated(completed, total) }
+   * @returns {Promise<Object>} { segments: [{ id, text }], usage }
+   */
+  async translateSegments(segments, targetLanguage, options = {}) {
+    if (!this.geminiModel) {
+      throw new Error('Gemini model not initialized');
+    }
+
+    const { sourceLanguage, attribution = {}, onBatchTranslated } = options;
+    const batches = [];
+    for (let i = 0; i < segments.length; i += this.translationBatchSize) {
+      batches.push(segments.slice(i, i + this.translationBatchSize));
+    }
+
+    const translated = [];
+    const usages = [];
+
+    for (const [index, batch] of batches.entries()) {
+      const prompt = `
+Translate the text of these meeting transcript segments ${sourceLanguage && sourceLanguage !== 'unknown' ? `from ${languageName(sourceLanguage)} ` : ''}into ${languageName(targetLanguage)}.
+Keep names, numbers and the tone of the speakers. Translate every segment on its own: do not merge, split, drop or reorder segments.
+
+Segments:
+${JSON.stringify(batch.map(segment => ({ id: String(segment.id), text: segment.text })))}
+
+Return a JSON array with one object per segment, using the same IDs:
+[{ "id": "Segment ID", "text": "Translated text" }]
+
+IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
+
+      const callGemini = request => withRetry(async () => {
+        const response = await this.generateContent('translate', request);
+        usages.push(this.recordUsage('translate', response.response.usageMetadata, 0, attribution));
+        return response.response.text();
+      }, {
+        maxRetries: 2,
+        delay: 1000
+      });
+      // A response without every segment is asked for again
+      const validate = value => {
+        const errors = StructuredOutput.validateTranslation(value);
+        return errors.length > 0 ? errors : missingSegmentErrors(value, batch);
       };
+
+      try {
+        const result = await this.generateStructured('translation', this.jsonRequest(prompt, StructuredOutput.TRANSLATION_SCHEMA),
+          callGemini, validate);
+        const texts = this.normalizeTranslation(result.value, batch);
+
+        batch.forEach(segment => translated.push({ id: segment.id, text: texts.get(String(segment.id)) }));
+      } catch (error) {
+        Logger.error('Failed to translate transcript segments:', { error: error.message, batch: index + 1 });
+        throw new ExternalAPIError('Gemini API', `Translation failed: ${error.message}`);
+      }
+
+      if (onBatchTranslated) {
+        onBatchTranslated(index + 1, batches.length);
+      }
+    }
+
+    return {
+      segments: translated,
+      usage: UsageService.combine(usages)
+    };
+  }
+
+  /**
+   * Translated texts of a parsed translation response, checking that every segment was translated
+   * @param {Array<Object>|null} parsed - Parsed translation response
+   * @param {Array<Object>} batch - Segments that were sent
+   * @returns {Map<string, string>} Segment ID -> translated text
+   */
+  normalizeTranslation(parsed, batch) {
+    const texts = new Map();
+    (Array.isArray(parsed) ? parsed : []).forEach(item => {
+      if (item && typeof item.text === 'string') {
+        texts.set(String(item.id), item.text);
+      }
+    });
+
+    const missing = batch.filter(segment => !texts.has(String(segment.id)));
+    if (missing.length > 0) {
+      throw new AppError(`Translation is missing ${missing.length} of ${batch.length} segments`, 502);
+    }
+
+    return texts;
+  }
+
+  /**
+   * Find names, addresses and other personal data in transcript segments for redaction
+   * @param {Array<Object>} segments - Segments with id and text
+   * @param {Object} options - { attribution }
+   * @returns {Promise<Object>} { entities: [{ id, text, type }], usage }
+   */
+  async detectPersonalData(segments, options = {}) {
+    if (!this.geminiModel) {
+      throw new Error('Gemini model not initialized');
+    }
+
+    const { attribution = {} } = options;
+    const entities = [];
+    const usages = [];
+
+    // Segments are sent in the same batch size as translations
+    for (let i = 0; i < segments.length; i += this.translationBatchSize) {
+      const batch = segments.slice(i, i + this.translationBatchSize);
+      const prompt = `
+Find personal data in these meeting transcript segments: names of people, postal addresses and other details that identify a person (ID, passport or social security numbers, dates of birth).
+Do not report company or product names, places that aren't addresses, or generic labels like "Speaker 1".
+
+Segments:
+${JSON.stringify(batch.map(segment => ({ id: String(segment.id), text: segment.text })))}
+
+Return a JSON array with one object per finding, quoting the text exactly as it appears in the segment:
+[{ "id": "Segment ID", "text": "Exact text", "type": "name|address|other" }]
+Return [] if there is none.
+
+IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
+
+      const callGemini = request => withRetry(async () => {
+        const response = await this.generateContent('redact', request);
+        usages.push(this.recordUsage('redact', response.response.usageMetadata, 0, attribution));
+        return response.response.text();
+      }, {
+        maxRetries: 2,
+        delay: 1000
+      });
+
+      try {
+        const result = await this.generateStructured('personal_data', this.jsonRequest(prompt, StructuredOutput.PERSONAL_DATA_SCHEMA),
+          callGemini, StructuredOutput.validatePersonalData);
+        if (!result.value) {
+          throw new AppError('Invalid personal data response', 502);
+        }
+
+        entities.push(...this.normalizePersonalData(result.value, batch));
+      } catch (error) {
+        Logger.error('Failed to detect personal data:', { error: error.message, batch: i / this.translationBatchSize + 1 });
+        throw new ExternalAPIError('Gemini API', `Personal data detection failed: ${error.message}`);
+      }
+    }
+
+    return {
+      entities,
+      usage: UsageService.combine(usages)
+    };
+  }
+
+  /**
+   * Findings of a parsed personal data response that occur in their segment
+   * @param {Array<Object>} parsed - Parsed personal data response
+   * @param {Array<Object>} batch - Segments that were sent
+   * @returns {Array<Object>} Entities [{ id, text, type }]
+   */
+  normalizePersonalData(parsed, batch) {
+    const texts = new Map(batch.map(segment => [String(segment.id), segment.text || '']));
+    return (Array.isArray(parsed) ? parsed : [])
+      .filter(item => item && typeof item.text === 'string' && item.text.trim() &&
+        (texts.get(String(item.id)) || '').includes(item.text))
+      .map(item => ({ id: item.id, text: item.text, type: item.type }));
+  }
+
+  /**
+   * Answer a question about a meeting from its transcript segments, citing the segments used
+   * @param {Array<Object>} segments - Segments with id, speaker, startTime and text
+   * @param {string} question - Question
+   * @param {Object} options - { history: [{ question, answer }], language, attribution }
+   * @returns {Promise<Object>} { answer, answerable, citations: [segment IDs], usage }
+   */
+  async answerQuestion(segments, question, options = {}) {
+    if (!this.geminiModel) {
+      throw new Error('Gemini model not initialized');
+    }
+
+    const { history = [], language, attribution = {} } = options;
+    const prompt = `
+Answer a question about a meeting using ONLY the transcript segments below. Do not use outside knowledge or guess.
+Cite the IDs of the segments that support the answer. If the segments don't contain the answer, set "answerable" to false.
+${language && language !== 'unknown' ? `Answer in the language of the question; the transcript is in ${languageName(language)}.` : 'Answer in the language of the question.'}
+
+Segments:
+${JSON.stringify(segments.map(segment => ({
+    id: String(segment.id),
+    time: this.formatDuration(segment.startTime || 0),
+    speaker: segment.speaker,
+    text: segment.text
+  })))}
+${history.length > 0 ? `
+Earlier questions in this conversation:
+${history.map(turn => `Q: ${turn.question}\nA: ${turn.answer}`).join('\n')}
+` : ''}
+Question: ${question}
+
+Provide a JSON response with the following structure:
+{ "answerable": true, "answer": "Answer to the question", "citations": ["IDs of the supporting segments"] }
+
+IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
+
+    const usages = [];
+    const callGemini = request => withRetry(async () => {
+      const response = await this.generateContent('ask', request);
+      usages.push(this.recordUsage('ask', response.response.usageMetadata, 0, attribution));
+      return response.response.text();
+    }, {
+      maxRetries: 2,
+      delay: 1000
+    });
+
+    try {
+      const result = await this.generateStructured('answer', this.jsonRequest(prompt, StructuredOutput.ANSWER_SCHEMA),
+        callGemini, StructuredOutput.validateAnswer);
+      if (!result.value) {
+        throw new AppError('Invalid answer response', 502);
+      }
+
+      return { ...this.normalizeAnswer(result.value), usage: UsageService.combine(usages) };
+    } catch (error) {
+      Logger.error('Failed to answer transcript question:', { error: error.message });
+      throw new ExternalAPIError('Gemini API', `Question answering failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fill in defaults of a parsed answer
+   * @param {Object} parsed - Parsed answer response
+   * @returns {Object} { answer, answerable, citations }
+   */
+  normalizeAnswer(parsed) {
+    return {
+      answer: typeof parsed.answer === 'string' ? parsed.answer : null,
+      answerable: parsed.answerable === true,
+      citations: Array.isArray(parsed.citations) ? parsed.citations.map(String) : []
+    };
+  }
+
+  /**
+   * Send one request to Gemini and record its latency
+   * @param {string} operation - Operation label (transcribe, summarize, summarize_section, translate, redact, ask)
+   * @param {Object|string} request - generateContent request
+   * @returns {Promise<Object>} generateContent result
+   */
+  async generateContent(operation, request) {
+    const startTime = Date.now();
+    try {
+      const response = await this.geminiModel.generateContent(request);
+      Logger.metric('gemini_request_duration', Date.now() - startTime, { operation, status: 'success' });
+      return response;
+    } catch (error) {
+      Logger.metric('gemini_request_duration', Date.now() - startTime, { operation, status: 'failure' });
+      throw error;
     }
   }
 
+  /**
+   * Record token usage and estimated cost of a Gemini call
+   * @param {string} operation - 'transcribe', 'summarize', 'translate', 'redact' or 'ask'
+   * @param {Object} usageMetadata - usageMetadata of the Gemini response
+   * @param {number} audioSeconds - Duration of audio in the prompt
+   * @param {Object} attribution - { eventId, recordId, sessionId, jobId, principal }
+   * @returns {Object|null} { promptTokens, audioTokens, outputTokens, totalTokens, cost }
+   */
+  recordUsage(operation, usageMetadata, audioSeconds, attribution = {}) {
+    if (!usageMetadata) return null;
+
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const outputTokens = usageMetadata.candidatesTokenCount || 0;
+    // Older API versions don't break the prompt down by modality; audio is 32 tokens per second
+    const audioDetail = (usageMetadata.promptTokensDetails || []).find(detail => detail.modality === 'AUDIO');
+    const audioTokens = audioDetail
+      ? audioDetail.tokenCount || 0
+      : Math.min(promptTokens, Math.round((audioSeconds || 0) * 32));
+
+    const usage = {
+      promptTokens,
+      audioTokens,
+      outputTokens,
+      totalTokens: usageMetadata.totalTokenCount || promptTokens + outputTokens,
+      cost: UsageService.roundCost((
+        (promptTokens - audioTokens) * this.prices.input +
+        audioTokens * this.prices.audio +
+        outputTokens * this.prices.output
+      ) / 1e6)
+    };
+
+    UsageService.record({ provider: 'gemini', model: this.model, operation, ...usage }, attribution);
+    return usage;
+  }
+
+  /**
+   * Parse summary response from Gemini, repairing broken JSON
+   * @param {string} responseText - Response text from Gemini
+   * @param {string} [templateName] - Summary template, picked from insights.meetingType if not given
+   * @returns {Object} Parsed summary
+   */
+  parseSummaryResponse(responseText, templateName) {
+    const { value } = StructuredOutput.parseResponse(responseText, StructuredOutput.validateSummary);
+    return value ? this.normalizeSummary(value, templateName) : this.fallbackSummary(templateName);
+  }
+
+  /**
+   * Fill in defaults of a parsed summary
+   * @param {Object} parsed - Parsed summary response
+   * @param {string} [templateName] - Summary template, picked from insights.meetingType if not given
+   * @returns {Object} Summary
+   */
+  normalizeSummary(parsed, templateName) {
+    const template = SummaryTemplates.getTemplate(templateName) ||
+      SummaryTemplates.getTemplateForMeetingType(parsed.insights?.meetingType);
+
+    // Ensure all required fields exist with defaults
+    return {
+      template: template.name,
+      summary: {
+        brief: parsed.summary?.brief || 'Summary not available',
+        keyPoints: parsed.summary?.keyPoints || [],
+        decisions: parsed.summary?.decisions || [],
+        actionItems: parsed.summary?.actionItems || [],
+        topics: parsed.summary?.topics || [],
+        sentiment: parsed.summary?.sentiment || 'neutral',
+        nextSteps: parsed.summary?.nextSteps || [],
+        ...SummaryTemplates.normalizeFields(template, parsed.summary)
+      },
+      insights: {
+        participationRate: parsed.insights?.participationRate || {},
+        mostDiscussedTopics: parsed.insights?.mostDiscussedTopics || [],
+        meetingType: parsed.insights?.meetingType || 'other',
+        effectiveness: parsed.insights?.effectiveness || 'medium'
+      }
+    };
+  }
+
+  /**
+   * Default summary structure for a response without usable JSON
+   * @param {string} [templateName] - Summary template
+   * @returns {Object} Summary
+   */
+  fallbackSummary(templateName) {
+    Logger.error('Failed to parse summary response');
+
+    const template = SummaryTemplates.getTemplate(templateName) ||
+      SummaryTemplates.getTemplate(SummaryTemplates.DEFAULT_TEMPLATE);
+    return {
+      template: template.name,
+      summary: {
+        brief: 'Failed to generate summary',
+        keyPoints: [],
+        decisions: [],
+        actionItems: [],
+        topics: [],
+        sentiment: 'neutral',
+        nextSteps: [],
+        ...SummaryTemplates.normalizeFields(template)
+      },
+      insights: {
+        participationRate: {},
+        mostDiscussedTopics: [],
+        meetingType: 'other',
+        effectiveness: 'unknown'
+      }
+    };
+  }
+
   /**
    * Format duration helper
    * @param {number} seconds - Duration in seconds
@@ -757,4 +1272,31 @@ IMPORTANT: Return ONLY valid JSON, no additional text or markdown.`;
   }
 }
 
+/**
+ * English name of a language code for prompts
+ * @param {string} code - Language code (e.g. 'de', 'pt-BR')
+ * @returns {string} Language name, or the code if unknown
+ */
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Validation errors for segments a translation response leaves out
+ * @param {Array<Object>} translated - Parsed translation response
+ * @param {Array<Object>} batch - Segments that were sent
+ * @returns {Array<string>} Errors (empty when every segment is there)
+ */
+function missingSegmentErrors(translated, batch) {
+  const ids = new Set(translated.map(item => item.id));
+  const missing = batch.filter(segment => !ids.has(String(segment.id)));
+  return missing.length > 0
+    ? [`segments ${missing.map(segment => segment.id).join(', ')} are missing`]
+    : [];
+}
+
 module.exports = new GeminiTranscriptionService();
\ No newline at end of file
@@ -0,0 +1,83 @@
+process.env.LOG_LEVEL = 'error';
+
+const GeminiTranscriptionService = require('./GeminiTranscriptionService');
+
+/**
+ * Gemini model stand-in answering with the given response texts in order
+ * @param {Array<string>} texts - Response texts
+ * @returns {Object} Fake model
+ */
+function fakeModel(texts) {
+  const queue = [...texts];
+  return {
+    generateContent: jest.fn(async () => {
+      const text = queue.shift();
+      return { response: { text: () => text, usageMetadata: null } };
+    })
+  };
+}
+
+describe('GeminiTranscriptionService structured responses', () => {
+  const service = GeminiTranscriptionService;
+  const original = service.geminiModel;
+
+  afterEach(() => {
+    service.geminiModel = original;
+  });
+
+  test('repairs a truncated section summary and leaves out a section without JSON', async () => {
+    const section = JSON.stringify({
+      title: 'Budget',
+      summary: 'The budget was approved.',
+      actionItems: [{ task: 'Send the budget', assignee: 'Ann', deadline: null }],
+      keyPoints: ['Budget approved', 'Hiring next quarter']
+    });
+    service.geminiModel = fakeModel([
+      '```json\n' + section.slice(0, section.indexOf('Hiring') - 2),
+      'Sorry, I can not summarize this section.',
+      'Still no JSON.'
+    ]);
+    const sections = [
+      [{ speaker: 'Ann', text: 'The budget is approved.', startTime: 0, endTime: 5 }],
+      [{ speaker: 'Ben', text: 'Anything else?', startTime: 900, endTime: 905 }]
+    ];
+
+    const chapters = await service.summarizeSections(sections, 'Meeting Information:', []);
+
+    expect(chapters).toEqual([expect.objectContaining({
+      index: 1,
+      title: 'Budget',
+      keyPoints: ['Budget approved'],
+      actionItems: [{ task: 'Send the budget', assignee: 'Ann', deadline: null }]
+    })]);
+    expect(service.geminiModel.generateContent).toHaveBeenCalledTimes(3);
+    expect(service.geminiModel.generateContent.mock.calls[0][0].generationConfig).toMatchObject({ responseMimeType: 'application/json' });
+  });
+
+  test('asks again for segments a translation leaves out', async () => {
+    service.geminiModel = fakeModel([
+      '[{"id":"1","text":"Hallo."}',
+      '[{"id":"1","text":"Hallo."},{"id":"2","text":"Tschüss."}]'
+    ]);
+
+    const result = await service.translateSegments(
+      [{ id: 1, text: 'Hello.' }, { id: 2, text: 'Goodbye.' }],
+      'de'
+    );
+
+    expect(result.segments).toEqual([{ id: 1, text: 'Hallo.' }, { id: 2, text: 'Tschüss.' }]);
+    const retry = service.geminiModel.generateContent.mock.calls[1][0].contents;
+    expect(retry[retry.length - 1].parts[0].text).toMatch(/segments 2 are missing/);
+  });
+
+  test('answers from a repaired response', async () => {
+    service.geminiModel = fakeModel(['{"answerable":true,"answer":"In March.","citations":["s1","s2"']);
+
+    const result = await service.answerQuestion(
+      [{ id: 's1', speaker: 'Ann', startTime: 0, text: 'We launch in March.' }],
+      'When do we launch?'
+    );
+
+    expect(result).toMatchObject({ answerable: true, answer: 'In March.', citations: ['s1', 's2'] });
+  });
+});
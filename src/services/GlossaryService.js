@@ -0,0 +1,496 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const Logger = require('../utils/Logger');
+const { ValidationError, NotFoundError } = require('../utils/ErrorHandler');
+
+const GLOSSARY_SCOPES = ['global', 'organizer', 'event'];
+
+// More specific glossaries win when they define the same term
+const SCOPE_PRIORITY = { event: 0, organizer: 1, global: 2 };
+
+/**
+ * Custom vocabularies for transcription.
+ *
+ * A glossary holds terms (product names, customer names, acronyms), each with the
+ * misrecognitions it is known to be heard as (aliases). Glossaries apply to every
+ * transcription (global), to meetings of one organizer, or to one calendar event.
+ * Their terms are added to the transcription prompt, and the transcript is corrected
+ * afterwards: aliases and near-miss spellings of a term are replaced by the term, and
+ * each correction is listed in segment.metadata.glossaryCorrections.
+ */
+class GlossaryService {
+  constructor() {
+    this.storePath = process.env.GLOSSARY_STORE_PATH || null;
+    this.maxPromptTerms = parseInt(process.env.GLOSSARY_MAX_PROMPT_TERMS) || 200;
+    this.glossaries = new Map(); // glossaryId -> glossary
+    this.saveQueue = Promise.resolve();
+    this.stats = {
+      transcriptions: 0,
+      corrections: 0
+    };
+  }
+
+  /**
+   * Load stored glossaries
+   */
+  async initialize() {
+    if (this.storePath) {
+      await this.load();
+    }
+
+    Logger.info('GlossaryService initialized', {
+      glossaries: this.glossaries.size,
+      persistent: !!this.storePath
+    });
+  }
+
+  /**
+   * Create a glossary
+   * @param {Object} params - { name, scope, scopeId, terms, active }
+   * @returns {Object} Glossary
+   */
+  createGlossary({ name, scope = 'global', scopeId = null, terms = [], active = true }) {
+    this.validateScope(scope, scopeId);
+
+    const now = new Date().toISOString();
+    const glossary = {
+      id: crypto.randomUUID(),
+      name,
+      scope,
+      scopeId: scope === 'global' ? null : scopeId,
+      terms: this.normalizeTerms(terms),
+      active: !!active,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.glossaries.set(glossary.id, glossary);
+    this.save();
+
+    Logger.info(`Glossary ${glossary.id} created`, { scope, scopeId: glossary.scopeId, terms: glossary.terms.length });
+    return { ...glossary };
+  }
+
+  /**
+   * Update a glossary (name, scope, scopeId, terms, active)
+   * @param {string} glossaryId - Glossary ID
+   * @param {Object} changes - Fields to change; terms replace the existing terms
+   * @returns {Object} Glossary
+   */
+  updateGlossary(glossaryId, changes) {
+    const glossary = this.getGlossaryOrThrow(glossaryId);
+    const { name, scope, scopeId, terms, active } = changes;
+
+    if (scope !== undefined || scopeId !== undefined) {
+      const nextScope = scope ?? glossary.scope;
+      const nextScopeId = scopeId !== undefined ? scopeId : glossary.scopeId;
+      this.validateScope(nextScope, nextScopeId);
+      glossary.scope = nextScope;
+      glossary.scopeId = nextScope === 'global' ? null : nextScopeId;
+    }
+    if (name !== undefined) {
+      glossary.name = name;
+    }
+    if (terms !== undefined) {
+      glossary.terms = this.normalizeTerms(terms);
+    }
+    if (active !== undefined) {
+      glossary.active = !!active;
+    }
+
+    glossary.updatedAt = new Date().toISOString();
+    this.save();
+    return { ...glossary };
+  }
+
+  /**
+   * Delete a glossary
+   * @param {string} glossaryId - Glossary ID
+   */
+  deleteGlossary(glossaryId) {
+    this.getGlossaryOrThrow(glossaryId);
+    this.glossaries.delete(glossaryId);
+
+    this.save();
+    Logger.info(`Glossary ${glossaryId} deleted`);
+  }
+
+  /**
+   * List glossaries
+   * @param {Object} filters - { scope, scopeId }
+   * @returns {Array<Object>} Glossaries
+   */
+  listGlossaries({ scope, scopeId } = {}) {
+    return Array.from(this.glossaries.values())
+      .filter(glossary => !scope || glossary.scope === scope)
+      .filter(glossary => !scopeId || sameScopeId(glossary.scopeId, scopeId))
+      .map(glossary => ({ ...glossary }));
+  }
+
+  /**
+   * Get a glossary
+   * @param {string} glossaryId - Glossary ID
+   * @returns {Object} Glossary
+   */
+  getGlossary(glossaryId) {
+    return { ...this.getGlossaryOrThrow(glossaryId) };
+  }
+
+  /**
+   * Terms that apply to a meeting: active global glossaries plus those of its organizer and event
+   * @param {Object} meeting - { eventId, organizer }
+   * @returns {Array<Object>} Terms [{ term, aliases, description, fuzzy, glossaryId }], one per term,
+   *   at most GLOSSARY_MAX_PROMPT_TERMS
+   */
+  getTerms({ eventId, organizer } = {}) {
+    const applicable = Array.from(this.glossaries.values())
+      .filter(glossary => glossary.active && (
+        glossary.scope === 'global' ||
+        (glossary.scope === 'organizer' && sameScopeId(glossary.scopeId, organizer)) ||
+        (glossary.scope === 'event' && sameScopeId(glossary.scopeId, eventId))
+      ))
+      .sort((a, b) => SCOPE_PRIORITY[a.scope] - SCOPE_PRIORITY[b.scope]);
+
+    const terms = new Map();
+    applicable.forEach(glossary => {
+      glossary.terms.forEach(term => {
+        const key = term.term.toLowerCase();
+        if (!terms.has(key)) {
+          terms.set(key, { ...term, glossaryId: glossary.id });
+        }
+      });
+    });
+
+    return [...terms.values()].slice(0, this.maxPromptTerms);
+  }
+
+  /**
+   * Replace aliases and near-miss spellings of glossary terms in a transcription
+   * @param {Object} transcription - Transcription (segments, fullText, metadata)
+   * @param {Array<Object>} terms - Terms from getTerms()
+   * @returns {Object} Corrected transcription; corrected segments list their corrections in
+   *   metadata.glossaryCorrections, and metadata.glossary has { glossaryIds, terms, corrections }
+   */
+  correctTranscription(transcription, terms) {
+    const variants = buildVariants(terms);
+    let total = 0;
+
+    const segments = (transcription.segments || []).map(segment => {
+      const { text, corrections } = correctText(segment.text || '', variants);
+      if (corrections.length === 0) return segment;
+
+      total += corrections.length;
+      return {
+        ...segment,
+        text,
+        metadata: { ...segment.metadata, glossaryCorrections: corrections }
+      };
+    });
+
+    this.stats.transcriptions++;
+    this.stats.corrections += total;
+    if (total > 0) {
+      Logger.metric('glossary_corrections', total);
+    }
+
+    return {
+      ...transcription,
+      segments,
+      fullText: transcription.fullText ? correctText(transcription.fullText, variants).text : transcription.fullText,
+      metadata: {
+        ...transcription.metadata,
+        glossary: {
+          glossaryIds: [...new Set(terms.map(term => term.glossaryId))],
+          terms: terms.length,
+          corrections: total
+        }
+      }
+    };
+  }
+
+  /**
+   * Normalize terms given as strings or { term, aliases, description, fuzzy }
+   * @param {Array<string|Object>} terms - Terms
+   * @returns {Array<Object>} Terms [{ term, aliases, description, fuzzy }]
+   */
+  normalizeTerms(terms) {
+    if (!Array.isArray(terms)) {
+      throw new ValidationError('Terms must be an array', 'terms');
+    }
+
+    const seen = new Set();
+    return terms.map(entry => {
+      const term = typeof entry === 'string' ? { term: entry } : entry;
+      const value = typeof term?.term === 'string' ? term.term.trim() : '';
+      if (!value) {
+        throw new ValidationError('Every term needs a non-empty term', 'terms');
+      }
+      if (seen.has(value.toLowerCase())) {
+        throw new ValidationError(`Duplicate term: ${value}`, 'terms');
+      }
+      seen.add(value.toLowerCase());
+
+      return {
+        term: value,
+        aliases: [...new Set((term.aliases || []).map(alias => String(alias).trim()).filter(Boolean))],
+        description: term.description || null,
+        fuzzy: term.fuzzy !== false
+      };
+    });
+  }
+
+  validateScope(scope, scopeId) {
+    if (!GLOSSARY_SCOPES.includes(scope)) {
+      throw new ValidationError(`Scope must be one of: ${GLOSSARY_SCOPES.join(', ')}`, 'scope');
+    }
+    if (scope !== 'global' && (typeof scopeId !== 'string' || !scopeId.trim())) {
+      throw new ValidationError(`An ${scope} glossary needs a scopeId (${scope === 'event' ? 'event ID' : 'organizer email'})`, 'scopeId');
+    }
+  }
+
+  getGlossaryOrThrow(glossaryId) {
+    const glossary = this.glossaries.get(glossaryId);
+    if (!glossary) {
+      throw new NotFoundError(`Glossary ${glossaryId}`);
+    }
+    return glossary;
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Service statistics
+   */
+  getStats() {
+    const scopes = {};
+    this.glossaries.forEach(glossary => {
+      scopes[glossary.scope] = (scopes[glossary.scope] || 0) + 1;
+    });
+
+    return {
+      ...this.stats,
+      glossaries: this.glossaries.size,
+      scopes,
+      persistent: !!this.storePath
+    };
+  }
+
+  /**
+   * Load glossaries from GLOSSARY_STORE_PATH
+   */
+  async load() {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    (stored.glossaries || []).forEach(glossary => this.glossaries.set(glossary.id, glossary));
+  }
+
+  /**
+   * Write glossaries to GLOSSARY_STORE_PATH (if configured)
+   * @returns {Promise} Write completion
+   */
+  save() {
+    if (!this.storePath) return Promise.resolve();
+
+    const snapshot = JSON.stringify({ glossaries: Array.from(this.glossaries.values()) });
+
+    this.saveQueue = this.saveQueue.then(async () => {
+      const tempPath = `${this.storePath}.tmp`;
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.storePath);
+    }).catch(error => {
+      Logger.error('Failed to store glossaries:', { error: error.message });
+    });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async stop() {
+    await this.save();
+    Logger.info('GlossaryService stopped');
+  }
+}
+
+/**
+ * Compare organizer emails and event IDs, ignoring case
+ * @param {string|null} a - Scope ID
+ * @param {string|null} b - Scope ID
+ * @returns {boolean} Same
+ */
+function sameScopeId(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Words of a text with their positions
+ * @param {string} text - Text
+ * @returns {Array<Object>} [{ word, start, end }]
+ */
+function tokenize(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu)].map(match => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Phrases to look for: each term and each of its aliases, longest first
+ * @param {Array<Object>} terms - Terms from getTerms()
+ * @returns {Array<Object>} [{ words, phrase, term, kind, fuzzy }]
+ */
+function buildVariants(terms) {
+  const variants = [];
+  terms.forEach(term => {
+    const add = (text, kind) => {
+      const words = tokenize(text).map(token => token.word.toLowerCase());
+      if (words.length > 0) {
+        variants.push({ words, phrase: words.join(' '), term: term.term, kind, fuzzy: kind === 'spelling' && term.fuzzy });
+      }
+    };
+    add(term.term, 'spelling');
+    term.aliases.forEach(alias => add(alias, 'alias'));
+  });
+
+  return variants.sort((a, b) => b.words.length - a.words.length);
+}
+
+/**
+ * Correct glossary terms in a text
+ * @param {string} text - Text
+ * @param {Array<Object>} variants - Variants from buildVariants()
+ * @returns {Object} { text, corrections: [{ original, corrected, kind, distance }] }
+ */
+function correctText(text, variants) {
+  const tokens = tokenize(text);
+  const exact = new Set(variants.map(variant => variant.phrase));
+  const corrections = [];
+  let result = '';
+  let position = 0;
+
+  for (let i = 0; i < tokens.length;) {
+    const match = findMatch(text, tokens, i, variants, exact);
+    if (!match) {
+      i++;
+      continue;
+    }
+
+    const start = tokens[i].start;
+    const end = tokens[i + match.length - 1].end;
+    result += text.slice(position, start) + match.term;
+    corrections.push({
+      original: text.slice(start, end),
+      corrected: match.term,
+      kind: match.kind,
+      distance: match.distance
+    });
+    position = end;
+    i += match.length;
+  }
+
+  return { text: result + text.slice(position), corrections };
+}
+
+/**
+ * Find a variant at a word position that needs correcting
+ * @param {string} text - Text
+ * @param {Array<Object>} tokens - Words of the text
+ * @param {number} index - Word position
+ * @param {Array<Object>} variants - Variants, longest first
+ * @param {Set<string>} exact - Phrases of all variants (never corrected into something else)
+ * @returns {Object|null} { term, kind, distance, length }
+ */
+function findMatch(text, tokens, index, variants, exact) {
+  for (const variant of variants) {
+    const length = variant.words.length;
+    if (index + length > tokens.length) continue;
+
+    const span = tokens.slice(index, index + length);
+    const phrase = span.map(token => token.word.toLowerCase()).join(' ');
+    const original = text.slice(span[0].start, span[length - 1].end);
+
+    if (phrase === variant.phrase) {
+      if (variant.kind === 'alias') {
+        return { term: variant.term, kind: 'alias', distance: 0, length };
+      }
+      if (original === variant.term) return null;
+      // Separators ("Node js") and lowercase words ("salesforce") are fixed; other
+      // capitalization, like a capital at the start of a sentence, is left alone
+      const letters = value => value.replace(/[^\p{L}\p{N}]/gu, '');
+      if (letters(original) === letters(variant.term) || original === original.toLowerCase()) {
+        const kind = original.toLowerCase() === variant.term.toLowerCase() ? 'case' : 'spelling';
+        return { term: variant.term, kind, distance: 0, length };
+      }
+      return null;
+    }
+
+    // Near misses of ordinary words ("nation", "strike") are ordinary words too; only
+    // capitalized words inside a sentence are taken for misspelled names
+    if (variant.fuzzy && !exact.has(phrase) && phrase[0] === variant.phrase[0] && isCapitalizedInSentence(text, span[0])) {
+      const maxDistance = variant.phrase.length >= 11 ? 2 : variant.phrase.length >= 6 ? 1 : 0;
+      const distance = maxDistance > 0 ? editDistance(phrase, variant.phrase, maxDistance) : Infinity;
+      if (distance <= maxDistance) {
+        return { term: variant.term, kind: 'spelling', distance, length };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a word starts with a capital letter and doesn't start a sentence
+ * @param {string} text - Text
+ * @param {Object} token - Word of the text
+ * @returns {boolean} Capitalized inside a sentence
+ */
+function isCapitalizedInSentence(text, token) {
+  const first = token.word[0];
+  if (first === first.toLowerCase() || first !== first.toUpperCase()) return false;
+
+  const before = text.slice(0, token.start).trimEnd();
+  return before.length > 0 && !/[.!?:"“]$/.test(before);
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment), cut off above a maximum
+ * @param {string} a - String
+ * @param {string} b - String
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or Infinity if it is above max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let previous = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+      if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    previous = row;
+    row = current;
+  }
+
+  return row[b.length] <= max ? row[b.length] : Infinity;
+}
+
+module.exports = new GlossaryService();
+module.exports.GLOSSARY_SCOPES = GLOSSARY_SCOPES;
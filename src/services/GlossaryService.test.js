@@ -0,0 +1,33 @@
+process.env.LOG_LEVEL = 'error';
+
+const GlossaryService = require('./GlossaryService');
+
+describe('GlossaryService.correctTranscription', () => {
+  const terms = GlossaryService.normalizeTerms([
+    'Notion',
+    'Stripe',
+    'Kubernetes',
+    'Salesforce',
+    { term: 'kubectl', aliases: ['cube control'] }
+  ]);
+
+  const correct = text => GlossaryService.correctTranscription({ segments: [{ text }] }, terms).segments[0].text;
+
+  test.each([
+    'The nation went on strike.',
+    'Nation states went on strike.',
+    'Strike while the iron is hot.',
+    'We need a new motion on the stripes.',
+    'They sat in the station and took notes.'
+  ])('leaves common words alone: %s', text => {
+    expect(correct(text)).toBe(text);
+  });
+
+  test('corrects capitalized misspellings inside a sentence', () => {
+    expect(correct('We deploy on Kubernetis and pay with Strype.')).toBe('We deploy on Kubernetes and pay with Stripe.');
+  });
+
+  test('corrects aliases and lowercase spellings anywhere', () => {
+    expect(correct('Cube control talks to the cluster, salesforce syncs.')).toBe('kubectl talks to the cluster, Salesforce syncs.');
+  });
+});
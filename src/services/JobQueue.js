@@ -0,0 +1,252 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+const { AppError } = require('../utils/ErrorHandler');
+
+const JOB_STATES = ['queued', 'downloading', 'transcribing', 'translating', 'saving', 'done', 'failed'];
+const FINISHED_STATES = ['done', 'failed'];
+
+/**
+ * Bounded in-process queue for long-running transcription work.
+ * Emits `job_updated` with the public job view on every state change.
+ * Jobs belong to the principal that enqueued them; finished jobs are dropped
+ * JOB_RETENTION_MS after they finish.
+ */
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.maxQueued = parseInt(process.env.JOB_QUEUE_MAX) || 100;
+    this.retention = parseInt(process.env.JOB_RETENTION_MS) || 3600000; // 1 hour
+    this.jobs = new Map(); // jobId -> job
+    this.pending = []; // jobs waiting for a worker slot
+    this.running = 0;
+    this.pruneTimer = null;
+    this.stats = {
+      total: 0,
+      done: 0,
+      failed: 0,
+      rejected: 0
+    };
+  }
+
+  /**
+   * Prune finished jobs periodically, also while no new jobs arrive
+   */
+  start() {
+    if (this.pruneTimer) return;
+
+    this.pruneTimer = setInterval(() => this.pruneFinishedJobs(), Math.min(this.retention, 60000));
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Stop pruning
+   */
+  stop() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (e.g. 'transcribe', 'raw_save')
+   * @param {Object} params - Job parameters (visible in job status)
+   * @param {Function} handler - async (job) => result; use job.update(state, progress)
+   * @param {Object} options - { owner: ID of the principal the job belongs to }
+   * @returns {Object} Public job view
+   */
+  enqueue(type, params, handler, { owner = null } = {}) {
+    this.pruneFinishedJobs();
+
+    if (this.pending.length >= this.maxQueued) {
+      this.stats.rejected++;
+      throw new AppError('Job queue is full, please retry later', 503);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner,
+      state: 'queued',
+      progress: 0,
+      params,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      handler
+    };
+
+    job.update = (state, progress) => this.updateJob(job, state, progress);
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.stats.total++;
+
+    Logger.info(`Job ${job.id} queued`, {
+      type,
+      queueLength: this.pending.length,
+      running: this.running
+    });
+
+    this.emit('job_updated', this.toPublicJob(job));
+    setImmediate(() => this.runNext());
+
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Start pending jobs while worker slots are free
+   */
+  runNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      job.startedAt = new Date().toISOString();
+
+      this.execute(job).finally(() => {
+        this.running--;
+        this.runNext();
+      });
+    }
+  }
+
+  /**
+   * Execute a single job
+   * @param {Object} job - Job
+   */
+  async execute(job) {
+    try {
+      const result = await job.handler(job);
+      job.result = result;
+      this.updateJob(job, 'done', 100);
+      this.stats.done++;
+
+      Logger.info(`Job ${job.id} completed`, {
+        type: job.type,
+        durationMs: Date.parse(job.finishedAt) - Date.parse(job.startedAt)
+      });
+    } catch (error) {
+      job.error = {
+        message: error.message,
+        type: error.type || 'Error',
+        statusCode: error.statusCode || 500
+      };
+      this.updateJob(job, 'failed', job.progress);
+      this.stats.failed++;
+
+      Logger.error(`Job ${job.id} failed:`, {
+        type: job.type,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update job state and progress
+   * @param {Object} job - Job
+   * @param {string} state - New state
+   * @param {number} progress - Progress 0-100 (optional)
+   */
+  updateJob(job, state, progress) {
+    if (!JOB_STATES.includes(state)) {
+      throw new Error(`Invalid job state: ${state}`);
+    }
+
+    job.state = state;
+    if (typeof progress === 'number') {
+      job.progress = Math.max(0, Math.min(100, Math.round(progress)));
+    }
+    job.updatedAt = new Date().toISOString();
+    if (FINISHED_STATES.includes(state)) {
+      job.finishedAt = job.updatedAt;
+    }
+
+    this.emit('job_updated', this.toPublicJob(job));
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { owner: only return the job if it belongs to this principal }
+   * @returns {Object|null} Public job view
+   */
+  getJob(jobId, { owner } = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job || (owner !== undefined && job.owner !== owner)) {
+      return null;
+    }
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * List jobs, most recent first
+   * @param {Object} filters - { state, type, owner }
+   * @returns {Array} Public job views
+   */
+  listJobs(filters = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => filters.owner === undefined || job.owner === filters.owner)
+      .filter(job => !filters.state || job.state === filters.state)
+      .filter(job => !filters.type || job.type === filters.type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.toPublicJob(job, { includeResult: false }));
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   */
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - this.retention;
+    for (const [jobId, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  /**
+   * Public representation of a job (without handler)
+   * @param {Object} job - Job
+   * @param {Object} options - { includeResult }
+   * @returns {Object} Job view
+   */
+  toPublicJob(job, { includeResult = true } = {}) {
+    return {
+      id: job.id,
+      type: job.type,
+      owner: job.owner,
+      state: job.state,
+      progress: job.progress,
+      params: job.params,
+      ...(includeResult && { result: job.result }),
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      retained: this.jobs.size
+    };
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JOB_STATES = JOB_STATES;
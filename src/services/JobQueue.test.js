@@ -0,0 +1,53 @@
+process.env.LOG_LEVEL = 'error';
+
+const JobQueue = require('./JobQueue');
+
+/**
+ * Wait until a job is done or failed
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job
+ */
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = JobQueue.getJob(jobId);
+    if (['done', 'failed'].includes(job.state)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('JobQueue', () => {
+  const retention = JobQueue.retention;
+
+  afterEach(() => {
+    JobQueue.stop();
+    JobQueue.retention = retention;
+    JobQueue.jobs.clear();
+    jest.useRealTimers();
+  });
+
+  test('only returns jobs of the given owner', async () => {
+    const anna = JobQueue.enqueue('transcribe', {}, async () => ({}), { owner: 'anna' });
+    const ben = JobQueue.enqueue('transcribe', {}, async () => ({}), { owner: 'ben' });
+
+    expect(JobQueue.listJobs({ owner: 'anna' }).map(job => job.id)).toEqual([anna.id]);
+    expect(JobQueue.listJobs().map(job => job.id).sort()).toEqual([anna.id, ben.id].sort());
+    expect(JobQueue.getJob(ben.id, { owner: 'anna' })).toBeNull();
+    expect(JobQueue.getJob(ben.id, { owner: 'ben' })).toMatchObject({ id: ben.id, owner: 'ben' });
+    await Promise.all([waitForJob(anna.id), waitForJob(ben.id)]);
+  });
+
+  test('prunes finished jobs on a timer', async () => {
+    JobQueue.retention = 1000;
+    const job = JobQueue.enqueue('transcribe', {}, async () => ({}));
+    await waitForJob(job.id);
+
+    jest.useFakeTimers({ now: Date.now() });
+    JobQueue.start();
+    jest.advanceTimersByTime(2000);
+
+    expect(JobQueue.getJob(job.id)).toBeNull();
+  });
+});
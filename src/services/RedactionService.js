@@ -0,0 +1,481 @@
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+const { AppError, NotFoundError } = require('../utils/ErrorHandler');
+const UsageService = require('./UsageService');
+
+const STRATEGIES = ['mask', 'replace', 'hash'];
+
+/**
+ * Rule-based detectors, in priority order: where matches overlap, the earlier detector wins.
+ * `find(text)` returns the spans of personal data as [{ start, end }].
+ */
+const DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    find: text => matchAll(text, /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g)
+  },
+  iban: {
+    label: 'IBAN',
+    // Spoken IBANs are often followed by more letters or digits, so use the longest valid prefix
+    find: text => matchAll(text, /(?<![A-Za-z0-9])[A-Z]{2}\d{2}(?:[ -]?[A-Z0-9]){11,30}/g, match =>
+      longestValidPrefix(match, 15, isValidIban))
+  },
+  credit_card: {
+    label: 'CREDIT_CARD',
+    find: text => matchAll(text, /(?<![\d-])\d(?:[ -]?\d){12,18}/g, match =>
+      longestValidPrefix(match, 13, isValidCardNumber))
+  },
+  phone: {
+    label: 'PHONE',
+    find: text => matchAll(text, /(?<![\w+])(?:\+|\()?\d[\d ().\/-]{5,}\d(?![\w])/g, match =>
+      isPhoneNumber(match) ? match.length : 0)
+  }
+};
+
+// Types the LLM-assisted pass may report
+const ENTITY_TYPES = ['name', 'address', 'other'];
+
+const LABELS = {
+  ...Object.fromEntries(Object.entries(DETECTORS).map(([type, { label }]) => [type, label])),
+  name: 'NAME',
+  address: 'ADDRESS',
+  other: 'PII'
+};
+
+/**
+ * Redaction of personal data in transcripts before they are summarized or stored.
+ *
+ * Rule-based detectors find emails, phone numbers, IBANs and card numbers; names of the
+ * meeting participants are redacted too, and with REDACTION_LLM_ENABLED the provider is
+ * asked for names and addresses the rules can't see. Matches are masked (`+** *** ***4567`),
+ * replaced with numbered placeholders (`[EMAIL_1]`) or replaced with keyed hashes
+ * (`[EMAIL_3f2a9c1b]`, stable across transcripts).
+ *
+ * With REDACTION_MAPPING_KEY, the original values and their positions are kept
+ * AES-256-GCM encrypted with the stored transcript so callers with the `pii:read` scope
+ * can restore them.
+ */
+class RedactionService {
+  constructor() {
+    this.enabled = process.env.REDACTION_ENABLED === 'true';
+    this.strategy = STRATEGIES.includes(process.env.REDACTION_STRATEGY) ? process.env.REDACTION_STRATEGY : 'replace';
+    this.detectors = (process.env.REDACTION_DETECTORS || Object.keys(DETECTORS).concat('name').join(','))
+      .split(',')
+      .map(type => type.trim())
+      .filter(type => DETECTORS[type] || type === 'name');
+    this.llmEnabled = process.env.REDACTION_LLM_ENABLED === 'true';
+    // Without a configured secret, hashes only match within one process
+    this.hashSecret = process.env.REDACTION_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+    this.mappingKey = process.env.REDACTION_MAPPING_KEY
+      ? crypto.createHash('sha256').update(process.env.REDACTION_MAPPING_KEY).digest()
+      : null;
+    this.stats = {
+      transcripts: 0,
+      redactions: {}
+    };
+  }
+
+  /**
+   * Whether a request's transcript is redacted
+   * @param {boolean} [requested] - `redact` of the request; can only turn redaction on
+   * @returns {boolean} Redact
+   */
+  isEnabled(requested) {
+    return this.enabled || requested === true;
+  }
+
+  /**
+   * Redact personal data from a transcription
+   * @param {Object} transcription - Transcription (segments, fullText, metadata)
+   * @param {Object} options - { strategy, names: known person names, provider, attribution,
+   *   numbers: placeholder numbers to continue (`replace` strategy, updated in place) }
+   * @returns {Promise<Object>} Transcription with redacted text and speakers; metadata.redaction holds the
+   *   report ({ strategy, detectors, llm, counts, total }) and metadata.redactionMapping the
+   *   encrypted mapping (null without REDACTION_MAPPING_KEY)
+   */
+  async redactTranscription(transcription, { strategy = this.strategy, names = [], provider, attribution, numbers = {} } = {}) {
+    const segments = (transcription.segments || []).map((segment, index) => ({ ...segment, id: index + 1 }));
+
+    let entities = [];
+    let usage = null;
+    const llm = this.llmEnabled && !!provider;
+    if (llm) {
+      const withText = segments.filter(segment => segment.text && segment.text.trim());
+      const result = await provider.detectPersonalData(withText, { attribution });
+      entities = result.entities;
+      usage = result.usage;
+    }
+
+    const tokens = createTokenizer(strategy, this.hashSecret, numbers);
+    const counts = {};
+    const entries = [];
+
+    const redactedSegments = segments.map(({ id, ...segment }) => {
+      const segmentEntities = entities.filter(entity => String(entity.id) === String(id));
+      const redacted = { ...segment };
+
+      // Speaker labels repeat the names on every segment; their matches aren't counted
+      if (segment.speaker) {
+        const speakerEntries = [];
+        redacted.speaker = applySpans(segment.speaker, this.findSpans(segment.speaker, names, segmentEntities), tokens, speakerEntries, { segmentId: id, field: 'speaker' });
+        // Entries only apply while the segment keeps this label
+        speakerEntries.forEach(entry => entries.push({ ...entry, speaker: redacted.speaker }));
+      }
+
+      const spans = this.findSpans(segment.text || '', names, segmentEntities);
+      spans.forEach(span => { counts[span.type] = (counts[span.type] || 0) + 1; });
+      redacted.text = applySpans(segment.text || '', spans, tokens, entries, { segmentId: id, field: 'text' });
+
+      return redacted;
+    });
+
+    // fullText repeats the segments; its matches aren't counted again
+    const fullText = transcription.fullText
+      ? applySpans(transcription.fullText, this.findSpans(transcription.fullText, names, entities), tokens, entries, { segmentId: null, field: 'fullText' })
+      : transcription.fullText;
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    this.stats.transcripts++;
+    Object.entries(counts).forEach(([type, count]) => {
+      this.stats.redactions[type] = (this.stats.redactions[type] || 0) + count;
+      Logger.metric('pii_redactions', count, { type, strategy });
+    });
+
+    Logger.info('Transcript redacted', { strategy, llm, total, counts });
+
+    return {
+      ...transcription,
+      segments: redactedSegments,
+      fullText,
+      metadata: {
+        ...transcription.metadata,
+        // The LLM-assisted pass is billed with the transcription
+        usage: usage ? UsageService.combine([transcription.metadata?.usage, usage]) : transcription.metadata?.usage,
+        redaction: {
+          strategy,
+          detectors: this.detectors,
+          llm,
+          counts,
+          total
+        },
+        redactionMapping: this.mappingKey && entries.length > 0 ? this.encrypt(entries) : null
+      }
+    };
+  }
+
+  /**
+   * Find personal data in a text
+   * @param {string} text - Text
+   * @param {Array<string>} names - Known person names
+   * @param {Array<Object>} entities - Entities found by the LLM pass: [{ text, type }]
+   * @returns {Array<Object>} Non-overlapping spans [{ start, end, type }], in text order
+   */
+  findSpans(text, names, entities) {
+    const candidates = [];
+    this.detectors.forEach(type => {
+      const spans = type === 'name' ? findNames(text, names) : DETECTORS[type].find(text);
+      spans.forEach(span => candidates.push({ ...span, type }));
+    });
+    entities.forEach(entity => {
+      findLiteral(text, entity.text).forEach(span => {
+        candidates.push({ ...span, type: ENTITY_TYPES.includes(entity.type) ? entity.type : 'other' });
+      });
+    });
+
+    const spans = [];
+    candidates.forEach(candidate => {
+      if (!spans.some(span => candidate.start < span.end && span.start < candidate.end)) {
+        spans.push(candidate);
+      }
+    });
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Decrypt a stored redaction mapping
+   * @param {Object} redaction - raw_transcript.redaction
+   * @returns {Array<Object>} Entries [{ segmentId, field, type, start, end, value }]
+   */
+  getMapping(redaction) {
+    if (!redaction?.mapping) {
+      throw new NotFoundError('Redaction mapping');
+    }
+    if (!this.mappingKey) {
+      throw new AppError('Redaction mappings can not be read without REDACTION_MAPPING_KEY', 503);
+    }
+
+    try {
+      const { iv, tag, data } = redaction.mapping;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.mappingKey, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      const json = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+      return JSON.parse(json);
+    } catch (error) {
+      Logger.error('Failed to decrypt redaction mapping:', { error: error.message });
+      throw new AppError('Redaction mapping could not be decrypted', 500);
+    }
+  }
+
+  /**
+   * Put the original values back into redacted segments and speaker labels
+   * @param {Array<Object>} segments - Stored segments (ids 1..n)
+   * @param {string} fullText - Stored full text
+   * @param {Array<Object>} entries - Entries from getMapping()
+   * @returns {Object} { segments, fullText }
+   */
+  restore(segments, fullText, entries) {
+    const restoreText = (text, textEntries) => [...textEntries]
+      .sort((a, b) => b.start - a.start)
+      .reduce((result, entry) => result.slice(0, entry.start) + entry.value + result.slice(entry.end), text || '');
+
+    return {
+      segments: segments.map((segment, index) => {
+        const id = segment.id ?? index + 1;
+        const segmentEntries = entries.filter(entry => entry.field === 'text' && entry.segmentId === id);
+        const speakerEntries = entries.filter(entry => entry.field === 'speaker' && entry.segmentId === id);
+        return {
+          ...segment,
+          ...(segmentEntries.length > 0 && { text: restoreText(segment.text, segmentEntries) }),
+          ...(speakerEntries.length > 0 && { speaker: restoreText(segment.speaker, speakerEntries) })
+        };
+      }),
+      fullText: restoreText(fullText, entries.filter(entry => entry.field === 'fullText'))
+    };
+  }
+
+  /**
+   * Encrypt redaction mapping entries for storage
+   * @param {Array<Object>} entries - Mapping entries
+   * @returns {Object} { algorithm, iv, tag, data } (base64)
+   */
+  encrypt(entries) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.mappingKey, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+
+    return {
+      algorithm: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Get redaction statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      strategy: this.strategy,
+      detectors: this.detectors,
+      llm: this.llmEnabled,
+      storesMapping: !!this.mappingKey,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Spans of all regex matches
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern
+ * @param {Function} [accept] - (match) => length of the match to keep, 0 to drop it
+ * @returns {Array<Object>} Spans [{ start, end }]
+ */
+function matchAll(text, pattern, accept = match => match.length) {
+  const spans = [];
+  for (const match of text.matchAll(pattern)) {
+    const length = accept(match[0]);
+    if (length > 0) {
+      spans.push({ start: match.index, end: match.index + length });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Length of the longest prefix of a match that is valid, ending on a letter or digit
+ * @param {string} match - Matched text
+ * @param {number} minLength - Minimum number of letters and digits
+ * @param {Function} isValid - (compact value) => boolean
+ * @returns {number} Prefix length, 0 if there is none
+ */
+function longestValidPrefix(match, minLength, isValid) {
+  for (let end = match.length; end > 0; end--) {
+    const prefix = match.slice(0, end);
+    if (!/[A-Za-z0-9]$/.test(prefix)) continue;
+    const compact = prefix.replace(/[^A-Za-z0-9]/g, '');
+    if (compact.length < minLength) break;
+    if (isValid(compact)) return end;
+  }
+  return 0;
+}
+
+/**
+ * Check an IBAN's mod-97 checksum
+ * @param {string} iban - IBAN without separators
+ * @returns {boolean} Valid
+ */
+function isValidIban(iban) {
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Check a card number's Luhn checksum
+ * @param {string} number - Digits
+ * @returns {boolean} Valid
+ */
+function isValidCardNumber(number) {
+  if (number.length < 13 || number.length > 19) return false;
+
+  let sum = 0;
+  [...number].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+}
+
+/**
+ * Whether a number looks like a phone number: 7 to 15 digits, written internationally
+ * (+49..., 0049...), with a trunk prefix (030...) or as a North American number
+ * @param {string} value - Matched text
+ * @returns {boolean} Phone number
+ */
+function isPhoneNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return false;
+  return /^[+(0]/.test(value) || /^\d{3}[-. ]\d{3}[-. ]\d{4}$/.test(value);
+}
+
+/**
+ * Spans of known names: full names and their parts of three letters or more
+ * @param {string} text - Text
+ * @param {Array<string>} names - Person names
+ * @returns {Array<Object>} Spans [{ start, end }], full names first
+ */
+function findNames(text, names) {
+  const variants = new Set();
+  names.filter(Boolean).forEach(name => {
+    variants.add(name.trim());
+    name.split(/\s+/).filter(part => part.length >= 3).forEach(part => variants.add(part));
+  });
+
+  return [...variants]
+    .sort((a, b) => b.length - a.length)
+    .flatMap(variant => findLiteral(text, variant));
+}
+
+/**
+ * Spans of a literal string as a whole word
+ * @param {string} text - Text
+ * @param {string} literal - String to find
+ * @returns {Array<Object>} Spans [{ start, end }]
+ */
+function findLiteral(text, literal) {
+  if (!literal || !literal.trim()) return [];
+  const escaped = literal.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return matchAll(text, new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu'));
+}
+
+/**
+ * Replacement text generator for a strategy; `replace` numbers distinct values per type
+ * across the whole transcript
+ * @param {string} strategy - 'mask', 'replace' or 'hash'
+ * @param {string} secret - HMAC secret of the hash and replace strategies
+ * @param {Object} numbers - Placeholder numbers by type and value hash, added to in place
+ *   (holds no values, so it can be stored with a live session)
+ * @returns {Function} (type, value) => replacement
+ */
+function createTokenizer(strategy, secret, numbers) {
+  return (type, value) => {
+    const label = LABELS[type];
+    if (strategy === 'mask') {
+      return maskValue(type, value);
+    }
+
+    const hash = crypto.createHmac('sha256', secret).update(`${type}:${normalizeValue(value)}`).digest('hex');
+    if (strategy === 'hash') {
+      return `[${label}_${hash.slice(0, 8)}]`;
+    }
+
+    const key = `${type}:${hash}`;
+    if (!numbers[key]) {
+      numbers[key] = Object.keys(numbers).filter(existing => existing.startsWith(`${type}:`)).length + 1;
+    }
+    return `[${label}_${numbers[key]}]`;
+  };
+}
+
+/**
+ * Normalized form of a value, so differently written occurrences get the same token
+ * @param {string} value - Original value
+ * @returns {string} Normalized value
+ */
+function normalizeValue(value) {
+  return value.toLowerCase().replace(/[\s().\/-]/g, '');
+}
+
+/**
+ * Mask a value: numbers keep their last four digits, other values the first letter of each word
+ * @param {string} type - Detector type
+ * @param {string} value - Original value
+ * @returns {string} Masked value
+ */
+function maskValue(type, value) {
+  if (['phone', 'iban', 'credit_card'].includes(type)) {
+    let visible = 4;
+    return [...value].reverse().map(char => {
+      if (!/[A-Za-z0-9]/.test(char)) return char;
+      return visible-- > 0 ? char : '*';
+    }).reverse().join('');
+  }
+
+  return value.replace(/[\p{L}\p{N}]+/gu, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Replace spans in a text and record what was replaced
+ * @param {string} text - Original text
+ * @param {Array<Object>} spans - Spans in text order
+ * @param {Function} tokens - Tokenizer from createTokenizer()
+ * @param {Array<Object>} entries - Mapping entries to add to
+ * @param {Object} location - { segmentId, field }
+ * @returns {string} Redacted text
+ */
+function applySpans(text, spans, tokens, entries, location) {
+  let result = '';
+  let position = 0;
+
+  spans.forEach(span => {
+    const value = text.slice(span.start, span.end);
+    const replacement = tokens(span.type, value);
+    result += text.slice(position, span.start);
+    // Positions refer to the redacted text, which is what gets stored
+    entries.push({ ...location, type: span.type, start: result.length, end: result.length + replacement.length, value });
+    result += replacement;
+    position = span.end;
+  });
+
+  return result + text.slice(position);
+}
+
+module.exports = new RedactionService();
+module.exports.STRATEGIES = STRATEGIES;
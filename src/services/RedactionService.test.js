@@ -0,0 +1,125 @@
+process.env.LOG_LEVEL = 'error';
+process.env.REDACTION_MAPPING_KEY = 'test-mapping-key';
+
+const RedactionService = require('./RedactionService');
+
+const types = text => RedactionService.findSpans(text, [], []).map(span => [span.type, text.slice(span.start, span.end)]);
+
+describe('RedactionService detectors', () => {
+  test('find emails', () => {
+    expect(types('Write to jane.doe+work@example.co.uk today')).toEqual([['email', 'jane.doe+work@example.co.uk']]);
+  });
+
+  test('find IBANs with a valid checksum only', () => {
+    expect(types('Pay to DE89 3704 0044 0532 0130 00 please')).toEqual([['iban', 'DE89 3704 0044 0532 0130 00']]);
+    expect(types('Pay to DE00 3704 0044 0532 0130 00 please')).toEqual([]);
+  });
+
+  test('find card numbers with a valid Luhn checksum only', () => {
+    expect(types('Card 4111 1111 1111 1111 expires soon')).toEqual([['credit_card', '4111 1111 1111 1111']]);
+    expect(types('Order 4111 1111 1111 1112 shipped')).toEqual([]);
+  });
+
+  test('find phone numbers in international, trunk and North American format', () => {
+    expect(types('Call +49 30 1234567 or 030 1234567 or 555-123-4567')).toEqual([
+      ['phone', '+49 30 1234567'],
+      ['phone', '030 1234567'],
+      ['phone', '555-123-4567']
+    ]);
+  });
+
+  test('leave years, amounts and times alone', () => {
+    expect(types('In 2024 we spent 1500000 euros, meeting at 10:30')).toEqual([]);
+  });
+
+  test('find known names and their parts as whole words', () => {
+    const text = 'Ann Lee said Lee will call Annika';
+    const spans = RedactionService.findSpans(text, ['Ann Lee'], []);
+
+    expect(spans.map(span => text.slice(span.start, span.end))).toEqual(['Ann Lee', 'Lee']);
+    expect(spans.every(span => span.type === 'name')).toBe(true);
+  });
+});
+
+describe('RedactionService.redactTranscription', () => {
+  const transcription = {
+    segments: [
+      { speaker: 'Speaker 1', text: 'Mail ann@x.io or call 030 1234567.', startTime: 0, endTime: 3 },
+      { speaker: 'Speaker 2', text: 'Again: ann@x.io', startTime: 3, endTime: 5 }
+    ],
+    fullText: 'Mail ann@x.io or call 030 1234567. Again: ann@x.io',
+    metadata: {}
+  };
+
+  test('replaces values with numbered placeholders, the same value with the same number', async () => {
+    const result = await RedactionService.redactTranscription(transcription, { strategy: 'replace' });
+
+    expect(result.segments.map(segment => segment.text)).toEqual([
+      'Mail [EMAIL_1] or call [PHONE_1].',
+      'Again: [EMAIL_1]'
+    ]);
+    expect(result.fullText).toBe('Mail [EMAIL_1] or call [PHONE_1]. Again: [EMAIL_1]');
+    expect(result.metadata.redaction).toMatchObject({ strategy: 'replace', counts: { email: 2, phone: 1 }, total: 3 });
+  });
+
+  test('masks values', async () => {
+    const result = await RedactionService.redactTranscription(transcription, { strategy: 'mask' });
+
+    expect(result.segments[0].text).toBe('Mail a**@x.i* or call *** ***4567.');
+  });
+
+  test('keeps an encrypted mapping that restores the original text', async () => {
+    const result = await RedactionService.redactTranscription(transcription, { strategy: 'hash' });
+    const entries = RedactionService.getMapping({ mapping: result.metadata.redactionMapping });
+    const restored = RedactionService.restore(
+      result.segments.map((segment, index) => ({ ...segment, id: index + 1 })),
+      result.fullText,
+      entries
+    );
+
+    expect(restored.segments.map(segment => segment.text)).toEqual(transcription.segments.map(segment => segment.text));
+    expect(restored.fullText).toBe(transcription.fullText);
+  });
+});
+
+describe('RedactionService speaker labels', () => {
+  const transcription = {
+    segments: [
+      { speaker: 'Ann Lee', text: 'Lee here, mail ann@x.io', startTime: 0, endTime: 3 },
+      { speaker: 'Speaker 2', text: 'Thanks Ann Lee', startTime: 3, endTime: 5 }
+    ],
+    fullText: 'Lee here, mail ann@x.io Thanks Ann Lee',
+    metadata: {}
+  };
+
+  test('redacts known names in speaker labels and restores them', async () => {
+    const result = await RedactionService.redactTranscription(transcription, { strategy: 'replace', names: ['Ann Lee'] });
+
+    expect(result.segments.map(segment => [segment.speaker, segment.text])).toEqual([
+      ['[NAME_1]', '[NAME_2] here, mail [EMAIL_1]'],
+      ['Speaker 2', 'Thanks [NAME_1]']
+    ]);
+    expect(result.metadata.redaction.counts).toEqual({ name: 2, email: 1 });
+
+    const entries = RedactionService.getMapping({ mapping: result.metadata.redactionMapping });
+    const restored = RedactionService.restore(
+      result.segments.map((segment, index) => ({ ...segment, id: index + 1 })),
+      result.fullText,
+      entries
+    );
+    expect(restored.segments.map(segment => [segment.speaker, segment.text]))
+      .toEqual(transcription.segments.map(segment => [segment.speaker, segment.text]));
+  });
+
+  test('continues placeholder numbers across calls', async () => {
+    const numbers = {};
+    const first = await RedactionService.redactTranscription(transcription, { names: ['Ann Lee'], numbers });
+    const second = await RedactionService.redactTranscription({
+      segments: [{ speaker: 'Ann Lee', text: 'Call Bo at bo@x.io or ann@x.io' }]
+    }, { names: ['Ann Lee'], numbers });
+
+    expect(first.segments[0].speaker).toBe('[NAME_1]');
+    expect(second.segments[0]).toMatchObject({ speaker: '[NAME_1]', text: 'Call Bo at [EMAIL_2] or [EMAIL_1]' });
+    expect(JSON.stringify(numbers)).not.toMatch(/ann|Lee/);
+  });
+});
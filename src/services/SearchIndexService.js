@@ -0,0 +1,373 @@
+const Logger = require('../utils/Logger');
+const { ValidationError } = require('../utils/ErrorHandler');
+const { formatDuration } = require('../utils/formatDuration');
+const TranscriptStreamService = require('./TranscriptStreamService');
+const TranscriptRecordService = require('./TranscriptRecordService');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_CONTEXT = 80;
+const RECORD_PAGE_SIZE = 100;
+
+/**
+ * In-memory inverted index over transcript segments of live sessions
+ * (TranscriptStreamService) and stored meeting_bot_audio_transcript rows.
+ *
+ * Live sessions are indexed as segments arrive; stored rows are loaded at startup
+ * and re-indexed whenever TranscriptRecordService updates their raw_transcript.
+ */
+class SearchIndexService {
+  constructor() {
+    this.postings = new Map(); // token -> Set of document IDs
+    this.documents = new Map(); // document ID -> indexed segment
+    this.containers = new Map(); // 'live:<sessionId>' / 'stored:<recordId>' -> transcript info and document IDs
+    this.recordsLoaded = false;
+  }
+
+  /**
+   * Index existing transcripts and follow new segments and record updates
+   */
+  async initialize() {
+    TranscriptStreamService.transcriptSessions.forEach(session => this.indexSession(session.sessionId));
+
+    TranscriptStreamService.on('segments_added', ({ sessionId, segments }) => {
+      this.addSegments('live', sessionId, this.getSessionInfo(sessionId), segments);
+    });
+    TranscriptStreamService.on('session_removed', ({ sessionId }) => {
+      this.removeContainer(`live:${sessionId}`);
+    });
+    TranscriptRecordService.on('record_updated', ({ id, fields }) => {
+      if (fields.includes('raw_transcript')) {
+        this.refreshRecord(id);
+      }
+    });
+
+    // Stored transcripts can take a while to load; don't hold up startup
+    if (TranscriptRecordService.isAvailable()) {
+      this.indexStoredRecords().catch(error => {
+        Logger.error('Failed to index stored transcripts:', error);
+      });
+    }
+  }
+
+  /**
+   * Load and index all stored transcript rows
+   */
+  async indexStoredRecords() {
+    let offset = 0;
+    let rows;
+
+    do {
+      rows = await TranscriptRecordService.listRecords({ offset, limit: RECORD_PAGE_SIZE });
+      rows.forEach(row => this.indexRecord(row));
+      offset += rows.length;
+    } while (rows.length === RECORD_PAGE_SIZE);
+
+    this.recordsLoaded = true;
+    Logger.info(`Search index loaded ${offset} stored transcripts`, this.getStats());
+  }
+
+  /**
+   * (Re-)index all segments of a live session
+   * @param {string} sessionId - Session ID
+   */
+  indexSession(sessionId) {
+    const session = TranscriptStreamService.transcriptSessions.get(sessionId);
+    if (!session) return;
+
+    this.removeContainer(`live:${sessionId}`);
+    this.addSegments('live', sessionId, this.getSessionInfo(sessionId), session.segments);
+  }
+
+  /**
+   * (Re-)index a stored transcript row
+   * @param {Object} record - meeting_bot_audio_transcript row
+   */
+  indexRecord(record) {
+    if (!record?.raw_transcript) return;
+
+    const transcript = TranscriptRecordService.toTranscript(record);
+    this.removeContainer(`stored:${record.id}`);
+    this.addSegments('stored', record.id, {
+      title: transcript.title,
+      startedAt: transcript.metadata.startedAt,
+      language: transcript.transcript.detectedLanguage
+    }, transcript.transcript.segments);
+  }
+
+  /**
+   * Fetch a stored row again and re-index it
+   * @param {string} id - Row ID
+   */
+  async refreshRecord(id) {
+    try {
+      this.indexRecord(await TranscriptRecordService.getRecord(id));
+    } catch (error) {
+      Logger.error(`Failed to re-index stored transcript ${id}:`, { error: error.message });
+    }
+  }
+
+  /**
+   * Transcript-level fields of a live session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { title, startedAt, language }
+   */
+  getSessionInfo(sessionId) {
+    const session = TranscriptStreamService.transcriptSessions.get(sessionId);
+    return {
+      title: session?.metadata?.meetingTitle || null,
+      startedAt: session?.startedAt || null,
+      language: session?.detectedLanguage || null
+    };
+  }
+
+  /**
+   * Add segments of a transcript to the index
+   * @param {string} source - 'live' or 'stored'
+   * @param {string} id - Session or record ID
+   * @param {Object} info - { title, startedAt, language }
+   * @param {Array<Object>} segments - Segments to add
+   */
+  addSegments(source, id, info, segments = []) {
+    const containerKey = `${source}:${id}`;
+    let container = this.containers.get(containerKey);
+    if (!container) {
+      container = { source, id, documentIds: new Set() };
+      this.containers.set(containerKey, container);
+    }
+
+    // Title and language of live sessions change while they run
+    container.title = info.title || null;
+    container.startedAt = info.startedAt ? new Date(info.startedAt) : null;
+    container.language = info.language ? String(info.language).toLowerCase() : null;
+
+    segments.forEach(segment => {
+      if (!segment.text) return;
+
+      const documentId = `${containerKey}:${segment.id ?? container.documentIds.size + 1}`;
+      const tokens = new Set(tokenize(segment.text));
+
+      this.documents.set(documentId, {
+        containerKey,
+        segmentId: segment.id ?? null,
+        speaker: segment.speaker || null,
+        text: segment.text,
+        startTime: segment.startTime || 0,
+        endTime: segment.endTime || 0,
+        tokens
+      });
+      container.documentIds.add(documentId);
+
+      tokens.forEach(token => {
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Set());
+        }
+        this.postings.get(token).add(documentId);
+      });
+    });
+  }
+
+  /**
+   * Remove all segments of a transcript from the index
+   * @param {string} containerKey - 'live:<sessionId>' or 'stored:<recordId>'
+   */
+  removeContainer(containerKey) {
+    const container = this.containers.get(containerKey);
+    if (!container) return;
+
+    container.documentIds.forEach(documentId => {
+      const document = this.documents.get(documentId);
+      document?.tokens.forEach(token => {
+        const postings = this.postings.get(token);
+        postings?.delete(documentId);
+        if (postings?.size === 0) {
+          this.postings.delete(token);
+        }
+      });
+      this.documents.delete(documentId);
+    });
+
+    this.containers.delete(containerKey);
+  }
+
+  /**
+   * Search segments containing all words of the query
+   * @param {Object} query - { q, speaker, language, from, to, source, limit, offset }
+   * @returns {Object} { total, results }
+   */
+  search({ q, speaker, language, from, to, source, limit = 20, offset = 0 }) {
+    const terms = [...new Set(tokenize(q))];
+    if (terms.length === 0) {
+      throw new ValidationError('Query must contain at least one word', 'q');
+    }
+
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to', true);
+    const phrase = normalize(q).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+    // Intersect postings, starting with the rarest term
+    const postings = terms.map(term => this.postings.get(term) || new Set()).sort((a, b) => a.size - b.size);
+    const candidates = [...postings[0]].filter(documentId => postings.every(set => set.has(documentId)));
+
+    const matches = [];
+    candidates.forEach(documentId => {
+      const document = this.documents.get(documentId);
+      const container = this.containers.get(document.containerKey);
+
+      if (source && container.source !== source) return;
+      if (speaker && (document.speaker || '').toLowerCase() !== speaker.toLowerCase()) return;
+      if (language && container.language !== language.toLowerCase()) return;
+      if (fromDate && (!container.startedAt || container.startedAt < fromDate)) return;
+      if (toDate && (!container.startedAt || container.startedAt > toDate)) return;
+
+      const normalizedText = normalize(document.text).replace(/[^\p{L}\p{N}]+/gu, ' ');
+      const score = terms.length + (terms.length > 1 && normalizedText.includes(phrase) ? terms.length : 0);
+
+      matches.push({ document, container, score });
+    });
+
+    matches.sort((a, b) =>
+      b.score - a.score ||
+      (b.container.startedAt || 0) - (a.container.startedAt || 0) ||
+      a.document.startTime - b.document.startTime
+    );
+
+    return {
+      total: matches.length,
+      results: matches.slice(offset, offset + limit).map(({ document, container, score }) => {
+        const highlights = findHighlights(document.text, terms);
+        return {
+          source: container.source,
+          ...(container.source === 'live' ? { sessionId: container.id } : { recordId: container.id }),
+          title: container.title,
+          startedAt: container.startedAt ? container.startedAt.toISOString() : null,
+          language: container.language,
+          segmentId: document.segmentId,
+          speaker: document.speaker,
+          text: document.text,
+          startTime: document.startTime,
+          endTime: document.endTime,
+          timestamp: formatDuration(document.startTime),
+          snippet: buildSnippet(document.text, highlights),
+          highlights,
+          score
+        };
+      })
+    };
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let liveSessions = 0;
+    this.containers.forEach(container => {
+      if (container.source === 'live') liveSessions++;
+    });
+
+    return {
+      liveSessions,
+      storedTranscripts: this.containers.size - liveSessions,
+      segments: this.documents.size,
+      terms: this.postings.size,
+      storedTranscriptsLoaded: this.recordsLoaded
+    };
+  }
+}
+
+/**
+ * Lower-case text and strip diacritics, so "Büro" matches "buro"
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return normalize(text).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Parse a from/to filter (ISO date or date-time)
+ * @param {string} value - Date string
+ * @param {string} field - Field name for errors
+ * @param {boolean} endOfDay - Treat a plain date as the end of that day
+ * @returns {Date|null} Date
+ */
+function parseDate(value, field, endOfDay = false) {
+  if (!value) return null;
+
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isPlainDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (isNaN(date)) {
+    throw new ValidationError(`${field} must be an ISO date or date-time`, field);
+  }
+  return date;
+}
+
+/**
+ * Character ranges of the words in text that match query terms
+ * @param {string} text - Original segment text
+ * @param {Array<string>} terms - Normalized query terms
+ * @returns {Array<{start: number, end: number}>} Ranges
+ */
+function findHighlights(text, terms) {
+  const highlights = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (terms.includes(normalize(match[0]))) {
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return highlights;
+}
+
+/**
+ * Cut a snippet around the first match and wrap matches in <mark> (text is HTML-escaped)
+ * @param {string} text - Original segment text
+ * @param {Array<Object>} highlights - Ranges from findHighlights()
+ * @returns {string} Snippet
+ */
+function buildSnippet(text, highlights) {
+  const first = highlights[0] || { start: 0, end: 0 };
+  let start = Math.max(0, first.start - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, first.end + SNIPPET_CONTEXT);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < first.start ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > first.end ? space : end;
+  }
+
+  let snippet = '';
+  let position = start;
+  highlights
+    .filter(range => range.start >= start && range.end <= end)
+    .forEach(range => {
+      snippet += escapeHtml(text.slice(position, range.start)) + `<mark>${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+      position = range.end;
+    });
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = new SearchIndexService();
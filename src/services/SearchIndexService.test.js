@@ -0,0 +1,126 @@
+process.env.LOG_LEVEL = 'error';
+
+const SearchIndexService = require('./SearchIndexService');
+const TranscriptStreamService = require('./TranscriptStreamService');
+const TranscriptRecordService = require('./TranscriptRecordService');
+const MemorySessionStore = require('./storage/MemorySessionStore');
+
+/**
+ * meeting_bot_audio_transcript row
+ * @param {string} id - Row ID
+ * @param {string} createdAt - created_at timestamp
+ * @param {Array<string>} texts - Segment texts
+ * @returns {Object} Row
+ */
+function record(id, createdAt, texts) {
+  return {
+    id,
+    created_at: createdAt,
+    raw_transcript: {
+      segments: texts.map((text, index) => ({ id: index + 1, speaker: `Speaker ${index % 2 + 1}`, text, startTime: index * 5, endTime: index * 5 + 5 })),
+      detectedLanguage: 'en'
+    }
+  };
+}
+
+const texts = result => result.results.map(match => match.text);
+
+describe('SearchIndexService', () => {
+  beforeAll(async () => {
+    TranscriptStreamService.store = new MemorySessionStore();
+    await SearchIndexService.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    SearchIndexService.containers.forEach((container, key) => SearchIndexService.removeContainer(key));
+    TranscriptStreamService.transcriptSessions.clear();
+  });
+
+  test('finds segments that contain every word of the query', () => {
+    SearchIndexService.indexRecord(record('rec1', '2024-05-01T10:00:00Z', [
+      'The budget review is next week',
+      'Budget numbers look fine',
+      'Next week we review the roadmap'
+    ]));
+
+    expect(texts(SearchIndexService.search({ q: 'budget' }))).toEqual([
+      'The budget review is next week',
+      'Budget numbers look fine'
+    ]);
+    expect(texts(SearchIndexService.search({ q: 'review budget' }))).toEqual(['The budget review is next week']);
+    expect(SearchIndexService.search({ q: 'budget roadmap' }).total).toBe(0);
+    expect(SearchIndexService.search({ q: 'unknownword budget' }).total).toBe(0);
+  });
+
+  test('ranks exact phrases first', () => {
+    SearchIndexService.indexRecord(record('rec1', '2024-05-01T10:00:00Z', [
+      'Next is the review of the week',
+      'We review next week'
+    ]));
+
+    const { results } = SearchIndexService.search({ q: 'next week' });
+    expect(results.map(match => [match.text, match.score])).toEqual([
+      ['We review next week', 4],
+      ['Next is the review of the week', 2]
+    ]);
+  });
+
+  test('indexes live segments as they arrive and drops removed sessions', () => {
+    TranscriptStreamService.createSession(null, null, null, { sessionId: 'live-1', source: 'ingest' });
+    TranscriptStreamService.updateSession('live-1', { segments: [{ speaker: 'Ann', text: 'Ship the release on Friday', startTime: 0, endTime: 3 }] });
+
+    const [match] = SearchIndexService.search({ q: 'release', source: 'live' }).results;
+    expect(match).toMatchObject({ source: 'live', sessionId: 'live-1', speaker: 'Ann' });
+
+    TranscriptStreamService.removeSession('live-1');
+    expect(SearchIndexService.search({ q: 'release' }).total).toBe(0);
+  });
+
+  test('re-indexes stored transcripts when their raw_transcript changes', async () => {
+    SearchIndexService.indexRecord(record('rec1', '2024-05-01T10:00:00Z', ['Old wording of the plan']));
+    jest.spyOn(TranscriptRecordService, 'getRecord').mockResolvedValue(record('rec1', '2024-05-01T10:00:00Z', ['New wording of the plan']));
+
+    TranscriptRecordService.emit('record_updated', { id: 'rec1', fields: ['transcript_ai_summary'] });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(TranscriptRecordService.getRecord).not.toHaveBeenCalled();
+
+    TranscriptRecordService.emit('record_updated', { id: 'rec1', fields: ['raw_transcript'] });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(SearchIndexService.search({ q: 'old' }).total).toBe(0);
+    expect(SearchIndexService.search({ q: 'new plan', source: 'stored' }).results[0]).toMatchObject({ recordId: 'rec1', segmentId: 1 });
+  });
+
+  test('removes documents and empty postings of a removed transcript', () => {
+    SearchIndexService.indexRecord(record('rec1', '2024-05-01T10:00:00Z', ['shared words only here']));
+    SearchIndexService.indexRecord(record('rec2', '2024-05-02T10:00:00Z', ['shared words too']));
+
+    SearchIndexService.removeContainer('stored:rec1');
+
+    expect(SearchIndexService.postings.has('only')).toBe(false);
+    expect(SearchIndexService.postings.get('shared')).toEqual(new Set(['stored:rec2:1']));
+    expect(SearchIndexService.getStats()).toMatchObject({ storedTranscripts: 1, segments: 1 });
+  });
+
+  test('filters by date, counting a plain to date until the end of that day', () => {
+    SearchIndexService.indexRecord(record('april', '2024-04-30T23:00:00Z', ['status update']));
+    SearchIndexService.indexRecord(record('may-1', '2024-05-01T18:30:00Z', ['status update']));
+    SearchIndexService.indexRecord(record('may-2', '2024-05-02T08:00:00Z', ['status update']));
+
+    const recordIds = query => SearchIndexService.search({ q: 'status', ...query }).results.map(match => match.recordId);
+
+    expect(recordIds({ from: '2024-05-01', to: '2024-05-01' })).toEqual(['may-1']);
+    expect(recordIds({ to: '2024-05-01T12:00:00Z' })).toEqual(['april']);
+    expect(recordIds({ from: '2024-05-02' })).toEqual(['may-2']);
+    expect(() => SearchIndexService.search({ q: 'status', from: 'yesterday' })).toThrow('from must be an ISO date or date-time');
+  });
+
+  test('HTML-escapes snippets around the highlighted words', () => {
+    SearchIndexService.indexRecord(record('rec1', '2024-05-01T10:00:00Z', ['Use <script>alert("x")</script> & budget tags']));
+
+    const [match] = SearchIndexService.search({ q: 'budget' }).results;
+    expect(match.snippet).toBe('Use &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; <mark>budget</mark> tags');
+    expect(match.highlights).toEqual([{ start: 34, end: 40 }]);
+  });
+});
@@ -0,0 +1,445 @@
+const Logger = require('../utils/Logger');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/ErrorHandler');
+const TranscriptRecordService = require('./TranscriptRecordService');
+
+const OPERATIONS = ['edit', 'merge', 'split', 'delete'];
+
+/**
+ * Edits of the segments of stored transcripts.
+ *
+ * Every change is a numbered version in raw_transcript.metadata.segmentEdits: the
+ * operation, its author and the affected segments before and after, with the position
+ * they were at. Earlier versions are rebuilt by undoing edits from the current segments,
+ * so the row only holds the segments that changed. Requests may pass the version they
+ * were based on; edits to a transcript that has moved on are rejected with 409.
+ * Speaker names set here are kept in manualSpeaker, which speaker mappings don't replace;
+ * the mappings themselves are not part of the versions.
+ * Stored translations of segments whose text changed are marked stale.
+ */
+class TranscriptEditService {
+  /**
+   * Change the text and/or speaker of a segment
+   * @param {string} id - meeting_bot_audio_transcript row ID
+   * @param {number} segmentId - Segment ID
+   * @param {Object} changes - { text, speaker }
+   * @param {Object} options - { version, author, principal }
+   * @returns {Promise<Object>} Edit result (see applyEdit)
+   */
+  async editSegment(id, segmentId, { text, speaker }, options = {}) {
+    if (text === undefined && speaker === undefined) {
+      throw new ValidationError('Nothing to change: send text or speaker', 'text');
+    }
+
+    return this.applyEdit(id, 'edit', options, segments => {
+      const index = findSegment(segments, segmentId);
+      const segment = segments[index];
+      const updated = speaker !== undefined ? withManualSpeaker(segment, speaker) : { ...segment };
+
+      if (text !== undefined) {
+        updated.text = requireText(text, 'text');
+      }
+
+      return { index, before: [segment], after: [updated], textChanged: text !== undefined };
+    });
+  }
+
+  /**
+   * Merge consecutive segments into the first of them
+   * @param {string} id - Row ID
+   * @param {Array<number>} segmentIds - IDs of two or more consecutive segments
+   * @param {Object} changes - { speaker } of the merged segment (default: the first one's)
+   * @param {Object} options - { version, author, principal }
+   * @returns {Promise<Object>} Edit result
+   */
+  async mergeSegments(id, segmentIds, { speaker } = {}, options = {}) {
+    if (new Set(segmentIds).size < 2) {
+      throw new ValidationError('Merging needs at least two segments', 'segmentIds');
+    }
+
+    return this.applyEdit(id, 'merge', options, segments => {
+      const indexes = segmentIds.map(segmentId => findSegment(segments, segmentId)).sort((a, b) => a - b);
+      if (indexes.some((index, position) => index !== indexes[0] + position)) {
+        throw new ValidationError('Only consecutive segments can be merged', 'segmentIds');
+      }
+
+      const before = segments.slice(indexes[0], indexes[0] + indexes.length);
+      const merged = {
+        ...(speaker !== undefined ? withManualSpeaker(before[0], speaker) : before[0]),
+        text: before.map(segment => segment.text).filter(text => text && text.trim()).join(' '),
+        endTime: Math.max(...before.map(segment => segment.endTime || 0)),
+        confidence: Math.min(...before.map(segment => segment.confidence ?? 0))
+      };
+
+      return { index: indexes[0], before, after: [merged], textChanged: true };
+    });
+  }
+
+  /**
+   * Split a segment in two at a character offset of its text
+   * @param {string} id - Row ID
+   * @param {number} segmentId - Segment ID
+   * @param {Object} changes - { offset, time, speaker }: time (seconds) defaults to the
+   *   offset's share of the segment duration; speaker applies to the second part
+   * @param {Object} options - { version, author, principal }
+   * @returns {Promise<Object>} Edit result
+   */
+  async splitSegment(id, segmentId, { offset, time, speaker }, options = {}) {
+    return this.applyEdit(id, 'split', options, (segments, nextSegmentId) => {
+      const index = findSegment(segments, segmentId);
+      const segment = segments[index];
+      const text = segment.text || '';
+      const first = text.slice(0, offset).trim();
+      const second = text.slice(offset).trim();
+
+      if (!first || !second) {
+        throw new ValidationError(`offset must split the text into two non-empty parts (1-${Math.max(text.length - 1, 1)})`, 'offset');
+      }
+
+      const startTime = segment.startTime || 0;
+      const endTime = Math.max(startTime, segment.endTime || 0);
+      const splitTime = time ?? Math.round((startTime + (endTime - startTime) * (offset / text.length)) * 100) / 100;
+      if (splitTime < startTime || splitTime > endTime) {
+        throw new ValidationError(`time must be within the segment (${startTime}-${endTime})`, 'time');
+      }
+
+      const after = [
+        { ...segment, text: first, endTime: splitTime },
+        {
+          ...(speaker !== undefined ? withManualSpeaker(segment, speaker) : segment),
+          id: nextSegmentId,
+          text: second,
+          startTime: splitTime,
+          endTime
+        }
+      ];
+
+      return { index, before: [segment], after, textChanged: true };
+    });
+  }
+
+  /**
+   * Delete a segment
+   * @param {string} id - Row ID
+   * @param {number} segmentId - Segment ID
+   * @param {Object} options - { version, author, principal }
+   * @returns {Promise<Object>} Edit result
+   */
+  async deleteSegment(id, segmentId, options = {}) {
+    return this.applyEdit(id, 'delete', options, segments => {
+      const index = findSegment(segments, segmentId);
+      return { index, before: [segments[index]], after: [], textChanged: true };
+    });
+  }
+
+  /**
+   * Apply an edit to the current segments of a record and save it as the next version
+   * @param {string} id - Row ID
+   * @param {string} operation - edit, merge, split or delete
+   * @param {Object} options - { version: version the edit is based on, author, principal }
+   * @param {Function} change - (segments, nextSegmentId) => { index, before, after, textChanged }
+   * @returns {Promise<Object>} { version, edit, segments: changed segments, fullText, wordCount }
+   */
+  async applyEdit(id, operation, { version, author = null, principal = null }, change) {
+    let result;
+
+    // Runs after other changes of the record, on its current state
+    await TranscriptRecordService.modifyRecord(id, record => {
+      const rawTranscript = record.raw_transcript;
+      const metadata = rawTranscript.metadata || {};
+      const edits = metadata.segmentEdits || [];
+      const currentVersion = edits.length;
+
+      if (version !== undefined && version !== currentVersion) {
+        throw new ConflictError(`Transcript is at version ${currentVersion}, not ${version}`);
+      }
+
+      const segments = withIds(rawTranscript.segments || []);
+      const { index, before, after, textChanged } = change(segments, getNextSegmentId(segments, edits));
+      segments.splice(index, before.length, ...after);
+
+      const edit = {
+        version: currentVersion + 1,
+        operation,
+        segmentIds: [...new Set([...before, ...after].map(segment => segment.id))],
+        index,
+        before,
+        after,
+        author: author || principal,
+        principal,
+        createdAt: new Date().toISOString()
+      };
+      const fullText = segments.map(segment => segment.text).filter(text => text && text.trim()).join(' ');
+
+      const updatedTranscript = {
+        ...rawTranscript,
+        segments,
+        fullText,
+        wordCount: countWords(fullText),
+        metadata: {
+          ...metadata,
+          segmentEdits: [...edits, edit]
+        }
+      };
+
+      // Redaction mapping positions no longer match edited text
+      if (rawTranscript.redaction && textChanged) {
+        updatedTranscript.redaction = {
+          ...rawTranscript.redaction,
+          editedSegmentIds: [...new Set([...(rawTranscript.redaction.editedSegmentIds || []), ...before.map(segment => segment.id)])],
+          fullTextEdited: true
+        };
+      }
+
+      // Translated text of changed segments no longer matches them
+      if (rawTranscript.translations && textChanged) {
+        updatedTranscript.translations = markStaleTranslations(rawTranscript.translations, edit.segmentIds);
+      }
+
+      result = {
+        version: edit.version,
+        edit: describeEdit(edit),
+        segments: after,
+        fullText,
+        wordCount: updatedTranscript.wordCount
+      };
+      return { raw_transcript: updatedTranscript };
+    });
+
+    Logger.info('Transcript segments edited', {
+      id,
+      version: result.version,
+      operation,
+      segmentIds: result.edit.segmentIds,
+      author: result.edit.author
+    });
+
+    return result;
+  }
+
+  /**
+   * List the versions of a record's segments
+   * @param {Object} rawTranscript - raw_transcript column
+   * @returns {Object} { currentVersion, versions: [{ version, operation, segmentIds, author, createdAt }] }
+   */
+  listVersions(rawTranscript) {
+    const edits = rawTranscript.metadata?.segmentEdits || [];
+    return {
+      currentVersion: edits.length,
+      versions: [
+        { version: 0, operation: 'original', segmentIds: [], author: null, createdAt: null },
+        ...edits.map(describeEdit)
+      ]
+    };
+  }
+
+  /**
+   * Segments of a record at a version, rebuilt by undoing later edits
+   * @param {Object} rawTranscript - raw_transcript column
+   * @param {number} version - Version (0 = as transcribed)
+   * @returns {Object} { version, segments, fullText, wordCount }
+   */
+  getVersion(rawTranscript, version) {
+    const edits = rawTranscript.metadata?.segmentEdits || [];
+    if (version > edits.length) {
+      throw new NotFoundError(`Version ${version}`);
+    }
+
+    const reverted = withIds(rawTranscript.segments || []);
+    edits.slice(version).reverse().forEach(edit => {
+      reverted.splice(edit.index, edit.after.length, ...edit.before);
+    });
+
+    // Speaker mappings are not versioned: every version shows the current one
+    const speakerRevisions = rawTranscript.metadata?.speakerRevisions || [];
+    const speakerMapping = speakerRevisions[speakerRevisions.length - 1]?.mapping || {};
+    const segments = reverted.map(segment => ({ ...segment, speaker: resolveSpeaker(segment, speakerMapping) }));
+
+    // Edits don't touch the stored fullText of the original transcription
+    const fullText = version === 0 && edits.length === 0 && rawTranscript.fullText
+      ? rawTranscript.fullText
+      : segments.map(segment => segment.text).filter(text => text && text.trim()).join(' ');
+
+    return {
+      version,
+      segments,
+      fullText,
+      wordCount: countWords(fullText)
+    };
+  }
+
+  /**
+   * Segment differences between two versions of a record
+   * @param {Object} rawTranscript - raw_transcript column
+   * @param {number} from - Older version
+   * @param {number} to - Newer version
+   * @returns {Object} { from, to, added, removed, changed, edits }
+   */
+  diff(rawTranscript, from, to) {
+    const older = this.getVersion(rawTranscript, from).segments;
+    const newer = this.getVersion(rawTranscript, to).segments;
+    const olderById = new Map(older.map(segment => [segment.id, segment]));
+    const newerIds = new Set(newer.map(segment => segment.id));
+    const fields = ['speaker', 'text', 'startTime', 'endTime'];
+
+    const changed = [];
+    newer.forEach(segment => {
+      const previous = olderById.get(segment.id);
+      if (!previous) return;
+
+      const changedFields = fields.filter(field => previous[field] !== segment[field]);
+      if (changedFields.length > 0) {
+        changed.push({
+          id: segment.id,
+          fields: changedFields,
+          from: pick(previous, changedFields),
+          to: pick(segment, changedFields)
+        });
+      }
+    });
+
+    const edits = rawTranscript.metadata?.segmentEdits || [];
+    return {
+      from,
+      to,
+      added: newer.filter(segment => !olderById.has(segment.id)),
+      removed: older.filter(segment => !newerIds.has(segment.id)),
+      changed,
+      edits: edits.slice(Math.min(from, to), Math.max(from, to)).map(describeEdit)
+    };
+  }
+}
+
+/**
+ * Copies of segments with their IDs set (older rows may not store them)
+ * @param {Array<Object>} segments - Stored segments
+ * @returns {Array<Object>} Segments
+ */
+function withIds(segments) {
+  return segments.map((segment, index) => ({ ...segment, id: segment.id ?? index + 1 }));
+}
+
+/**
+ * Speaker name of a segment under a speaker mapping: the manually set speaker, else
+ * the mapped name of its transcribed label
+ * @param {Object} segment - Segment
+ * @param {Object} speakerMapping - Transcribed label -> name
+ * @returns {string} Speaker name
+ */
+function resolveSpeaker(segment, speakerMapping) {
+  const originalSpeaker = segment.originalSpeaker || segment.speaker;
+  return segment.manualSpeaker || speakerMapping[originalSpeaker] || originalSpeaker;
+}
+
+/**
+ * Copy of a segment with a manually set speaker. The transcribed label stays in
+ * originalSpeaker; speaker mappings (/api/config_speakers) don't replace manualSpeaker.
+ * @param {Object} segment - Segment
+ * @param {string} speaker - Speaker name from the request
+ * @returns {Object} Segment
+ */
+function withManualSpeaker(segment, speaker) {
+  const name = requireText(speaker, 'speaker');
+  return {
+    ...segment,
+    speaker: name,
+    manualSpeaker: name,
+    originalSpeaker: segment.originalSpeaker || segment.speaker
+  };
+}
+
+/**
+ * Position of a segment by ID
+ * @param {Array<Object>} segments - Segments with IDs
+ * @param {number} segmentId - Segment ID
+ * @returns {number} Index
+ */
+function findSegment(segments, segmentId) {
+  const index = segments.findIndex(segment => String(segment.id) === String(segmentId));
+  if (index === -1) {
+    throw new NotFoundError(`Segment ${segmentId}`);
+  }
+  return index;
+}
+
+/**
+ * ID for a new segment: above every ID the record has used, deleted ones included
+ * @param {Array<Object>} segments - Current segments
+ * @param {Array<Object>} edits - Stored edits
+ * @returns {number} Segment ID
+ */
+function getNextSegmentId(segments, edits) {
+  const ids = [
+    ...segments,
+    ...edits.flatMap(edit => [...edit.before, ...edit.after])
+  ].map(segment => Number(segment.id)).filter(Number.isFinite);
+  return Math.max(0, ...ids) + 1;
+}
+
+/**
+ * Edit without the segment contents, for listings
+ * @param {Object} edit - Stored edit
+ * @returns {Object} { version, operation, segmentIds, author, createdAt }
+ */
+function describeEdit(edit) {
+  return {
+    version: edit.version,
+    operation: edit.operation,
+    segmentIds: edit.segmentIds,
+    author: edit.author,
+    createdAt: edit.createdAt
+  };
+}
+
+/**
+ * Trimmed non-empty string
+ * @param {string} value - Value
+ * @param {string} field - Request field, for the error
+ * @returns {string} Trimmed value
+ */
+function requireText(value, field) {
+  const text = String(value).trim();
+  if (!text) {
+    throw new ValidationError(`${field} must not be empty`, field);
+  }
+  return text;
+}
+
+/**
+ * Count words of a text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Mark the translated segments with the given IDs as stale in every translation
+ * @param {Object} translations - raw_transcript.translations (language -> translation)
+ * @param {Array<number>} segmentIds - IDs of changed segments
+ * @returns {Object} Updated translations
+ */
+function markStaleTranslations(translations, segmentIds) {
+  const changed = new Set(segmentIds.map(String));
+
+  return Object.fromEntries(Object.entries(translations).map(([language, translation]) => [language, {
+    ...translation,
+    segments: translation.segments.map(segment =>
+      changed.has(String(segment.id)) ? { ...segment, stale: true } : segment
+    )
+  }]));
+}
+
+/**
+ * Copy selected fields of an object
+ * @param {Object} object - Source
+ * @param {Array<string>} fields - Fields
+ * @returns {Object} Copy with those fields
+ */
+function pick(object, fields) {
+  return Object.fromEntries(fields.map(field => [field, object[field]]));
+}
+
+module.exports = new TranscriptEditService();
+module.exports.OPERATIONS = OPERATIONS;
+module.exports.resolveSpeaker = resolveSpeaker;
@@ -0,0 +1,161 @@
+process.env.LOG_LEVEL = 'error';
+
+const TranscriptEditService = require('./TranscriptEditService');
+const TranscriptRecordService = require('./TranscriptRecordService');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/ErrorHandler');
+
+const ORIGINAL = {
+  fullText: 'Good morning everyone. Let us start with the budget. It looks fine.',
+  wordCount: 12,
+  segments: [
+    { speaker: 'Speaker 1', originalSpeaker: 'Speaker 1', text: 'Good morning everyone.', startTime: 0, endTime: 2 },
+    { speaker: 'Speaker 2', originalSpeaker: 'Speaker 2', text: 'Let us start with the budget.', startTime: 2, endTime: 6 },
+    { speaker: 'Speaker 1', originalSpeaker: 'Speaker 1', text: 'It looks fine.', startTime: 6, endTime: 8 }
+  ],
+  metadata: {}
+};
+
+describe('TranscriptEditService', () => {
+  let row;
+
+  beforeEach(() => {
+    row = { id: 'rec1', raw_transcript: JSON.parse(JSON.stringify(ORIGINAL)) };
+    jest.spyOn(TranscriptRecordService, 'getRecord').mockImplementation(async id => {
+      if (id !== 'rec1') throw new NotFoundError('Transcript');
+      return JSON.parse(JSON.stringify(row));
+    });
+    jest.spyOn(TranscriptRecordService, 'updateRecord').mockImplementation(async (id, updates) => {
+      row = { ...row, ...JSON.parse(JSON.stringify(updates)) };
+      return row;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const current = () => row.raw_transcript;
+  const texts = segments => segments.map(segment => [segment.id, segment.speaker, segment.text]);
+
+  test('edits text and speaker and recomputes fullText and wordCount', async () => {
+    const result = await TranscriptEditService.editSegment('rec1', 2, { text: 'Let us start with hiring.', speaker: 'Anna' }, { author: 'jane' });
+
+    expect(result.version).toBe(1);
+    expect(result.edit).toMatchObject({ version: 1, operation: 'edit', segmentIds: [2], author: 'jane' });
+    expect(current().fullText).toBe('Good morning everyone. Let us start with hiring. It looks fine.');
+    expect(current().wordCount).toBe(11);
+    expect(current().segments[1]).toMatchObject({ id: 2, speaker: 'Anna', manualSpeaker: 'Anna', originalSpeaker: 'Speaker 2' });
+    expect(current().metadata.originalFullText).toBeUndefined();
+  });
+
+  test('shows every version with the current speaker mapping', async () => {
+    const mapping = { 'Speaker 1': 'Ron', 'Speaker 2': 'Emil' };
+    row.raw_transcript.segments = row.raw_transcript.segments.map(segment => ({ ...segment, speaker: mapping[segment.originalSpeaker] }));
+    row.raw_transcript.metadata = { speakerRevisions: [{ revision: 1, mapping: { 'Speaker 1': 'Ronald' } }, { revision: 2, mapping }] };
+
+    await TranscriptEditService.editSegment('rec1', 3, { speaker: 'Anna' });
+    await TranscriptEditService.editSegment('rec1', 1, { text: 'Morning all.' });
+    row.raw_transcript.metadata.speakerRevisions.push({ revision: 3, mapping: { 'Speaker 1': 'Ronny' } });
+
+    expect(texts(TranscriptEditService.getVersion(current(), 0).segments).map(segment => segment[1])).toEqual(['Ronny', 'Speaker 2', 'Ronny']);
+    expect(texts(TranscriptEditService.getVersion(current(), 1).segments).map(segment => segment[1])).toEqual(['Ronny', 'Speaker 2', 'Anna']);
+    expect(TranscriptEditService.diff(current(), 0, 2).changed.map(change => [change.id, change.fields])).toEqual([
+      [1, ['text']],
+      [3, ['speaker']]
+    ]);
+  });
+
+  test('splits, merges and deletes segments and rebuilds every version', async () => {
+    await TranscriptEditService.splitSegment('rec1', 2, { offset: 13, speaker: 'Ben' });
+    await TranscriptEditService.mergeSegments('rec1', [1, 2]);
+    await TranscriptEditService.deleteSegment('rec1', 3);
+
+    expect(texts(current().segments)).toEqual([
+      [1, 'Speaker 1', 'Good morning everyone. Let us start'],
+      [4, 'Ben', 'with the budget.']
+    ]);
+
+    const versions = [0, 1, 2, 3].map(version => texts(TranscriptEditService.getVersion(current(), version).segments));
+    expect(versions[0]).toEqual(texts(ORIGINAL.segments.map((segment, index) => ({ ...segment, id: index + 1 }))));
+    expect(versions[1]).toEqual([
+      [1, 'Speaker 1', 'Good morning everyone.'],
+      [2, 'Speaker 2', 'Let us start'],
+      [4, 'Ben', 'with the budget.'],
+      [3, 'Speaker 1', 'It looks fine.']
+    ]);
+    expect(versions[2]).toEqual([
+      [1, 'Speaker 1', 'Good morning everyone. Let us start'],
+      [4, 'Ben', 'with the budget.'],
+      [3, 'Speaker 1', 'It looks fine.']
+    ]);
+    expect(versions[3]).toEqual(texts(current().segments));
+    expect(TranscriptEditService.getVersion(current(), 0).fullText).toBe(ORIGINAL.fullText);
+  });
+
+  test('splits at a time proportional to the offset', async () => {
+    const result = await TranscriptEditService.splitSegment('rec1', 3, { offset: 8 });
+
+    expect(result.segments.map(segment => [segment.text, segment.startTime, segment.endTime])).toEqual([
+      ['It looks', 6, 7.14],
+      ['fine.', 7.14, 8]
+    ]);
+  });
+
+  test('diffs versions by segment ID', async () => {
+    await TranscriptEditService.editSegment('rec1', 1, { text: 'Morning all.' });
+    await TranscriptEditService.splitSegment('rec1', 2, { offset: 13 });
+    await TranscriptEditService.deleteSegment('rec1', 3);
+
+    const diff = TranscriptEditService.diff(current(), 0, 3);
+
+    expect(diff.added.map(segment => segment.id)).toEqual([4]);
+    expect(diff.removed.map(segment => segment.id)).toEqual([3]);
+    expect(diff.changed).toEqual([
+      { id: 1, fields: ['text'], from: { text: 'Good morning everyone.' }, to: { text: 'Morning all.' } },
+      { id: 2, fields: ['text', 'endTime'], from: { text: 'Let us start with the budget.', endTime: 6 }, to: { text: 'Let us start', endTime: 3.79 } }
+    ]);
+    expect(diff.edits.map(edit => edit.operation)).toEqual(['edit', 'split', 'delete']);
+  });
+
+  test('rejects edits based on an outdated version', async () => {
+    await TranscriptEditService.editSegment('rec1', 1, { text: 'Hello.' }, { version: 0 });
+
+    await expect(TranscriptEditService.editSegment('rec1', 1, { text: 'Hi.' }, { version: 0 }))
+      .rejects.toBeInstanceOf(ConflictError);
+    expect(current().segments[0].text).toBe('Hello.');
+  });
+
+  test('runs concurrent edits of a record one after another', async () => {
+    const results = await Promise.allSettled([
+      TranscriptEditService.editSegment('rec1', 1, { speaker: 'Anna' }, { version: 0 }),
+      TranscriptEditService.editSegment('rec1', 3, { speaker: 'Ben' }, { version: 0 }),
+      TranscriptEditService.editSegment('rec1', 2, { speaker: 'Carl' })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    expect(current().metadata.segmentEdits.map(edit => edit.version)).toEqual([1, 2]);
+  });
+
+  test('marks translations of edited segments stale', async () => {
+    row.raw_transcript.translations = {
+      de: { language: 'de', segments: [1, 2, 3].map(id => ({ id, text: `Text ${id}` })) }
+    };
+
+    await TranscriptEditService.editSegment('rec1', 2, { text: 'Let us start with hiring.' });
+    await TranscriptEditService.editSegment('rec1', 3, { speaker: 'Anna' });
+
+    expect(current().translations.de.segments).toEqual([
+      { id: 1, text: 'Text 1' },
+      { id: 2, text: 'Text 2', stale: true },
+      { id: 3, text: 'Text 3' }
+    ]);
+  });
+
+  test('validates edits', async () => {
+    await expect(TranscriptEditService.editSegment('rec1', 9, { text: 'x' })).rejects.toBeInstanceOf(NotFoundError);
+    await expect(TranscriptEditService.mergeSegments('rec1', [1, 3])).rejects.toBeInstanceOf(ValidationError);
+    await expect(TranscriptEditService.splitSegment('rec1', 3, { offset: 100 })).rejects.toBeInstanceOf(ValidationError);
+    expect(() => TranscriptEditService.getVersion(current(), 1)).toThrow(NotFoundError);
+    expect(TranscriptRecordService.updateRecord).not.toHaveBeenCalled();
+  });
+});
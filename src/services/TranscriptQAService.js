@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+const { NotFoundError, ValidationError } = require('../utils/ErrorHandler');
+const { formatDuration } = require('../utils/formatDuration');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const REFUSAL = 'The transcript does not contain information to answer this question.';
+
+/**
+ * Questions and answers over a transcript (live session or stored row).
+ *
+ * Answers are grounded in the transcript: the provider only sees transcript segments
+ * and has to cite the segments it used. Answers without citations of known segments
+ * are refused. Follow-up questions share a conversation, kept in memory for
+ * QA_CONVERSATION_TTL_MS after its last question; the last QA_HISTORY_TURNS turns are
+ * sent with each question.
+ */
+class TranscriptQAService {
+  constructor() {
+    this.ttl = parseInt(process.env.QA_CONVERSATION_TTL_MS) || 60 * 60 * 1000;
+    this.maxConversations = parseInt(process.env.QA_MAX_CONVERSATIONS) || 500;
+    this.historyTurns = parseInt(process.env.QA_HISTORY_TURNS) || 5;
+    this.maxContextChars = parseInt(process.env.QA_MAX_CONTEXT_CHARS) || 400000;
+    this.conversations = new Map(); // conversation ID -> { id, transcriptId, turns, createdAt, expiresAt }; least recently used first
+    this.stats = {
+      questions: 0,
+      answered: 0,
+      refused: 0
+    };
+  }
+
+  /**
+   * Answer a question about a transcript
+   * @param {string} transcriptId - Session or record ID the transcript was loaded by
+   * @param {Object} transcript - Transcript data (TranscriptStreamService/TranscriptRecordService.getTranscript())
+   * @param {string} question - Question
+   * @param {Object} options - { conversationId, provider, attribution }
+   * @returns {Promise<Object>} { conversationId, question, answer, answered, citations, usage }
+   */
+  async ask(transcriptId, transcript, question, { conversationId, provider, attribution = {} } = {}) {
+    const text = String(question || '').trim();
+    if (!text) {
+      throw new ValidationError('Question is required', 'question');
+    }
+
+    const conversation = conversationId
+      ? this.getConversation(conversationId, transcriptId)
+      : this.createConversation(transcriptId);
+
+    const segments = (transcript.transcript?.segments || [])
+      .map((segment, index) => ({ ...segment, id: String(segment.id ?? index + 1) }))
+      .filter(segment => segment.text && segment.text.trim());
+    const history = conversation.turns.slice(-this.historyTurns)
+      .map(turn => ({ question: turn.question, answer: turn.answer }));
+
+    let result = { answer: null, answerable: false, citations: [], usage: null };
+    if (segments.length > 0) {
+      const context = this.selectContext(segments, [text, ...history.map(turn => turn.question)]);
+      result = await provider.answerQuestion(
+        context.map(segment => ({
+          id: segment.id,
+          speaker: segment.speaker,
+          startTime: segment.startTime || 0,
+          text: segment.text
+        })),
+        text,
+        { history, language: transcript.transcript.detectedLanguage, attribution }
+      );
+    }
+
+    // Only citations of segments that exist count as evidence
+    const byId = new Map(segments.map(segment => [segment.id, segment]));
+    const citations = [...new Set((result.citations || []).map(String))]
+      .filter(id => byId.has(id))
+      .map(id => {
+        const segment = byId.get(id);
+        return {
+          segmentId: id,
+          speaker: segment.speaker,
+          startTime: segment.startTime || 0,
+          endTime: segment.endTime || 0,
+          timestamp: formatDuration(segment.startTime || 0),
+          text: segment.text
+        };
+      })
+      .sort((a, b) => a.startTime - b.startTime);
+
+    const answered = !!(result.answerable && result.answer && citations.length > 0);
+    const turn = {
+      question: text,
+      answer: answered ? result.answer : REFUSAL,
+      answered,
+      citations: answered ? citations : [],
+      askedAt: new Date().toISOString()
+    };
+    conversation.turns.push(turn);
+
+    this.stats.questions++;
+    this.stats[answered ? 'answered' : 'refused']++;
+    Logger.metric('transcript_questions', 1, { result: answered ? 'answered' : 'refused' });
+    Logger.info('Transcript question answered', {
+      transcriptId,
+      conversationId: conversation.id,
+      answered,
+      citations: turn.citations.length,
+      contextSegments: segments.length
+    });
+
+    return {
+      conversationId: conversation.id,
+      turn: conversation.turns.length,
+      ...turn,
+      usage: result.usage || null
+    };
+  }
+
+  /**
+   * Segments sent with a question. Transcripts within QA_MAX_CONTEXT_CHARS are sent
+   * whole; of longer ones, the segments sharing most words with the question (and
+   * earlier questions of the conversation) are kept, in transcript order.
+   * @param {Array<Object>} segments - Segments with text
+   * @param {Array<string>} questions - Current question first, then earlier ones
+   * @returns {Array<Object>} Segments
+   */
+  selectContext(segments, questions) {
+    const length = segments.reduce((total, segment) => total + segment.text.length, 0);
+    if (length <= this.maxContextChars) return segments;
+
+    const terms = new Set(questions.flatMap(question => tokenize(question)).filter(term => term.length > 2));
+    const ranked = segments
+      .map((segment, index) => ({
+        index,
+        score: tokenize(segment.text).filter(term => terms.has(term)).length
+      }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const kept = new Set();
+    let budget = this.maxContextChars;
+    for (const { index } of ranked) {
+      const size = segments[index].text.length;
+      if (size > budget) continue;
+      kept.add(index);
+      budget -= size;
+    }
+
+    return segments.filter((segment, index) => kept.has(index));
+  }
+
+  /**
+   * Start a conversation about a transcript
+   * @param {string} transcriptId - Session or record ID
+   * @returns {Object} Conversation
+   */
+  createConversation(transcriptId) {
+    this.removeExpired();
+    while (this.conversations.size >= this.maxConversations) {
+      this.conversations.delete(this.conversations.keys().next().value);
+    }
+
+    const now = Date.now();
+    const conversation = {
+      id: crypto.randomUUID(),
+      transcriptId,
+      turns: [],
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.ttl
+    };
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  /**
+   * Get a conversation for a follow-up question and extend its lifetime
+   * @param {string} conversationId - Conversation ID
+   * @param {string} transcriptId - Transcript the question is about
+   * @returns {Object} Conversation
+   */
+  getConversation(conversationId, transcriptId) {
+    this.removeExpired();
+
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation || conversation.transcriptId !== transcriptId) {
+      throw new NotFoundError('Conversation');
+    }
+
+    // Move to the most recently used end
+    this.conversations.delete(conversationId);
+    this.conversations.set(conversationId, conversation);
+    conversation.expiresAt = Date.now() + this.ttl;
+    return conversation;
+  }
+
+  /**
+   * Drop conversations past their expiry
+   */
+  removeExpired() {
+    const now = Date.now();
+    this.conversations.forEach((conversation, id) => {
+      if (conversation.expiresAt <= now) {
+        this.conversations.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Get Q&A statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      conversations: this.conversations.size
+    };
+  }
+}
+
+/**
+ * Lowercase words of a text
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(WORD_PATTERN) || []);
+}
+
+module.exports = new TranscriptQAService();
+module.exports.REFUSAL = REFUSAL;
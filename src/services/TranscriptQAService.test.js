@@ -0,0 +1,116 @@
+process.env.LOG_LEVEL = 'error';
+
+const TranscriptQAService = require('./TranscriptQAService');
+
+const transcript = {
+  transcript: {
+    detectedLanguage: 'en',
+    segments: [
+      { id: 1, speaker: 'Anna', text: 'The deadline is Friday.', startTime: 0, endTime: 4 },
+      { id: 2, speaker: 'Ben', text: '', startTime: 4, endTime: 5 },
+      { id: 3, speaker: 'Ben', text: 'Then we ship on Monday.', startTime: 65, endTime: 70 }
+    ]
+  }
+};
+
+/**
+ * Provider stand-in answering with fixed citations
+ * @param {Object} result - answerQuestion() result
+ * @returns {Object} Provider
+ */
+function provider(result) {
+  return { answerQuestion: jest.fn(async () => ({ usage: null, ...result })) };
+}
+
+describe('TranscriptQAService.ask', () => {
+  afterEach(() => {
+    TranscriptQAService.conversations.clear();
+    jest.useRealTimers();
+  });
+
+  test('maps citations to the cited segments in transcript order', async () => {
+    const answering = provider({ answer: 'Friday, and the release is Monday.', answerable: true, citations: ['3', 1, '3'] });
+
+    const result = await TranscriptQAService.ask('rec1', transcript, ' When is the deadline? ', { provider: answering });
+
+    expect(result).toMatchObject({ question: 'When is the deadline?', answer: 'Friday, and the release is Monday.', answered: true, turn: 1 });
+    expect(result.citations).toEqual([
+      { segmentId: '1', speaker: 'Anna', startTime: 0, endTime: 4, timestamp: '00:00:00', text: 'The deadline is Friday.' },
+      { segmentId: '3', speaker: 'Ben', startTime: 65, endTime: 70, timestamp: '00:01:05', text: 'Then we ship on Monday.' }
+    ]);
+    // Segments without text are not sent
+    expect(answering.answerQuestion.mock.calls[0][0].map(segment => segment.id)).toEqual(['1', '3']);
+  });
+
+  test('refuses answers without citations of known segments', async () => {
+    const unknownCitations = await TranscriptQAService.ask('rec1', transcript, 'Who is the CEO?', {
+      provider: provider({ answer: 'Carla.', answerable: true, citations: ['42', '2'] })
+    });
+    const notAnswerable = await TranscriptQAService.ask('rec1', transcript, 'Who is the CEO?', {
+      provider: provider({ answer: 'Probably Carla.', answerable: false, citations: ['1'] })
+    });
+
+    [unknownCitations, notAnswerable].forEach(result => {
+      expect(result).toMatchObject({ answer: TranscriptQAService.REFUSAL, answered: false, citations: [] });
+    });
+  });
+
+  test('refuses without asking the provider when the transcript has no text', async () => {
+    const answering = provider({ answer: 'Anything', answerable: true, citations: ['1'] });
+
+    const result = await TranscriptQAService.ask('rec1', { transcript: { segments: [] } }, 'Anything?', { provider: answering });
+
+    expect(result.answered).toBe(false);
+    expect(answering.answerQuestion).not.toHaveBeenCalled();
+  });
+
+  test('sends earlier turns of the conversation with follow-up questions', async () => {
+    const answering = provider({ answer: 'Friday.', answerable: true, citations: ['1'] });
+    const first = await TranscriptQAService.ask('rec1', transcript, 'When is the deadline?', { provider: answering });
+
+    const followUp = await TranscriptQAService.ask('rec1', transcript, 'Who said that?', { provider: answering, conversationId: first.conversationId });
+
+    expect(followUp).toMatchObject({ conversationId: first.conversationId, turn: 2 });
+    expect(answering.answerQuestion.mock.calls[1][2].history).toEqual([{ question: 'When is the deadline?', answer: 'Friday.' }]);
+    await expect(TranscriptQAService.ask('rec2', transcript, 'And then?', { provider: answering, conversationId: first.conversationId }))
+      .rejects.toThrow('Conversation not found');
+  });
+});
+
+describe('TranscriptQAService conversations', () => {
+  const { ttl, maxConversations } = TranscriptQAService;
+
+  afterEach(() => {
+    TranscriptQAService.ttl = ttl;
+    TranscriptQAService.maxConversations = maxConversations;
+    TranscriptQAService.conversations.clear();
+    jest.useRealTimers();
+  });
+
+  test('expire after the TTL since their last question', () => {
+    jest.useFakeTimers();
+    TranscriptQAService.ttl = 1000;
+    const conversation = TranscriptQAService.createConversation('rec1');
+
+    jest.advanceTimersByTime(800);
+    TranscriptQAService.getConversation(conversation.id, 'rec1');
+    jest.advanceTimersByTime(800);
+    expect(TranscriptQAService.getConversation(conversation.id, 'rec1')).toBe(conversation);
+
+    jest.advanceTimersByTime(1000);
+    expect(() => TranscriptQAService.getConversation(conversation.id, 'rec1')).toThrow('Conversation not found');
+    expect(TranscriptQAService.conversations.size).toBe(0);
+  });
+
+  test('evict the least recently used conversation beyond the limit', () => {
+    TranscriptQAService.maxConversations = 2;
+    const first = TranscriptQAService.createConversation('rec1');
+    const second = TranscriptQAService.createConversation('rec1');
+    TranscriptQAService.getConversation(first.id, 'rec1');
+
+    const third = TranscriptQAService.createConversation('rec1');
+
+    expect([...TranscriptQAService.conversations.keys()]).toEqual([first.id, third.id]);
+    expect(() => TranscriptQAService.getConversation(second.id, 'rec1')).toThrow('Conversation not found');
+  });
+});
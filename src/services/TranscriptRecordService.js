@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+const Logger = require('../utils/Logger');
+const SupabaseClient = require('../utils/SupabaseClient');
+const { NotFoundError, ExternalAPIError } = require('../utils/ErrorHandler');
+const { formatDuration } = require('../utils/formatDuration');
+
+const TABLE = 'meeting_bot_audio_transcript';
+
+/**
+ * Access to transcripts stored in the meeting_bot_audio_transcript table
+ * (written by /api/transcribe/raw_save and /api/config_speakers).
+ * Emits `record_updated` with { id, fields } after every update made through it.
+ *
+ * Changes that build on the current raw_transcript (new transcriptions, segment edits,
+ * speaker revisions, translations) go through modifyRecord(), which runs them one after
+ * another per row.
+ */
+class TranscriptRecordService extends EventEmitter {
+  constructor() {
+    super();
+    this.locks = new Map(); // row ID -> promise of the modification in progress
+  }
+
+  /**
+   * Check if stored transcripts can be read
+   * @returns {boolean} Supabase is configured
+   */
+  isAvailable() {
+    return SupabaseClient.isReady();
+  }
+
+  /**
+   * Fetch a transcript row by ID
+   * @param {string} id - Row ID
+   * @param {Object} options - { requireTranscript: also fail for rows without raw_transcript (default) }
+   * @returns {Promise<Object>} Row
+   */
+  async getRecord(id, { requireTranscript = true } = {}) {
+    if (!this.isAvailable()) {
+      throw new ExternalAPIError('Supabase', 'Database service not configured');
+    }
+
+    const { data, error } = await SupabaseClient.getClient()
+      .from(TABLE)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new NotFoundError('Transcript record');
+      }
+      Logger.error(`Failed to fetch transcript record ${id}:`, {
+        error: error.message,
+        code: error.code
+      });
+      throw new ExternalAPIError('Supabase', `Failed to fetch transcript: ${error.message}`);
+    }
+
+    if (!data || (requireTranscript && !data.raw_transcript)) {
+      throw new NotFoundError('Transcript record');
+    }
+
+    return data;
+  }
+
+  /**
+   * List rows that have a transcript, oldest first
+   * @param {Object} options - { offset, limit }
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  async listRecords({ offset = 0, limit = 100 } = {}) {
+    if (!this.isAvailable()) {
+      throw new ExternalAPIError('Supabase', 'Database service not configured');
+    }
+
+    const { data, error } = await SupabaseClient.getClient()
+      .from(TABLE)
+      .select('*')
+      .not('raw_transcript', 'is', null)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      Logger.error('Failed to list transcript records:', {
+        error: error.message,
+        code: error.code
+      });
+      throw new ExternalAPIError('Supabase', `Failed to list transcripts: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Update columns of a transcript row
+   * @param {string} id - Row ID
+   * @param {Object} updateData - Column values
+   * @returns {Promise<Object>} Updated row
+   */
+  async updateRecord(id, updateData) {
+    if (!this.isAvailable()) {
+      throw new ExternalAPIError('Supabase', 'Database service not configured');
+    }
+
+    const { data, error } = await SupabaseClient.getClient()
+      .from(TABLE)
+      .update(updateData)
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      Logger.error(`Failed to update transcript record ${id}:`, {
+        error: error.message,
+        code: error.code
+      });
+      throw new ExternalAPIError('Supabase', `Failed to update transcript: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      throw new NotFoundError('Transcript record');
+    }
+
+    this.emit('record_updated', { id, fields: Object.keys(updateData) });
+
+    return data[0];
+  }
+
+  /**
+   * Read a row, derive an update from it and save that update. Modifications of the
+   * same row run one after another, each on a fresh read, so none overwrites another.
+   * @param {string} id - Row ID
+   * @param {Function} modify - async (record) => column values to update
+   * @param {Object} options - getRecord() options
+   * @returns {Promise<Object>} Updated row
+   */
+  async modifyRecord(id, modify, options = {}) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(async () => {
+      const record = await this.getRecord(id, options);
+      return this.updateRecord(id, await modify(record));
+    });
+
+    this.locks.set(id, current);
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(id) === current) {
+        this.locks.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Fetch a stored transcript in the same shape as TranscriptStreamService.getTranscript()
+   * @param {string} id - Row ID
+   * @returns {Promise<Object>} Transcript data
+   */
+  async getTranscript(id) {
+    return this.toTranscript(await this.getRecord(id));
+  }
+
+  /**
+   * Normalize a transcript row
+   * @param {Object} record - meeting_bot_audio_transcript row
+   * @returns {Object} Transcript data
+   */
+  toTranscript(record) {
+    const raw = record.raw_transcript;
+    const segments = raw.segments || [];
+    const speakers = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+    const duration = raw.duration || (segments.length > 0 ? segments[segments.length - 1].endTime || 0 : 0);
+    // The encrypted mapping is only served by /api/transcripts/:id/redactions
+    const { mapping, ...redactionReport } = raw.redaction || {};
+
+    return {
+      sessionId: record.id,
+      recordId: record.id,
+      botId: null,
+      meetingUrl: raw.metadata?.meetingUrl || null,
+      title: raw.metadata?.meetingTitle || record.meeting_title || null,
+      transcript: {
+        segments,
+        fullText: raw.fullText || segments.map(segment => segment.text).join(' '),
+        wordCount: raw.wordCount || 0,
+        duration,
+        detectedLanguage: raw.detectedLanguage || 'unknown',
+        languageConfidence: raw.languageConfidence || 0,
+        alternativeLanguages: [],
+        speakers
+      },
+      metadata: {
+        startedAt: record.created_at || null,
+        lastUpdated: record.updated_at || record.created_at || null,
+        status: 'stored',
+        durationFormatted: formatDuration(duration),
+        isSpeakerConfigured: !!record.is_speaker_configured,
+        speakersIdentifiedCount: record.speakers_identified_count || speakers.length
+      },
+      summary: record.transcript_ai_summary || null,
+      translations: raw.translations || {},
+      redaction: raw.redaction ? redactionReport : null
+    };
+  }
+}
+
+module.exports = new TranscriptRecordService();
@@ -0,0 +1,49 @@
+process.env.LOG_LEVEL = 'error';
+
+const TranscriptRecordService = require('./TranscriptRecordService');
+
+describe('TranscriptRecordService.modifyRecord', () => {
+  let row;
+
+  beforeEach(() => {
+    row = { id: 'rec1', raw_transcript: { segments: [] } };
+    jest.spyOn(TranscriptRecordService, 'getRecord').mockImplementation(async () => JSON.parse(JSON.stringify(row)));
+    jest.spyOn(TranscriptRecordService, 'updateRecord').mockImplementation(async (id, fields) => {
+      row = { ...row, ...fields };
+      return row;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const appendSegment = text => TranscriptRecordService.modifyRecord('rec1', async (record) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return { raw_transcript: { segments: [...record.raw_transcript.segments, text] } };
+  });
+
+  test('runs modifications of a row one after another on fresh reads', async () => {
+    await Promise.all([appendSegment('a'), appendSegment('b'), appendSegment('c')]);
+
+    expect(row.raw_transcript.segments).toEqual(['a', 'b', 'c']);
+    expect(TranscriptRecordService.locks.size).toBe(0);
+  });
+
+  test('continues with the next modification after a failed one', async () => {
+    const failed = TranscriptRecordService.modifyRecord('rec1', async () => {
+      throw new Error('modification failed');
+    });
+    const next = appendSegment('a');
+
+    await expect(failed).rejects.toThrow('modification failed');
+    await next;
+    expect(row.raw_transcript.segments).toEqual(['a']);
+  });
+
+  test('passes read options to getRecord', async () => {
+    await TranscriptRecordService.modifyRecord('rec1', async () => ({ speakers_identified_count: 2 }), { requireTranscript: false });
+
+    expect(TranscriptRecordService.getRecord).toHaveBeenCalledWith('rec1', { requireTranscript: false });
+  });
+});
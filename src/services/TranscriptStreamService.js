@@ -1,11 +1,15 @@
 const EventEmitter = require('events');
 const Logger = require('../utils/Logger');
+const AudioProcessor = require('../utils/AudioProcessor');
 const AudioFetchService = require('./AudioFetchService');
-const GeminiTranscriptionService = require('./GeminiTranscriptionService');
+const TranscriptionProviderRegistry = require('./TranscriptionProviderRegistry');
 const MeetingMetadataService = require('./MeetingMetadataService');
+const GlossaryService = require('./GlossaryService');
+const RedactionService = require('./RedactionService');
 const BotPoolMonitor = require('./BotPoolMonitor');
-const { AppError } = require('../utils/ErrorHandler');
+const { AppError, NotFoundError } = require('../utils/ErrorHandler');
 const { formatDuration } = require('../utils/formatDuration');
+const { createSessionStore } = require('./storage/SessionStore');
 
 class TranscriptStreamService extends EventEmitter {
   constructor() {
@@ -13,6 +17,11 @@ class TranscriptStreamService extends EventEmitter {
     this.transcriptSessions = new Map(); // sessionId -> TranscriptSession
     this.botToSessionMap = new Map(); // legacyBotId -> sessionId
     this.sseClients = new Map(); // sessionId -> Set of SSE response objects
+    this.eventBuffers = new Map(); // sessionId -> recent SSE events for Last-Event-ID replay
+    this.replayBufferSize = parseInt(process.env.SSE_REPLAY_BUFFER_SIZE) || 500;
+    this.sessionRetention = parseInt(process.env.SESSION_RETENTION_MS) || 86400000; // 24 hours
+    this.store = createSessionStore();
+    this.cleanupTimer = null;
     this.isRunning = false;
     this.stats = {
       totalSessions: 0,
@@ -26,6 +35,14 @@ class TranscriptStreamService extends EventEmitter {
    * Initialize the service
    */
   async initialize() {
+    await this.store.initialize();
+    await this.restoreSessions();
+
+    // Stopped sessions are kept for a while for late readers, then removed from the store
+    this.removeExpiredSessions();
+    this.cleanupTimer = setInterval(() => this.removeExpiredSessions(), Math.min(this.sessionRetention, 3600000));
+    this.cleanupTimer.unref();
+
     // DISABLED: Automatic transcription functionality
     // Frontend will handle all transcription requests
     
@@ -114,7 +131,7 @@ class TranscriptStreamService extends EventEmitter {
    * @param {Object} audioData - Audio data from AudioFetchService
    */
   async processAudioBuffer(audioData) {
-    const { botId, legacyBotId, meetingUrl, incrementalBuffer, metadata } = audioData;
+    const { botId, legacyBotId, meetingUrl, incrementalBuffer, metadata, timeOffset = 0 } = audioData;
     
     Logger.debug(`Processing audio buffer details:`, {
       botId,
@@ -173,33 +190,148 @@ class TranscriptStreamService extends EventEmitter {
       participantCount: session.metadata?.participants?.length || 0
     });
 
-    const transcription = await GeminiTranscriptionService.transcribeAudio(
-      incrementalBuffer,
+    await this.transcribeIntoSession(sessionId, incrementalBuffer, { timeOffset });
+
+    session.lastProcessedFingerprint = audioData.fingerprint;
+    AudioFetchService.markProcessed(legacyBotId, audioData.sliceEnd);
+  }
+
+  /**
+   * Transcribe a window of audio and add the result to a session.
+   * Shared by the polling path and the WebSocket ingest path.
+   * @param {string} sessionId - Session ID
+   * @param {Buffer} audioBuffer - Audio window
+   * @param {Object} options - { timeOffset } start of the window in seconds
+   * @returns {Promise<Array>} Segments added to the session
+   */
+  async transcribeIntoSession(sessionId, audioBuffer, { timeOffset = 0 } = {}) {
+    const session = this.transcriptSessions.get(sessionId);
+    if (!session) {
+      throw new NotFoundError('Transcript session');
+    }
+
+    // Don't pay for transcribing silence; trimmed audio starts later in the window
+    const trimmed = await AudioProcessor.trimSilence(audioBuffer);
+    if (trimmed && !trimmed.hasSpeech) {
+      Logger.debug('No speech in audio window, skipping transcription', { sessionId, timeOffset });
+      return [];
+    }
+
+    const glossary = GlossaryService.getTerms({
+      eventId: session.metadata?.event_id,
+      organizer: session.metadata?.organizer
+    });
+    const provider = TranscriptionProviderRegistry.get();
+    let transcription = await provider.transcribe(
+      trimmed ? trimmed.buffer : audioBuffer,
       {
-        botId,
-        meetingUrl,
+        botId: session.botId,
+        meetingUrl: session.meetingUrl,
         isIncremental: session.segments.length > 0,
         previousContext: session.context,
-        participants: session.metadata?.participants || []
+        participants: session.metadata?.participants || [],
+        glossary,
+        attribution: { eventId: session.metadata?.event_id, sessionId }
       }
     );
+    if (glossary.length > 0) {
+      transcription = GlossaryService.correctTranscription(transcription, glossary);
+    }
+    // Before the segments reach the store, SSE clients, the search index or Q&A
+    if (RedactionService.isEnabled()) {
+      transcription = await this.redactTranscription(session, transcription, provider);
+    }
+
+    // Window timestamps are relative to the window; make them absolute and
+    // drop what was already transcribed in the overlap
+    this.applyTimeOffset(transcription, timeOffset + (trimmed ? trimmed.startTime : 0));
+    transcription.segments = this.dropOverlappingSegments(session, transcription.segments || []);
+    // Word count of a window only covers the window
+    transcription.wordCount = session.wordCount + transcription.segments.reduce((sum, segment) =>
+      sum + (segment.text || '').split(/\s+/).filter(word => word.length > 0).length, 0);
 
-    if (transcription && transcription.segments && transcription.segments.length > 0) {
+    if (transcription.segments.length > 0) {
       Logger.info(`📝 Transcription successful, updating session`, {
         sessionId,
         newSegments: transcription.segments.length,
-        totalSegments: session.segments.length + transcription.segments.length
+        totalSegments: session.segments.length + transcription.segments.length,
+        timeOffset
       });
       
       // Update session with new transcription
       this.updateSession(sessionId, transcription);
-      session.lastProcessedFingerprint = audioData.fingerprint;
     } else {
       Logger.warn(`⚠️ No segments received from transcription`, {
         sessionId,
         transcription
       });
     }
+
+    return transcription.segments;
+  }
+
+  /**
+   * Redact personal data from a transcribed window of a session
+   * @param {Object} session - Session object
+   * @param {Object} transcription - Transcription of the window
+   * @param {Object} provider - Transcription provider (for the LLM-assisted pass)
+   * @returns {Promise<Object>} Redacted transcription
+   */
+  async redactTranscription(session, transcription, provider) {
+    // Placeholders are numbered across all windows of the session
+    session.redactionNumbers = session.redactionNumbers || {};
+
+    const redacted = await RedactionService.redactTranscription(transcription, {
+      names: (session.metadata?.participants || []).map(p => p.name).filter(Boolean),
+      provider,
+      attribution: { eventId: session.metadata?.event_id, sessionId: session.sessionId },
+      numbers: session.redactionNumbers
+    });
+
+    // Live sessions don't keep a mapping of the original values
+    const { redactionMapping, ...metadata } = redacted.metadata;
+    return { ...redacted, metadata };
+  }
+
+  /**
+   * Shift transcription timestamps by the offset of the audio slice
+   * @param {Object} transcription - Transcription data
+   * @param {number} timeOffset - Slice start in seconds
+   */
+  applyTimeOffset(transcription, timeOffset) {
+    if (!timeOffset) return;
+
+    (transcription.segments || []).forEach(segment => {
+      segment.startTime = (segment.startTime || 0) + timeOffset;
+      segment.endTime = (segment.endTime || 0) + timeOffset;
+    });
+
+    if (transcription.metadata?.duration) {
+      transcription.duration = timeOffset + transcription.metadata.duration;
+    }
+  }
+
+  /**
+   * Remove segments that repeat audio already in the session
+   * (slices overlap the previous slice by a few seconds)
+   * @param {Object} session - Session object
+   * @param {Array} segments - New segments with absolute timestamps
+   * @returns {Array} Segments to add
+   */
+  dropOverlappingSegments(session, segments) {
+    const lastSegment = session.segments[session.segments.length - 1];
+    if (!lastSegment) return segments;
+
+    const lastEnd = lastSegment.endTime || 0;
+    const normalize = text => (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').trim();
+
+    return segments.filter(segment => {
+      // Entirely inside already transcribed audio (small tolerance for timestamp jitter)
+      if ((segment.endTime || 0) <= lastEnd + 0.5) return false;
+      // Straddles the boundary and repeats the last segment
+      if (segment.startTime < lastEnd && normalize(segment.text) === normalize(lastSegment.text)) return false;
+      return true;
+    });
   }
 
   /**
@@ -207,16 +339,18 @@ class TranscriptStreamService extends EventEmitter {
    * @param {string} botId - Bot ID
    * @param {string} legacyBotId - Legacy bot ID
    * @param {string} meetingUrl - Meeting URL
+   * @param {Object} options - { sessionId, source } for sessions not created from the bot pool
    * @returns {string} Session ID
    */
-  createSession(botId, legacyBotId, meetingUrl) {
-    const sessionId = `${botId}_transcript`;
+  createSession(botId, legacyBotId, meetingUrl, options = {}) {
+    const sessionId = options.sessionId || `${botId}_transcript`;
     
     const session = {
       sessionId,
       botId,
       legacyBotId,
       meetingUrl,
+      source: options.source || 'bot_pool',
       startedAt: new Date(),
       lastUpdated: new Date(),
       status: 'active',
@@ -228,6 +362,7 @@ class TranscriptStreamService extends EventEmitter {
       wordCount: 0,
       duration: 0,
       lastProcessedFingerprint: null,
+      eventSeq: 0, // last SSE event ID sent for this session
       context: {
         lastSpeaker: null,
         totalDuration: 0,
@@ -240,15 +375,29 @@ class TranscriptStreamService extends EventEmitter {
     };
 
     this.transcriptSessions.set(sessionId, session);
-    this.botToSessionMap.set(legacyBotId, sessionId);
+    if (legacyBotId) {
+      this.botToSessionMap.set(legacyBotId, sessionId);
+    }
     
     this.stats.totalSessions++;
     this.stats.activeSessions++;
     
     Logger.info(`Created transcript session ${sessionId} for bot ${botId}`);
+
+    this.saveSession(sessionId);
+    this.emit('session_started', {
+      sessionId,
+      botId,
+      legacyBotId,
+      meetingUrl,
+      source: session.source,
+      startedAt: session.startedAt.toISOString()
+    });
     
-    // Fetch metadata asynchronously
-    this.fetchSessionMetadata(session);
+    // Fetch metadata asynchronously (ingest sessions may not belong to a bot)
+    if (botId || legacyBotId) {
+      this.fetchSessionMetadata(session);
+    }
     
     return sessionId;
   }
@@ -264,6 +413,7 @@ class TranscriptStreamService extends EventEmitter {
         session.legacyBotId
       );
       session.metadata = metadata;
+      this.saveSession(session.sessionId);
       Logger.info(`Updated metadata for session ${session.sessionId}`, {
         event_id: metadata.event_id,
         participantCount: metadata.participants?.length || 0
@@ -284,6 +434,7 @@ class TranscriptStreamService extends EventEmitter {
 
     // Add segments
     if (transcription.segments && transcription.segments.length > 0) {
+      const newSegments = [];
       transcription.segments.forEach(segment => {
         const segmentWithId = {
           ...segment,
@@ -296,6 +447,7 @@ class TranscriptStreamService extends EventEmitter {
         };
         
         session.segments.push(segmentWithId);
+        newSegments.push(segmentWithId);
         
         // Update speakers
         if (segment.speaker) {
@@ -339,10 +491,10 @@ class TranscriptStreamService extends EventEmitter {
       this.stats.totalSegments += transcription.segments.length;
       this.stats.totalWords = session.wordCount;
 
-      // Broadcast update to SSE clients
+      // Broadcast update to SSE clients (assigns the segments' event IDs)
       this.broadcastUpdate(sessionId, {
         type: 'transcript_update',
-        segments: transcription.segments,
+        segments: newSegments,
         stats: {
           wordCount: session.wordCount,
           duration: session.duration,
@@ -351,6 +503,14 @@ class TranscriptStreamService extends EventEmitter {
         }
       });
 
+      this.emit('segments_added', { sessionId, segments: newSegments });
+
+      // Persist new segments and session state
+      this.store.appendSegments(sessionId, newSegments).catch(error => {
+        Logger.error(`Failed to store segments for session ${sessionId}:`, error);
+      });
+      this.saveSession(sessionId);
+
       Logger.info(`Updated transcript for session ${sessionId}`, {
         newSegments: transcription.segments.length,
         totalSegments: session.segments.length,
@@ -365,7 +525,7 @@ class TranscriptStreamService extends EventEmitter {
    */
   stopSession(sessionId) {
     const session = this.transcriptSessions.get(sessionId);
-    if (!session) return;
+    if (!session || session.status === 'stopped') return;
 
     session.status = 'stopped';
     session.lastUpdated = new Date();
@@ -381,6 +541,18 @@ class TranscriptStreamService extends EventEmitter {
       timestamp: new Date()
     });
 
+    this.saveSession(sessionId);
+    this.emit('session_stopped', {
+      sessionId,
+      botId: session.botId,
+      legacyBotId: session.legacyBotId,
+      meetingUrl: session.meetingUrl,
+      duration: session.duration,
+      wordCount: session.wordCount,
+      segmentCount: session.segments.length,
+      stoppedAt: session.lastUpdated.toISOString()
+    });
+
     // Close all SSE connections for this session
     const clients = this.sseClients.get(sessionId);
     if (clients) {
@@ -397,6 +569,37 @@ class TranscriptStreamService extends EventEmitter {
     Logger.info(`Stopped transcript session ${sessionId}`);
   }
 
+  /**
+   * Remove stopped sessions that have not changed within the retention period
+   */
+  removeExpiredSessions() {
+    const cutoff = Date.now() - this.sessionRetention;
+
+    this.transcriptSessions.forEach((session, sessionId) => {
+      if (session.status === 'stopped' && session.lastUpdated.getTime() < cutoff) {
+        this.removeSession(sessionId);
+      }
+    });
+  }
+
+  /**
+   * Remove a session from memory and from the session store
+   * @param {string} sessionId - Session ID
+   */
+  removeSession(sessionId) {
+    if (!this.transcriptSessions.has(sessionId)) return;
+
+    this.transcriptSessions.delete(sessionId);
+    this.eventBuffers.delete(sessionId);
+
+    this.store.deleteSession(sessionId).catch(error => {
+      Logger.error(`Failed to delete stored session ${sessionId}:`, error);
+    });
+    this.emit('session_removed', { sessionId });
+
+    Logger.info(`Removed expired transcript session ${sessionId}`);
+  }
+
   /**
    * Get active transcript sessions
    * @returns {Array} Array of active sessions
@@ -439,6 +642,7 @@ class TranscriptStreamService extends EventEmitter {
       sessionId: session.sessionId,
       botId: session.botId,
       meetingUrl: session.meetingUrl,
+      title: session.metadata?.meetingTitle || null,
       transcript: {
         segments: session.segments,
         fullText: session.segments.map(s => s.text).join(' '),
@@ -454,7 +658,8 @@ class TranscriptStreamService extends EventEmitter {
         lastUpdated: session.lastUpdated,
         status: session.status,
         durationFormatted: formatDuration(session.duration)
-      }
+      },
+      summary: session.aiSummary || null
     };
   }
 
@@ -462,8 +667,18 @@ class TranscriptStreamService extends EventEmitter {
    * Add SSE client for a session
    * @param {string} sessionId - Session ID
    * @param {Object} res - Express response object
+   * @param {string|number} lastEventId - Last-Event-ID of a reconnecting client
    */
-  addSSEClient(sessionId, res) {
+  addSSEClient(sessionId, res, lastEventId = null) {
+    const lastId = parseInt(lastEventId);
+    if (!isNaN(lastId)) {
+      const missed = this.getEventsSince(sessionId, lastId);
+      missed.forEach(event => this.writeEvent(res, event));
+      Logger.debug(`Replayed ${missed.length} SSE events for session ${sessionId}`, {
+        lastEventId: lastId
+      });
+    }
+
     if (!this.sseClients.has(sessionId)) {
       this.sseClients.set(sessionId, new Set());
     }
@@ -471,6 +686,38 @@ class TranscriptStreamService extends EventEmitter {
     Logger.debug(`Added SSE client for session ${sessionId}`);
   }
 
+  /**
+   * Get the events a client missed after lastEventId
+   * @param {string} sessionId - Session ID
+   * @param {number} lastEventId - Last event ID the client received
+   * @returns {Array<{id: number, event: string, data: Object}>} Events in ID order
+   */
+  getEventsSince(sessionId, lastEventId) {
+    const session = this.transcriptSessions.get(sessionId);
+    if (!session) return [];
+
+    // IDs from before a session was recreated; send everything we have
+    const since = lastEventId > session.eventSeq ? 0 : lastEventId;
+    const buffered = (this.eventBuffers.get(sessionId) || []).filter(event => event.id > since);
+
+    if (buffered.length > 0 && buffered[0].id === since + 1) {
+      return buffered;
+    }
+
+    // The replay buffer no longer reaches back far enough (overflow or restart):
+    // rebuild transcript events from the stored segments
+    const segmentEvents = session.segments
+      .filter(segment => segment.eventId > since)
+      .map(segment => ({
+        id: segment.eventId,
+        event: 'transcript_update',
+        data: this.toSegmentEvent(segment)
+      }));
+    const otherEvents = buffered.filter(event => event.event !== 'transcript_update');
+
+    return [...segmentEvents, ...otherEvents].sort((a, b) => a.id - b.id);
+  }
+
   /**
    * Remove SSE client for a session
    * @param {string} sessionId - Session ID
@@ -492,33 +739,33 @@ class TranscriptStreamService extends EventEmitter {
    * @param {Object} data - Data to broadcast
    */
   broadcastUpdate(sessionId, data) {
+    let events;
+    if (data.segments) {
+      // Send each segment as a separate event
+      events = data.segments.map(segment => ({
+        event: 'transcript_update',
+        data: this.toSegmentEvent(segment),
+        segment
+      }));
+    } else {
+      events = [{
+        event: data.type,
+        data: {
+          ...data,
+          timestamp: new Date().toISOString()
+        }
+      }];
+    }
+
+    // Record events even without connected clients, so reconnecting clients can catch up
+    events = events.map(event => this.recordEvent(sessionId, event));
+
     const clients = this.sseClients.get(sessionId);
     if (!clients) return;
 
-    const eventData = JSON.stringify({
-      ...data,
-      timestamp: new Date().toISOString()
-    });
-
     clients.forEach(client => {
       try {
-        if (data.segments) {
-          // Send each segment as a separate event
-          data.segments.forEach(segment => {
-            client.write(`event: transcript_update\n`);
-            client.write(`data: ${JSON.stringify({
-              timestamp: new Date().toISOString(),
-              speaker: segment.speaker,
-              text: segment.text,
-              startTime: segment.startTime,
-              endTime: segment.endTime,
-              confidence: segment.confidence
-            })}\n\n`);
-          });
-        } else {
-          client.write(`event: ${data.type}\n`);
-          client.write(`data: ${eventData}\n\n`);
-        }
+        events.forEach(event => this.writeEvent(client, event));
       } catch (error) {
         Logger.error('Error broadcasting to SSE client:', error);
         this.removeSSEClient(sessionId, client);
@@ -526,6 +773,77 @@ class TranscriptStreamService extends EventEmitter {
     });
   }
 
+  /**
+   * Assign the next event ID of a session and keep the event for replay
+   * @param {string} sessionId - Session ID
+   * @param {Object} event - { event, data, segment }
+   * @returns {Object} Recorded event { id, event, data }
+   */
+  recordEvent(sessionId, { event, data, segment }) {
+    const session = this.transcriptSessions.get(sessionId);
+    if (!session) return { id: null, event, data };
+
+    session.eventSeq = (session.eventSeq || 0) + 1;
+    const recorded = { id: session.eventSeq, event, data };
+
+    // Stored segments remember their event ID for replay beyond the buffer
+    if (segment) {
+      segment.eventId = recorded.id;
+    }
+
+    if (!this.eventBuffers.has(sessionId)) {
+      this.eventBuffers.set(sessionId, []);
+    }
+    const buffer = this.eventBuffers.get(sessionId);
+    buffer.push(recorded);
+    if (buffer.length > this.replayBufferSize) {
+      buffer.splice(0, buffer.length - this.replayBufferSize);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Write an event to an SSE client
+   * @param {Object} res - Express response object
+   * @param {Object} event - { id, event, data }
+   */
+  writeEvent(res, { id, event, data }) {
+    if (id !== null && id !== undefined) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Build the transcript_update event payload for a segment
+   * @param {Object} segment - Transcript segment
+   * @returns {Object} Event data
+   */
+  toSegmentEvent(segment) {
+    return {
+      timestamp: new Date().toISOString(),
+      speaker: segment.speaker,
+      text: segment.text,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      confidence: segment.confidence
+    };
+  }
+
+
+  /**
+   * Count connected SSE clients across all sessions
+   * @returns {number} Connected clients
+   */
+  getSSEClientCount() {
+    let count = 0;
+    this.sseClients.forEach(clients => {
+      count += clients.size;
+    });
+    return count;
+  }
 
   /**
    * Get service statistics
@@ -547,18 +865,98 @@ class TranscriptStreamService extends EventEmitter {
   /**
    * Stop the service
    */
-  stop() {
+  async stop() {
     this.isRunning = false;
-    
-    // Stop all active sessions
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+
+    // Stop all active sessions (only sessions interrupted by a crash resume after a restart)
     this.transcriptSessions.forEach((session, sessionId) => {
       if (session.status === 'active') {
         this.stopSession(sessionId);
       }
     });
+
+    // Close remaining SSE connections
+    this.sseClients.forEach(clients => {
+      clients.forEach(client => {
+        try {
+          client.end();
+        } catch (error) {
+          // Ignore errors when closing
+        }
+      });
+    });
+    this.sseClients.clear();
+
+    await this.store.flush();
     
     Logger.info('TranscriptStreamService stopped');
   }
+
+  /**
+   * Persist the current state of a session (fire and forget)
+   * @param {string} sessionId - Session ID
+   */
+  saveSession(sessionId) {
+    const session = this.transcriptSessions.get(sessionId);
+    if (!session) return;
+
+    this.store.saveSession(this.serializeSession(session)).catch(error => {
+      Logger.error(`Failed to store session ${sessionId}:`, error);
+    });
+  }
+
+  /**
+   * Convert a session into a JSON-safe snapshot (without segments)
+   * @param {Object} session - Session object
+   * @returns {Object} Serialized session
+   */
+  serializeSession(session) {
+    const { segments, speakers, ...rest } = session;
+    return {
+      ...rest,
+      speakers: Array.from(speakers),
+      startedAt: session.startedAt.toISOString(),
+      lastUpdated: session.lastUpdated.toISOString()
+    };
+  }
+
+  /**
+   * Restore sessions from the session store
+   */
+  async restoreSessions() {
+    const stored = await this.store.loadSessions();
+
+    stored.forEach(({ session: snapshot, segments }) => {
+      const session = {
+        ...snapshot,
+        startedAt: new Date(snapshot.startedAt),
+        lastUpdated: new Date(snapshot.lastUpdated),
+        speakers: new Set(snapshot.speakers || []),
+        segments: segments || [],
+        eventSeq: snapshot.eventSeq || 0
+      };
+
+      this.transcriptSessions.set(session.sessionId, session);
+      this.stats.totalSessions++;
+      this.stats.totalSegments += session.segments.length;
+
+      if (session.status === 'active') {
+        if (session.legacyBotId) {
+          this.botToSessionMap.set(session.legacyBotId, session.sessionId);
+        }
+        this.stats.activeSessions++;
+      }
+    });
+
+    if (stored.length > 0) {
+      Logger.info(`Restored ${stored.length} transcript sessions from storage`, {
+        activeSessions: this.stats.activeSessions,
+        totalSegments: this.stats.totalSegments
+      });
+    }
+  }
 }
 
 module.exports = new TranscriptStreamService();
\ No newline at end of file
@@ -0,0 +1,160 @@
+process.env.LOG_LEVEL = 'error';
+
+const TranscriptStreamService = require('./TranscriptStreamService');
+const MemorySessionStore = require('./storage/MemorySessionStore');
+
+describe('TranscriptStreamService session lifecycle', () => {
+  beforeEach(async () => {
+    TranscriptStreamService.store = new MemorySessionStore();
+    await TranscriptStreamService.initialize();
+  });
+
+  afterEach(async () => {
+    await TranscriptStreamService.stop();
+    TranscriptStreamService.transcriptSessions.clear();
+  });
+
+  test('stops active sessions on stop()', async () => {
+    const stopped = jest.fn();
+    TranscriptStreamService.once('session_stopped', stopped);
+    const sessionId = TranscriptStreamService.createSession(null, null, null, { sessionId: 'live-1', source: 'ingest' });
+
+    await TranscriptStreamService.stop();
+
+    expect(TranscriptStreamService.transcriptSessions.get(sessionId).status).toBe('stopped');
+    expect(stopped).toHaveBeenCalledWith(expect.objectContaining({ sessionId }));
+    const [{ session }] = await TranscriptStreamService.store.loadSessions();
+    expect(session.status).toBe('stopped');
+  });
+
+  test('removes stopped sessions after the retention period', async () => {
+    const removed = jest.fn();
+    TranscriptStreamService.once('session_removed', removed);
+    TranscriptStreamService.createSession(null, null, null, { sessionId: 'old', source: 'ingest' });
+    TranscriptStreamService.createSession(null, null, null, { sessionId: 'running', source: 'ingest' });
+    TranscriptStreamService.stopSession('old');
+    TranscriptStreamService.transcriptSessions.get('old').lastUpdated = new Date(Date.now() - TranscriptStreamService.sessionRetention - 1000);
+
+    TranscriptStreamService.removeExpiredSessions();
+    await TranscriptStreamService.store.flush();
+
+    expect(Array.from(TranscriptStreamService.transcriptSessions.keys())).toEqual(['running']);
+    expect(removed).toHaveBeenCalledWith({ sessionId: 'old' });
+    const stored = await TranscriptStreamService.store.loadSessions();
+    expect(stored.map(({ session }) => session.sessionId)).toEqual(['running']);
+  });
+});
+
+describe('TranscriptStreamService.getEventsSince', () => {
+  const replayBufferSize = TranscriptStreamService.replayBufferSize;
+
+  beforeEach(async () => {
+    TranscriptStreamService.store = new MemorySessionStore();
+    await TranscriptStreamService.initialize();
+    TranscriptStreamService.createSession(null, null, null, { sessionId: 'live-1', source: 'ingest' });
+    ['one', 'two', 'three', 'four', 'five'].forEach((text, index) => {
+      TranscriptStreamService.updateSession('live-1', {
+        segments: [{ speaker: 'Speaker 1', text, startTime: index, endTime: index + 1 }]
+      });
+    });
+    TranscriptStreamService.stopSession('live-1');
+  });
+
+  afterEach(async () => {
+    TranscriptStreamService.replayBufferSize = replayBufferSize;
+    await TranscriptStreamService.stop();
+    TranscriptStreamService.transcriptSessions.clear();
+    TranscriptStreamService.eventBuffers.clear();
+  });
+
+  const summarize = events => events.map(({ id, event, data }) => [id, event, data.text || null]);
+
+  test('replays buffered events after the last event ID', () => {
+    expect(summarize(TranscriptStreamService.getEventsSince('live-1', 4))).toEqual([
+      [5, 'transcript_update', 'five'],
+      [6, 'session_stopped', null]
+    ]);
+    expect(TranscriptStreamService.getEventsSince('live-1', 6)).toEqual([]);
+  });
+
+  test('rebuilds transcript events from stored segments beyond the replay buffer', () => {
+    TranscriptStreamService.eventBuffers.set('live-1', TranscriptStreamService.eventBuffers.get('live-1').slice(-3));
+
+    expect(summarize(TranscriptStreamService.getEventsSince('live-1', 1))).toEqual([
+      [2, 'transcript_update', 'two'],
+      [3, 'transcript_update', 'three'],
+      [4, 'transcript_update', 'four'],
+      [5, 'transcript_update', 'five'],
+      [6, 'session_stopped', null]
+    ]);
+  });
+
+  test('keeps only the newest events in the replay buffer', () => {
+    TranscriptStreamService.replayBufferSize = 2;
+    TranscriptStreamService.recordEvent('live-1', { event: 'session_note', data: {} });
+
+    expect(TranscriptStreamService.eventBuffers.get('live-1').map(event => event.id)).toEqual([6, 7]);
+    expect(TranscriptStreamService.getEventsSince('live-1', 3).map(event => event.id)).toEqual([4, 5, 6, 7]);
+  });
+
+  test('sends every event for IDs from before the session was recreated', () => {
+    expect(TranscriptStreamService.getEventsSince('live-1', 40).map(event => event.id)).toEqual([1, 2, 3, 4, 5, 6]);
+
+    // After a restart the buffer is empty and only the stored segments are left
+    TranscriptStreamService.eventBuffers.delete('live-1');
+    expect(summarize(TranscriptStreamService.getEventsSince('live-1', 40))).toEqual([
+      [1, 'transcript_update', 'one'],
+      [2, 'transcript_update', 'two'],
+      [3, 'transcript_update', 'three'],
+      [4, 'transcript_update', 'four'],
+      [5, 'transcript_update', 'five']
+    ]);
+  });
+
+  test('returns nothing for unknown sessions', () => {
+    expect(TranscriptStreamService.getEventsSince('missing', 0)).toEqual([]);
+  });
+});
+
+describe('TranscriptStreamService live redaction', () => {
+  const RedactionService = require('./RedactionService');
+  const TranscriptionProviderRegistry = require('./TranscriptionProviderRegistry');
+  const AudioProcessor = require('../utils/AudioProcessor');
+
+  beforeEach(async () => {
+    TranscriptStreamService.store = new MemorySessionStore();
+    await TranscriptStreamService.initialize();
+    RedactionService.enabled = true;
+    jest.spyOn(AudioProcessor, 'trimSilence').mockResolvedValue(null);
+    jest.spyOn(TranscriptionProviderRegistry, 'get').mockReturnValue({
+      transcribe: async () => ({
+        segments: [{ speaker: 'Ann Lee', text: 'Mail me at ann@x.io', startTime: 0, endTime: 2 }],
+        metadata: {}
+      })
+    });
+  });
+
+  afterEach(async () => {
+    RedactionService.enabled = false;
+    jest.restoreAllMocks();
+    await TranscriptStreamService.stop();
+    TranscriptStreamService.transcriptSessions.clear();
+  });
+
+  test('redacts segments before they are stored and broadcast', async () => {
+    const added = jest.fn();
+    TranscriptStreamService.once('segments_added', added);
+    const sessionId = TranscriptStreamService.createSession(null, null, null, { sessionId: 'live-pii', source: 'ingest' });
+    TranscriptStreamService.transcriptSessions.get(sessionId).metadata = { participants: [{ name: 'Ann Lee' }] };
+
+    await TranscriptStreamService.transcribeIntoSession(sessionId, Buffer.alloc(0));
+    await TranscriptStreamService.store.flush();
+
+    const expected = { speaker: '[NAME_1]', text: 'Mail me at [EMAIL_1]' };
+    expect(TranscriptStreamService.getTranscript(sessionId).transcript.segments[0]).toMatchObject(expected);
+    expect(added.mock.calls[0][0].segments[0]).toMatchObject(expected);
+    const [{ segments }] = await TranscriptStreamService.store.loadSessions();
+    expect(segments[0]).toMatchObject(expected);
+    expect(JSON.stringify(TranscriptStreamService.getEventsSince(sessionId, 0))).not.toMatch(/ann|Lee/);
+  });
+});
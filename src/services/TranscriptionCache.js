@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const Logger = require('../utils/Logger');
+const AudioProcessor = require('../utils/AudioProcessor');
+
+/**
+ * Content-addressed cache of transcription results.
+ *
+ * Results are keyed by the SHA-256 of the audio (AudioProcessor.calculateAudioFingerprint),
+ * the prompt variant (generic `Speaker N` labels, or named speakers and the participants
+ * they were named after), the glossary terms in the prompt and the provider model, so transcribing the same recording
+ * again - e.g. /api/transcribe followed by /api/transcribe/summary - doesn't pay for a
+ * second transcription. Entries expire after TRANSCRIPTION_CACHE_TTL_MS; beyond
+ * TRANSCRIPTION_CACHE_MAX_ENTRIES the least recently used entry is evicted.
+ */
+class TranscriptionCache {
+  constructor() {
+    this.enabled = process.env.TRANSCRIPTION_CACHE_ENABLED !== 'false';
+    this.ttl = parseInt(process.env.TRANSCRIPTION_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+    this.maxEntries = parseInt(process.env.TRANSCRIPTION_CACHE_MAX_ENTRIES) || 200;
+    this.entries = new Map(); // key -> { fingerprint, transcription, createdAt, expiresAt, hits }; least recently used first
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      bypassed: 0,
+      evictions: 0,
+      expirations: 0
+    };
+  }
+
+  /**
+   * Build the cache key of a transcription request
+   * @param {Buffer} audioBuffer - Audio buffer
+   * @param {TranscriptionProvider} provider - Provider that transcribes it
+   * @param {Object} options - Transcription options (participants, useGenericSpeakers, glossary)
+   * @returns {Object} { key, fingerprint }
+   */
+  getKey(audioBuffer, provider, { participants = [], useGenericSpeakers = false, glossary = [] } = {}) {
+    const fingerprint = AudioProcessor.calculateAudioFingerprint(audioBuffer);
+
+    // Named-speaker prompts depend on who attended
+    let variant = 'generic';
+    if (!useGenericSpeakers) {
+      const names = participants.map(p => `${p.name || ''}|${p.email || ''}`).join('\n');
+      variant = `named:${crypto.createHash('sha256').update(names).digest('hex').slice(0, 16)}`;
+    }
+
+    // Glossary terms change the prompt too
+    if (glossary.length > 0) {
+      const terms = JSON.stringify(glossary.map(({ term, aliases, description }) => [term, aliases, description]));
+      variant += `:glossary:${crypto.createHash('sha256').update(terms).digest('hex').slice(0, 16)}`;
+    }
+
+    return {
+      key: `${fingerprint}:${variant}:${provider.name}:${provider.model}`,
+      fingerprint
+    };
+  }
+
+  /**
+   * Look up a cached transcription
+   * @param {string} key - Key from getKey()
+   * @returns {Object|null} Copy of the cached transcription
+   */
+  get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+    } else if (entry) {
+      // Move to the most recently used end
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      entry.hits++;
+      this.stats.hits++;
+      Logger.metric('transcription_cache_requests', 1, { result: 'hit' });
+      return structuredClone(entry.transcription);
+    }
+
+    this.stats.misses++;
+    Logger.metric('transcription_cache_requests', 1, { result: 'miss' });
+    return null;
+  }
+
+  /**
+   * Store a transcription
+   * @param {string} key - Key from getKey()
+   * @param {string} fingerprint - Audio fingerprint
+   * @param {Object} transcription - Transcription result
+   */
+  set(key, fingerprint, transcription) {
+    if (!this.enabled) return;
+
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, {
+      fingerprint,
+      transcription: structuredClone(transcription),
+      createdAt: now,
+      expiresAt: now + this.ttl,
+      hits: 0
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Count a request that skipped the cache lookup
+   */
+  recordBypass() {
+    this.stats.bypassed++;
+    Logger.metric('transcription_cache_requests', 1, { result: 'bypass' });
+  }
+
+  /**
+   * Remove cached transcriptions
+   * @param {string} [fingerprint] - Only remove entries of this audio
+   * @returns {number} Number of removed entries
+   */
+  purge(fingerprint) {
+    let purged = 0;
+    for (const [key, entry] of this.entries) {
+      if (!fingerprint || entry.fingerprint === fingerprint) {
+        this.entries.delete(key);
+        purged++;
+      }
+    }
+
+    Logger.info('Transcription cache purged', { fingerprint: fingerprint || null, purged });
+    return purged;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttl,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+}
+
+module.exports = new TranscriptionCache();
@@ -0,0 +1,111 @@
+process.env.LOG_LEVEL = 'error';
+
+const TranscriptionCache = require('./TranscriptionCache');
+const AudioProcessor = require('../utils/AudioProcessor');
+
+const provider = { name: 'gemini', model: 'gemini-1.5-flash' };
+const audio = Buffer.from('recording one');
+const participants = [{ name: 'Ann', email: 'ann@example.com' }, { name: 'Bob' }];
+const glossary = [{ term: 'Kubernetes', aliases: ['k8s'], description: null }];
+
+describe('TranscriptionCache keys', () => {
+  const key = (options, buffer = audio, keyProvider = provider) => TranscriptionCache.getKey(buffer, keyProvider, options).key;
+
+  test('start with the audio fingerprint and end with provider and model', () => {
+    const { key: cacheKey, fingerprint } = TranscriptionCache.getKey(audio, provider, { useGenericSpeakers: true });
+
+    expect(fingerprint).toBe(AudioProcessor.calculateAudioFingerprint(audio));
+    expect(cacheKey).toBe(`${fingerprint}:generic:gemini:gemini-1.5-flash`);
+    expect(key({ useGenericSpeakers: true }, Buffer.from('recording two'))).not.toBe(cacheKey);
+    expect(key({ useGenericSpeakers: true }, audio, { name: 'gemini', model: 'gemini-1.5-pro' })).not.toBe(cacheKey);
+    expect(key({ useGenericSpeakers: true }, audio, { name: 'fixture', model: 'gemini-1.5-flash' })).not.toBe(cacheKey);
+  });
+
+  test('separate generic labels from named speakers, and named speakers by participants', () => {
+    const generic = key({ useGenericSpeakers: true, participants });
+    const named = key({ participants });
+
+    expect(generic).toMatch(/:generic:/);
+    expect(named).toMatch(/:named:[0-9a-f]{16}:/);
+    expect(key({ participants: [...participants] })).toBe(named);
+    expect(key({ participants: [participants[1], participants[0]] })).not.toBe(named);
+    expect(key({ participants: [{ name: 'Ann', email: 'ann@example.org' }, { name: 'Bob' }] })).not.toBe(named);
+  });
+
+  test('include a hash of the glossary terms', () => {
+    const plain = key({ useGenericSpeakers: true });
+    const withGlossary = key({ useGenericSpeakers: true, glossary });
+
+    expect(withGlossary).toMatch(/:generic:glossary:[0-9a-f]{16}:/);
+    expect(key({ useGenericSpeakers: true, glossary: [{ ...glossary[0], aliases: ['kube'] }] })).not.toBe(withGlossary);
+    expect(key({ useGenericSpeakers: true, glossary: [] })).toBe(plain);
+  });
+});
+
+describe('TranscriptionCache entries', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new TranscriptionCache.constructor();
+    cache.enabled = true;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('return copies of stored transcriptions', () => {
+    cache.set('a', 'fp-a', { segments: [{ text: 'Hello' }] });
+
+    const first = cache.get('a');
+    first.segments[0].text = 'Changed';
+
+    expect(cache.get('a').segments[0].text).toBe('Hello');
+    expect(cache.get('b')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ hits: 2, misses: 1, hitRate: 0.667 });
+  });
+
+  test('expire after the TTL', () => {
+    jest.useFakeTimers();
+    cache.ttl = 1000;
+    cache.set('a', 'fp-a', { segments: [] });
+
+    jest.advanceTimersByTime(999);
+    expect(cache.get('a')).not.toBeNull();
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('a')).toBeNull();
+    expect(cache.entries.size).toBe(0);
+    expect(cache.getStats()).toMatchObject({ expirations: 1, misses: 1 });
+  });
+
+  test('evict the least recently used entry beyond the size cap', () => {
+    cache.maxEntries = 2;
+    cache.set('a', 'fp-a', { segments: [] });
+    cache.set('b', 'fp-b', { segments: [] });
+    cache.get('a');
+    cache.set('c', 'fp-c', { segments: [] });
+
+    expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('purge the entries of one recording or all of them', () => {
+    cache.set('a:generic', 'fp-a', { segments: [] });
+    cache.set('a:named', 'fp-a', { segments: [] });
+    cache.set('b:generic', 'fp-b', { segments: [] });
+
+    expect(cache.purge('fp-a')).toBe(2);
+    expect([...cache.entries.keys()]).toEqual(['b:generic']);
+    expect(cache.purge()).toBe(1);
+    expect(cache.entries.size).toBe(0);
+  });
+
+  test('neither store nor serve entries when disabled', () => {
+    cache.enabled = false;
+    cache.set('a', 'fp-a', { segments: [] });
+
+    expect(cache.get('a')).toBeNull();
+    expect(cache.entries.size).toBe(0);
+  });
+});
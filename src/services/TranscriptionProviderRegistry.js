@@ -0,0 +1,105 @@
+const Logger = require('../utils/Logger');
+const { ValidationError, ExternalAPIError } = require('../utils/ErrorHandler');
+const GeminiProvider = require('./providers/GeminiProvider');
+const FixtureProvider = require('./providers/FixtureProvider');
+
+class TranscriptionProviderRegistry {
+  constructor() {
+    this.defaultProvider = process.env.TRANSCRIPTION_PROVIDER || 'gemini';
+    this.providers = new Map(); // name -> provider
+
+    this.register(GeminiProvider);
+    this.register(FixtureProvider);
+  }
+
+  /**
+   * Register a transcription provider
+   * @param {TranscriptionProvider} provider - Provider instance
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Initialize all registered providers.
+   * Only a failure of the default provider is fatal.
+   */
+  initialize() {
+    if (!this.providers.has(this.defaultProvider)) {
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER: ${this.defaultProvider}`);
+    }
+
+    for (const [name, provider] of this.providers) {
+      try {
+        provider.initialize();
+      } catch (error) {
+        if (name === this.defaultProvider) {
+          throw error;
+        }
+        Logger.warn(`Transcription provider ${name} not available: ${error.message}`);
+      }
+    }
+
+    Logger.info('TranscriptionProviderRegistry initialized', {
+      defaultProvider: this.defaultProvider,
+      availableProviders: this.getAvailableProviders()
+    });
+  }
+
+  /**
+   * Get a provider by name, falling back to the default provider
+   * @param {string} name - Provider name (optional)
+   * @returns {TranscriptionProvider} Provider
+   */
+  get(name) {
+    const providerName = name || this.defaultProvider;
+    const provider = this.providers.get(providerName);
+
+    if (!provider) {
+      throw new ValidationError(
+        `Unknown transcription provider: ${providerName}. Available: ${Array.from(this.providers.keys()).join(', ')}`,
+        'provider'
+      );
+    }
+
+    if (!provider.isAvailable()) {
+      throw new ExternalAPIError(providerName, 'Transcription provider not initialized');
+    }
+
+    return provider;
+  }
+
+  /**
+   * Resolve the provider requested by an API call
+   * (`provider` body field or `X-Transcription-Provider` header)
+   * @param {Object} req - Express request
+   * @returns {TranscriptionProvider} Provider
+   */
+  forRequest(req) {
+    return this.get(req.body?.provider || req.get('x-transcription-provider'));
+  }
+
+  /**
+   * Get names of providers that can serve requests
+   * @returns {Array<string>} Provider names
+   */
+  getAvailableProviders() {
+    return Array.from(this.providers.values())
+      .filter(provider => provider.isAvailable())
+      .map(provider => provider.name);
+  }
+
+  /**
+   * Get statistics for all providers
+   * @returns {Object} Statistics by provider name
+   */
+  getStats() {
+    const stats = {};
+    for (const [name, provider] of this.providers) {
+      stats[name] = provider.getStats();
+    }
+    return stats;
+  }
+}
+
+module.exports = new TranscriptionProviderRegistry();
@@ -0,0 +1,69 @@
+process.env.LOG_LEVEL = 'error';
+
+const loadRegistry = env => {
+  const saved = { ...process.env };
+  delete process.env.GOOGLE_GEMINI_API_KEY;
+  Object.assign(process.env, env);
+
+  let registry;
+  jest.isolateModules(() => {
+    registry = require('./TranscriptionProviderRegistry');
+  });
+
+  process.env = saved;
+  return registry;
+};
+
+const thrown = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+const request = (body = {}, headers = {}) => ({
+  body,
+  get: name => headers[name.toLowerCase()]
+});
+
+describe('TranscriptionProviderRegistry', () => {
+  test('serves the default provider when none is requested', () => {
+    const registry = loadRegistry({ TRANSCRIPTION_PROVIDER: 'fixture' });
+    registry.initialize();
+
+    expect(registry.get().name).toBe('fixture');
+    expect(registry.getAvailableProviders()).toEqual(['fixture']);
+  });
+
+  test('selects the provider from the body before the header', () => {
+    const registry = loadRegistry({ TRANSCRIPTION_PROVIDER: 'fixture' });
+    registry.initialize();
+
+    expect(registry.forRequest(request({}, { 'x-transcription-provider': 'fixture' })).name).toBe('fixture');
+    expect(thrown(() => registry.forRequest(request({ provider: 'whisper' }, { 'x-transcription-provider': 'fixture' }))))
+      .toMatchObject({ type: 'ValidationError', field: 'provider' });
+  });
+
+  test('rejects unknown providers with the available names', () => {
+    const registry = loadRegistry({ TRANSCRIPTION_PROVIDER: 'fixture' });
+    registry.initialize();
+
+    expect(() => registry.get('whisper')).toThrow('Unknown transcription provider: whisper. Available: gemini, fixture');
+  });
+
+  test('rejects registered providers that failed to initialize', () => {
+    const registry = loadRegistry({ TRANSCRIPTION_PROVIDER: 'fixture' });
+    registry.initialize();
+
+    expect(thrown(() => registry.get('gemini'))).toMatchObject({ type: 'ExternalAPIError', statusCode: 503 });
+  });
+
+  test('fails to initialize with an unknown or unavailable default provider', () => {
+    expect(() => loadRegistry({ TRANSCRIPTION_PROVIDER: 'whisper' }).initialize())
+      .toThrow('Unknown TRANSCRIPTION_PROVIDER: whisper');
+    expect(() => loadRegistry({ TRANSCRIPTION_PROVIDER: 'gemini' }).initialize())
+      .toThrow('GOOGLE_GEMINI_API_KEY is not configured');
+  });
+});
@@ -0,0 +1,185 @@
+const Logger = require('../utils/Logger');
+const { NotFoundError, ValidationError } = require('../utils/ErrorHandler');
+const TranscriptRecordService = require('./TranscriptRecordService');
+const UsageService = require('./UsageService');
+
+/**
+ * Translations of stored transcripts.
+ *
+ * Segments are translated one by one, so a translation has the same segment IDs,
+ * speakers and timestamps as the original. Translations are stored next to the
+ * original in raw_transcript.translations, keyed by language code, and applied to a
+ * transcript for downloads, either instead of the original text or next to it.
+ */
+class TranslationService {
+  /**
+   * Canonical target language of a translation request
+   * @param {Object} rawTranscript - raw_transcript column
+   * @param {string} targetLanguage - Requested language code
+   * @returns {string} Canonical language code (e.g. 'de', 'pt-BR')
+   */
+  getTargetLanguage(rawTranscript, targetLanguage) {
+    const language = canonicalLanguage(targetLanguage);
+    if (!language) {
+      throw new ValidationError(`Unknown language code: ${targetLanguage}`, 'targetLanguage');
+    }
+
+    const sourceLanguage = canonicalLanguage(rawTranscript.detectedLanguage);
+    if (sourceLanguage && primaryLanguage(sourceLanguage) === primaryLanguage(language)) {
+      throw new ValidationError(`Transcript is already in ${sourceLanguage}`, 'targetLanguage');
+    }
+
+    return language;
+  }
+
+  /**
+   * Translate a stored transcript and save the translation in its raw_transcript
+   * @param {string} id - meeting_bot_audio_transcript row ID
+   * @param {string} targetLanguage - Target language code
+   * @param {Object} options - { provider, attribution, onProgress(completed, total) }
+   * @returns {Promise<Object>} Stored translation
+   */
+  async translateRecord(id, targetLanguage, { provider, attribution = {}, onProgress } = {}) {
+    const record = await TranscriptRecordService.getRecord(id);
+    const rawTranscript = record.raw_transcript;
+    const language = this.getTargetLanguage(rawTranscript, targetLanguage);
+    const sourceLanguage = rawTranscript.detectedLanguage || 'unknown';
+
+    const segments = (rawTranscript.segments || []).map((segment, index) => ({
+      ...segment,
+      id: segment.id ?? index + 1
+    }));
+    const withText = segments.filter(segment => segment.text && segment.text.trim());
+
+    const startTime = Date.now();
+    const result = withText.length > 0
+      ? await provider.translate(withText, language, { sourceLanguage, attribution, onBatchTranslated: onProgress })
+      : { segments: [], usage: null };
+    const texts = new Map(result.segments.map(segment => [String(segment.id), segment.text]));
+
+    const translation = {
+      language,
+      sourceLanguage,
+      segments: segments.map(segment => ({
+        id: segment.id,
+        speaker: segment.speaker,
+        startTime: segment.startTime || 0,
+        endTime: segment.endTime || 0,
+        text: texts.get(String(segment.id)) ?? segment.text ?? ''
+      })),
+      provider: provider.name,
+      model: provider.model,
+      usage: result.usage,
+      createdAt: new Date().toISOString()
+    };
+
+    // Merge into the row as it is now, so edits and speaker changes made while
+    // translating are kept; segments edited meanwhile are stale right away
+    await TranscriptRecordService.modifyRecord(id, current => {
+      const currentTranscript = current.raw_transcript;
+      const sourceTexts = new Map(segments.map(segment => [String(segment.id), segment.text]));
+      const edited = new Set((currentTranscript.segments || [])
+        .map((segment, index) => [String(segment.id ?? index + 1), segment.text])
+        .filter(([segmentId, text]) => sourceTexts.has(segmentId) && sourceTexts.get(segmentId) !== text)
+        .map(([segmentId]) => segmentId));
+
+      translation.segments = translation.segments.map(segment =>
+        edited.has(String(segment.id)) ? { ...segment, stale: true } : segment
+      );
+
+      return {
+        raw_transcript: {
+          ...currentTranscript,
+          translations: {
+            ...currentTranscript.translations,
+            [language]: translation
+          },
+          metadata: {
+            ...currentTranscript.metadata,
+            // Usage totals of the record include its translations
+            usage: UsageService.combine([currentTranscript.metadata?.usage, result.usage])
+          }
+        }
+      };
+    });
+
+    Logger.info('Transcript translated', {
+      id,
+      sourceLanguage,
+      language,
+      segments: translation.segments.length,
+      processingTime: Date.now() - startTime
+    });
+
+    return translation;
+  }
+
+  /**
+   * Apply a stored translation to a transcript for rendering
+   * @param {Object} transcript - Transcript data (TranscriptRecordService.getTranscript())
+   * @param {string} language - Language code of the translation
+   * @param {Object} options - { bilingual }: keep the original text and add the translation
+   *   as segment.translation
+   * @returns {Object} Transcript data with translated segments
+   */
+  applyTranslation(transcript, language, { bilingual = false } = {}) {
+    const code = canonicalLanguage(language);
+    const translation = code && transcript.translations?.[code];
+    if (!translation) {
+      throw new NotFoundError(`Translation (${language})`);
+    }
+
+    // Speakers and times come from the current segments, so later speaker changes apply;
+    // segments edited since the translation keep their (edited) original text
+    const texts = new Map(translation.segments
+      .filter(segment => !segment.stale)
+      .map(segment => [String(segment.id), segment.text]));
+    const segments = transcript.transcript.segments.map((segment, index) => {
+      const text = texts.get(String(segment.id ?? index + 1)) ?? segment.text;
+      return bilingual ? { ...segment, translation: text } : { ...segment, text };
+    });
+
+    return {
+      ...transcript,
+      transcript: {
+        ...transcript.transcript,
+        segments,
+        fullText: bilingual ? transcript.transcript.fullText : segments.map(segment => segment.text).join(' '),
+        detectedLanguage: bilingual ? transcript.transcript.detectedLanguage : translation.language
+      },
+      metadata: {
+        ...transcript.metadata,
+        translation: {
+          language: translation.language,
+          sourceLanguage: translation.sourceLanguage,
+          bilingual
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Canonical form of a language code
+ * @param {string} code - Language code
+ * @returns {string|null} Code like 'de' or 'pt-BR', or null if it isn't one
+ */
+function canonicalLanguage(code) {
+  if (!code || code === 'unknown') return null;
+  try {
+    return Intl.getCanonicalLocales(code)[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Language subtag of a language code ('pt-BR' -> 'pt')
+ * @param {string} code - Canonical language code
+ * @returns {string} Language subtag
+ */
+function primaryLanguage(code) {
+  return code.split('-')[0];
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,87 @@
+process.env.LOG_LEVEL = 'error';
+
+const TranslationService = require('./TranslationService');
+const TranscriptRecordService = require('./TranscriptRecordService');
+const TranscriptEditService = require('./TranscriptEditService');
+
+describe('TranslationService.translateRecord', () => {
+  let row;
+
+  beforeEach(() => {
+    row = {
+      id: 'rec1',
+      raw_transcript: {
+        detectedLanguage: 'en',
+        fullText: 'Hello. Goodbye.',
+        segments: [
+          { id: 1, speaker: 'Speaker 1', text: 'Hello.', startTime: 0, endTime: 1 },
+          { id: 2, speaker: 'Speaker 2', text: 'Goodbye.', startTime: 1, endTime: 2 }
+        ],
+        metadata: { usage: { calls: 1, cost: 0.01, promptTokens: 100, audioTokens: 0, outputTokens: 10, totalTokens: 110 } }
+      }
+    };
+    jest.spyOn(TranscriptRecordService, 'getRecord').mockImplementation(async () => JSON.parse(JSON.stringify(row)));
+    jest.spyOn(TranscriptRecordService, 'updateRecord').mockImplementation(async (id, updates) => {
+      row = { ...row, ...JSON.parse(JSON.stringify(updates)) };
+      return row;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps edits made while translating and marks their segments stale', async () => {
+    const provider = {
+      name: 'gemini',
+      model: 'test',
+      translate: async segments => {
+        // The transcript is edited while the translation runs
+        await TranscriptEditService.editSegment('rec1', 2, { text: 'Bye.', speaker: 'Anna' });
+        return {
+          segments: segments.map(segment => ({ id: segment.id, text: `DE ${segment.text}` })),
+          usage: { calls: 1, cost: 0.02, promptTokens: 50, audioTokens: 0, outputTokens: 20, totalTokens: 70 }
+        };
+      }
+    };
+
+    const translation = await TranslationService.translateRecord('rec1', 'de', { provider });
+
+    expect(row.raw_transcript.segments[1]).toMatchObject({ text: 'Bye.', speaker: 'Anna' });
+    expect(row.raw_transcript.metadata.segmentEdits).toHaveLength(1);
+    expect(row.raw_transcript.metadata.usage).toMatchObject({ calls: 2, totalTokens: 180 });
+    expect(row.raw_transcript.translations.de.segments.map(segment => [segment.text, segment.stale])).toEqual([
+      ['DE Hello.', undefined],
+      ['DE Goodbye.', true]
+    ]);
+    expect(translation.segments[1].stale).toBe(true);
+  });
+});
+
+describe('TranslationService.applyTranslation', () => {
+  const transcript = {
+    transcript: {
+      segments: [
+        { id: 1, speaker: 'Anna', text: 'Hello.' },
+        { id: 2, speaker: 'Ben', text: 'Bye.' }
+      ],
+      fullText: 'Hello. Bye.',
+      detectedLanguage: 'en'
+    },
+    translations: {
+      de: {
+        language: 'de',
+        segments: [{ id: 1, text: 'Hallo.' }, { id: 2, text: 'Auf Wiedersehen.', stale: true }]
+      }
+    },
+    metadata: {}
+  };
+
+  test('keeps the original text of segments edited since the translation', () => {
+    const translated = TranslationService.applyTranslation(transcript, 'de');
+    const bilingual = TranslationService.applyTranslation(transcript, 'de', { bilingual: true });
+
+    expect(translated.transcript.segments.map(segment => segment.text)).toEqual(['Hallo.', 'Bye.']);
+    expect(bilingual.transcript.segments.map(segment => segment.translation)).toEqual(['Hallo.', 'Bye.']);
+  });
+});
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const Logger = require('../utils/Logger');
+const { ValidationError } = require('../utils/ErrorHandler');
+
+const TOKEN_FIELDS = ['promptTokens', 'audioTokens', 'outputTokens', 'totalTokens'];
+const ATTRIBUTION_FIELDS = ['eventId', 'recordId', 'sessionId', 'jobId', 'principal'];
+
+/**
+ * Token usage and estimated cost of transcription provider calls.
+ *
+ * Every billed call (a Gemini transcription or summary request) is recorded with
+ * its token counts, estimated cost in USD and what it was made for: the event ID,
+ * stored record ID, live session, job and the API key (or JWT subject) of the caller.
+ * The last USAGE_RETENTION calls are kept and, with USAGE_STORE_PATH, survive restarts:
+ * each call is appended to that file as a JSON line, and the file is rewritten with
+ * the retained calls only on startup and when it has grown to twice the retention.
+ */
+class UsageService {
+  constructor() {
+    this.maxEntries = parseInt(process.env.USAGE_RETENTION) || 50000;
+    this.storePath = process.env.USAGE_STORE_PATH || null;
+    this.entries = []; // Oldest first
+    this.storedLines = 0; // Lines in the store file, including calls no longer retained
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Load stored usage
+   */
+  async initialize() {
+    if (this.storePath) {
+      await this.load();
+    }
+
+    Logger.info('UsageService initialized', {
+      entries: this.entries.length,
+      persistent: !!this.storePath
+    });
+  }
+
+  /**
+   * Record a billed provider call
+   * @param {Object} call - { provider, model, operation, promptTokens, audioTokens, outputTokens,
+   *   totalTokens, cost }
+   * @param {Object} attribution - { eventId, recordId, sessionId, jobId, principal }
+   * @returns {Object} Recorded entry
+   */
+  record(call, attribution = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      provider: call.provider,
+      model: call.model,
+      operation: call.operation
+    };
+    TOKEN_FIELDS.forEach(field => { entry[field] = call[field] || 0; });
+    entry.cost = call.cost || 0;
+    ATTRIBUTION_FIELDS.forEach(field => { entry[field] = attribution[field] ?? null; });
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    Logger.metric('provider_tokens', entry.promptTokens - entry.audioTokens, { provider: entry.provider, type: 'text' });
+    Logger.metric('provider_tokens', entry.audioTokens, { provider: entry.provider, type: 'audio' });
+    Logger.metric('provider_tokens', entry.outputTokens, { provider: entry.provider, type: 'output' });
+    Logger.metric('provider_cost_usd', entry.cost, { provider: entry.provider, operation: entry.operation });
+
+    this.append(entry);
+    return entry;
+  }
+
+  /**
+   * Add up the usage of several calls
+   * @param {Array<Object|null>} usages - Usage objects (null entries are skipped)
+   * @returns {Object|null} { promptTokens, audioTokens, outputTokens, totalTokens, cost, calls },
+   *   or null if there is nothing to add up
+   */
+  combine(usages) {
+    const present = usages.filter(Boolean);
+    if (present.length === 0) return null;
+
+    const total = emptyUsage();
+    present.forEach(usage => {
+      TOKEN_FIELDS.forEach(field => { total[field] += usage[field] || 0; });
+      total.cost += usage.cost || 0;
+      total.calls += usage.calls ?? 1;
+    });
+    total.cost = roundCost(total.cost);
+
+    return total;
+  }
+
+  /**
+   * Usage totals and daily aggregates (UTC days)
+   * @param {Object} filters - { from, to, eventId, recordId, sessionId, jobId, principal, operation }
+   * @returns {Object} { totals, daily }
+   */
+  getUsage(filters = {}) {
+    const entries = this.filterEntries(filters);
+    const days = new Map();
+
+    entries.forEach(entry => {
+      const date = entry.createdAt.slice(0, 10);
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(entry);
+    });
+
+    return {
+      totals: this.combine(entries) || emptyUsage(),
+      daily: [...days.entries()]
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([date, dayEntries]) => ({ date, ...this.combine(dayEntries) }))
+    };
+  }
+
+  /**
+   * List recorded calls, newest first
+   * @param {Object} filters - Same as getUsage(), plus limit and offset
+   * @returns {Object} { total, calls }
+   */
+  listCalls({ limit = 50, offset = 0, ...filters } = {}) {
+    const entries = this.filterEntries(filters).reverse();
+    return {
+      total: entries.length,
+      calls: entries.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Entries matching the filters
+   * @param {Object} filters - { from, to, eventId, recordId, sessionId, jobId, principal, operation }
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  filterEntries({ from, to, operation, ...attribution }) {
+    const fromTime = parseDay(from, 'from');
+    const toTime = parseDay(to, 'to', true);
+
+    return this.entries.filter(entry => {
+      const time = Date.parse(entry.createdAt);
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+      if (operation && entry.operation !== operation) return false;
+      return ATTRIBUTION_FIELDS.every(field => !attribution[field] || entry[field] === attribution[field]);
+    });
+  }
+
+  /**
+   * Get usage statistics for the status endpoint
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const totals = this.combine(this.entries);
+    return {
+      calls: this.entries.length,
+      totalTokens: totals?.totalTokens || 0,
+      cost: totals?.cost || 0,
+      since: this.entries[0]?.createdAt || null,
+      persistent: !!this.storePath
+    };
+  }
+
+  /**
+   * Load recorded usage from USAGE_STORE_PATH
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.storePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const parsed = JSON.parse(line);
+        // Older stores were a single { entries } document
+        entries.push(...(Array.isArray(parsed.entries) ? parsed.entries : [parsed]));
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        Logger.warn('Skipping corrupt usage store line');
+      }
+    }
+
+    this.entries = entries.slice(-this.maxEntries);
+    await this.save();
+  }
+
+  /**
+   * Append a recorded call to USAGE_STORE_PATH (if configured)
+   * @param {Object} entry - Recorded call
+   * @returns {Promise} Write completion
+   */
+  append(entry) {
+    if (!this.storePath) return Promise.resolve();
+
+    this.storedLines++;
+    if (this.storedLines > this.maxEntries * 2) {
+      return this.save();
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+    return this.enqueueWrite(async () => {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.appendFile(this.storePath, line);
+    });
+  }
+
+  /**
+   * Rewrite USAGE_STORE_PATH with the retained calls (if configured)
+   * @returns {Promise} Write completion
+   */
+  save() {
+    if (!this.storePath) return Promise.resolve();
+
+    const content = this.entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    this.storedLines = this.entries.length;
+
+    return this.enqueueWrite(async () => {
+      const tempPath = `${this.storePath}.tmp`;
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, this.storePath);
+    });
+  }
+
+  /**
+   * Run store writes one after another
+   * @param {Function} write - async write operation
+   * @returns {Promise} Write completion
+   */
+  enqueueWrite(write) {
+    this.saveQueue = this.saveQueue.then(write).catch(error => {
+      Logger.error('Failed to store usage:', { error: error.message });
+    });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async stop() {
+    await this.saveQueue;
+    Logger.info('UsageService stopped');
+  }
+}
+
+/**
+ * Parse a from/to filter (ISO date or date-time)
+ * @param {string} value - Date string
+ * @param {string} field - Field name for errors
+ * @param {boolean} endOfDay - Treat a plain date as the end of that day
+ * @returns {number|null} Timestamp
+ */
+function parseDay(value, field, endOfDay = false) {
+  if (!value) return null;
+
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(isPlainDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (isNaN(time)) {
+    throw new ValidationError(`${field} must be an ISO date or date-time`, field);
+  }
+  return time;
+}
+
+/**
+ * Usage totals of no calls
+ * @returns {Object} Zeroed totals
+ */
+function emptyUsage() {
+  const usage = { calls: 0, cost: 0 };
+  TOKEN_FIELDS.forEach(field => { usage[field] = 0; });
+  return usage;
+}
+
+/**
+ * Round a USD amount to a millionth of a dollar
+ * @param {number} cost - Cost
+ * @returns {number} Rounded cost
+ */
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = new UsageService();
+module.exports.roundCost = roundCost;
@@ -0,0 +1,48 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageService = require('./UsageService');
+
+describe('UsageService store', () => {
+  let directory;
+  let service;
+
+  const call = operation => ({ provider: 'gemini', model: 'test', operation, promptTokens: 10, totalTokens: 12, outputTokens: 2, cost: 0.001 });
+  const readLines = () => fs.readFileSync(service.storePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+    service = new UsageService.constructor();
+    service.storePath = path.join(directory, 'usage.jsonl');
+    service.maxEntries = 3;
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('appends one line per call and compacts once the file holds twice the retention', async () => {
+    for (let i = 1; i <= 6; i++) {
+      service.record(call(`op${i}`));
+    }
+    await service.saveQueue;
+    expect(readLines().map(entry => entry.operation)).toEqual(['op1', 'op2', 'op3', 'op4', 'op5', 'op6']);
+
+    service.record(call('op7'));
+    await service.saveQueue;
+    expect(readLines().map(entry => entry.operation)).toEqual(['op5', 'op6', 'op7']);
+  });
+
+  test('restores the retained calls, also from the former single-document store', async () => {
+    const entries = ['a', 'b', 'c', 'd'].map(operation => ({ id: operation, createdAt: new Date().toISOString(), operation }));
+    fs.writeFileSync(service.storePath, JSON.stringify({ entries: entries.slice(0, 2) }) + '\n' +
+      entries.slice(2).map(entry => JSON.stringify(entry)).join('\n') + '\n{"id":"trunc');
+
+    await service.load();
+
+    expect(service.entries.map(entry => entry.id)).toEqual(['b', 'c', 'd']);
+    expect(readLines().map(entry => entry.id)).toEqual(['b', 'c', 'd']);
+  });
+});
@@ -0,0 +1,694 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs/promises');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const Logger = require('../utils/Logger');
+const { ValidationError, NotFoundError } = require('../utils/ErrorHandler');
+const TranscriptStreamService = require('./TranscriptStreamService');
+const JobQueue = require('./JobQueue');
+
+const WEBHOOK_EVENTS = [
+  'transcript.saved',
+  'speakers.configured',
+  'transcript.edited',
+  'summary.generated',
+  'session.started',
+  'session.stopped',
+  'job.completed',
+  'job.failed'
+];
+
+// Responses worth retrying; other 4xx responses won't change on retry
+const RETRYABLE_STATUS = [408, 429];
+
+// Loopback, private, link-local (cloud metadata) and other non-public ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Outbound webhooks for transcript lifecycle events.
+ *
+ * Each delivery is a POST with a JSON body { id, event, createdAt, data } and
+ * signed with the subscription secret:
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ *
+ * Deliveries to loopback, private and link-local addresses are refused, both when a
+ * subscription is saved and for the address a host resolves to at delivery time,
+ * unless the host is listed in WEBHOOK_ALLOWED_HOSTS.
+ */
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    this.maxDeliveries = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION) || 1000;
+    this.storePath = process.env.WEBHOOK_STORE_PATH || null;
+    this.deliveryLogPath = this.storePath && path.join(
+      path.dirname(this.storePath),
+      `${path.basename(this.storePath, path.extname(this.storePath))}.deliveries.jsonl`
+    );
+    this.deliveryLogLines = 0;
+    this.allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    this.subscriptions = new Map(); // subscriptionId -> subscription
+    this.deliveries = new Map(); // deliveryId -> delivery (insertion ordered, oldest first)
+    this.retryTimers = new Map(); // deliveryId -> timeout
+    this.saveQueue = Promise.resolve();
+    this.stats = {
+      published: 0,
+      delivered: 0,
+      failed: 0,
+      retries: 0
+    };
+  }
+
+  /**
+   * Load stored subscriptions and subscribe to session and job events
+   */
+  async initialize() {
+    if (this.storePath) {
+      await this.load();
+    }
+
+    TranscriptStreamService.on('session_started', session => this.publish('session.started', session));
+    TranscriptStreamService.on('session_stopped', session => this.publish('session.stopped', session));
+    JobQueue.on('job_updated', job => {
+      if (job.state === 'done') {
+        this.publish('job.completed', { jobId: job.id, type: job.type, params: job.params });
+      } else if (job.state === 'failed') {
+        this.publish('job.failed', { jobId: job.id, type: job.type, params: job.params, error: job.error });
+      }
+    });
+
+    Logger.info('WebhookService initialized', {
+      subscriptions: this.subscriptions.size,
+      persistent: !!this.storePath
+    });
+  }
+
+  /**
+   * Register a webhook subscription
+   * @param {Object} params - { url, secret, events, description }
+   * @returns {Object} Subscription including its secret
+   */
+  createSubscription({ url, secret, events, description = null }) {
+    this.validateUrl(url);
+    this.validateEvents(events);
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new ValidationError('Secret must be a string of at least 16 characters', 'secret');
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      events: [...new Set(events)],
+      description,
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+
+    Logger.info(`Webhook subscription ${subscription.id} created`, {
+      url,
+      events: subscription.events
+    });
+
+    return { ...subscription };
+  }
+
+  /**
+   * Update a subscription (url, events, description, active)
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object} Public subscription view
+   */
+  updateSubscription(subscriptionId, changes) {
+    const subscription = this.getSubscriptionOrThrow(subscriptionId);
+    const { url, events, description, active } = changes;
+
+    if (url !== undefined) {
+      this.validateUrl(url);
+      subscription.url = url;
+    }
+    if (events !== undefined) {
+      this.validateEvents(events);
+      subscription.events = [...new Set(events)];
+    }
+    if (description !== undefined) {
+      subscription.description = description;
+    }
+    if (active !== undefined) {
+      subscription.active = !!active;
+    }
+
+    this.save();
+    return this.toPublicSubscription(subscription);
+  }
+
+  /**
+   * Delete a subscription and cancel its pending retries
+   * @param {string} subscriptionId - Subscription ID
+   */
+  deleteSubscription(subscriptionId) {
+    this.getSubscriptionOrThrow(subscriptionId);
+    this.subscriptions.delete(subscriptionId);
+
+    this.deliveries.forEach(delivery => {
+      if (delivery.subscriptionId === subscriptionId && delivery.state === 'pending') {
+        this.cancelRetry(delivery.id);
+        delivery.state = 'cancelled';
+        this.logDelivery(delivery);
+      }
+    });
+
+    this.save();
+    Logger.info(`Webhook subscription ${subscriptionId} deleted`);
+  }
+
+  /**
+   * List subscriptions (without secrets)
+   * @returns {Array} Subscriptions
+   */
+  listSubscriptions() {
+    return Array.from(this.subscriptions.values()).map(subscription => this.toPublicSubscription(subscription));
+  }
+
+  /**
+   * Get a subscription (without secret)
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Object} Subscription
+   */
+  getSubscription(subscriptionId) {
+    return this.toPublicSubscription(this.getSubscriptionOrThrow(subscriptionId));
+  }
+
+  /**
+   * Send an event to all matching subscriptions
+   * @param {string} event - Event type (one of WEBHOOK_EVENTS)
+   * @param {Object} data - Event data
+   * @returns {Array<string>} Created delivery IDs
+   */
+  publish(event, data) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown webhook event: ${event}`);
+    }
+
+    const subscribers = Array.from(this.subscriptions.values()).filter(subscription =>
+      subscription.active && (subscription.events.includes(event) || subscription.events.includes('*'))
+    );
+    if (subscribers.length === 0) return [];
+
+    this.stats.published++;
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    Logger.debug(`Publishing webhook event ${event}`, {
+      eventId: payload.id,
+      subscribers: subscribers.length
+    });
+
+    return subscribers.map(subscription => this.createDelivery(subscription, payload).id);
+  }
+
+  /**
+   * Send a previous delivery's payload again as a new delivery
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object} New delivery
+   */
+  redeliver(deliveryId) {
+    const original = this.deliveries.get(deliveryId);
+    if (!original) {
+      throw new NotFoundError(`Webhook delivery ${deliveryId}`);
+    }
+
+    const subscription = this.getSubscriptionOrThrow(original.subscriptionId);
+    const delivery = this.createDelivery(subscription, original.payload, { redeliveryOf: deliveryId });
+
+    Logger.info(`Redelivering webhook ${deliveryId} as ${delivery.id}`);
+    return this.toPublicDelivery(delivery);
+  }
+
+  /**
+   * List deliveries, most recent first
+   * @param {Object} filters - { subscriptionId, state, event }
+   * @returns {Array} Deliveries (without payload)
+   */
+  listDeliveries(filters = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => !filters.subscriptionId || delivery.subscriptionId === filters.subscriptionId)
+      .filter(delivery => !filters.state || delivery.state === filters.state)
+      .filter(delivery => !filters.event || delivery.event === filters.event)
+      .reverse()
+      .map(delivery => this.toPublicDelivery(delivery, { includePayload: false }));
+  }
+
+  /**
+   * Get a delivery with payload and attempts
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object} Delivery
+   */
+  getDelivery(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) {
+      throw new NotFoundError(`Webhook delivery ${deliveryId}`);
+    }
+    return this.toPublicDelivery(delivery);
+  }
+
+  /**
+   * Create a delivery and send its first attempt
+   * @param {Object} subscription - Subscription
+   * @param {Object} payload - Event payload
+   * @param {Object} extra - Additional delivery fields
+   * @returns {Object} Delivery
+   */
+  createDelivery(subscription, payload, extra = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      event: payload.event,
+      eventId: payload.id,
+      url: subscription.url,
+      payload,
+      state: 'pending',
+      attempts: [],
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      ...extra
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+    this.pruneDeliveries();
+    this.logDelivery(delivery);
+
+    setImmediate(() => this.attemptDelivery(delivery.id));
+    return delivery;
+  }
+
+  /**
+   * Send one delivery attempt and schedule a retry on failure
+   * @param {string} deliveryId - Delivery ID
+   */
+  async attemptDelivery(deliveryId) {
+    this.retryTimers.delete(deliveryId);
+
+    const delivery = this.deliveries.get(deliveryId);
+    const subscription = delivery && this.subscriptions.get(delivery.subscriptionId);
+    if (!delivery || delivery.state !== 'pending' || !subscription) return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = {
+      attempt: delivery.attempts.length + 1,
+      at: new Date().toISOString(),
+      status: null,
+      error: null,
+      durationMs: null
+    };
+    const startTime = Date.now();
+
+    try {
+      this.checkHost(new URL(delivery.url).hostname);
+      const response = await axios.post(delivery.url, body, {
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `${process.env.SERVICE_NAME || 'live-transcript-service'}-webhooks`,
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        maxRedirects: 0,
+        lookup: (hostname, options, callback) => this.lookupPublicAddress(hostname, options, callback),
+        validateStatus: () => true
+      });
+      attempt.status = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+      if (error.blockedAddress) {
+        attempt.blocked = true;
+      }
+    }
+
+    attempt.durationMs = Date.now() - startTime;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.state = 'succeeded';
+      delivery.nextAttemptAt = null;
+      this.stats.delivered++;
+      Logger.debug(`Webhook ${delivery.id} delivered`, { event: delivery.event, status: attempt.status });
+    } else if (this.shouldRetry(attempt) && delivery.attempts.length < this.maxAttempts) {
+      // Exponential backoff: 1x, 2x, 4x, ... the base delay
+      const delay = this.retryDelay * Math.pow(2, delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.stats.retries++;
+      this.retryTimers.set(delivery.id, setTimeout(() => this.attemptDelivery(delivery.id), delay));
+      Logger.warn(`Webhook ${delivery.id} failed, retrying in ${delay}ms`, {
+        event: delivery.event,
+        attempt: attempt.attempt,
+        error: attempt.error
+      });
+    } else {
+      delivery.state = 'failed';
+      delivery.nextAttemptAt = null;
+      this.stats.failed++;
+      Logger.error(`Webhook ${delivery.id} failed permanently`, {
+        event: delivery.event,
+        url: delivery.url,
+        attempts: delivery.attempts.length,
+        error: attempt.error
+      });
+    }
+
+    this.logDelivery(delivery);
+  }
+
+  /**
+   * Check whether a failed attempt is worth retrying
+   * @param {Object} attempt - Delivery attempt
+   * @returns {boolean} Retry
+   */
+  shouldRetry(attempt) {
+    if (attempt.blocked) return false;
+    if (attempt.status === null) return true; // network error or timeout
+    return attempt.status >= 500 || RETRYABLE_STATUS.includes(attempt.status);
+  }
+
+  /**
+   * HMAC-SHA256 signature of a delivery
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - Unix timestamp (seconds)
+   * @param {string} body - Request body
+   * @returns {string} Hex signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Reject URLs that can't be delivered to
+   * @param {string} url - Webhook URL
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError('URL must be a valid http(s) URL', 'url');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ValidationError('URL must be a valid http(s) URL', 'url');
+    }
+
+    try {
+      this.checkHost(parsed.hostname);
+    } catch (error) {
+      throw new ValidationError(error.message, 'url');
+    }
+  }
+
+  /**
+   * Reject hosts that are, or name, a non-public address (hostnames are resolved at delivery time)
+   * @param {string} hostname - URL hostname
+   */
+  checkHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.allowedHosts.includes(host)) return;
+
+    if (host === 'localhost' || host.endsWith('.localhost') || this.isBlockedAddress(host)) {
+      throw Object.assign(new Error(`Webhook host ${host} is not a public address`), { blockedAddress: true });
+    }
+  }
+
+  /**
+   * Check an IP address against the blocked ranges
+   * @param {string} address - IP address (anything else is not blocked)
+   * @returns {boolean} Blocked
+   */
+  isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * dns.lookup for deliveries that fails for non-public addresses, so the address
+   * that is checked is the address that is connected to
+   * @param {string} hostname - Hostname
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const allowed = this.allowedHosts.includes(hostname.toLowerCase());
+      const blocked = !allowed && addresses.find(({ address }) => this.isBlockedAddress(address));
+      if (blocked) {
+        return callback(Object.assign(
+          new Error(`Webhook host ${hostname} resolves to non-public address ${blocked.address}`),
+          { blockedAddress: true }
+        ));
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * Reject unknown event types ('*' subscribes to all events)
+   * @param {Array<string>} events - Event types
+   */
+  validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new ValidationError('Events must be a non-empty array', 'events');
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown event type(s): ${unknown.join(', ')}. Supported events: ${WEBHOOK_EVENTS.join(', ')}, *`,
+        'events'
+      );
+    }
+  }
+
+  getSubscriptionOrThrow(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new NotFoundError(`Webhook subscription ${subscriptionId}`);
+    }
+    return subscription;
+  }
+
+  cancelRetry(deliveryId) {
+    const timer = this.retryTimers.get(deliveryId);
+    if (timer) {
+      clearTimeout(timer);
+      this.retryTimers.delete(deliveryId);
+    }
+  }
+
+  /**
+   * Drop the oldest finished deliveries beyond the retention limit
+   */
+  pruneDeliveries() {
+    for (const [deliveryId, delivery] of this.deliveries) {
+      if (this.deliveries.size <= this.maxDeliveries) break;
+      if (delivery.state !== 'pending') {
+        this.deliveries.delete(deliveryId);
+      }
+    }
+  }
+
+  toPublicSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, secretHint: `${secret.slice(0, 4)}…` };
+  }
+
+  toPublicDelivery(delivery, { includePayload = true } = {}) {
+    const { payload, ...rest } = delivery;
+    return {
+      ...rest,
+      ...(includePayload && { payload })
+    };
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Service statistics
+   */
+  getStats() {
+    const states = {};
+    this.deliveries.forEach(delivery => {
+      states[delivery.state] = (states[delivery.state] || 0) + 1;
+    });
+
+    return {
+      ...this.stats,
+      subscriptions: this.subscriptions.size,
+      deliveries: states
+    };
+  }
+
+  /**
+   * Load subscriptions from WEBHOOK_STORE_PATH and the delivery log next to it
+   */
+  async load() {
+    let stored = {};
+    try {
+      stored = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    (stored.subscriptions || []).forEach(subscription => this.subscriptions.set(subscription.id, subscription));
+    // Older stores kept the delivery log in the same file
+    (stored.deliveries || []).forEach(delivery => this.deliveries.set(delivery.id, delivery));
+
+    // Each line is a new delivery or the latest state of one
+    let log = '';
+    try {
+      log = await fs.readFile(this.deliveryLogPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const line of log.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        this.deliveries.set(entry.id, { ...this.deliveries.get(entry.id), ...entry });
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        Logger.warn('Skipping corrupt webhook delivery log line');
+      }
+    }
+    this.pruneDeliveries();
+    await this.compactDeliveryLog();
+    if (stored.deliveries) {
+      await this.save();
+    }
+
+    // Resume deliveries that were waiting for a retry
+    this.deliveries.forEach(delivery => {
+      if (delivery.state === 'pending') {
+        const delay = Math.max(0, Date.parse(delivery.nextAttemptAt || 0) - Date.now());
+        this.retryTimers.set(delivery.id, setTimeout(() => this.attemptDelivery(delivery.id), delay));
+      }
+    });
+  }
+
+  /**
+   * Write subscriptions to WEBHOOK_STORE_PATH (if configured)
+   * @returns {Promise} Write completion
+   */
+  save() {
+    if (!this.storePath) return Promise.resolve();
+
+    const snapshot = JSON.stringify({
+      subscriptions: Array.from(this.subscriptions.values())
+    });
+
+    return this.enqueueWrite(() => this.writeFile(this.storePath, snapshot));
+  }
+
+  /**
+   * Append the current state of a delivery to the delivery log (if configured).
+   * The payload is only written with the first entry of a delivery.
+   * @param {Object} delivery - Delivery
+   * @returns {Promise} Write completion
+   */
+  logDelivery(delivery) {
+    if (!this.storePath) return Promise.resolve();
+
+    const entry = delivery.attempts.length === 0 ? delivery : this.toPublicDelivery(delivery, { includePayload: false });
+    const line = JSON.stringify(entry) + '\n';
+    this.deliveryLogLines++;
+
+    // Rewrite the log once it holds much more than the retained deliveries
+    if (this.deliveryLogLines > this.maxDeliveries * 2) {
+      return this.compactDeliveryLog();
+    }
+
+    return this.enqueueWrite(async () => {
+      await fs.mkdir(path.dirname(this.deliveryLogPath), { recursive: true });
+      await fs.appendFile(this.deliveryLogPath, line);
+    });
+  }
+
+  /**
+   * Rewrite the delivery log with one line per retained delivery
+   * @returns {Promise} Write completion
+   */
+  compactDeliveryLog() {
+    const deliveries = Array.from(this.deliveries.values());
+    const content = deliveries.map(delivery => JSON.stringify(delivery) + '\n').join('');
+    this.deliveryLogLines = deliveries.length;
+
+    return this.enqueueWrite(() => this.writeFile(this.deliveryLogPath, content));
+  }
+
+  /**
+   * Replace a file atomically
+   * @param {string} filePath - File path
+   * @param {string} content - New content
+   */
+  async writeFile(filePath, content) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Run store writes one after another
+   * @param {Function} write - async write operation
+   * @returns {Promise} Write completion
+   */
+  enqueueWrite(write) {
+    this.saveQueue = this.saveQueue.then(write).catch(error => {
+      Logger.error('Failed to store webhooks:', { error: error.message });
+    });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Cancel scheduled retries and wait for pending writes
+   */
+  async stop() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+    await this.saveQueue;
+    Logger.info('WebhookService stopped');
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
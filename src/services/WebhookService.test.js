@@ -0,0 +1,108 @@
+process.env.LOG_LEVEL = 'error';
+
+const dns = require('dns');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebhookService = require('./WebhookService');
+const { ValidationError } = require('../utils/ErrorHandler');
+
+describe('WebhookService URL checks', () => {
+  afterEach(() => {
+    WebhookService.allowedHosts = [];
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    'http://localhost:8080/hook',
+    'http://api.localhost/hook',
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook'
+  ])('rejects %s', url => {
+    expect(() => WebhookService.validateUrl(url)).toThrow(ValidationError);
+  });
+
+  test('accepts public hosts and allowed internal hosts', () => {
+    expect(() => WebhookService.validateUrl('https://hooks.example.com/transcripts')).not.toThrow();
+    expect(() => WebhookService.validateUrl('https://8.8.8.8/hook')).not.toThrow();
+
+    WebhookService.allowedHosts = ['localhost'];
+    expect(() => WebhookService.validateUrl('http://localhost:8080/hook')).not.toThrow();
+  });
+
+  test('fails the lookup of hostnames that resolve to a private address', done => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+    });
+
+    WebhookService.lookupPublicAddress('rebind.example.com', {}, error => {
+      expect(error.message).toMatch(/non-public address 10\.0\.0\.5/);
+      expect(error.blockedAddress).toBe(true);
+      done();
+    });
+  });
+
+  test('passes public addresses on', done => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+
+    WebhookService.lookupPublicAddress('hooks.example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect([address, family]).toEqual(['93.184.216.34', 4]);
+      done();
+    });
+  });
+});
+
+describe('WebhookService delivery log', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('appends delivery updates and restores them', async () => {
+    const storePath = path.join(directory, 'webhooks.json');
+    const service = new WebhookService.constructor();
+    service.storePath = storePath;
+    service.deliveryLogPath = path.join(directory, 'webhooks.deliveries.jsonl');
+    jest.spyOn(service, 'attemptDelivery').mockResolvedValue();
+
+    const subscription = service.createSubscription({ url: 'https://hooks.example.com', events: ['*'] });
+    const [deliveryId] = service.publish('transcript.saved', { id: 'rec1' });
+    const delivery = service.deliveries.get(deliveryId);
+    delivery.attempts.push({ attempt: 1, status: 200, error: null });
+    delivery.state = 'succeeded';
+    service.logDelivery(delivery);
+    await service.saveQueue;
+
+    const lines = fs.readFileSync(service.deliveryLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => [line.state, 'payload' in line])).toEqual([['pending', true], ['succeeded', false]]);
+    expect(JSON.parse(fs.readFileSync(storePath, 'utf8'))).toEqual({ subscriptions: [expect.objectContaining({ id: subscription.id })] });
+
+    const restored = new WebhookService.constructor();
+    restored.storePath = storePath;
+    restored.deliveryLogPath = service.deliveryLogPath;
+    await restored.load();
+
+    expect(restored.getDelivery(deliveryId)).toMatchObject({
+      state: 'succeeded',
+      payload: { event: 'transcript.saved', data: { id: 'rec1' } }
+    });
+    expect(fs.readFileSync(service.deliveryLogPath, 'utf8').trim().split('\n')).toHaveLength(1);
+    jest.restoreAllMocks();
+  });
+});
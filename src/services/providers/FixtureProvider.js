@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const TranscriptionProvider = require('./TranscriptionProvider');
+const GeminiTranscriptionService = require('../GeminiTranscriptionService');
+const AudioProcessor = require('../../utils/AudioProcessor');
+const SummaryTemplates = require('../../utils/SummaryTemplates');
+const Logger = require('../../utils/Logger');
+
+const FIXTURE_SENTENCES = [
+  'Good morning everyone, thanks for joining.',
+  'Let us start with a quick status update.',
+  'The release is on track for the end of the week.',
+  'We still need to review the open pull requests.',
+  'Can you share the latest numbers from the dashboard?',
+  'I will follow up with the customer tomorrow.',
+  'The budget discussion is postponed to next month.',
+  'Does anyone have blockers they want to raise?',
+  'Let us schedule a follow-up meeting for Thursday.',
+  'That sounds good to me, thank you.'
+];
+
+/**
+ * Deterministic local provider for development and integration tests.
+ *
+ * Returns canned transcripts without calling any external API. If
+ * FIXTURE_TRANSCRIPTS_DIR contains `<sha256 of audio>.json` (or `default.json`)
+ * in the Gemini response format, that file is used; otherwise a transcript is
+ * generated from the audio fingerprint so identical audio always yields
+ * identical output.
+ */
+class FixtureProvider extends TranscriptionProvider {
+  constructor() {
+    super('fixture');
+    this.model = 'fixture';
+    this.fixtureDir = process.env.FIXTURE_TRANSCRIPTS_DIR || null;
+    this.stats = {
+      total: 0,
+      successful: 0,
+      failed: 0,
+      totalDuration: 0
+    };
+  }
+
+  initialize() {
+    Logger.info('FixtureProvider initialized', {
+      fixtureDir: this.fixtureDir
+    });
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    const {
+      botId,
+      meetingUrl,
+      isIncremental = false,
+      participants = [],
+      useGenericSpeakers = false
+    } = options;
+
+    const startTime = Date.now();
+    this.stats.total++;
+
+    try {
+      const fingerprint = AudioProcessor.calculateAudioFingerprint(audioBuffer);
+      const duration = this.estimateDuration(audioBuffer);
+      const fixture = this.loadFixture(fingerprint);
+
+      const transcription = fixture
+        ? GeminiTranscriptionService.parseTranscriptionResponse(JSON.stringify(fixture))
+        : this.generateTranscription(fingerprint, duration, participants, useGenericSpeakers);
+
+      if (participants.length > 0 && !useGenericSpeakers) {
+        transcription.segments = GeminiTranscriptionService.normalizeSpeakerNames(
+          transcription.segments,
+          participants
+        );
+      }
+
+      transcription.metadata = {
+        botId,
+        meetingUrl,
+        duration,
+        processingTime: Date.now() - startTime,
+        isIncremental,
+        timestamp: new Date().toISOString(),
+        provider: this.name,
+        fingerprint
+      };
+
+      this.stats.successful++;
+      this.stats.totalDuration += (Date.now() - startTime);
+
+      return transcription;
+    } catch (error) {
+      this.stats.failed++;
+      throw error;
+    }
+  }
+
+  async summarize(transcript, meetingInfo = {}) {
+    const segments = transcript.segments || [];
+    const participants = meetingInfo.participants || [];
+
+    const wordsBySpeaker = {};
+    let totalWords = 0;
+    segments.forEach(segment => {
+      const words = (segment.text || '').split(/\s+/).filter(w => w.length > 0).length;
+      wordsBySpeaker[segment.speaker] = (wordsBySpeaker[segment.speaker] || 0) + words;
+      totalWords += words;
+    });
+
+    const participationRate = {};
+    Object.entries(wordsBySpeaker).forEach(([speaker, words]) => {
+      participationRate[speaker] = `${totalWords > 0 ? Math.round((words / totalWords) * 100) : 0}%`;
+    });
+
+    const speakerNames = participants.length > 0 ? participants : Object.keys(wordsBySpeaker);
+    const template = SummaryTemplates.getTemplate(meetingInfo.template) ||
+      SummaryTemplates.getTemplateForMeetingType(meetingInfo.meetingType);
+
+    return {
+      template: template.name,
+      summary: {
+        brief: `Fixture summary of a meeting with ${speakerNames.length} speaker(s) and ${segments.length} segment(s).`,
+        keyPoints: segments.slice(0, 3).map(s => ({ text: s.text, startTime: s.startTime || 0, endTime: s.endTime || 0 })),
+        decisions: [],
+        actionItems: [],
+        topics: [],
+        sentiment: 'neutral',
+        nextSteps: [],
+        ...SummaryTemplates.normalizeFields(template)
+      },
+      insights: {
+        participationRate,
+        mostDiscussedTopics: [],
+        meetingType: template.name === SummaryTemplates.DEFAULT_TEMPLATE ? 'other' : template.meetingTypes[0],
+        effectiveness: 'medium'
+      },
+      chapters: [],
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        processingTime: 0,
+        transcriptSegments: segments.length,
+        meetingDuration: transcript.duration || 0,
+        sections: 0,
+        provider: this.name
+      }
+    };
+  }
+
+  async translate(segments, targetLanguage, options = {}) {
+    if (options.onBatchTranslated) {
+      options.onBatchTranslated(1, 1);
+    }
+
+    return {
+      segments: segments.map(segment => ({ id: segment.id, text: `[${targetLanguage}] ${segment.text}` })),
+      usage: null
+    };
+  }
+
+  async detectPersonalData(segments, options = {}) {
+    // Fixtures have no model to ask; the rule-based detectors still run
+    return { entities: [], usage: null };
+  }
+
+  async answerQuestion(segments, question, options = {}) {
+    // Cites the segments that share a word of four or more letters with the question
+    const words = (question.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []);
+    const cited = segments.filter(segment => words.some(word => segment.text.toLowerCase().includes(word)));
+
+    return {
+      answer: cited.length > 0 ? cited.map(segment => `${segment.speaker}: ${segment.text}`).join(' ') : null,
+      answerable: cited.length > 0,
+      citations: cited.map(segment => segment.id),
+      usage: null
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      averageDuration: this.stats.total > 0 ?
+        Math.round(this.stats.totalDuration / this.stats.total) : 0,
+      successRate: this.stats.total > 0 ?
+        (this.stats.successful / this.stats.total) : 0
+    };
+  }
+
+  /**
+   * Load fixture response for an audio fingerprint
+   * @param {string} fingerprint - Audio fingerprint
+   * @returns {Object|null} Fixture in Gemini response format
+   */
+  loadFixture(fingerprint) {
+    if (!this.fixtureDir) return null;
+
+    for (const name of [`${fingerprint}.json`, 'default.json']) {
+      const filePath = path.join(this.fixtureDir, name);
+      if (fs.existsSync(filePath)) {
+        Logger.debug(`Using transcript fixture ${filePath}`);
+        try {
+          return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+          throw new Error(`Invalid transcript fixture ${filePath}: ${error.message}`);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate a deterministic transcription from an audio fingerprint
+   * @param {string} fingerprint - Audio fingerprint (hex)
+   * @param {number} duration - Audio duration in seconds
+   * @param {Array} participants - List of meeting participants
+   * @param {boolean} useGenericSpeakers - Whether to use generic speaker labels
+   * @returns {Object} Transcription
+   */
+  generateTranscription(fingerprint, duration, participants, useGenericSpeakers) {
+    const seed = Buffer.from(fingerprint, 'hex');
+    const speakerNames = !useGenericSpeakers && participants.length > 0
+      ? participants.map(p => p.name || p.email || 'Unknown')
+      : ['Speaker 1', 'Speaker 2'];
+
+    // Keep the segment count bounded for very long recordings
+    const segmentLength = Math.max(10, duration / 50);
+    const segmentCount = Math.max(1, Math.ceil(duration / segmentLength));
+
+    const segments = [];
+    for (let i = 0; i < segmentCount; i++) {
+      const byte = seed[i % seed.length];
+      const startTime = Number((i * segmentLength).toFixed(2));
+      const endTime = Number(Math.min((i + 1) * segmentLength, Math.max(duration, segmentLength)).toFixed(2));
+
+      segments.push({
+        speaker: speakerNames[(byte + i) % speakerNames.length],
+        text: FIXTURE_SENTENCES[byte % FIXTURE_SENTENCES.length],
+        startTime,
+        endTime,
+        confidence: 0.9
+      });
+    }
+
+    const fullText = GeminiTranscriptionService.combineSegmentsToText(segments);
+
+    return {
+      detectedLanguage: 'en',
+      languageConfidence: 1,
+      alternativeLanguages: [],
+      segments,
+      fullText,
+      wordCount: fullText.split(/\s+/).filter(word => word.length > 0).length
+    };
+  }
+
+  /**
+   * Estimate audio duration without ffmpeg
+   * @param {Buffer} audioBuffer - Audio buffer
+   * @returns {number} Duration in seconds
+   */
+  estimateDuration(audioBuffer) {
+    // Same estimate as AudioFetchService: 16kHz, 16-bit mono
+    return Number((audioBuffer.length / (16000 * 2)).toFixed(2));
+  }
+}
+
+module.exports = new FixtureProvider();
@@ -0,0 +1,60 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureProvider = require('./FixtureProvider');
+const AudioProcessor = require('../../utils/AudioProcessor');
+
+const audio = Buffer.alloc(16000 * 2 * 30, 1);
+
+const fixture = text => ({
+  detectedLanguage: 'de',
+  languageConfidence: 0.9,
+  segments: [{ speaker: 'Speaker 1', text, startTime: 0, endTime: 2, confidence: 0.8 }],
+  fullText: text
+});
+
+describe('FixtureProvider', () => {
+  let fixtureDir;
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    FixtureProvider.fixtureDir = fixtureDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    FixtureProvider.fixtureDir = null;
+  });
+
+  test('generates the same transcript for the same audio without a fixture', async () => {
+    const first = await FixtureProvider.transcribe(audio);
+    const second = await FixtureProvider.transcribe(audio);
+
+    expect(first.segments.length).toBeGreaterThan(0);
+    expect(second.segments).toEqual(first.segments);
+    expect(first.metadata).toMatchObject({ provider: 'fixture', duration: 30 });
+  });
+
+  test('prefers the fixture of the audio fingerprint over default.json', async () => {
+    const fingerprint = AudioProcessor.calculateAudioFingerprint(audio);
+    fs.writeFileSync(path.join(fixtureDir, 'default.json'), JSON.stringify(fixture('Default fixture')));
+
+    expect((await FixtureProvider.transcribe(audio)).fullText).toBe('Default fixture');
+
+    fs.writeFileSync(path.join(fixtureDir, `${fingerprint}.json`), JSON.stringify(fixture('Own fixture')));
+    const transcription = await FixtureProvider.transcribe(audio);
+
+    expect(transcription.fullText).toBe('Own fixture');
+    expect(transcription.detectedLanguage).toBe('de');
+  });
+
+  test('rejects fixtures that are not valid JSON', async () => {
+    fs.writeFileSync(path.join(fixtureDir, 'default.json'), '{"segments": [');
+    const failed = FixtureProvider.getStats().failed;
+
+    await expect(FixtureProvider.transcribe(audio)).rejects.toThrow(/Invalid transcript fixture .*default\.json/);
+    expect(FixtureProvider.getStats().failed).toBe(failed + 1);
+  });
+});
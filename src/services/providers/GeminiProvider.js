@@ -0,0 +1,50 @@
+const TranscriptionProvider = require('./TranscriptionProvider');
+const GeminiTranscriptionService = require('../GeminiTranscriptionService');
+
+/**
+ * Adapter exposing GeminiTranscriptionService through the provider interface
+ */
+class GeminiProvider extends TranscriptionProvider {
+  constructor() {
+    super('gemini');
+    this.model = GeminiTranscriptionService.model;
+  }
+
+  initialize() {
+    GeminiTranscriptionService.initialize();
+  }
+
+  isAvailable() {
+    return !!GeminiTranscriptionService.geminiModel;
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    return GeminiTranscriptionService.transcribeAudio(audioBuffer, options);
+  }
+
+  async transcribeLongAudio(audioBuffer, options = {}) {
+    return GeminiTranscriptionService.transcribeLongAudio(audioBuffer, options);
+  }
+
+  async summarize(transcript, meetingInfo = {}) {
+    return GeminiTranscriptionService.generateSummary(transcript, meetingInfo);
+  }
+
+  async translate(segments, targetLanguage, options = {}) {
+    return GeminiTranscriptionService.translateSegments(segments, targetLanguage, options);
+  }
+
+  async detectPersonalData(segments, options = {}) {
+    return GeminiTranscriptionService.detectPersonalData(segments, options);
+  }
+
+  async answerQuestion(segments, question, options = {}) {
+    return GeminiTranscriptionService.answerQuestion(segments, question, options);
+  }
+
+  getStats() {
+    return GeminiTranscriptionService.getStats();
+  }
+}
+
+module.exports = new GeminiProvider();
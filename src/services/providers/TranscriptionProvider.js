@@ -0,0 +1,112 @@
+const ChunkedTranscriptionService = require('../ChunkedTranscriptionService');
+
+/**
+ * Base class for transcription providers.
+ *
+ * A provider turns an audio buffer into the transcription shape produced by
+ * GeminiTranscriptionService.parseTranscriptionResponse and a transcript into
+ * the summary shape produced by parseSummaryResponse. Routes and services talk
+ * to providers through TranscriptionProviderRegistry instead of a concrete engine.
+ */
+class TranscriptionProvider {
+  /**
+   * @param {string} name - Registry name of the provider
+   */
+  constructor(name) {
+    this.name = name;
+    this.model = name;
+  }
+
+  /**
+   * Initialize the provider (API clients, fixtures, ...)
+   */
+  initialize() {}
+
+  /**
+   * Check if the provider can serve requests
+   * @returns {boolean} Availability
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Transcribe audio buffer
+   * @param {Buffer} audioBuffer - Audio buffer to transcribe
+   * @param {Object} options - Transcription options
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribe(audioBuffer, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement transcribe()`);
+  }
+
+  /**
+   * Transcribe audio of any length; recordings above TRANSCRIBE_CHUNK_THRESHOLD_SECONDS
+   * are transcribed in overlapping chunks with transcribe() and merged
+   * @param {Buffer} audioBuffer - Audio buffer to transcribe
+   * @param {Object} options - Transcription options, plus optional onChunkTranscribed(completed, total)
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribeLongAudio(audioBuffer, options = {}) {
+    return ChunkedTranscriptionService.transcribe(
+      audioBuffer,
+      options,
+      (chunkBuffer, chunkOptions) => this.transcribe(chunkBuffer, chunkOptions)
+    );
+  }
+
+  /**
+   * Generate summary from transcript
+   * @param {Object} transcript - Full transcript object
+   * @param {Object} meetingInfo - Meeting information, plus `template` (see SummaryTemplates)
+   *   or the `meetingType` to pick one by
+   * @returns {Promise<Object>} Summary result { template, summary, insights, chapters, metadata };
+   *   key points are { text, startTime, endTime } and action items carry startTime/endTime too
+   */
+  async summarize(transcript, meetingInfo = {}) {
+    throw new Error(`Provider ${this.name} does not implement summarize()`);
+  }
+
+  /**
+   * Translate transcript segments, keeping their IDs
+   * @param {Array<Object>} segments - Segments with id and text
+   * @param {string} targetLanguage - Target language code
+   * @param {Object} options - { sourceLanguage, attribution, onBatchTranslated(completed, total) }
+   * @returns {Promise<Object>} { segments: [{ id, text }], usage }
+   */
+  async translate(segments, targetLanguage, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement translate()`);
+  }
+
+  /**
+   * Find personal data the rule-based redaction detectors can't see (names, addresses)
+   * @param {Array<Object>} segments - Segments with id and text
+   * @param {Object} options - { attribution }
+   * @returns {Promise<Object>} { entities: [{ id, text, type }], usage }, where text is the
+   *   exact personal data in the text of segment id
+   */
+  async detectPersonalData(segments, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement detectPersonalData()`);
+  }
+
+  /**
+   * Answer a question using only the given transcript segments
+   * @param {Array<Object>} segments - Segments with id, speaker, startTime and text
+   * @param {string} question - Question
+   * @param {Object} options - { history: [{ question, answer }], language, attribution }
+   * @returns {Promise<Object>} { answer, answerable, citations: [segment IDs], usage }
+   */
+  async answerQuestion(segments, question, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement answerQuestion()`);
+  }
+
+  /**
+   * Get provider statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {};
+  }
+}
+
+module.exports = TranscriptionProvider;
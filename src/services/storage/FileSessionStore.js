@@ -0,0 +1,141 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Logger = require('../../utils/Logger');
+const SessionStore = require('./SessionStore');
+
+/**
+ * Session store backed by JSON files:
+ *   <dir>/<sessionId>.json            session snapshot
+ *   <dir>/<sessionId>.segments.jsonl  one segment per line, append-only
+ */
+class FileSessionStore extends SessionStore {
+  /**
+   * @param {string} directory - Storage directory
+   */
+  constructor(directory) {
+    super();
+    this.directory = path.resolve(directory);
+    this.writeQueues = new Map(); // sessionId -> Promise (serializes writes per session)
+  }
+
+  async initialize() {
+    await fs.mkdir(this.directory, { recursive: true });
+    Logger.info(`FileSessionStore using ${this.directory}`);
+  }
+
+  async loadSessions() {
+    const files = await fs.readdir(this.directory);
+    const stored = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const session = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        const segments = await this.readSegments(session.sessionId);
+        stored.push({ session, segments });
+      } catch (error) {
+        Logger.error(`Failed to load stored session ${file}:`, {
+          error: error.message
+        });
+      }
+    }
+
+    return stored;
+  }
+
+  async saveSession(session) {
+    const snapshot = JSON.stringify(session);
+
+    return this.enqueueWrite(session.sessionId, async () => {
+      const filePath = this.sessionPath(session.sessionId);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, filePath);
+    });
+  }
+
+  async appendSegments(sessionId, segments) {
+    if (segments.length === 0) return;
+    const lines = segments.map(segment => JSON.stringify(segment)).join('\n') + '\n';
+
+    return this.enqueueWrite(sessionId, () => fs.appendFile(this.segmentsPath(sessionId), lines));
+  }
+
+  async deleteSession(sessionId) {
+    return this.enqueueWrite(sessionId, async () => {
+      await fs.rm(this.sessionPath(sessionId), { force: true });
+      await fs.rm(this.segmentsPath(sessionId), { force: true });
+    });
+  }
+
+  async flush() {
+    await Promise.allSettled(Array.from(this.writeQueues.values()));
+  }
+
+  /**
+   * Read stored segments of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Segments
+   */
+  async readSegments(sessionId) {
+    let content;
+    try {
+      content = await fs.readFile(this.segmentsPath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const segments = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        segments.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        Logger.warn(`Skipping corrupt segment line for session ${sessionId}`);
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * Run writes for a session one after another
+   * @param {string} sessionId - Session ID
+   * @param {Function} write - async write operation
+   * @returns {Promise} Write completion
+   */
+  enqueueWrite(sessionId, write) {
+    const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(write);
+
+    this.writeQueues.set(sessionId, next);
+    next.finally(() => {
+      if (this.writeQueues.get(sessionId) === next) {
+        this.writeQueues.delete(sessionId);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+
+  sessionPath(sessionId) {
+    return path.join(this.directory, `${this.safeName(sessionId)}.json`);
+  }
+
+  segmentsPath(sessionId) {
+    return path.join(this.directory, `${this.safeName(sessionId)}.segments.jsonl`);
+  }
+
+  /**
+   * Make a session ID safe for use as a file name
+   * @param {string} sessionId - Session ID
+   * @returns {string} File name stem
+   */
+  safeName(sessionId) {
+    return encodeURIComponent(sessionId).replace(/\./g, '%2E');
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,37 @@
+const SessionStore = require('./SessionStore');
+
+/**
+ * Session store kept in process memory (lost on restart)
+ */
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map(); // sessionId -> session snapshot
+    this.segments = new Map(); // sessionId -> Array of segments
+  }
+
+  async loadSessions() {
+    return Array.from(this.sessions.values()).map(session => ({
+      session: JSON.parse(JSON.stringify(session)),
+      segments: [...(this.segments.get(session.sessionId) || [])]
+    }));
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.sessionId, JSON.parse(JSON.stringify(session)));
+  }
+
+  async appendSegments(sessionId, segments) {
+    if (!this.segments.has(sessionId)) {
+      this.segments.set(sessionId, []);
+    }
+    this.segments.get(sessionId).push(...segments);
+  }
+
+  async deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.segments.delete(sessionId);
+  }
+}
+
+module.exports = MemorySessionStore;
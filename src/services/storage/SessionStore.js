@@ -0,0 +1,71 @@
+/**
+ * Storage interface for transcript sessions and their segments.
+ *
+ * Sessions are stored as plain JSON snapshots (without segments); segments are
+ * appended separately so a long meeting does not rewrite its whole transcript
+ * on every update.
+ */
+class SessionStore {
+  /**
+   * Prepare the store (create directories, open files, ...)
+   */
+  async initialize() {}
+
+  /**
+   * Load all stored sessions
+   * @returns {Promise<Array<{session: Object, segments: Array}>>} Stored sessions
+   */
+  async loadSessions() {
+    throw new Error(`${this.constructor.name} does not implement loadSessions()`);
+  }
+
+  /**
+   * Save session snapshot (without segments)
+   * @param {Object} session - Serialized session
+   */
+  async saveSession(session) {
+    throw new Error(`${this.constructor.name} does not implement saveSession()`);
+  }
+
+  /**
+   * Append segments to a session
+   * @param {string} sessionId - Session ID
+   * @param {Array} segments - New segments
+   */
+  async appendSegments(sessionId, segments) {
+    throw new Error(`${this.constructor.name} does not implement appendSegments()`);
+  }
+
+  /**
+   * Delete a session and its segments
+   * @param {string} sessionId - Session ID
+   */
+  async deleteSession(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement deleteSession()`);
+  }
+
+  /**
+   * Wait for pending writes to complete
+   */
+  async flush() {}
+}
+
+/**
+ * Create the session store configured by SESSION_STORE
+ * @returns {SessionStore} Session store
+ */
+function createSessionStore() {
+  const type = process.env.SESSION_STORE || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new (require('./MemorySessionStore'))();
+    case 'file':
+      return new (require('./FileSessionStore'))(process.env.SESSION_STORE_PATH || './data/sessions');
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${type}`);
+  }
+}
+
+module.exports = SessionStore;
+module.exports.createSessionStore = createSessionStore;
@@ -0,0 +1,263 @@
+/**
+ * Minimal WAV/MP3 container parsing for slicing growing audio blobs
+ * without decoding them.
+ */
+
+// MPEG audio bitrates in kbps, indexed by [version][layer][bitrateIndex]
+// version: 1 = MPEG-1, 2 = MPEG-2/2.5; layer: 1-3
+const MP3_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// Sample rates indexed by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const MP3_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+/**
+ * Parse a RIFF/WAVE header
+ * @param {Buffer} buffer - WAV buffer
+ * @returns {Object|null} Format info and data chunk location, or null if not WAV
+ */
+function parseWavHeader(buffer) {
+  if (!buffer || buffer.length < 12 ||
+      buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+      buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ' && chunkStart + 16 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        byteRate: buffer.readUInt32LE(chunkStart + 8),
+        blockAlign: buffer.readUInt16LE(chunkStart + 12),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format || !format.blockAlign || !format.byteRate) return null;
+
+      // Recorders streaming to a file often leave the size at 0 or 0xFFFFFFFF
+      const available = buffer.length - chunkStart;
+      const declared = chunkSize === 0 || chunkSize === 0xFFFFFFFF ? available : chunkSize;
+      const dataLength = Math.min(declared, available);
+
+      return {
+        ...format,
+        dataOffset: chunkStart,
+        // Only whole sample frames
+        dataLength: dataLength - (dataLength % format.blockAlign)
+      };
+    }
+
+    // Chunks are word aligned
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Wrap raw PCM data in a WAV header
+ * @param {Buffer} pcm - PCM sample data
+ * @param {Object} format - { audioFormat, channels, sampleRate, bitsPerSample }
+ * @returns {Buffer} WAV buffer
+ */
+function buildWav(pcm, format) {
+  const { audioFormat = 1, channels = 1, sampleRate = 16000, bitsPerSample = 16 } = format;
+  const blockAlign = channels * (bitsPerSample / 8);
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Parse MPEG audio frame header at offset
+ * @param {Buffer} buffer - MP3 buffer
+ * @param {number} offset - Byte offset
+ * @returns {Object|null} { length, samples, sampleRate } or null if no valid header
+ */
+function parseMp3FrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0F;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 ||
+      bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : 2;
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[version][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && version === 2 ? 576 : 1152;
+    length = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+  }
+
+  return { length, samples, sampleRate };
+}
+
+/**
+ * List complete MPEG audio frames in a buffer
+ * @param {Buffer} buffer - MP3 buffer
+ * @returns {Array<{offset: number, length: number, startTime: number, duration: number}>} Frames
+ */
+function parseMp3Frames(buffer) {
+  const frames = [];
+  let offset = 0;
+  let time = 0;
+
+  // Skip ID3v2 tag
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'ID3') {
+    const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) |
+      ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+    offset = 10 + size;
+  }
+
+  while (offset + 4 <= buffer.length) {
+    const header = parseMp3FrameHeader(buffer, offset);
+    if (!header) {
+      // Resync on the next byte
+      offset++;
+      continue;
+    }
+
+    // Stop at a partially written last frame
+    if (offset + header.length > buffer.length) break;
+
+    const duration = header.samples / header.sampleRate;
+    frames.push({ offset, length: header.length, startTime: time, duration });
+    time += duration;
+    offset += header.length;
+  }
+
+  return frames;
+}
+
+/**
+ * Detect container format from magic numbers
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {string|null} 'wav', 'mp3' or null
+ */
+function detectContainer(buffer) {
+  if (parseWavHeader(buffer)) return 'wav';
+  if (buffer && buffer.length >= 3 && buffer.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+  if (parseMp3FrameHeader(buffer, 0)) return 'mp3';
+  return null;
+}
+
+/**
+ * Slice the audio that follows a previously processed position.
+ *
+ * The returned slice starts `overlapSeconds` before the processed position
+ * (so words cut at the boundary are heard again) and ends at the last
+ * complete sample/frame. `end` is the position to pass back as `from` next time.
+ *
+ * @param {Buffer} buffer - Complete audio blob
+ * @param {Object|null} from - Previous slice end { format, byteOffset, time }
+ * @param {number} overlapSeconds - Overlap with already processed audio
+ * @returns {Object|null} { buffer, format, startTime, endTime, newDuration, end } or null
+ *   if the container is not supported
+ */
+function sliceNewAudio(buffer, from, overlapSeconds = 0) {
+  const format = detectContainer(buffer);
+  // A different container or a shorter blob means the recording was restarted
+  const previous = from && from.format === format && from.byteOffset <= buffer.length ? from : null;
+
+  if (format === 'wav') {
+    const wav = parseWavHeader(buffer);
+    const dataEnd = wav.dataLength;
+    const processed = previous ? Math.min(previous.byteOffset, dataEnd) : 0;
+    const overlapBytes = Math.floor((overlapSeconds * wav.byteRate) / wav.blockAlign) * wav.blockAlign;
+    const start = Math.max(0, processed - overlapBytes);
+
+    return {
+      buffer: buildWav(
+        buffer.slice(wav.dataOffset + start, wav.dataOffset + dataEnd),
+        wav
+      ),
+      format,
+      startTime: start / wav.byteRate,
+      endTime: dataEnd / wav.byteRate,
+      newDuration: (dataEnd - processed) / wav.byteRate,
+      end: { format, byteOffset: dataEnd, time: dataEnd / wav.byteRate }
+    };
+  }
+
+  if (format === 'mp3') {
+    const frames = parseMp3Frames(buffer);
+    if (frames.length === 0) return null;
+
+    const lastFrame = frames[frames.length - 1];
+    const endOffset = lastFrame.offset + lastFrame.length;
+    const endTime = lastFrame.startTime + lastFrame.duration;
+    const processedTime = previous ? Math.min(previous.time, endTime) : 0;
+    const startFrame = frames.find(frame => frame.startTime + frame.duration > processedTime - overlapSeconds) || lastFrame;
+
+    return {
+      buffer: buffer.slice(startFrame.offset, endOffset),
+      format,
+      startTime: startFrame.startTime,
+      endTime,
+      newDuration: endTime - processedTime,
+      end: { format, byteOffset: endOffset, time: endTime }
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseWavHeader,
+  buildWav,
+  parseMp3Frames,
+  detectContainer,
+  sliceNewAudio
+};
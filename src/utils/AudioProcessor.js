@@ -1,12 +1,27 @@
 const ffmpeg = require('fluent-ffmpeg');
-const { Readable } = require('stream');
+const { Readable, PassThrough } = require('stream');
 const Logger = require('./Logger');
+const AudioContainer = require('./AudioContainer');
 const { AppError } = require('./ErrorHandler');
 
+// Voice activity detection
+const VAD_FRAME_SECONDS = 0.03;
+const VAD_NOISE_PERCENTILE = 0.1; // Quietest 10% of frames estimate the noise floor
+const VAD_NOISE_MARGIN_DB = 10; // Speech is at least this much louder than the noise floor
+const VAD_MAX_THRESHOLD_DB = -30; // Without quiet frames the "noise floor" is speech; never require more
+const VAD_MIN_SPEECH_SECONDS = 0.2; // Shorter bursts are clicks, not speech
+const PAUSE_SEARCH_FRACTION = 0.2; // Look for a pause in the last 20% of a chunk
+
 class AudioProcessor {
   constructor() {
     this.sampleRate = parseInt(process.env.GEMINI_AUDIO_SAMPLE_RATE) || 16000;
     this.audioFormat = process.env.AUDIO_FORMAT || 'WAV';
+    this.vad = {
+      enabled: process.env.VAD_ENABLED !== 'false',
+      thresholdDb: parseFloat(process.env.VAD_THRESHOLD_DB) || -45,
+      minSilenceSeconds: parseFloat(process.env.VAD_MIN_SILENCE_SECONDS) || 0.8,
+      paddingSeconds: parseFloat(process.env.VAD_PADDING_SECONDS) || 0.3
+    };
   }
 
   /**
@@ -23,6 +38,8 @@ class AudioProcessor {
       bitrate = '128k'
     } = options;
 
+    const startTime = Date.now();
+
     return new Promise((resolve, reject) => {
       const chunks = [];
       const inputStream = new Readable();
@@ -43,6 +60,7 @@ class AudioProcessor {
         .audioBitrate(bitrate)
         .outputFormat(outputFormat)
         .on('error', (err) => {
+          Logger.metric('ffmpeg_processing_duration', Date.now() - startTime, { operation: 'convert', status: 'failure' });
           Logger.error('Audio processing error:', {
             error: err.message,
             inputFormat,
@@ -53,6 +71,7 @@ class AudioProcessor {
         })
         .on('end', () => {
           const processedBuffer = Buffer.concat(chunks);
+          Logger.metric('ffmpeg_processing_duration', Date.now() - startTime, { operation: 'convert', status: 'success' });
           Logger.debug('Audio processing completed', {
             originalSize: audioBuffer.length,
             processedSize: processedBuffer.length,
@@ -125,25 +144,35 @@ class AudioProcessor {
   }
 
   /**
-   * Split audio into chunks for processing
+   * Split audio into chunks for processing.
+   * When speech can be detected, leading and trailing silence is left out, chunks
+   * end in a pause near the chunk duration and chunks without speech are skipped
+   * (chunk indexes keep counting, so a gap in indexes means a skipped chunk).
    * @param {Buffer} audioBuffer - Audio buffer
    * @param {number} chunkDuration - Duration of each chunk in seconds
+   * @param {number} overlap - Seconds each chunk shares with the previous one
+   * @param {Object|null} speech - Result of detectSpeech(), if already available
    * @returns {Promise<Array>} - Array of audio chunks
    */
-  async splitAudioIntoChunks(audioBuffer, chunkDuration = 300) { // 5 minutes default
+  async splitAudioIntoChunks(audioBuffer, chunkDuration = 300, overlap = 0, speech = undefined) { // 5 minutes default
+    const analysis = speech === undefined ? await this.detectSpeech(audioBuffer) : speech;
+    if (analysis) {
+      return this.splitSpeechIntoChunks(analysis, chunkDuration, overlap);
+    }
+
     const metadata = await this.getAudioMetadata(audioBuffer);
     const totalDuration = metadata.duration;
     const chunks = [];
 
     if (totalDuration <= chunkDuration) {
-      return [{ buffer: audioBuffer, startTime: 0, endTime: totalDuration }];
+      return [{ buffer: audioBuffer, startTime: 0, endTime: totalDuration, index: 0 }];
     }
 
-    const numChunks = Math.ceil(totalDuration / chunkDuration);
-    
-    for (let i = 0; i < numChunks; i++) {
-      const startTime = i * chunkDuration;
-      const endTime = Math.min((i + 1) * chunkDuration, totalDuration);
+    const step = chunkDuration - overlap;
+
+    for (let i = 0; i * step < totalDuration; i++) {
+      const startTime = i * step;
+      const endTime = Math.min(startTime + chunkDuration, totalDuration);
       
       try {
         const chunk = await this.extractAudioSegment(audioBuffer, startTime, endTime);
@@ -157,11 +186,77 @@ class AudioProcessor {
         Logger.error(`Failed to extract chunk ${i}:`, error);
         throw error;
       }
+
+      if (endTime >= totalDuration) break;
     }
 
     return chunks;
   }
 
+  /**
+   * Split decoded audio into chunks that end in pauses
+   * @param {Object} speech - Result of detectSpeech()
+   * @param {number} chunkDuration - Maximum duration of each chunk in seconds
+   * @param {number} overlap - Seconds each chunk shares with the previous one
+   * @returns {Array} - Array of WAV chunks with speech
+   */
+  splitSpeechIntoChunks(speech, chunkDuration, overlap) {
+    const { regions } = speech;
+    if (regions.length === 0) return [];
+
+    const speechStart = regions[0].start;
+    const speechEnd = regions[regions.length - 1].end;
+    const chunks = [];
+    let startTime = speechStart;
+
+    for (let index = 0; ; index++) {
+      let endTime = Math.min(startTime + chunkDuration, speechEnd);
+      if (endTime < speechEnd) {
+        endTime = this.findPause(regions, endTime - chunkDuration * PAUSE_SEARCH_FRACTION, endTime) ?? endTime;
+      }
+      endTime = Number(endTime.toFixed(3));
+
+      const hasSpeech = regions.some(region => region.start < endTime && region.end > startTime);
+      if (hasSpeech) {
+        chunks.push({
+          buffer: this.sliceWav(speech, startTime, endTime),
+          startTime,
+          endTime,
+          index
+        });
+      }
+
+      if (endTime >= speechEnd) break;
+      // Jump over long silences instead of stepping through them
+      startTime = hasSpeech
+        ? Number((endTime - overlap).toFixed(3))
+        : regions.find(region => region.start >= endTime).start;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Find the middle of the longest pause between speech regions within a time range
+   * @param {Array<Object>} regions - Speech regions from detectSpeech()
+   * @param {number} from - Range start in seconds
+   * @param {number} to - Range end in seconds
+   * @returns {number|null} Time in seconds, or null if the range has no pause
+   */
+  findPause(regions, from, to) {
+    let best = null;
+
+    for (let i = 0; i < regions.length - 1; i++) {
+      const start = Math.max(regions[i].end, from);
+      const end = Math.min(regions[i + 1].start, to);
+      if (end > start && (!best || end - start > best.end - best.start)) {
+        best = { start, end };
+      }
+    }
+
+    return best ? (best.start + best.end) / 2 : null;
+  }
+
   /**
    * Extract a segment from audio buffer
    * @param {Buffer} audioBuffer - Source audio buffer
@@ -170,6 +265,8 @@ class AudioProcessor {
    * @returns {Promise<Buffer>} - Extracted audio segment
    */
   async extractAudioSegment(audioBuffer, startTime, endTime) {
+    const processingStart = Date.now();
+
     return new Promise((resolve, reject) => {
       const chunks = [];
       const inputStream = new Readable();
@@ -183,9 +280,11 @@ class AudioProcessor {
         .audioFrequency(this.sampleRate)
         .outputFormat('wav')
         .on('error', (err) => {
+          Logger.metric('ffmpeg_processing_duration', Date.now() - processingStart, { operation: 'extract', status: 'failure' });
           reject(new AppError(`Failed to extract audio segment: ${err.message}`, 500));
         })
         .on('end', () => {
+          Logger.metric('ffmpeg_processing_duration', Date.now() - processingStart, { operation: 'extract', status: 'success' });
           resolve(Buffer.concat(chunks));
         })
         .pipe()
@@ -220,10 +319,14 @@ class AudioProcessor {
    * @returns {Promise<boolean>} - True if audio has content
    */
   async hasAudioContent(audioBuffer) {
+    const speech = await this.detectSpeech(audioBuffer);
+    if (speech) {
+      return speech.regions.length > 0;
+    }
+
     try {
       const metadata = await this.getAudioMetadata(audioBuffer);
-      // Simple check based on size and duration
-      // More sophisticated silence detection could be added
+      // Without voice activity detection, fall back to size and duration
       return metadata.duration > 0 && audioBuffer.length > 1000;
     } catch (error) {
       Logger.error('Failed to check audio content:', error);
@@ -231,6 +334,212 @@ class AudioProcessor {
     }
   }
 
+  /**
+   * Decode audio to 16-bit PCM. 16-bit WAV is read directly, anything else is
+   * converted to mono at the Gemini sample rate with ffmpeg.
+   * @param {Buffer} audioBuffer - Audio buffer
+   * @returns {Promise<Object>} - { pcm, format } with format fields as in AudioContainer.parseWavHeader
+   */
+  async decodePcm(audioBuffer) {
+    const wav = AudioContainer.parseWavHeader(audioBuffer);
+    if (wav && wav.audioFormat === 1 && wav.bitsPerSample === 16) {
+      const { audioFormat, channels, sampleRate, byteRate, blockAlign, bitsPerSample } = wav;
+      return {
+        pcm: audioBuffer.subarray(wav.dataOffset, wav.dataOffset + wav.dataLength),
+        format: { audioFormat, channels, sampleRate, byteRate, blockAlign, bitsPerSample }
+      };
+    }
+
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const inputStream = new Readable();
+      inputStream.push(audioBuffer);
+      inputStream.push(null);
+
+      ffmpeg(inputStream)
+        .audioChannels(1)
+        .audioFrequency(this.sampleRate)
+        .audioCodec('pcm_s16le')
+        .outputFormat('s16le')
+        .on('error', (err) => {
+          Logger.metric('ffmpeg_processing_duration', Date.now() - startTime, { operation: 'decode', status: 'failure' });
+          reject(new AppError(`Failed to decode audio: ${err.message}`, 500));
+        })
+        .on('end', () => {
+          Logger.metric('ffmpeg_processing_duration', Date.now() - startTime, { operation: 'decode', status: 'success' });
+          resolve({
+            pcm: Buffer.concat(chunks),
+            format: {
+              audioFormat: 1,
+              channels: 1,
+              sampleRate: this.sampleRate,
+              byteRate: this.sampleRate * 2,
+              blockAlign: 2,
+              bitsPerSample: 16
+            }
+          });
+        })
+        .pipe()
+        .on('data', (chunk) => {
+          chunks.push(chunk);
+        });
+    });
+  }
+
+  /**
+   * Start decoding a compressed stream (e.g. WebM/Ogg Opus) to 16-bit PCM while it arrives
+   * @param {Object} format - { sampleRate, channels } of the PCM output
+   * @returns {Object} - { input: writable for the compressed stream, output: readable PCM,
+   *   finished: Promise resolved when the input has ended and all PCM was emitted }
+   */
+  createPcmDecoder({ sampleRate, channels }) {
+    const input = new PassThrough();
+    let output;
+
+    const finished = new Promise((resolve, reject) => {
+      output = ffmpeg(input)
+        .audioChannels(channels)
+        .audioFrequency(sampleRate)
+        .audioCodec('pcm_s16le')
+        .outputFormat('s16le')
+        .on('error', (err) => {
+          reject(new AppError(`Failed to decode audio: ${err.message}`, 500));
+        })
+        .on('end', resolve)
+        .pipe();
+    });
+
+    return { input, output, finished };
+  }
+
+  /**
+   * Find speech regions with an energy-based voice activity detector.
+   * 30 ms frames louder than VAD_THRESHOLD_DB and 10 dB above the noise floor (up to
+   * -30 dBFS) are speech; pauses shorter than VAD_MIN_SILENCE_SECONDS stay inside a region and
+   * regions are padded by VAD_PADDING_SECONDS.
+   * @param {Buffer} audioBuffer - Audio buffer
+   * @returns {Promise<Object|null>} - { pcm, format, duration, regions: [{ start, end }], speechSeconds },
+   *   or null if VAD is disabled or the audio can't be decoded
+   */
+  async detectSpeech(audioBuffer) {
+    if (!this.vad.enabled) return null;
+
+    let decoded;
+    try {
+      decoded = await this.decodePcm(audioBuffer);
+    } catch (error) {
+      Logger.warn('Skipping voice activity detection, audio could not be decoded', { error: error.message });
+      return null;
+    }
+
+    const { pcm, format } = decoded;
+    const duration = pcm.length / format.byteRate;
+    // Int16Array needs an even byte offset
+    const samples = pcm.byteOffset % 2 === 0
+      ? new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2))
+      : new Int16Array(Buffer.from(pcm).buffer, 0, Math.floor(pcm.length / 2));
+    const frameSamples = Math.max(1, Math.round(VAD_FRAME_SECONDS * format.sampleRate)) * format.channels;
+    const frameSeconds = frameSamples / format.channels / format.sampleRate;
+
+    // Level of each frame in dBFS
+    const levels = [];
+    for (let offset = 0; offset < samples.length; offset += frameSamples) {
+      const end = Math.min(offset + frameSamples, samples.length);
+      let sum = 0;
+      for (let i = offset; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+      levels.push(10 * Math.log10(Math.max(sum / (end - offset) / (32768 * 32768), 1e-10)));
+    }
+
+    const sorted = [...levels].sort((a, b) => a - b);
+    const noiseFloor = sorted[Math.floor(sorted.length * VAD_NOISE_PERCENTILE)] ?? -100;
+    const threshold = Math.max(this.vad.thresholdDb, Math.min(noiseFloor + VAD_NOISE_MARGIN_DB, VAD_MAX_THRESHOLD_DB));
+
+    // Loud frames, joined across short pauses
+    const raw = [];
+    levels.forEach((level, frame) => {
+      if (level < threshold) return;
+
+      const start = frame * frameSeconds;
+      const end = Math.min(start + frameSeconds, duration);
+      const last = raw[raw.length - 1];
+      if (last && start - last.end < this.vad.minSilenceSeconds) {
+        last.end = end;
+      } else {
+        raw.push({ start, end });
+      }
+    });
+
+    // Drop clicks, pad and merge regions that now touch
+    const padded = [];
+    raw.filter(region => region.end - region.start >= VAD_MIN_SPEECH_SECONDS).forEach(region => {
+      const start = Math.max(0, region.start - this.vad.paddingSeconds);
+      const end = Math.min(duration, region.end + this.vad.paddingSeconds);
+      const last = padded[padded.length - 1];
+      if (last && start <= last.end) {
+        last.end = end;
+      } else {
+        padded.push({ start, end });
+      }
+    });
+    const regions = padded.map(({ start, end }) => ({ start: Number(start.toFixed(3)), end: Number(end.toFixed(3)) }));
+
+    const speechSeconds = regions.reduce((sum, region) => sum + region.end - region.start, 0);
+    Logger.debug('Voice activity detected', {
+      duration: Number(duration.toFixed(2)),
+      speechSeconds: Number(speechSeconds.toFixed(2)),
+      regions: regions.length,
+      noiseFloorDb: Number(noiseFloor.toFixed(1)),
+      thresholdDb: Number(threshold.toFixed(1))
+    });
+
+    return { pcm, format, duration, regions, speechSeconds };
+  }
+
+  /**
+   * Cut a time range out of decoded audio as a WAV file
+   * @param {Object} speech - Result of detectSpeech() or decodePcm()
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @returns {Buffer} - WAV buffer
+   */
+  sliceWav(speech, startTime, endTime) {
+    const { pcm, format } = speech;
+    const toByte = time => Math.min(pcm.length, Math.round(time * format.sampleRate) * format.blockAlign);
+    return AudioContainer.buildWav(pcm.subarray(toByte(startTime), toByte(endTime)), format);
+  }
+
+  /**
+   * Remove leading and trailing silence
+   * @param {Buffer} audioBuffer - Audio buffer
+   * @param {Object|null} speech - Result of detectSpeech(), if already available
+   * @returns {Promise<Object|null>} - { buffer, startTime, endTime, hasSpeech } where startTime is
+   *   the offset of the trimmed audio in the original, or null if speech can't be detected.
+   *   buffer is the original buffer when there is nothing worth trimming and null without speech.
+   */
+  async trimSilence(audioBuffer, speech = undefined) {
+    const analysis = speech === undefined ? await this.detectSpeech(audioBuffer) : speech;
+    if (!analysis) return null;
+
+    const { regions, duration } = analysis;
+    if (regions.length === 0) {
+      return { buffer: null, startTime: 0, endTime: 0, hasSpeech: false };
+    }
+
+    const startTime = regions[0].start;
+    const endTime = regions[regions.length - 1].end;
+
+    // Re-encoding isn't worth less than a second of silence
+    if (startTime + (duration - endTime) < 1) {
+      return { buffer: audioBuffer, startTime: 0, endTime: duration, hasSpeech: true };
+    }
+
+    return { buffer: this.sliceWav(analysis, startTime, endTime), startTime, endTime, hasSpeech: true };
+  }
+
   /**
    * Detect audio format from URL or buffer
    * @param {string} url - Audio URL (optional)
@@ -0,0 +1,96 @@
+process.env.LOG_LEVEL = 'error';
+
+const AudioProcessor = require('./AudioProcessor');
+const AudioContainer = require('./AudioContainer');
+
+const SAMPLE_RATE = 16000;
+const FORMAT = { audioFormat: 1, channels: 1, sampleRate: SAMPLE_RATE, byteRate: SAMPLE_RATE * 2, blockAlign: 2, bitsPerSample: 16 };
+
+/**
+ * 16-bit mono WAV with a 440 Hz tone in the given time ranges and low noise elsewhere
+ * @param {number} duration - Seconds
+ * @param {Array<Array<number>>} tones - [start, end] ranges in seconds
+ * @returns {Buffer} WAV
+ */
+function buildTestWav(duration, tones) {
+  const samples = Math.round(duration * SAMPLE_RATE);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const time = i / SAMPLE_RATE;
+    const loud = tones.some(([start, end]) => time >= start && time < end);
+    const value = loud
+      ? Math.round(Math.sin(2 * Math.PI * 440 * time) * 12000)
+      : Math.round(Math.sin(i * 12.9898) * 20);
+    pcm.writeInt16LE(value, i * 2);
+  }
+  return AudioContainer.buildWav(pcm, FORMAT);
+}
+
+describe('AudioProcessor.detectSpeech', () => {
+  test('finds speech regions, padded and joined across short pauses', async () => {
+    const wav = buildTestWav(10, [[1, 3], [3.5, 4], [7, 8]]);
+    const speech = await AudioProcessor.detectSpeech(wav);
+
+    expect(speech.duration).toBeCloseTo(10, 2);
+    expect(speech.regions).toHaveLength(2);
+    expect(speech.regions[0].start).toBeCloseTo(0.7, 1);
+    expect(speech.regions[0].end).toBeCloseTo(4.3, 1);
+    expect(speech.regions[1].start).toBeCloseTo(6.7, 1);
+    expect(speech.regions[1].end).toBeCloseTo(8.3, 1);
+  });
+
+  test('returns no regions for silence', async () => {
+    const speech = await AudioProcessor.detectSpeech(buildTestWav(3, []));
+
+    expect(speech.regions).toEqual([]);
+    expect(speech.speechSeconds).toBe(0);
+  });
+
+  test('ignores clicks shorter than the minimum speech duration', async () => {
+    const speech = await AudioProcessor.detectSpeech(buildTestWav(3, [[1, 1.05]]));
+
+    expect(speech.regions).toEqual([]);
+  });
+
+  test('is skipped when VAD is disabled', async () => {
+    const enabled = AudioProcessor.vad.enabled;
+    AudioProcessor.vad.enabled = false;
+    try {
+      expect(await AudioProcessor.detectSpeech(buildTestWav(1, [[0, 1]]))).toBeNull();
+    } finally {
+      AudioProcessor.vad.enabled = enabled;
+    }
+  });
+});
+
+describe('AudioProcessor.splitSpeechIntoChunks', () => {
+  test('ends chunks in pauses, overlaps them and skips chunks without speech', async () => {
+    const wav = buildTestWav(60, [[0, 9], [10, 19], [40, 50]]);
+    const speech = await AudioProcessor.detectSpeech(wav);
+    const chunks = AudioProcessor.splitSpeechIntoChunks(speech, 12, 1);
+
+    // The first chunk ends in the pause at 9-10s, not at 12s
+    expect(chunks[0].endTime).toBeGreaterThan(9);
+    expect(chunks[0].endTime).toBeLessThan(10);
+    expect(chunks[1].startTime).toBeCloseTo(chunks[0].endTime - 1, 3);
+    // The silence between 19s and 40s is jumped over: a chunk index is skipped
+    const last = chunks[chunks.length - 1];
+    expect(last.index).toBeGreaterThan(chunks.length - 1);
+    expect(last.startTime).toBeCloseTo(speech.regions[2].start, 3);
+
+    const first = AudioContainer.parseWavHeader(chunks[0].buffer);
+    expect(first.dataLength / FORMAT.byteRate).toBeCloseTo(chunks[0].endTime - chunks[0].startTime, 2);
+  });
+});
+
+describe('AudioProcessor.trimSilence', () => {
+  test('cuts leading and trailing silence', async () => {
+    const wav = buildTestWav(10, [[4, 6]]);
+    const trimmed = await AudioProcessor.trimSilence(wav);
+
+    expect(trimmed.hasSpeech).toBe(true);
+    expect(trimmed.startTime).toBeCloseTo(3.7, 1);
+    expect(trimmed.endTime).toBeCloseTo(6.3, 1);
+    expect(trimmed.buffer).not.toBe(wav);
+  });
+});
@@ -12,9 +12,10 @@ class AppError extends Error {
 }
 
 class ValidationError extends AppError {
-  constructor(message, field = null) {
+  constructor(message, field = null, details = null) {
     super(message, 400);
     this.field = field;
+    this.details = details;
     this.type = 'ValidationError';
   }
 }
@@ -26,6 +27,28 @@ class NotFoundError extends AppError {
   }
 }
 
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401);
+    this.type = 'AuthenticationError';
+  }
+}
+
+class AuthorizationError extends AppError {
+  constructor(requiredScopes = []) {
+    super(`Missing required scope: ${requiredScopes.join(' or ')}`, 403);
+    this.requiredScopes = requiredScopes;
+    this.type = 'AuthorizationError';
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, 409);
+    this.type = 'ConflictError';
+  }
+}
+
 class ExternalAPIError extends AppError {
   constructor(service, message, statusCode = 503) {
     super(`External API Error (${service}): ${message}`, statusCode);
@@ -65,12 +88,19 @@ const errorHandler = (err, req, res, next) => {
     stack: error.stack
   });
   
+  if (error instanceof AuthenticationError) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+
   // Send error response
   res.status(error.statusCode).json({
     success: false,
     error: {
       message: error.message,
       type: error.type || 'Error',
+      ...(error.field && { field: error.field }),
+      ...(error.details && { details: error.details }),
+      ...(error.requiredScopes && { requiredScopes: error.requiredScopes }),
       ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
     },
     timestamp: error.timestamp
@@ -129,6 +159,9 @@ module.exports = {
   AppError,
   ValidationError,
   NotFoundError,
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
   ExternalAPIError,
   RateLimitError,
   errorHandler,
@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const Metrics = require('./Metrics');
 
 const { LOG_LEVEL = 'info', NODE_ENV = 'development' } = process.env;
 
@@ -60,6 +61,7 @@ const Logger = {
   warn: (message, meta = {}) => logger.warn(message, meta),
   metric: (name, value, tags = {}) => {
     logger.info(`[METRIC] ${name}: ${value}`, { metric: name, value, tags });
+    Metrics.record(name, value, tags);
   },
   
   // Helper methods for specific logging scenarios
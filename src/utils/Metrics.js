@@ -0,0 +1,147 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'live_transcript_' });
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * Prometheus instruments, keyed by the name passed to Logger.metric() / Metrics.record().
+ * Durations are recorded in milliseconds (like the rest of the logs) and exported in seconds.
+ */
+const DEFINITIONS = {
+  gemini_request_duration: {
+    type: client.Histogram,
+    name: 'live_transcript_gemini_request_duration_seconds',
+    help: 'Gemini request latency',
+    labelNames: ['operation', 'status'],
+    buckets: DURATION_BUCKETS,
+    unit: 'ms'
+  },
+  ffmpeg_processing_duration: {
+    type: client.Histogram,
+    name: 'live_transcript_ffmpeg_processing_duration_seconds',
+    help: 'Time spent converting audio with ffmpeg',
+    labelNames: ['operation', 'status'],
+    buckets: DURATION_BUCKETS,
+    unit: 'ms'
+  },
+  audio_bytes_fetched: {
+    type: client.Counter,
+    name: 'live_transcript_audio_fetched_bytes_total',
+    help: 'Audio bytes downloaded from the Meeting Bot API'
+  },
+  bot_pool_poll_duration: {
+    type: client.Histogram,
+    name: 'live_transcript_bot_pool_poll_duration_seconds',
+    help: 'Duration of Meeting Bot API bot pool polls',
+    buckets: DURATION_BUCKETS,
+    unit: 'ms'
+  },
+  active_bots_count: {
+    type: client.Gauge,
+    name: 'live_transcript_active_bots',
+    help: 'Active bots in the bot pool'
+  },
+  active_sessions: {
+    type: client.Gauge,
+    name: 'live_transcript_active_sessions',
+    help: 'Active transcript sessions'
+  },
+  sse_clients: {
+    type: client.Gauge,
+    name: 'live_transcript_sse_clients',
+    help: 'Connected SSE clients'
+  },
+  memory_usage_mb: {
+    type: client.Gauge,
+    name: 'live_transcript_heap_used_megabytes',
+    help: 'Heap used, sampled every minute when ENABLE_METRICS=true'
+  },
+  provider_tokens: {
+    type: client.Counter,
+    name: 'live_transcript_provider_tokens_total',
+    help: 'Tokens billed by transcription providers',
+    labelNames: ['provider', 'type']
+  },
+  provider_cost_usd: {
+    type: client.Counter,
+    name: 'live_transcript_provider_cost_usd_total',
+    help: 'Estimated transcription provider cost in USD',
+    labelNames: ['provider', 'operation']
+  },
+  structured_output_responses: {
+    type: client.Counter,
+    name: 'live_transcript_structured_output_responses_total',
+    help: 'JSON responses of the transcription model by kind and outcome (valid, repaired, retried, invalid, failed)',
+    labelNames: ['kind', 'outcome']
+  },
+  transcription_cache_requests: {
+    type: client.Counter,
+    name: 'live_transcript_transcription_cache_requests_total',
+    help: 'Transcription cache lookups by result (hit, miss, bypass)',
+    labelNames: ['result']
+  },
+  pii_redactions: {
+    type: client.Counter,
+    name: 'live_transcript_pii_redactions_total',
+    help: 'Personal data redacted from transcripts by type and strategy',
+    labelNames: ['type', 'strategy']
+  },
+  glossary_corrections: {
+    type: client.Counter,
+    name: 'live_transcript_glossary_corrections_total',
+    help: 'Transcript words corrected to glossary terms'
+  },
+  transcript_questions: {
+    type: client.Counter,
+    name: 'live_transcript_transcript_questions_total',
+    help: 'Questions asked about transcripts by result (answered, refused)',
+    labelNames: ['result']
+  },
+  http_request_duration: {
+    type: client.Histogram,
+    name: 'live_transcript_http_request_duration_seconds',
+    help: 'HTTP request latency by route and status',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    unit: 'ms'
+  }
+};
+
+const instruments = {};
+Object.entries(DEFINITIONS).forEach(([key, { type: Instrument, unit, ...options }]) => {
+  instruments[key] = new Instrument({ ...options, registers: [register] });
+});
+
+/**
+ * Record a value for a known metric (unknown names are ignored)
+ * @param {string} name - Key of DEFINITIONS
+ * @param {number} value - Observed value, count to add or gauge value
+ * @param {Object} tags - Labels; tags that aren't labels of the metric are dropped
+ */
+function record(name, value, tags = {}) {
+  const definition = DEFINITIONS[name];
+  if (!definition || typeof value !== 'number' || !isFinite(value)) return;
+
+  const labels = {};
+  (definition.labelNames || []).forEach(label => {
+    labels[label] = tags[label] === undefined ? 'unknown' : String(tags[label]);
+  });
+
+  const instrument = instruments[name];
+  const scaled = definition.unit === 'ms' ? value / 1000 : value;
+
+  if (definition.type === client.Histogram) {
+    instrument.observe(labels, scaled);
+  } else if (definition.type === client.Counter) {
+    instrument.inc(labels, scaled);
+  } else {
+    instrument.set(labels, scaled);
+  }
+}
+
+module.exports = {
+  register,
+  record
+};
@@ -0,0 +1,388 @@
+const Ajv = require('ajv');
+const { SchemaType } = require('@google/generative-ai');
+
+/**
+ * JSON responses of the transcription model: response schemas, validation and repair.
+ *
+ * TRANSCRIPTION_SCHEMA and the schemas of section summaries, translations, personal data
+ * and answers are sent to Gemini as `responseSchema`; summaries are requested in plain
+ * JSON mode because `insights.participationRate` is keyed by speaker name and the
+ * template fields vary, which a response schema can't describe. All are validated here
+ * (types, required fields and, for transcriptions, timestamps that don't run backwards).
+ * Broken or truncated JSON - unclosed strings and brackets, trailing commas, text around
+ * the JSON - is repaired where possible, preferring repairs that pass validation.
+ */
+
+const MAX_REPAIR_CANDIDATES = 20;
+const MAX_ERRORS = 10;
+
+const TRANSCRIPTION_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    detectedLanguage: { type: SchemaType.STRING, description: "Language code (e.g. 'en', 'de', 'es')" },
+    languageConfidence: { type: SchemaType.NUMBER },
+    alternativeLanguages: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          language: { type: SchemaType.STRING },
+          confidence: { type: SchemaType.NUMBER }
+        },
+        required: ['language', 'confidence']
+      }
+    },
+    segments: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          speaker: { type: SchemaType.STRING },
+          text: { type: SchemaType.STRING },
+          startTime: { type: SchemaType.NUMBER, description: 'Start time in seconds' },
+          endTime: { type: SchemaType.NUMBER, description: 'End time in seconds' },
+          confidence: { type: SchemaType.NUMBER }
+        },
+        required: ['speaker', 'text', 'startTime', 'endTime']
+      }
+    },
+    fullText: { type: SchemaType.STRING },
+    wordCount: { type: SchemaType.INTEGER }
+  },
+  required: ['detectedLanguage', 'segments']
+};
+
+const STRING_LIST = { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } };
+
+// Summary of one section of a long transcript (map step of the summary)
+const SECTION_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    title: { type: SchemaType.STRING },
+    summary: { type: SchemaType.STRING },
+    keyPoints: STRING_LIST,
+    decisions: STRING_LIST,
+    actionItems: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          task: { type: SchemaType.STRING },
+          assignee: { type: SchemaType.STRING, nullable: true },
+          deadline: { type: SchemaType.STRING, nullable: true }
+        },
+        required: ['task']
+      }
+    },
+    topics: STRING_LIST
+  },
+  required: ['title', 'summary', 'keyPoints', 'actionItems']
+};
+
+// Segment IDs are sent and returned as strings
+const TRANSLATION_SCHEMA = {
+  type: SchemaType.ARRAY,
+  items: {
+    type: SchemaType.OBJECT,
+    properties: {
+      id: { type: SchemaType.STRING },
+      text: { type: SchemaType.STRING }
+    },
+    required: ['id', 'text']
+  }
+};
+
+const PERSONAL_DATA_SCHEMA = {
+  type: SchemaType.ARRAY,
+  items: {
+    type: SchemaType.OBJECT,
+    properties: {
+      id: { type: SchemaType.STRING },
+      text: { type: SchemaType.STRING },
+      type: { type: SchemaType.STRING, description: 'name, address or other' }
+    },
+    required: ['id', 'text', 'type']
+  }
+};
+
+const ANSWER_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    answerable: { type: SchemaType.BOOLEAN },
+    answer: { type: SchemaType.STRING },
+    citations: STRING_LIST
+  },
+  required: ['answerable', 'answer', 'citations']
+};
+
+// Validation only; template fields (updates, blockers, ...) aren't checked
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'object',
+      properties: {
+        brief: { type: 'string' },
+        keyPoints: {
+          type: 'array',
+          items: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+            ]
+          }
+        },
+        decisions: { type: 'array', items: { type: 'string' } },
+        actionItems: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              task: { type: 'string' },
+              assignee: { type: 'string', nullable: true },
+              deadline: { type: 'string', nullable: true }
+            },
+            required: ['task']
+          }
+        },
+        topics: { type: 'array', items: { type: 'string' } },
+        sentiment: { type: 'string' },
+        nextSteps: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['brief', 'keyPoints', 'actionItems']
+    },
+    insights: {
+      type: 'object',
+      properties: {
+        participationRate: { type: 'object' },
+        mostDiscussedTopics: { type: 'array', items: { type: 'string' } },
+        meetingType: { type: 'string' },
+        effectiveness: { type: 'string' }
+      }
+    }
+  },
+  required: ['summary', 'insights']
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const transcriptionValidator = ajv.compile(TRANSCRIPTION_SCHEMA);
+const summaryValidator = ajv.compile(SUMMARY_SCHEMA);
+const sectionValidator = ajv.compile(SECTION_SCHEMA);
+const translationValidator = ajv.compile(TRANSLATION_SCHEMA);
+const personalDataValidator = ajv.compile(PERSONAL_DATA_SCHEMA);
+const answerValidator = ajv.compile(ANSWER_SCHEMA);
+
+/**
+ * Validate a parsed transcription
+ * @param {Object} value - Parsed response
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateTranscription(value) {
+  const errors = schemaErrors(transcriptionValidator, value);
+  if (errors.length > 0) return errors;
+
+  // Timestamps must not run backwards, within a segment or from one segment to the next
+  value.segments.forEach((segment, index) => {
+    if (segment.startTime < 0) {
+      errors.push(`/segments/${index}/startTime is negative`);
+    }
+    if (segment.endTime < segment.startTime) {
+      errors.push(`/segments/${index}/endTime is before its startTime`);
+    }
+    if (index > 0 && segment.startTime < value.segments[index - 1].startTime) {
+      errors.push(`/segments/${index}/startTime is before the start of the previous segment`);
+    }
+  });
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Validate a parsed summary
+ * @param {Object} value - Parsed response
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateSummary(value) {
+  return schemaErrors(summaryValidator, value);
+}
+
+/**
+ * Validate a parsed section summary
+ * @param {Object} value - Parsed response
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateSection(value) {
+  return schemaErrors(sectionValidator, value);
+}
+
+/**
+ * Validate a parsed translation
+ * @param {Array<Object>} value - Parsed response
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateTranslation(value) {
+  return schemaErrors(translationValidator, value);
+}
+
+/**
+ * Validate parsed personal data findings
+ * @param {Array<Object>} value - Parsed response
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validatePersonalData(value) {
+  return schemaErrors(personalDataValidator, value);
+}
+
+/**
+ * Validate a parsed answer
+ * @param {Object} value - Parsed response
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateAnswer(value) {
+  return schemaErrors(answerValidator, value);
+}
+
+/**
+ * Parse a JSON response, repairing it if needed
+ * @param {string} responseText - Response text
+ * @param {Function} validate - Validator returning a list of errors
+ * @returns {Object} { value, repaired, errors }: value is null when nothing parses; of the
+ *   repairs that parse, the first valid one is used, else the first one
+ */
+function parseResponse(responseText, validate) {
+  let fallback = null;
+
+  for (const { text, repaired } of candidates(responseText)) {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      continue;
+    }
+
+    const errors = validate(value);
+    if (errors.length === 0) {
+      return { value, repaired, errors };
+    }
+    fallback = fallback || { value, repaired, errors };
+  }
+
+  return fallback || { value: null, repaired: false, errors: ['Response is not valid JSON'] };
+}
+
+/**
+ * Texts to try parsing: the response without markdown fences, then repairs of it
+ * @param {string} responseText - Response text
+ * @yields {Object} { text, repaired }
+ */
+function* candidates(responseText) {
+  const cleanedText = String(responseText || '')
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+  yield { text: cleanedText, repaired: false };
+
+  const start = cleanedText.search(/[[{]/);
+  if (start === -1) return;
+  const source = cleanedText.slice(start);
+
+  // Walk the JSON, remembering where it could end if the rest were cut off
+  const stack = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+  let end = -1;
+
+  for (let i = 0; i < source.length && end === -1; i++) {
+    const char = source[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) end = i + 1;
+      else cuts.push({ index: i + 1, closers: stack.slice() });
+    } else if (char === ',') {
+      cuts.push({ index: i, closers: stack.slice() });
+    }
+  }
+
+  // Complete value, possibly with text after it or trailing commas
+  if (end !== -1) {
+    yield { text: removeTrailingCommas(source.slice(0, end)), repaired: true };
+    return;
+  }
+
+  // Truncated: close what is open, else cut back to the last complete values
+  const close = closers => closers.slice().reverse().join('');
+  let truncated = source;
+  if (inString) truncated += escaped ? '\\"' : '"';
+  yield { text: removeTrailingCommas(truncated + close(stack)), repaired: true };
+
+  for (const cut of cuts.reverse().slice(0, MAX_REPAIR_CANDIDATES)) {
+    yield { text: removeTrailingCommas(source.slice(0, cut.index) + close(cut.closers)), repaired: true };
+  }
+}
+
+/**
+ * Remove commas directly before a closing bracket, outside of strings
+ * @param {string} text - JSON text
+ * @returns {string} JSON text
+ */
+function removeTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1, i + 64))) {
+      continue;
+    }
+    result += char;
+  }
+  return result;
+}
+
+/**
+ * Readable errors of an Ajv validator
+ * @param {Function} validator - Compiled validator
+ * @param {*} value - Value to validate
+ * @returns {Array<string>} Errors
+ */
+function schemaErrors(validator, value) {
+  if (validator(value)) return [];
+
+  return validator.errors.slice(0, MAX_ERRORS).map(error => {
+    const path = error.instancePath || '/';
+    return error.keyword === 'required'
+      ? `${path} is missing ${error.params.missingProperty}`
+      : `${path} ${error.message}`;
+  });
+}
+
+module.exports = {
+  TRANSCRIPTION_SCHEMA,
+  SUMMARY_SCHEMA,
+  SECTION_SCHEMA,
+  TRANSLATION_SCHEMA,
+  PERSONAL_DATA_SCHEMA,
+  ANSWER_SCHEMA,
+  validateTranscription,
+  validateSummary,
+  validateSection,
+  validateTranslation,
+  validatePersonalData,
+  validateAnswer,
+  parseResponse
+};
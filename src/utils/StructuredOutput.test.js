@@ -0,0 +1,101 @@
+const { parseResponse, validateTranscription, validateSummary } = require('./StructuredOutput');
+
+const transcription = {
+  detectedLanguage: 'en',
+  segments: [
+    { speaker: 'Speaker 1', text: 'Hello everyone.', startTime: 0, endTime: 2 },
+    { speaker: 'Speaker 2', text: 'Hi, let us start.', startTime: 2, endTime: 5 }
+  ]
+};
+
+describe('StructuredOutput.parseResponse', () => {
+  test('parses valid JSON without repairs', () => {
+    const result = parseResponse(JSON.stringify(transcription), validateTranscription);
+
+    expect(result).toEqual({ value: transcription, repaired: false, errors: [] });
+  });
+
+  test('strips markdown fences', () => {
+    const result = parseResponse('```json\n' + JSON.stringify(transcription) + '\n```', validateTranscription);
+
+    expect(result.value).toEqual(transcription);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('removes text around the JSON and trailing commas', () => {
+    const text = 'Here is the transcript:\n{"detectedLanguage":"en","segments":[' +
+      '{"speaker":"Speaker 1","text":"Hello.","startTime":0,"endTime":1,},]}\nDone.';
+    const result = parseResponse(text, validateTranscription);
+
+    expect(result.repaired).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.value.segments).toHaveLength(1);
+  });
+
+  test('closes a response truncated inside a string', () => {
+    const text = JSON.stringify(transcription).slice(0, -30);
+    const result = parseResponse(text, validateTranscription);
+
+    expect(result.repaired).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.value.segments[0]).toEqual(transcription.segments[0]);
+  });
+
+  test('cuts a truncated response back to the last complete segment when closing it is invalid', () => {
+    const full = JSON.stringify(transcription);
+    const text = full.slice(0, full.indexOf('"startTime":2') + '"startTime":'.length);
+    const result = parseResponse(text, validateTranscription);
+
+    expect(result.repaired).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.value.segments).toEqual([transcription.segments[0]]);
+  });
+
+  test('returns the first parsable value with its errors when nothing validates', () => {
+    const result = parseResponse('{"segments":[]}', validateTranscription);
+
+    expect(result.value).toEqual({ segments: [] });
+    expect(result.errors).toEqual(['/ is missing detectedLanguage']);
+  });
+
+  test('returns null for text without JSON', () => {
+    expect(parseResponse('Sorry, I can not help with that.', validateTranscription)).toEqual({
+      value: null,
+      repaired: false,
+      errors: ['Response is not valid JSON']
+    });
+  });
+});
+
+describe('StructuredOutput.validateTranscription', () => {
+  test('rejects timestamps that run backwards', () => {
+    const errors = validateTranscription({
+      detectedLanguage: 'en',
+      segments: [
+        { speaker: 'A', text: 'One', startTime: 5, endTime: 4 },
+        { speaker: 'B', text: 'Two', startTime: 3, endTime: 6 }
+      ]
+    });
+
+    expect(errors).toEqual([
+      '/segments/0/endTime is before its startTime',
+      '/segments/1/startTime is before the start of the previous segment'
+    ]);
+  });
+});
+
+describe('StructuredOutput.validateSummary', () => {
+  test('accepts key points as strings or objects', () => {
+    expect(validateSummary({
+      summary: { brief: 'Short', keyPoints: ['One', { text: 'Two', sections: [1] }], actionItems: [] },
+      insights: { participationRate: { Anna: 60 } }
+    })).toEqual([]);
+  });
+
+  test('reports missing fields', () => {
+    expect(validateSummary({ summary: { brief: 'Short' }, insights: {} })).toEqual([
+      '/summary is missing keyPoints',
+      '/summary is missing actionItems'
+    ]);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Summary templates for different kinds of meetings.
+ *
+ * Every template produces the common summary (brief, keyPoints, decisions, actionItems,
+ * topics, sentiment, nextSteps) and insights, plus its own `summary` fields. Each field
+ * has an example value, which is the output schema shown to the model, a default used
+ * when the model leaves it out, and a title (and item formatter) for document exports.
+ * When a request doesn't name a template, it is picked from `insights.meetingType`.
+ */
+
+const MEETING_TYPES = ['standup', 'planning', 'review', 'discussion', 'sales', 'interview', 'retrospective', 'other'];
+
+const DEFAULT_TEMPLATE = 'general';
+
+const TEMPLATES = {
+  general: {
+    description: 'Any meeting: key points, decisions, action items and next steps',
+    meetingTypes: ['planning', 'review', 'discussion', 'other'],
+    instructions: 'Analyze this meeting transcript and provide a comprehensive summary.',
+    fields: {}
+  },
+  standup: {
+    description: 'Daily standup: progress, plans and blockers per person',
+    meetingTypes: ['standup'],
+    instructions: 'This is a daily standup. Summarize, per person, what they finished, what they plan to do next and what blocks them. Keep each item short.',
+    fields: {
+      updates: {
+        title: 'Updates',
+        example: [{ person: 'Participant name', done: ['Work finished since the last standup'], planned: ['Work planned until the next standup'] }],
+        default: [],
+        format: item => `${item.person}: done ${list(item.done)}; next ${list(item.planned)}`
+      },
+      blockers: {
+        title: 'Blockers',
+        example: [{ person: 'Who is blocked', blocker: 'What blocks them', owner: 'Who can unblock it (if mentioned), null otherwise' }],
+        default: [],
+        format: item => `${item.person}: ${item.blocker}${item.owner ? ` (owner: ${item.owner})` : ''}`
+      }
+    }
+  },
+  sales_call: {
+    description: 'Sales call: customer needs, objections and next steps',
+    meetingTypes: ['sales'],
+    instructions: 'This is a sales call. Focus on what the customer needs, the objections they raised and how they were answered, buying signals and the agreed next steps.',
+    fields: {
+      customer: {
+        title: 'Customer',
+        example: { company: 'Customer company (if mentioned)', contacts: ['Customer-side participants'] },
+        default: { company: null, contacts: [] },
+        format: value => [value.company, list(value.contacts)].filter(Boolean).join(': ')
+      },
+      painPoints: {
+        title: 'Pain Points',
+        example: ['Problems or needs the customer described'],
+        default: []
+      },
+      objections: {
+        title: 'Objections',
+        example: [{ objection: 'Concern raised by the customer', response: 'How it was answered, null if it was not' }],
+        default: [],
+        format: item => `${item.objection}${item.response ? ` (answer: ${item.response})` : ' (unanswered)'}`
+      },
+      buyingSignals: {
+        title: 'Buying Signals',
+        example: ['Statements showing interest or intent to buy'],
+        default: []
+      },
+      dealStage: {
+        title: 'Deal Stage',
+        example: 'Deal stage after the call (discovery/demo/negotiation/closed/unknown)',
+        default: 'unknown'
+      }
+    }
+  },
+  interview: {
+    description: 'Job interview: candidate evaluation and recommendation',
+    meetingTypes: ['interview'],
+    instructions: 'This is a job interview. Evaluate the candidate on the criteria discussed, citing evidence from their answers, and give a hiring recommendation. Be factual and avoid judging anything unrelated to the role.',
+    fields: {
+      candidate: {
+        title: 'Candidate',
+        example: { name: 'Candidate name (if mentioned)', role: 'Role interviewed for (if mentioned)' },
+        default: { name: null, role: null },
+        format: value => [value.name, value.role].filter(Boolean).join(', ')
+      },
+      evaluation: {
+        title: 'Evaluation',
+        example: [{ criterion: 'Skill or competency assessed', rating: 'Rating from 1 (weak) to 5 (strong)', evidence: 'What the candidate said or did' }],
+        default: [],
+        format: item => `${item.criterion} (${item.rating}/5): ${item.evidence}`
+      },
+      strengths: {
+        title: 'Strengths',
+        example: ['Candidate strengths'],
+        default: []
+      },
+      concerns: {
+        title: 'Concerns',
+        example: ['Gaps or concerns to follow up on'],
+        default: []
+      },
+      recommendation: {
+        title: 'Recommendation',
+        example: 'strong_hire/hire/no_hire/strong_no_hire/undecided, with a brief reason',
+        default: 'undecided'
+      }
+    }
+  },
+  retrospective: {
+    description: 'Retrospective: what went well, what to improve and follow-ups',
+    meetingTypes: ['retrospective'],
+    instructions: 'This is a team retrospective. Collect what went well and what should be improved, grouping similar points, and the improvements the team agreed to try.',
+    fields: {
+      wentWell: {
+        title: 'Went Well',
+        example: ['Things that went well'],
+        default: []
+      },
+      toImprove: {
+        title: 'To Improve',
+        example: ['Things that should be improved'],
+        default: []
+      },
+      improvements: {
+        title: 'Agreed Improvements',
+        example: [{ improvement: 'Change the team agreed to try', owner: 'Person responsible (if mentioned)' }],
+        default: [],
+        format: item => `${item.improvement}${item.owner ? ` (owner: ${item.owner})` : ''}`
+      }
+    }
+  }
+};
+
+const BASE_STRUCTURE = {
+  summary: {
+    brief: 'A 2-3 sentence executive summary of the meeting',
+    keyPoints: ['Array of 3-5 main discussion points'],
+    decisions: ['Array of decisions made during the meeting'],
+    actionItems: [
+      {
+        task: 'Description of the action item',
+        assignee: 'Person responsible (if mentioned)',
+        deadline: 'Deadline if mentioned, null otherwise'
+      }
+    ],
+    topics: ['Array of main topics discussed'],
+    sentiment: 'Overall meeting sentiment (positive/neutral/negative)',
+    nextSteps: ['Array of planned next steps']
+  },
+  insights: {
+    participationRate: {
+      speakerName: 'percentage of speaking time'
+    },
+    mostDiscussedTopics: ['Top 3 topics by mention frequency'],
+    meetingType: `Type of meeting (${MEETING_TYPES.join('/')})`,
+    effectiveness: 'Meeting effectiveness rating (high/medium/low) with brief reason'
+  }
+};
+
+/**
+ * Get a template by name
+ * @param {string} name - Template name
+ * @returns {Object|null} Template, with its name
+ */
+function getTemplate(name) {
+  return TEMPLATES[name] ? { name, ...TEMPLATES[name] } : null;
+}
+
+/**
+ * Pick the template for a meeting type
+ * @param {string} meetingType - insights.meetingType of a summary
+ * @returns {Object} Template (the default template for unknown types)
+ */
+function getTemplateForMeetingType(meetingType) {
+  const type = String(meetingType || '').toLowerCase();
+  const name = Object.keys(TEMPLATES).find(key => TEMPLATES[key].meetingTypes.includes(type));
+  return getTemplate(name || DEFAULT_TEMPLATE);
+}
+
+/**
+ * JSON structure the model is asked to return
+ * @param {Object|null} template - Template, or null to let the model pick one by meeting type
+ * @returns {string} Structure description
+ */
+function describeStructure(template) {
+  if (template) {
+    const structure = structuredClone(BASE_STRUCTURE);
+    Object.entries(template.fields).forEach(([field, spec]) => {
+      structure.summary[field] = spec.example;
+    });
+    return JSON.stringify(structure, null, 2);
+  }
+
+  // No template given: one structure per meeting type, chosen by the model
+  const extras = Object.entries(TEMPLATES)
+    .filter(([, spec]) => Object.keys(spec.fields).length > 0)
+    .map(([, spec]) => {
+      const example = {};
+      Object.entries(spec.fields).forEach(([field, fieldSpec]) => {
+        example[field] = fieldSpec.example;
+      });
+      return `If meetingType is ${spec.meetingTypes.join(' or ')}, also include in "summary":\n${JSON.stringify(example, null, 2)}`;
+    });
+
+  return [JSON.stringify(BASE_STRUCTURE, null, 2), ...extras].join('\n\n');
+}
+
+/**
+ * Template fields of a parsed summary, with defaults for missing ones
+ * @param {Object} template - Template
+ * @param {Object} summary - Parsed `summary` object
+ * @returns {Object} Template fields
+ */
+function normalizeFields(template, summary = {}) {
+  const fields = {};
+  Object.entries(template.fields).forEach(([field, spec]) => {
+    fields[field] = summary[field] ?? structuredClone(spec.default);
+  });
+  return fields;
+}
+
+/**
+ * Document export sections of the template fields of a summary
+ * @param {Object} aiSummary - Summary with `template` and `summary`
+ * @returns {Array<{title: string, text?: string, items?: Array<string>}>} Sections
+ */
+function getSections(aiSummary) {
+  const template = getTemplate(aiSummary?.template);
+  if (!template) return [];
+
+  const sections = [];
+  Object.entries(template.fields).forEach(([field, spec]) => {
+    const value = aiSummary.summary?.[field];
+    // Models sometimes return objects where the template asks for strings
+    const format = spec.format || formatValue;
+
+    if (Array.isArray(value) && value.length > 0) {
+      const items = value.filter(item => item !== null && item !== undefined);
+      sections.push({ title: spec.title, items: items.map(item => (typeof item === 'string' ? item : format(item))) });
+    } else if (value && !Array.isArray(value)) {
+      const text = typeof value === 'string' ? value : format(value);
+      if (text) sections.push({ title: spec.title, text });
+    }
+  });
+  return sections;
+}
+
+/**
+ * Summaries of all templates for the API
+ * @returns {Array<Object>} { name, description, meetingTypes, fields }
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, spec]) => ({
+    name,
+    description: spec.description,
+    meetingTypes: spec.meetingTypes,
+    fields: Object.keys(spec.fields),
+    default: name === DEFAULT_TEMPLATE
+  }));
+}
+
+/**
+ * Export text of a field value without a formatter
+ * @param {*} value - Field value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Join a list for export text
+ * @param {Array<string>} items - Items
+ * @returns {string} Joined items
+ */
+function list(items) {
+  return Array.isArray(items) && items.length > 0 ? items.join('; ') : 'nothing';
+}
+
+module.exports = {
+  TEMPLATES,
+  MEETING_TYPES,
+  DEFAULT_TEMPLATE,
+  getTemplate,
+  getTemplateForMeetingType,
+  describeStructure,
+  normalizeFields,
+  getSections,
+  listTemplates
+};
@@ -0,0 +1,40 @@
+const SummaryTemplates = require('./SummaryTemplates');
+
+describe('SummaryTemplates.getSections', () => {
+  test('formats template fields with their formatters', () => {
+    const sections = SummaryTemplates.getSections({
+      template: 'standup',
+      summary: {
+        updates: [{ person: 'Ann', done: ['API review'], planned: [] }],
+        blockers: [{ person: 'Bob', blocker: 'Staging is down', owner: 'Ops' }]
+      }
+    });
+
+    expect(sections).toEqual([
+      { title: 'Updates', items: ['Ann: done API review; next nothing'] },
+      { title: 'Blockers', items: ['Bob: Staging is down (owner: Ops)'] }
+    ]);
+  });
+
+  test('serializes objects in fields without a formatter instead of printing [object Object]', () => {
+    const sections = SummaryTemplates.getSections({
+      template: 'sales_call',
+      summary: {
+        painPoints: ['Slow exports', { issue: 'No SSO', severity: 'high' }, null],
+        dealStage: { stage: 'demo' },
+        buyingSignals: [3]
+      }
+    });
+
+    expect(sections).toEqual([
+      { title: 'Pain Points', items: ['Slow exports', '{"issue":"No SSO","severity":"high"}'] },
+      { title: 'Buying Signals', items: ['3'] },
+      { title: 'Deal Stage', text: '{"stage":"demo"}' }
+    ]);
+  });
+
+  test('has no sections for the general template or unknown templates', () => {
+    expect(SummaryTemplates.getSections({ template: 'general', summary: { brief: 'Short' } })).toEqual([]);
+    expect(SummaryTemplates.getSections({ template: 'unknown', summary: {} })).toEqual([]);
+  });
+});
@@ -0,0 +1,327 @@
+const { Document, HeadingLevel, Packer, Paragraph, TextRun } = require('docx');
+const SummaryTemplates = require('./SummaryTemplates');
+
+/**
+ * Transcript export formats.
+ *
+ * All formatters take the transcript shape returned by
+ * TranscriptStreamService.getTranscript() / TranscriptRecordService.getTranscript():
+ *   { sessionId, meetingUrl, title, transcript: { segments, wordCount, speakers, ... },
+ *     metadata: { startedAt, durationFormatted, ... }, summary }
+ */
+const FORMATS = {
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json' },
+  srt: { extension: 'srt', contentType: 'text/plain; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  }
+};
+
+/**
+ * Render a transcript in one of the supported formats
+ * @param {Object} transcript - Transcript data
+ * @param {string} format - One of FORMATS
+ * @returns {Promise<string|Buffer>} File content
+ */
+async function render(transcript, format) {
+  switch (format) {
+    case 'txt':
+      return formatText(transcript);
+    case 'json':
+      return JSON.stringify(transcript, null, 2);
+    case 'srt':
+      return formatSRT(transcript);
+    case 'vtt':
+      return formatVTT(transcript);
+    case 'md':
+      return formatMarkdown(transcript);
+    case 'docx':
+      return formatDocx(transcript);
+    default:
+      throw new Error(`Unsupported transcript format: ${format}`);
+  }
+}
+
+/**
+ * Format transcript as plain text
+ * @param {Object} transcript - Transcript data
+ * @returns {string} Formatted text
+ */
+function formatText(transcript) {
+  const header = [
+    `Transcript for Meeting: ${transcript.meetingUrl}`,
+    `Session ID: ${transcript.sessionId}`,
+    `Started: ${transcript.metadata.startedAt}`,
+    `Duration: ${transcript.metadata.durationFormatted}`,
+    `Language: ${transcript.transcript.detectedLanguage}`,
+    `Speakers: ${transcript.transcript.speakers.join(', ')}`,
+    `Word Count: ${transcript.transcript.wordCount}`,
+    '='.repeat(80),
+    ''
+  ].join('\n');
+
+  const segments = transcript.transcript.segments.map(segment => {
+    const prefix = `[${formatTimestamp(segment.startTime)}] ${segment.speaker}: `;
+    // Bilingual: translation below the original, aligned with it
+    return segment.translation
+      ? `${prefix}${segment.text}\n${' '.repeat(prefix.length)}${segment.translation}`
+      : prefix + segment.text;
+  }).join('\n\n');
+
+  return header + segments;
+}
+
+/**
+ * Format transcript as SRT subtitle file
+ * @param {Object} transcript - Transcript data
+ * @returns {string} SRT formatted content
+ */
+function formatSRT(transcript) {
+  return transcript.transcript.segments.map((segment, index) => {
+    const startTime = formatCueTime(segment.startTime, ',');
+    const endTime = formatCueTime(segment.endTime, ',');
+
+    return [
+      index + 1,
+      `${startTime} --> ${endTime}`,
+      `${segment.speaker}: ${segment.text}`,
+      ...(segment.translation ? [segment.translation] : []),
+      ''
+    ].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Format transcript as WebVTT with speaker voice tags
+ * @param {Object} transcript - Transcript data
+ * @returns {string} WebVTT content
+ */
+function formatVTT(transcript) {
+  const cues = transcript.transcript.segments.map((segment, index) => {
+    const startTime = formatCueTime(segment.startTime, '.');
+    const endTime = formatCueTime(segment.endTime, '.');
+    const text = escapeVTT(segment.text || '');
+    const line = segment.speaker ? `<v ${escapeVTT(segment.speaker)}>${text}` : text;
+    const translation = segment.translation ? [escapeVTT(segment.translation)] : [];
+
+    return [index + 1, `${startTime} --> ${endTime}`, line, ...translation, ''].join('\n');
+  });
+
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * Format transcript as Markdown meeting notes, including the AI summary
+ * @param {Object} transcript - Transcript data
+ * @returns {string} Markdown content
+ */
+function formatMarkdown(transcript) {
+  const lines = [
+    `# ${transcript.title || 'Meeting Transcript'}`,
+    '',
+    `- **Date:** ${formatDate(transcript.metadata.startedAt)}`,
+    `- **Duration:** ${transcript.metadata.durationFormatted}`,
+    `- **Language:** ${transcript.transcript.detectedLanguage || 'unknown'}`,
+    `- **Speakers:** ${transcript.transcript.speakers.join(', ') || 'Unknown'}`,
+    `- **Word Count:** ${transcript.transcript.wordCount}`,
+    ''
+  ];
+
+  getSummarySections(transcript.summary).forEach(section => {
+    lines.push(`## ${section.title}`, '');
+    if (section.text) {
+      lines.push(section.text, '');
+    } else {
+      const marker = section.ordered ? index => `${index + 1}.` : () => '-';
+      section.items.forEach((item, index) => lines.push(`${marker(index)} ${item}`));
+      lines.push('');
+    }
+  });
+
+  lines.push('## Transcript', '');
+  const translation = transcript.metadata.translation;
+  if (translation?.bilingual) {
+    // Side by side
+    lines.push(
+      `| Time | Speaker | ${translation.sourceLanguage} | ${translation.language} |`,
+      '|------|---------|----|----|'
+    );
+    transcript.transcript.segments.forEach(segment => {
+      const cells = [formatTimestamp(segment.startTime), segment.speaker, segment.text, segment.translation];
+      lines.push(`| ${cells.map(escapeTableCell).join(' | ')} |`);
+    });
+    lines.push('');
+  } else {
+    transcript.transcript.segments.forEach(segment => {
+      lines.push(`**[${formatTimestamp(segment.startTime)}] ${segment.speaker}:** ${segment.text}`, '');
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format transcript as a Word document
+ * @param {Object} transcript - Transcript data
+ * @returns {Promise<Buffer>} DOCX file
+ */
+async function formatDocx(transcript) {
+  const children = [
+    new Paragraph({ text: transcript.title || 'Meeting Transcript', heading: HeadingLevel.TITLE }),
+    ...[
+      ['Date', formatDate(transcript.metadata.startedAt)],
+      ['Duration', transcript.metadata.durationFormatted],
+      ['Language', transcript.transcript.detectedLanguage || 'unknown'],
+      ['Speakers', transcript.transcript.speakers.join(', ') || 'Unknown'],
+      ['Word Count', String(transcript.transcript.wordCount)]
+    ].map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+    }))
+  ];
+
+  getSummarySections(transcript.summary).forEach(section => {
+    children.push(new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_1 }));
+    if (section.text) {
+      children.push(new Paragraph(section.text));
+    } else {
+      section.items.forEach((item, index) => children.push(new Paragraph(
+        section.ordered ? { text: `${index + 1}. ${item}` } : { text: item, bullet: { level: 0 } }
+      )));
+    }
+  });
+
+  children.push(new Paragraph({ text: 'Transcript', heading: HeadingLevel.HEADING_1 }));
+  transcript.transcript.segments.forEach(segment => {
+    children.push(new Paragraph({
+      children: [
+        new TextRun({ text: `[${formatTimestamp(segment.startTime)}] ${segment.speaker}: `, bold: true }),
+        new TextRun(segment.text || '')
+      ]
+    }));
+    if (segment.translation) {
+      children.push(new Paragraph({ children: [new TextRun({ text: segment.translation, italics: true })] }));
+    }
+  });
+
+  return Packer.toBuffer(new Document({ sections: [{ children }] }));
+}
+
+/**
+ * Flatten an AI summary into titled sections for document exports
+ * @param {Object|null} aiSummary - Summary as returned by the provider
+ * @returns {Array<{title: string, text?: string, items?: Array<string>, ordered?: boolean}>} Sections
+ */
+function getSummarySections(aiSummary) {
+  const summary = aiSummary?.summary;
+  if (!summary) return [];
+
+  const sections = [];
+  if (summary.brief) {
+    sections.push({ title: 'Summary', text: summary.brief });
+  }
+
+  const chapters = (aiSummary.chapters || []).map(chapter =>
+    `${formatTimestamp(chapter.startTime)}-${formatTimestamp(chapter.endTime)} ${chapter.title}: ${chapter.summary}`);
+
+  const lists = [
+    ['Chapters', chapters, true],
+    ['Key Points', (summary.keyPoints || []).map(point => (typeof point === 'string' ? point : point.text))],
+    ['Decisions', summary.decisions],
+    ['Action Items', (summary.actionItems || []).map(formatActionItem)],
+    ['Next Steps', summary.nextSteps, true],
+    ['Topics', summary.topics]
+  ];
+  lists.forEach(([title, items, ordered]) => {
+    if (Array.isArray(items) && items.length > 0) {
+      sections.push({ title, items, ordered: !!ordered });
+    }
+  });
+
+  // Fields of the meeting-type template (blockers, objections, ...)
+  return sections.concat(SummaryTemplates.getSections(aiSummary));
+}
+
+/**
+ * Format an action item (string or { task, assignee, deadline })
+ * @param {string|Object} item - Action item
+ * @returns {string} Formatted action item
+ */
+function formatActionItem(item) {
+  if (typeof item === 'string') return item;
+
+  const details = [
+    item.assignee && `owner: ${item.assignee}`,
+    item.deadline && `due: ${item.deadline}`
+  ].filter(Boolean);
+
+  return details.length > 0 ? `${item.task} (${details.join(', ')})` : item.task;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function escapeTableCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Format a start date for document headers
+ * @param {Date|string|null} value - Date
+ * @returns {string} ISO date or 'Unknown'
+ */
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : 'Unknown';
+}
+
+/**
+ * Escape text for a WebVTT cue payload
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format timestamp in seconds to HH:MM:SS
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatTimestamp(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+
+  return [hours, minutes, secs]
+    .map(v => v.toString().padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Format subtitle cue time (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT)
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Millisecond separator
+ * @returns {string} Cue time
+ */
+function formatCueTime(seconds, separator) {
+  const millis = Math.floor(((seconds || 0) % 1) * 1000);
+  return `${formatTimestamp(seconds || 0)}${separator}${millis.toString().padStart(3, '0')}`;
+}
+
+module.exports = {
+  FORMATS,
+  render,
+  formatText,
+  formatSRT,
+  formatVTT,
+  formatMarkdown,
+  formatDocx,
+  formatTimestamp
+};